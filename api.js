@@ -3,20 +3,24 @@ import express from "express";
 import bodyParser from "body-parser";
 import cors from "cors";
 import mongoose from 'mongoose';
-import OpenAI, { toFile } from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { connectDB } from "./config/database.js";
-import { Course, Package, User, UserProgress, LearningEvent, QuizAttempt } from "./models/index.js";
+import { Course, Package, User, UserProgress, LearningEvent, LearningSession, DailyActivity, QuizAttempt, QuizSession, ReviewItem, Classroom, Sign, SignRequest, TutorConversation } from "./models/index.js";
+import { authorizeUserAccess, requireAuth, requireAdmin, resolveCaller, GUARDIAN_USER_TYPES } from "./middleware/auth.js";
+import { lookupText, lookupWord, suggestSigns } from "./utils/signLookup.js";
+import { readVideoDuration } from "./utils/videoDuration.js";
+import { renderSignVideo, pruneRenders } from "./utils/signVideoRenderer.js";
+import { createAiProvider } from "./utils/aiProvider.js";
+import { requestAiJson, salvageQuiz, streamJsonText } from "./utils/aiResponses.js";
+import { courseDocuments, signDocuments, createRetrievalIndex, searchRetrievalIndex } from "./utils/tutorRetrieval.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Chat, transcription and speech for the AI features (AI_PROVIDER: openai, local or fixture)
+const ai = createAiProvider();
 
 const app = express();
 const port = process.env.API_PORT || 4000;
@@ -24,18 +28,82 @@ const port = process.env.API_PORT || 4000;
 // Middleware
 app.use(cors());
 app.use(bodyParser.urlencoded({extended: true}));
+// Quiz answers can carry webcam frames for the recognizer
+app.use("/quizzes/sessions", bodyParser.json({ limit: '20mb' }));
 app.use(bodyParser.json());
 
 // Connect to database and start server
 await connectDB();
 
-// Get a single course by ID
-app.get("/videolib/:id", async (req, res) => {
+// Authorization: callers may act on their own userId, parents/educators on the
+// learners linked to their account. Teaching a class gives no access to a
+// student's account; educators see rosters and assignment progress only
+// through the classroom routes.
+async function canAccessLearner(caller, learnerId) {
+    if (!mongoose.isValidObjectId(learnerId)) return false;
+    return User.isLinkedLearner(caller._id, learnerId);
+}
+
+const authorizeParamUser = (param) => authorizeUserAccess(req => req.params[param], { canAccessLearner });
+const authorizeBodyUser = authorizeUserAccess(req => req.body.userId, { canAccessLearner });
+// The same, for routes that act on the caller when the body names no user
+const authorizeBodyUserOrSelf = authorizeUserAccess(req => req.body.userId, { canAccessLearner, allowMissing: true });
+// Guardian-only routes: the caller must be the account named in the URL
+const authorizeSelf = (param) => authorizeUserAccess(req => req.params[param], { canAccessLearner: async () => false });
+// Routes that also serve guests: req.learnerId is ?userId= (when the caller may
+// act for that learner), otherwise the caller, or null for guests
+const resolveLearner = (req, res, next) => {
+    resolveCaller(req, res, () => {
+        const { userId } = req.query;
+        if (!userId) {
+            req.learnerId = req.caller?._id || null;
+            return next();
+        }
+        authorizeUserAccess(() => userId, { canAccessLearner })(req, res, () => {
+            req.learnerId = userId;
+            next();
+        });
+    });
+};
+
+// A course with unmet prerequisites is locked: its video, sections and quiz
+// cannot be used, and the 403 carries its overview instead. Guests (learnerId
+// null) have no progress, so every course with prerequisites is locked for
+// them. Resolves to whether the locked response was sent.
+async function sendIfCourseLocked(res, course, learnerId) {
+    const missing = course.getMissingPrerequisites(await getCompletedCourseIds(learnerId));
+    if (missing.length === 0) return false;
+
+    const prerequisites = await Course.find({ id: { $in: missing } }).select('id title ageGroup').sort({ id: 1 });
+    res.status(403).json({
+        locked: true,
+        message: `Complete ${prerequisites.map(p => `"${p.title}"`).join(', ')} before starting "${course.title}"`,
+        course: {
+            id: course.id,
+            title: course.title,
+            description: course.description,
+            ageGroup: course.ageGroup,
+            category: course.category,
+            difficulty: course.difficulty,
+            duration: course.duration,
+            thumbnail: course.thumbnail,
+            learningObjectives: course.learningObjectives,
+            skills: course.skills
+        },
+        missingPrerequisites: prerequisites,
+        guest: !learnerId
+    });
+    return true;
+}
+
+// Get a single course by ID (locked courses: see sendIfCourseLocked)
+app.get("/videolib/:id", resolveLearner, async (req, res) => {
     try {
         const course = await Course.findOne({ id: req.params.id });
         if (!course) {
             return res.status(404).json({ message: "Course not found" });
         }
+        if (await sendIfCourseLocked(res, course, req.learnerId)) return;
         
         // Increment views
         await course.incrementViews();
@@ -194,6 +262,84 @@ app.get("/courses/popular", async (req, res) => {
     }
 });
 
+// ========== LEARNING PATH ENDPOINTS ==========
+
+// Course ids a learner has completed (none for guests)
+async function getCompletedCourseIds(userId) {
+    if (!userId) return [];
+    const completed = await UserProgress.getUserCompletedCourses(userId);
+    return completed.map(p => p.courseId);
+}
+
+// Course dependency graph for an age group. Prerequisites from other age groups
+// are included as nodes with inAgeGroup: false. Each node is 'completed',
+// 'available' (all prerequisites completed) or 'locked'.
+app.get("/learning-path/:ageGroup", resolveLearner, async (req, res) => {
+    try {
+        const { ageGroup } = req.params;
+        if (!courseCategories[ageGroup]) {
+            return res.status(404).json({ message: "Invalid age group" });
+        }
+
+        const [allCourses, completedIds, progressDocs] = await Promise.all([
+            Course.find({ isPublished: true }).select('id title ageGroup order difficulty prerequisites').sort({ order: 1 }),
+            getCompletedCourseIds(req.learnerId),
+            req.learnerId ? UserProgress.find({ userId: req.learnerId }).select('courseId progressPercentage') : []
+        ]);
+
+        const byId = new Map(allCourses.map(c => [c.id, c]));
+        const progressById = new Map(progressDocs.map(p => [p.courseId, p.progressPercentage]));
+
+        // Age group courses plus every prerequisite reachable from them
+        const included = new Set();
+        const include = (id) => {
+            if (included.has(id) || !byId.has(id)) return;
+            included.add(id);
+            byId.get(id).prerequisites.forEach(include);
+        };
+        allCourses.filter(c => c.ageGroup === ageGroup).forEach(c => include(c.id));
+
+        const courses = allCourses.filter(c => included.has(c.id));
+        const completed = new Set(completedIds);
+
+        const nodes = courses.map(course => {
+            const missingPrerequisites = course.getMissingPrerequisites(completedIds);
+            let status = 'available';
+            if (completed.has(course.id)) status = 'completed';
+            else if (missingPrerequisites.length > 0) status = 'locked';
+
+            return {
+                id: course.id,
+                title: course.title,
+                ageGroup: course.ageGroup,
+                inAgeGroup: course.ageGroup === ageGroup,
+                order: course.order,
+                difficulty: course.difficulty,
+                prerequisites: course.prerequisites,
+                missingPrerequisites,
+                status,
+                progressPercentage: progressById.get(course.id) || 0
+            };
+        });
+
+        const edges = courses.flatMap(course => course.prerequisites
+            .filter(prereq => included.has(prereq))
+            .map(prereq => ({ from: prereq, to: course.id })));
+
+        res.json({
+            ageGroup,
+            category: courseCategories[ageGroup],
+            nodes,
+            edges,
+            cycles: Course.findPrerequisiteCycles(courses),
+            unknownPrerequisites: Course.findUnknownPrerequisites(allCourses).filter(u => included.has(u.courseId))
+        });
+    } catch (error) {
+        console.error("Error building learning path:", error);
+        res.status(500).json({ message: "Error building learning path", error: error.message });
+    }
+});
+
 // ========== PACKAGE ENDPOINTS ==========
 
 // Get all packages
@@ -236,108 +382,543 @@ app.get("/packages", async (req, res) => {
 
 // ========== LEARNING EVENTS & QUIZ ENDPOINTS ==========
 
+// Count qualifying activity (watch time, a quiz, a section or a review)
+// towards the learner's daily streak; `times` are when it happened, and each
+// calendar day among them is counted once, oldest first
+async function recordStreakActivity(userId, times = [new Date()]) {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    let lastDay = null;
+    for (const time of [...times].sort((a, b) => a - b)) {
+        const day = user.calendarDayOf(time);
+        if (day === lastDay) continue;
+        lastDay = day;
+        await user.updateStreak(time);
+    }
+}
+
+const MAX_EVENTS_PER_BATCH = 100;
+
+// Rebuild the sessions and the daily rollups (in the learner's timezone) that
+// new events belong to; analytics read these instead of the raw events
+async function rollUpLearningEvents(userId, events) {
+    if (events.length === 0) return;
+
+    const user = await User.findById(userId).select('preferences');
+    if (!user) return;
+
+    await Promise.all([
+        LearningSession.rebuild(userId, events.map(event => event.sessionId)),
+        DailyActivity.rebuildDays(userId, events.map(event => user.calendarDayOf(event.ts)), user.getTimeZone())
+    ]);
+}
+
+// Store a learner's events and roll the new ones up: progress time per course,
+// sessions and daily activity, the streak for the days with watch time, then
+// achievements
+async function ingestLearningEvents(req, userId, events) {
+    const { stored, duplicates, rejected } = await LearningEvent.recordBatch(userId, events, { userAgent: req.headers['user-agent'] });
+
+    // The percentage comes from completed sections, so the client's value is
+    // only kept on the event
+    const activity = {};
+    for (const event of stored) {
+        const course = activity[event.courseId] ||= { activeMs: 0, firstAt: event.ts, lastAt: event.ts };
+        course.activeMs += event.activeMs;
+        if (event.ts < course.firstAt) course.firstAt = event.ts;
+        if (event.ts > course.lastAt) course.lastAt = event.ts;
+    }
+    await UserProgress.recordActivityBatch(userId, activity);
+    await rollUpLearningEvents(userId, stored);
+
+    // Only time actually spent learning counts towards the streak
+    const activeTimes = stored.filter(event => event.activeMs > 0).map(event => event.ts);
+    if (activeTimes.length > 0) {
+        await recordStreakActivity(userId, activeTimes);
+    }
+
+    // Heartbeats are frequent, so badges are checked without holding the response
+    if (stored.length > 0) {
+        awardAchievements(userId);
+    }
+
+    return { accepted: stored.length, duplicates, rejected };
+}
+
 // Post learning event / heartbeat
-app.post("/learning/events", async (req, res) => {
+app.post("/learning/events", authorizeBodyUser, async (req, res) => {
     try {
-        const { userId, courseId, type, sessionId, activeMs = 0, progressPercentage, source, meta } = req.body;
+        const { userId, courseId, type } = req.body;
         if (!userId || !courseId || !type) {
             return res.status(400).json({ message: "userId, courseId and type are required" });
         }
 
-        const event = await LearningEvent.create({ userId, courseId, type, sessionId, activeMs, progressPercentage, source, userAgent: req.headers['user-agent'], meta });
+        const result = await ingestLearningEvents(req, userId, [req.body]);
+        if (result.rejected > 0) {
+            return res.status(400).json({ message: "Invalid learning event" });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error("Learning event error:", error);
+        res.status(500).json({ message: "Failed to record learning event", error: error.message });
+    }
+});
+
+// Post a batch of learning events, e.g. heartbeats buffered while offline.
+// Each event may carry a client-generated `eventId`; events already stored
+// under that id are skipped, so a batch can be resent safely.
+app.post("/learning/events/batch", authorizeBodyUser, async (req, res) => {
+    try {
+        const { userId, events } = req.body;
+        if (!userId || !Array.isArray(events)) {
+            return res.status(400).json({ message: "userId and an events array are required" });
+        }
+        if (events.length > MAX_EVENTS_PER_BATCH) {
+            return res.status(413).json({ message: `A batch can hold at most ${MAX_EVENTS_PER_BATCH} events` });
+        }
+
+        res.status(201).json(await ingestLearningEvents(req, userId, events));
+    } catch (error) {
+        console.error("Learning event batch error:", error);
+        res.status(500).json({ message: "Failed to record learning events", error: error.message });
+    }
+});
 
-        // rollup to UserProgress (guarded)
-        let progress = await UserProgress.findUserProgress(userId, courseId);
-        if (!progress) {
-            progress = new UserProgress({ userId, courseId, status: 'in_progress', startedAt: new Date() });
+// Quiz for a category and/or age group (the first matching course with questions)
+app.get("/quizzes", async (req, res) => {
+    try {
+        const { category, ageGroup } = req.query;
+        const course = await Course.findQuizCourse({ category, ageGroup });
+        if (!course) {
+            return res.status(404).json({ message: "No quiz available for this selection" });
+        }
+        res.json(course.getPublicQuiz());
+    } catch (error) {
+        console.error("Error fetching quiz:", error);
+        res.status(500).json({ message: "Error fetching quiz", error: error.message });
+    }
+});
+
+// Quiz questions for a course (answers are not included)
+app.get("/courses/:courseId/quiz", async (req, res) => {
+    try {
+        const course = await Course.findOne({ id: req.params.courseId, isPublished: true });
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
         }
-        // convert ms to minutes for the rollup
-        const deltaMinutes = Math.max(0, Math.round((activeMs || 0) / 60000));
-        const pct = typeof progressPercentage === 'number' ? progressPercentage : progress.progressPercentage;
-        await progress.updateProgress(pct, deltaMinutes);
 
-        // streak update
-        await User.findByIdAndUpdate(userId, { $set: { 'progress.lastActivityDate': new Date() } });
+        const quiz = course.getPublicQuiz();
+        if (quiz.questions.length === 0) {
+            return res.status(404).json({ message: "This course has no quiz yet" });
+        }
+        res.json(quiz);
+    } catch (error) {
+        console.error("Error fetching course quiz:", error);
+        res.status(500).json({ message: "Error fetching quiz", error: error.message });
+    }
+});
+
+// Sessions started by a logged-in learner are tied to them; guests can practise
+// but their sessions cannot be submitted as attempts
+const authorizeOptionalBodyUser = (req, res, next) => req.body.userId ? authorizeBodyUser(req, res, next) : next();
+
+// Load the quiz session named in the URL; sessions owned by a user are only
+// usable by that user or an account allowed to act for them
+const authorizeQuizSession = async (req, res, next) => {
+    try {
+        const { sessionId } = req.params;
+        const session = mongoose.isValidObjectId(sessionId) ? await QuizSession.findById(sessionId) : null;
+        if (!session) {
+            return res.status(404).json({ message: "Quiz session not found" });
+        }
 
-        res.status(201).json({ eventId: event._id });
+        req.quizSession = session;
+        if (!session.userId) return next();
+        authorizeUserAccess(() => session.userId.toString(), { canAccessLearner })(req, res, next);
     } catch (error) {
-        console.error("Learning event error:", error);
-        res.status(500).json({ message: "Failed to record learning event", error: error.message });
+        console.error("Error loading quiz session:", error);
+        res.status(500).json({ message: "Error loading quiz session", error: error.message });
+    }
+};
+
+// Issue a quiz session; answers are recorded and scored against it
+app.post("/courses/:courseId/quiz/sessions", authorizeOptionalBodyUser, async (req, res) => {
+    try {
+        const course = await Course.findOne({ id: req.params.courseId, isPublished: true });
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+
+        const quiz = course.getPublicQuiz();
+        if (quiz.questions.length === 0) {
+            return res.status(404).json({ message: "This course has no quiz yet" });
+        }
+        if (await sendIfCourseLocked(res, course, req.body.userId || null)) return;
+
+        const session = await QuizSession.issue(course, req.body.userId || null);
+        res.status(201).json({ sessionId: session._id, expiresAt: session.expiresAt, quiz });
+    } catch (error) {
+        console.error("Error starting quiz session:", error);
+        res.status(500).json({ message: "Error starting quiz", error: error.message });
+    }
+});
+
+// Sign recognition service, the one index.js proxies for the practice page
+const PYTHON_API_URL = process.env.PYTHON_API_URL || "http://localhost:8000";
+// Webcam frames one video-response answer may carry (the quiz page sends up to 30)
+const MAX_ANSWER_FRAMES = 60;
+
+// The sign the recognizer sees in webcam frames. The expected sign goes to
+// the recognizer from here; the browser never gets it.
+async function recognizeQuizSign(frames, expectedSign) {
+    const response = await fetch(`${PYTHON_API_URL}/api/quiz`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ frames, expectedSign })
+    });
+    if (!response.ok) {
+        throw new Error(`Sign recognition failed with status ${response.status}`);
+    }
+    const { predictedSign } = await response.json();
+    return typeof predictedSign === 'string' ? predictedSign : '';
+}
+
+// Record one answer (an option, webcam frames of a sign or a list of matches)
+// and return whether it was correct. Frames are recognised here, and the
+// prediction is what the session records.
+app.post("/quizzes/sessions/:sessionId/answers", authorizeQuizSession, async (req, res) => {
+    try {
+        const session = req.quizSession;
+        const { questionId, frames, timeMs } = req.body;
+        let { answer } = req.body;
+
+        if (!session.isOpen()) {
+            return res.status(409).json({ message: "This quiz session is closed" });
+        }
+        if (!session.questionIds.includes(String(questionId))) {
+            return res.status(404).json({ message: "Question not found in this quiz" });
+        }
+        if (session.hasAnswered(questionId)) {
+            return res.status(409).json({ message: "This question has already been answered" });
+        }
+
+        const course = await Course.findOne({ id: session.courseId });
+        const question = course?.content?.quiz?.questions?.id(questionId);
+        if (!question) {
+            return res.status(404).json({ message: "Question not found" });
+        }
+
+        const recognised = question.type === 'video-response';
+        if (recognised) {
+            if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_ANSWER_FRAMES ||
+                !frames.every(frame => typeof frame === 'string')) {
+                return res.status(400).json({ message: `Send 1 to ${MAX_ANSWER_FRAMES} webcam frames to answer this question` });
+            }
+            try {
+                answer = await recognizeQuizSign(frames, question.correctAnswer);
+            } catch (error) {
+                console.error("Error recognising quiz sign:", error.message);
+                return res.status(502).json({ message: "Sign recognition is unavailable, please try again" });
+            }
+        }
+        const result = course.checkQuizAnswer(questionId, answer);
+
+        const updated = await QuizSession.recordAnswer(session._id, {
+            questionId: String(questionId),
+            answer,
+            correct: result.isCorrect,
+            timeMs: Math.max(0, Number(timeMs) || 0)
+        });
+        if (!updated) {
+            return res.status(409).json({ message: "This question has already been answered" });
+        }
+
+        // Bring missed signs back in the learner's review queue and count the
+        // ones answered correctly as learned
+        if (session.userId) {
+            queueAnsweredSigns(session.userId, question, result).catch(error => {
+                console.error("Error queueing quiz signs for review:", error);
+            });
+        }
+
+        res.json({
+            ...result,
+            ...(recognised && { predictedSign: answer }),
+            answered: updated.answers.length,
+            totalQuestions: updated.questionIds.length
+        });
+    } catch (error) {
+        console.error("Error recording quiz answer:", error);
+        res.status(500).json({ message: "Error recording answer", error: error.message });
     }
 });
 
-// Submit quiz attempt
-app.post("/quizzes/:courseId/:quizId/attempts", async (req, res) => {
+// Submit quiz attempt: the score is computed from the session's recorded answers
+// and the course's passing score; client-sent scores are ignored
+app.post("/quizzes/:courseId/:quizId/attempts", authorizeBodyUser, async (req, res) => {
     try {
         const { courseId, quizId } = req.params;
-        const { userId, score, totalQuestions, correct, timeMs, answers } = req.body;
+        const { userId, sessionId } = req.body;
         if (!userId) return res.status(400).json({ message: "userId is required" });
+        if (!mongoose.isValidObjectId(sessionId)) {
+            return res.status(400).json({ message: "A valid quiz sessionId is required" });
+        }
+
+        const session = await QuizSession.findById(sessionId);
+        if (!session || session.userId?.toString() !== String(userId) ||
+            session.courseId !== courseId || session.quizId !== quizId) {
+            return res.status(403).json({ message: "No quiz session was issued for this attempt" });
+        }
+
+        const course = await Course.findOne({ id: courseId });
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+
+        // Close the session first so the same session cannot be submitted twice
+        const closed = await QuizSession.close(session._id);
+        if (!closed) {
+            return res.status(409).json({ message: "This quiz session has already been submitted or has expired" });
+        }
+
+        const passingScore = course.content?.quiz?.passingScore ?? 70;
+        const { totalQuestions, correct, score, passed } = closed.computeScore(passingScore);
+        const submittedAt = new Date();
+        const timeMs = submittedAt - closed.startedAt;
+        const answers = closed.answers.map(a => ({
+            questionId: a.questionId,
+            correct: a.correct,
+            timeMs: a.timeMs,
+            choice: Array.isArray(a.answer) ? a.answer.join(', ') : a.answer
+        }));
 
         const lastAttempt = await QuizAttempt.findOne({ userId, courseId, quizId }).sort({ attemptNo: -1 });
         const attemptNo = (lastAttempt?.attemptNo || 0) + 1;
-        const passed = typeof score === 'number' ? score >= 70 : false;
 
-        const attempt = await QuizAttempt.create({ userId, courseId, quizId, attemptNo, submittedAt: new Date(), score, totalQuestions, correct, timeMs, passed, answers });
+        const attempt = await QuizAttempt.create({ userId, courseId, quizId, sessionId: closed._id, attemptNo, startedAt: closed.startedAt, submittedAt, score, totalQuestions, correct, timeMs, passed, answers });
+        await QuizSession.updateOne({ _id: closed._id }, { $set: { attemptId: attempt._id } });
 
         // update UserProgress rollup
         let progress = await UserProgress.findUserProgress(userId, courseId);
         if (!progress) progress = new UserProgress({ userId, courseId, status: 'in_progress', startedAt: new Date() });
-        await progress.addQuizResult({ score, totalQuestions, correctAnswers: correct, timeSpent: Math.round((timeMs || 0) / 60000) });
+        await progress.addQuizResult({ score, totalQuestions, correctAnswers: correct, passingScore, timeSpent: Math.round(timeMs / 60000) });
+        await recordStreakActivity(userId);
+
+        const newAchievements = await awardAchievements(userId);
 
-        res.status(201).json({ attemptId: attempt._id, attemptNo });
+        res.status(201).json({ attemptId: attempt._id, attemptNo, score, correct, totalQuestions, passed, passingScore, newAchievements });
     } catch (error) {
         console.error("Quiz attempt error:", error);
         res.status(500).json({ message: "Failed to record quiz attempt", error: error.message });
     }
 });
 
+// Weekly minutes and sessions (from the activity rollups), completion, quiz
+// and streak figures for one learner
+async function buildAnalyticsSummary(userId) {
+    const since = new Date();
+    since.setDate(since.getDate() - 7);
+
+    const user = await User.findById(userId).select('progress preferences');
+    const week = User.recentCalendarDays(7, user?.getTimeZone());
+
+    const [progressDocs, weeklyRollups, weeklySessions, quizAgg, quizPassAgg] = await Promise.all([
+        UserProgress.find({ userId }).select('courseId status progressPercentage timeSpent completedAt updatedAt'),
+        DailyActivity.find({ userId, day: { $in: week } }).select('activeMs'),
+        LearningSession.find({ userId, startedAt: { $gte: since } }).select('durationMs'),
+        QuizAttempt.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $group: { _id: null, attempts: { $sum: 1 }, avgScore: { $avg: "$score" } } }
+        ]),
+        QuizAttempt.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId), passed: true } },
+            { $group: { _id: null, passed: { $sum: 1 } } }
+        ])
+    ]);
+
+    const weeklyMs = weeklyRollups.reduce((sum, day) => sum + day.activeMs, 0);
+    const sessionMs = weeklySessions.reduce((sum, session) => sum + session.durationMs, 0);
+    const totalCompleted = progressDocs.filter(p => p.status === 'completed').length;
+    const totalStarted = progressDocs.length;
+    const completionPct = totalStarted ? Math.round((totalCompleted / totalStarted) * 100) : 0;
+    const quizAttempts = quizAgg[0]?.attempts || 0;
+    const avgQuiz = Math.round(quizAgg[0]?.avgScore || 0);
+    const quizPassed = quizPassAgg[0]?.passed || 0;
+    const quizPassRate = quizAttempts ? Math.round((quizPassed / quizAttempts) * 100) : 0;
+    const currentStreak = user ? user.getCurrentStreak() : 0;
+
+    return {
+        weeklyMinutes: Math.round(weeklyMs / 60000),
+        completionPct,
+        totalCompleted,
+        avgQuiz,
+        quizAttempts,
+        quizPassRate,
+        currentStreak,
+        weeklySessions: weeklySessions.length,
+        avgSessionMinutes: weeklySessions.length ? Math.round(sessionMs / weeklySessions.length / 60000) : 0,
+        coursesInProgress: progressDocs.filter(p => p.status === 'in_progress').length
+    };
+}
+
 // Dashboard analytics quick summary
-app.get("/analytics/summary/:userId", async (req, res) => {
+app.get("/analytics/summary/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
-        const { userId } = req.params;
-        const since = new Date();
-        since.setDate(since.getDate() - 7);
-
-        const [user, progressDocs, weeklyMsAgg, quizAgg, quizPassAgg] = await Promise.all([
-            User.findById(userId).select('progress'),
-            UserProgress.find({ userId }).select('courseId status progressPercentage timeSpent completedAt updatedAt'),
-            LearningEvent.aggregate([
-                { $match: { userId: new mongoose.Types.ObjectId(userId), ts: { $gte: since } } },
-                { $group: { _id: null, totalMs: { $sum: "$activeMs" } } }
-            ]),
+        res.json(await buildAnalyticsSummary(req.params.userId));
+    } catch (error) {
+        console.error("Analytics summary error:", error);
+        res.status(500).json({ message: "Failed to fetch analytics", error: error.message });
+    }
+});
+
+// Day-by-day activity for the streak calendar, bucketed by calendar day in
+// the learner's timezone
+app.get("/users/:userId/activity-history", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 84, 1), 366);
+        const user = await User.findById(req.params.userId).select('progress preferences');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const timezone = user.getTimeZone();
+        const dayOf = date => ({ $dateToString: { format: "%Y-%m-%d", date, timezone } });
+        const [minutesByDay, quizzesByDay, reviewsByDay] = await Promise.all([
+            DailyActivity.find({ userId: user._id, activeMs: { $gt: 0 } }).select('day activeMs'),
             QuizAttempt.aggregate([
-                { $match: { userId: new mongoose.Types.ObjectId(userId) } },
-                { $group: { _id: null, attempts: { $sum: 1 }, avgScore: { $avg: "$score" } } }
+                { $match: { userId: user._id } },
+                { $group: { _id: dayOf("$submittedAt"), count: { $sum: 1 } } }
             ]),
-            QuizAttempt.aggregate([
-                { $match: { userId: new mongoose.Types.ObjectId(userId), passed: true } },
-                { $group: { _id: null, passed: { $sum: 1 } } }
+            ReviewItem.aggregate([
+                { $match: { userId: user._id } },
+                { $unwind: "$reviews" },
+                { $group: { _id: dayOf("$reviews.reviewedAt"), count: { $sum: 1 } } }
             ])
         ]);
 
-        const weeklyMs = weeklyMsAgg[0]?.totalMs || 0;
-        const totalCompleted = progressDocs.filter(p => p.status === 'completed').length;
-        const totalStarted = progressDocs.length;
-        const completionPct = totalStarted ? Math.round((totalCompleted / totalStarted) * 100) : 0;
-        const quizAttempts = quizAgg[0]?.attempts || 0;
-        const avgQuiz = Math.round(quizAgg[0]?.avgScore || 0);
-        const quizPassed = quizPassAgg[0]?.passed || 0;
-        const quizPassRate = quizAttempts ? Math.round((quizPassed / quizAttempts) * 100) : 0;
-        const currentStreak = user?.progress?.currentStreak || 0;
+        const minutes = new Map(minutesByDay.map(d => [d.day, Math.round(d.activeMs / 60000)]));
+        const quizzes = new Map(quizzesByDay.map(d => [d._id, d.count]));
+        const reviews = new Map(reviewsByDay.map(d => [d._id, d.count]));
+        const frozen = new Set(user.progress.frozenDays || []);
+        const activeDays = new Set([...minutes.keys(), ...quizzes.keys(), ...reviews.keys()]);
 
         res.json({
-            weeklyMinutes: Math.round(weeklyMs / 60000),
-            completionPct,
-            totalCompleted,
-            avgQuiz,
-            quizAttempts,
-            quizPassRate,
-            currentStreak,
-            coursesInProgress: progressDocs.filter(p => p.status === 'in_progress').length
+            timezone,
+            timezoneSet: !!user.preferences?.timezone,
+            currentStreak: user.getCurrentStreak(),
+            longestStreak: user.progress.longestStreak || 0,
+            streakFreezes: user.progress.streakFreezes || 0,
+            totalActiveDays: activeDays.size,
+            days: User.recentCalendarDays(days, timezone).map(date => ({
+                date,
+                minutes: minutes.get(date) || 0,
+                quizzes: quizzes.get(date) || 0,
+                reviews: reviews.get(date) || 0,
+                active: activeDays.has(date),
+                frozen: frozen.has(date)
+            }))
         });
     } catch (error) {
-        console.error("Analytics summary error:", error);
-        res.status(500).json({ message: "Failed to fetch analytics", error: error.message });
+        console.error("Activity history error:", error);
+        res.status(500).json({ message: "Failed to fetch activity history", error: error.message });
+    }
+});
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Session history: duration, active ratio, courses touched and where each
+// session stopped. Page back with ?before=<startedAt of the last session>.
+app.get("/analytics/sessions/:userId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const before = req.query.before ? new Date(req.query.before) : null;
+        if (before && isNaN(before)) {
+            return res.status(400).json({ message: "before must be a date" });
+        }
+
+        const sessions = await LearningSession.findRecent(req.params.userId, { limit, before });
+        res.json({
+            sessions: sessions.map(session => ({
+                sessionKey: session.sessionKey,
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                durationMinutes: Math.round(session.durationMs / 60000),
+                activeMinutes: Math.round(session.activeMs / 60000),
+                activeRatio: session.activeRatio,
+                courses: session.courses,
+                endedWith: session.endedWith,
+                dropOff: session.dropOff
+            })),
+            nextBefore: sessions.length === limit ? sessions[sessions.length - 1].startedAt : null
+        });
+    } catch (error) {
+        console.error("Session history error:", error);
+        res.status(500).json({ message: "Failed to fetch session history", error: error.message });
+    }
+});
+
+// When the learner studies: minutes by hour of day and by day of week (in
+// their timezone), plus session length and drop-off figures for the period
+app.get("/analytics/patterns/:userId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 366);
+        const user = await User.findById(userId).select('preferences');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const calendar = User.recentCalendarDays(days, user.getTimeZone());
+        const [rollups, sessions] = await Promise.all([
+            DailyActivity.find({ userId, day: { $in: calendar } }),
+            LearningSession.findRecent(userId, { limit: 1000, since: new Date(calendar[0]) })
+        ]);
+
+        const hourlyMs = Array(24).fill(0);
+        const weekdays = WEEKDAY_NAMES.map(day => ({ day, minutes: 0, activeDays: 0 }));
+        for (const rollup of rollups) {
+            rollup.hourlyActiveMs.forEach((ms, hour) => { hourlyMs[hour] += ms; });
+            weekdays[rollup.weekday].minutes += rollup.activeMs / 60000;
+            if (rollup.activeMs > 0) weekdays[rollup.weekday].activeDays++;
+        }
+        const timeOfDay = hourlyMs.map((ms, hour) => ({ hour, minutes: Math.round(ms / 60000) }));
+        weekdays.forEach(w => { w.minutes = Math.round(w.minutes); });
+
+        // Sessions that stopped without reaching the end of a course
+        const dropOffs = {};
+        sessions
+            .filter(s => s.dropOff?.courseId && (s.dropOff.progressPercentage ?? 0) < 100)
+            .forEach(s => {
+                const entry = dropOffs[s.dropOff.courseId] ||= { courseId: s.dropOff.courseId, sessions: 0, totalProgress: 0 };
+                entry.sessions++;
+                entry.totalProgress += s.dropOff.progressPercentage || 0;
+            });
+
+        const totalDurationMs = sessions.reduce((sum, s) => sum + s.durationMs, 0);
+        const peak = (items) => items.reduce((best, item) => (item.minutes > (best?.minutes || 0) ? item : best), null);
+
+        res.json({
+            timezone: user.getTimeZone(),
+            days,
+            timeOfDay,
+            dayOfWeek: weekdays,
+            peakHour: peak(timeOfDay)?.hour ?? null,
+            peakDay: peak(weekdays)?.day ?? null,
+            sessions: {
+                count: sessions.length,
+                avgDurationMinutes: sessions.length ? Math.round(totalDurationMs / sessions.length / 60000) : 0,
+                avgActiveRatio: sessions.length ? Math.round((sessions.reduce((sum, s) => sum + s.activeRatio, 0) / sessions.length) * 100) / 100 : 0,
+                endedWith: sessions.reduce((counts, s) => ({ ...counts, [s.endedWith]: (counts[s.endedWith] || 0) + 1 }), {})
+            },
+            dropOffs: Object.values(dropOffs)
+                .map(({ courseId, sessions: count, totalProgress }) => ({ courseId, sessions: count, avgProgress: Math.round(totalProgress / count) }))
+                .sort((a, b) => b.sessions - a.sessions)
+                .slice(0, 5)
+        });
+    } catch (error) {
+        console.error("Learning patterns error:", error);
+        res.status(500).json({ message: "Failed to fetch learning patterns", error: error.message });
     }
 });
 
@@ -383,6 +964,19 @@ app.get("/packages/popular", async (req, res) => {
 
 // ========== AUTHENTICATION ENDPOINTS ==========
 
+// Public fields returned to the web server and stored in its session
+function toSessionUser(user) {
+    return {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        ageGroup: user.ageGroup,
+        userType: user.userType,
+        role: user.role
+    };
+}
+
 // Login endpoint
 app.post("/auth/login", async (req, res) => {
     try {
@@ -398,25 +992,22 @@ app.post("/auth/login", async (req, res) => {
             return res.status(401).json({ message: "Invalid email or password" });
         }
         
-        // For demo purposes, we'll do a simple password check
-        // In production, you should hash passwords and compare hashes
-        if (user.password !== password) {
+        const passwordMatches = await user.verifyPassword(password);
+        if (!passwordMatches) {
             return res.status(401).json({ message: "Invalid email or password" });
         }
         
-        // Return user data (excluding password)
-        const userData = {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            phone: user.phone,
-            ageGroup: user.ageGroup,
-            userType: user.userType
-        };
+        // Accounts created before hashing was introduced still hold plaintext;
+        // verifyPassword replaced it with the hash, stored by the save below
+        if (user.$locals.rehashed) {
+            console.log(`[Auth] Rehashed legacy password for user ${user._id}`);
+        }
+        user.lastLogin = new Date();
+        await user.save();
         
         res.json({ 
             message: "Login successful", 
-            user: userData 
+            user: toSessionUser(user) 
         });
     } catch (error) {
         console.error("Login error:", error);
@@ -428,9 +1019,23 @@ app.post("/auth/login", async (req, res) => {
 });
 
 // Register endpoint
+// Fields a new account may set about itself. Progress, streaks, badges,
+// subscriptions, learner links and the admin role are never taken from the
+// request: they are earned, paid for, or granted through their own flows.
+const REGISTER_FIELDS = ['name', 'email', 'password', 'userType', 'ageGroup', 'dateOfBirth'];
+
 app.post("/auth/register", async (req, res) => {
     try {
-        const userData = req.body;
+        const userData = Object.fromEntries(REGISTER_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .map(field => [field, req.body[field]]));
+        if (req.body.preferences?.timezone !== undefined) {
+            userData.preferences = { timezone: req.body.preferences.timezone };
+        }
+        
+        if (!userData.email || !userData.password) {
+            return res.status(400).json({ message: "Email and password are required" });
+        }
         
         // Check if user already exists
         const existingUser = await User.findByEmail(userData.email);
@@ -438,23 +1043,13 @@ app.post("/auth/register", async (req, res) => {
             return res.status(409).json({ message: "User already exists with this email" });
         }
         
-        // Create new user
+        // Create new user (password is hashed by the User pre-save hook)
         const user = new User(userData);
         await user.save();
         
-        // Return user data (excluding password)
-        const responseData = {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            phone: user.phone,
-            ageGroup: user.ageGroup,
-            userType: user.userType
-        };
-        
         res.status(201).json({ 
             message: "Registration successful", 
-            user: responseData 
+            user: toSessionUser(user) 
         });
     } catch (error) {
         console.error("Registration error:", error);
@@ -475,55 +1070,58 @@ app.post("/auth/register", async (req, res) => {
 
 // ========== USER MANAGEMENT ENDPOINTS ==========
 
-// Create/Update user profile
-app.post("/users", async (req, res) => {
+// Profile fields users may change about themselves here. Password, email,
+// account type, role and learner links each have their own flows and are
+// never taken from this request.
+const USER_PROFILE_FIELDS = ['name', 'phone', 'ageGroup', 'dateOfBirth', 'familyMembers'];
+const USER_PREFERENCE_FIELDS = ['language', 'timezone', 'notifications', 'learningGoals'];
+
+// Update the caller's own profile. Accounts are created by /auth/register.
+app.post("/users", requireAuth, async (req, res) => {
     try {
-        const userData = req.body;
-        
-        // Check if user exists by email or firebaseUid
-        let user;
-        if (userData.firebaseUid) {
-            user = await User.findByFirebaseUid(userData.firebaseUid);
-        } else if (userData.email) {
-            user = await User.findByEmail(userData.email);
+        const user = await User.findById(req.caller._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
         }
         
-        if (user) {
-            // Update existing user
-            Object.assign(user, userData);
-            await user.save();
-            res.json({ user, message: "User updated successfully" });
-        } else {
-            // Create new user
-            user = new User(userData);
-            await user.save();
-            res.status(201).json({ user, message: "User created successfully" });
+        // The body may name the account it is for; it must be the caller's
+        const { userId, email, firebaseUid } = req.body;
+        const namesOtherUser = (userId && String(userId) !== String(user._id)) ||
+            (email && String(email).trim().toLowerCase() !== user.email) ||
+            (firebaseUid && firebaseUid !== user.firebaseUid);
+        if (namesOtherUser) {
+            return res.status(403).json({ message: "You can only update your own profile" });
         }
+        
+        USER_PROFILE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => user.set(field, req.body[field]));
+        const preferences = req.body.preferences || {};
+        USER_PREFERENCE_FIELDS
+            .filter(field => preferences[field] !== undefined)
+            .forEach(field => user.set(`preferences.${field}`, preferences[field]));
+        
+        await user.save();
+        res.json({ user, message: "User updated successfully" });
     } catch (error) {
-        console.error("Error creating/updating user:", error);
+        console.error("Error updating user:", error);
         
-        if (error.name === 'ValidationError') {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
             return res.status(400).json({ 
                 message: "Validation error", 
                 errors: error.errors 
             });
         }
         
-        if (error.code === 11000) {
-            return res.status(409).json({ 
-                message: "User already exists with this email" 
-            });
-        }
-        
         res.status(500).json({ 
-            message: "Error creating/updating user", 
+            message: "Error updating user", 
             error: error.message 
         });
     }
 });
 
 // Get user profile
-app.get("/users/:id", async (req, res) => {
+app.get("/users/:id", authorizeParamUser('id'), async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
         if (!user) {
@@ -540,7 +1138,7 @@ app.get("/users/:id", async (req, res) => {
 });
 
 // Enroll user in package
-app.post("/users/:userId/enroll/:packageId", async (req, res) => {
+app.post("/users/:userId/enroll/:packageId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId, packageId } = req.params;
         
@@ -571,72 +1169,786 @@ app.post("/users/:userId/enroll/:packageId", async (req, res) => {
     }
 });
 
-// ========== USER PROGRESS ENDPOINTS ==========
-
-// Get user progress for a course
-app.get("/users/:userId/progress/:courseId", async (req, res) => {
+// A user's preferences (timezone, sign player settings, ...)
+app.get("/users/:userId/preferences", authorizeParamUser('userId'), async (req, res) => {
     try {
-        const { userId, courseId } = req.params;
-        
-        const progress = await UserProgress.findUserProgress(userId, courseId);
-        if (!progress) {
-            return res.status(404).json({ message: "Progress not found" });
+        const user = await User.findById(req.params.userId).select('preferences');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
         }
-        
-        res.json(progress);
+        res.json({ preferences: user.preferences });
     } catch (error) {
-        console.error("Error fetching user progress:", error);
-        res.status(500).json({ 
-            message: "Error fetching progress", 
-            error: error.message 
-        });
+        console.error("Error fetching preferences:", error);
+        res.status(500).json({ message: "Error fetching preferences", error: error.message });
     }
 });
 
-// Update user progress
-app.post("/users/:userId/progress/:courseId", async (req, res) => {
+// Update a user's preferences; the timezone decides which calendar day
+// activity counts towards for streaks. signPlayer settings are merged, so
+// the player can send just the one that changed.
+app.put("/users/:userId/preferences", authorizeParamUser('userId'), async (req, res) => {
     try {
-        const { userId, courseId } = req.params;
-        const { progressPercentage, timeSpent } = req.body;
-        
-        let progress = await UserProgress.findUserProgress(userId, courseId);
-        
-        if (!progress) {
-            // Create new progress record
-            progress = new UserProgress({
-                userId,
-                courseId,
-                progressPercentage: 0,
-                timeSpent: 0
-            });
+        const { timezone, signPlayer } = req.body;
+        if (timezone !== undefined && timezone !== null &&
+            (typeof timezone !== 'string' || !User.isValidTimeZone(timezone))) {
+            return res.status(400).json({ message: "timezone must be an IANA timezone such as Asia/Kolkata" });
         }
-        
-        // Update progress
-        await progress.updateProgress(progressPercentage, timeSpent);
-        
-        // Update user and course analytics
-        const user = await User.findById(userId);
-        const course = await Course.findOne({ id: courseId });
-        
-        if (user && progress.status === 'completed' && progress.progressPercentage === 100) {
-            user.progress.totalCoursesCompleted += 1;
-            await user.save();
-            
-            if (course) {
-                await course.addCompletion();
-            }
+
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const timezoneChanged = timezone !== undefined && timezone !== user.preferences.timezone;
+        if (timezone !== undefined) user.preferences.timezone = timezone;
+        if (signPlayer && typeof signPlayer === 'object') {
+            if (signPlayer.speed !== undefined) user.preferences.signPlayer.speed = signPlayer.speed;
+            if (signPlayer.mirror !== undefined) user.preferences.signPlayer.mirror = signPlayer.mirror;
+        }
+        await user.save();
+
+        // Daily rollups are bucketed by the learner's calendar days
+        if (timezoneChanged) {
+            DailyActivity.rebuildAll(user._id, user.getTimeZone()).catch(error => {
+                console.error("Error rebuilding activity rollups:", error);
+            });
+        }
+
+        res.json({ preferences: user.preferences, message: "Preferences updated" });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: error.errors
+            });
+        }
+        console.error("Error updating preferences:", error);
+        res.status(500).json({ message: "Error updating preferences", error: error.message });
+    }
+});
+
+// ========== LEARNER PROFILE ENDPOINTS ==========
+
+// Public fields of a learner profile shown to its guardian
+function toLearnerProfile(learner) {
+    return {
+        _id: learner._id,
+        name: learner.name,
+        ageGroup: learner.ageGroup,
+        dateOfBirth: learner.dateOfBirth,
+        userType: learner.userType,
+        managed: !!learner.guardianId,
+        currentStreak: learner.getCurrentStreak(),
+        lastActivityDate: learner.progress?.lastActivityDate
+    };
+}
+
+// List the learners linked to a parent or educator
+app.get("/guardians/:guardianId/learners", authorizeSelf('guardianId'), async (req, res) => {
+    try {
+        const learners = await User.findLearnersForGuardian(req.params.guardianId);
+        res.json({ learners: learners.map(toLearnerProfile) });
+    } catch (error) {
+        console.error("Error fetching learners:", error);
+        res.status(500).json({ message: "Error fetching learners", error: error.message });
+    }
+});
+
+// Create a child learner profile under a parent or educator account
+app.post("/guardians/:guardianId/learners", authorizeSelf('guardianId'), async (req, res) => {
+    try {
+        const { guardianId } = req.params;
+        const { name, ageGroup, dateOfBirth } = req.body;
+
+        if (!GUARDIAN_USER_TYPES.includes(req.caller.userType)) {
+            return res.status(403).json({ message: "Only parent and educator accounts can add learners" });
+        }
+        if (!name || !name.trim()) {
+            return res.status(400).json({ message: "Learner name is required" });
+        }
+
+        const learner = await User.create({
+            name,
+            ageGroup,
+            dateOfBirth,
+            userType: 'student',
+            guardianId
+        });
+        await User.updateOne({ _id: guardianId }, { $addToSet: { linkedLearners: learner._id } });
+
+        res.status(201).json({ learner: toLearnerProfile(learner), message: "Learner profile created" });
+    } catch (error) {
+        console.error("Error creating learner:", error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: error.errors
+            });
+        }
+
+        res.status(500).json({ message: "Error creating learner", error: error.message });
+    }
+});
+
+// Unlink a learner; profiles the guardian created are deactivated, their history is kept
+app.delete("/guardians/:guardianId/learners/:learnerId", authorizeSelf('guardianId'), async (req, res) => {
+    try {
+        const { guardianId, learnerId } = req.params;
+
+        if (!mongoose.isValidObjectId(learnerId) || !(await User.isLinkedLearner(guardianId, learnerId))) {
+            return res.status(404).json({ message: "Learner not found" });
+        }
+
+        await User.updateOne({ _id: guardianId }, { $pull: { linkedLearners: learnerId } });
+        await User.updateOne({ _id: learnerId, guardianId }, { $set: { isActive: false } });
+
+        res.json({ message: "Learner removed" });
+    } catch (error) {
+        console.error("Error removing learner:", error);
+        res.status(500).json({ message: "Error removing learner", error: error.message });
+    }
+});
+
+// Analytics summary for every learner linked to a guardian
+app.get("/guardians/:guardianId/learners/summary", authorizeSelf('guardianId'), async (req, res) => {
+    try {
+        const learners = await User.findLearnersForGuardian(req.params.guardianId);
+        const summaries = await Promise.all(learners.map(learner => buildAnalyticsSummary(learner._id)));
+
+        res.json({
+            learners: learners.map((learner, i) => ({
+                ...toLearnerProfile(learner),
+                summary: summaries[i]
+            }))
+        });
+    } catch (error) {
+        console.error("Learner summary error:", error);
+        res.status(500).json({ message: "Failed to fetch learner summaries", error: error.message });
+    }
+});
+
+// ========== CLASSROOM ENDPOINTS ==========
+
+// Load a classroom and the caller's role in it ('educator', 'student' or null)
+async function findClassroomForCaller(classroomId, caller) {
+    if (!mongoose.isValidObjectId(classroomId)) return { classroom: null, role: null };
+
+    const classroom = await Classroom.findOne({ _id: classroomId, isActive: true });
+    if (!classroom) return { classroom: null, role: null };
+
+    if (classroom.educatorId.toString() === caller._id) return { classroom, role: 'educator' };
+    if (classroom.hasStudent(caller._id)) return { classroom, role: 'student' };
+    return { classroom, role: null };
+}
+
+// Resolve an educator-owned classroom or send the matching error response
+async function loadOwnedClassroom(req, res) {
+    const { classroom, role } = await findClassroomForCaller(req.params.classroomId, req.caller);
+    if (!classroom) {
+        res.status(404).json({ message: "Classroom not found" });
+        return null;
+    }
+    if (role !== 'educator') {
+        res.status(403).json({ message: "Only the class educator can do this" });
+        return null;
+    }
+    return classroom;
+}
+
+// Status of one assignment for one student, from their UserProgress and QuizAttempts
+function assignmentStatus(assignment, progress, attempts) {
+    const scores = attempts.map(a => a.score).filter(score => typeof score === 'number');
+    const result = {
+        progressStatus: progress?.status || 'not_started',
+        progressPercentage: progress?.progressPercentage || 0,
+        completedAt: progress?.completedAt || null,
+        quizAttempts: attempts.length,
+        bestScore: scores.length ? Math.max(...scores) : null,
+        lastScore: attempts.length ? attempts[attempts.length - 1].score ?? null : null,
+        passed: attempts.some(a => a.passed)
+    };
+
+    if (assignment.type === 'quiz') {
+        result.status = result.passed ? 'completed' : attempts.length ? 'in_progress' : 'not_started';
+    } else {
+        result.status = result.progressStatus === 'completed' ? 'completed'
+            : result.progressStatus === 'not_started' ? 'not_started' : 'in_progress';
+    }
+
+    result.overdue = result.status !== 'completed' && !!assignment.dueDate && assignment.dueDate < new Date();
+    return result;
+}
+
+// Progress and quiz attempts for a set of students and assignments, keyed by student
+async function loadAssignmentActivity(studentIds, assignments) {
+    const courseIds = [...new Set(assignments.map(a => a.courseId))];
+    const [progressDocs, attempts] = await Promise.all([
+        UserProgress.find({ userId: { $in: studentIds }, courseId: { $in: courseIds } })
+            .select('userId courseId status progressPercentage completedAt'),
+        QuizAttempt.find({ userId: { $in: studentIds }, courseId: { $in: courseIds } })
+            .select('userId courseId quizId score passed submittedAt')
+            .sort({ submittedAt: 1 })
+    ]);
+
+    return (studentId, assignment) => {
+        const id = studentId.toString();
+        const progress = progressDocs.find(p => p.userId.toString() === id && p.courseId === assignment.courseId);
+        const studentAttempts = attempts.filter(a =>
+            a.userId.toString() === id &&
+            a.courseId === assignment.courseId &&
+            (!assignment.quizId || a.quizId === assignment.quizId)
+        );
+        return assignmentStatus(assignment, progress, studentAttempts);
+    };
+}
+
+// Create a class (educators only)
+app.post("/classrooms", requireAuth, async (req, res) => {
+    try {
+        if (req.caller.userType !== 'educator') {
+            return res.status(403).json({ message: "Only educator accounts can create classes" });
+        }
+
+        const { name, description } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ message: "Class name is required" });
+        }
+
+        // Join codes are random; retry on the rare collision with an existing class
+        let joinCode;
+        do {
+            joinCode = Classroom.generateJoinCode();
+        } while (await Classroom.exists({ joinCode }));
+
+        const classroom = await Classroom.create({ name, description, educatorId: req.caller._id, joinCode });
+        res.status(201).json({ classroom, message: "Class created" });
+    } catch (error) {
+        console.error("Error creating classroom:", error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: error.errors
+            });
+        }
+
+        res.status(500).json({ message: "Error creating classroom", error: error.message });
+    }
+});
+
+// Classes the caller teaches or is enrolled in
+app.get("/classrooms", requireAuth, async (req, res) => {
+    try {
+        const [teaching, enrolled] = await Promise.all([
+            Classroom.findForEducator(req.caller._id),
+            Classroom.findForStudent(req.caller._id).select('name description educatorId assignments createdAt')
+        ]);
+        res.json({ canTeach: req.caller.userType === 'educator', teaching, enrolled });
+    } catch (error) {
+        console.error("Error fetching classrooms:", error);
+        res.status(500).json({ message: "Error fetching classrooms", error: error.message });
+    }
+});
+
+// Join a class by code, for yourself or for a learner linked to you
+app.post("/classrooms/join", authorizeBodyUserOrSelf, async (req, res) => {
+    try {
+        const { joinCode } = req.body;
+        const userId = req.body.userId || req.caller._id;
+
+        if (!joinCode) {
+            return res.status(400).json({ message: "Join code is required" });
+        }
+
+        const classroom = await Classroom.findByJoinCode(joinCode);
+        if (!classroom) {
+            return res.status(404).json({ message: "No class found for this join code" });
+        }
+        if (classroom.educatorId.toString() === userId.toString()) {
+            return res.status(400).json({ message: "You teach this class" });
+        }
+
+        await classroom.addStudent(userId);
+        res.json({ classroom: { _id: classroom._id, name: classroom.name }, message: `Joined ${classroom.name}` });
+    } catch (error) {
+        console.error("Error joining classroom:", error);
+        res.status(500).json({ message: "Error joining classroom", error: error.message });
+    }
+});
+
+// Class details with roster (educator view)
+app.get("/classrooms/:classroomId", requireAuth, async (req, res) => {
+    try {
+        const classroom = await loadOwnedClassroom(req, res);
+        if (!classroom) return;
+
+        await classroom.populate('students.userId', 'name email ageGroup');
+        res.json(classroom);
+    } catch (error) {
+        console.error("Error fetching classroom:", error);
+        res.status(500).json({ message: "Error fetching classroom", error: error.message });
+    }
+});
+
+// Remove a student from the roster
+app.delete("/classrooms/:classroomId/students/:studentId", requireAuth, async (req, res) => {
+    try {
+        const classroom = await loadOwnedClassroom(req, res);
+        if (!classroom) return;
+
+        await classroom.removeStudent(req.params.studentId);
+        res.json({ message: "Student removed" });
+    } catch (error) {
+        console.error("Error removing student:", error);
+        res.status(500).json({ message: "Error removing student", error: error.message });
+    }
+});
+
+// Assign a course, or a quiz within a course, with an optional due date
+app.post("/classrooms/:classroomId/assignments", requireAuth, async (req, res) => {
+    try {
+        const classroom = await loadOwnedClassroom(req, res);
+        if (!classroom) return;
+
+        const { courseId, quizId, title, instructions, dueDate } = req.body;
+        if (!courseId) {
+            return res.status(400).json({ message: "courseId is required" });
+        }
+        if (dueDate && isNaN(new Date(dueDate).getTime())) {
+            return res.status(400).json({ message: "dueDate must be a valid date" });
+        }
+
+        const course = await Course.findOne({ id: courseId }).select('id title');
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+
+        await classroom.addAssignment({
+            courseId,
+            quizId: quizId || null,
+            title: title || (quizId ? `${course.title} quiz` : course.title),
+            instructions,
+            dueDate: dueDate ? new Date(dueDate) : null
+        });
+
+        res.status(201).json({ assignment: classroom.assignments[classroom.assignments.length - 1], message: "Assignment created" });
+    } catch (error) {
+        console.error("Error creating assignment:", error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: error.errors
+            });
+        }
+
+        res.status(500).json({ message: "Error creating assignment", error: error.message });
+    }
+});
+
+// Delete an assignment
+app.delete("/classrooms/:classroomId/assignments/:assignmentId", requireAuth, async (req, res) => {
+    try {
+        const classroom = await loadOwnedClassroom(req, res);
+        if (!classroom) return;
+
+        const assignment = classroom.assignments.id(req.params.assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ message: "Assignment not found" });
+        }
+
+        assignment.deleteOne();
+        await classroom.save();
+        res.json({ message: "Assignment deleted" });
+    } catch (error) {
+        console.error("Error deleting assignment:", error);
+        res.status(500).json({ message: "Error deleting assignment", error: error.message });
+    }
+});
+
+// Every student's progress status and quiz scores for each assignment
+app.get("/classrooms/:classroomId/progress", requireAuth, async (req, res) => {
+    try {
+        const classroom = await loadOwnedClassroom(req, res);
+        if (!classroom) return;
+
+        await classroom.populate('students.userId', 'name ageGroup');
+        const students = classroom.students.filter(s => s.userId); // skip deleted accounts
+        const statusFor = await loadAssignmentActivity(students.map(s => s.userId._id), classroom.assignments);
+
+        res.json({
+            classroom: { _id: classroom._id, name: classroom.name, joinCode: classroom.joinCode },
+            assignments: classroom.assignments.map(assignment => ({
+                assignment,
+                students: students.map(s => ({
+                    userId: s.userId._id,
+                    name: s.userId.name,
+                    ...statusFor(s.userId._id, assignment)
+                }))
+            }))
+        });
+    } catch (error) {
+        console.error("Classroom progress error:", error);
+        res.status(500).json({ message: "Failed to fetch classroom progress", error: error.message });
+    }
+});
+
+// A student's assignments across all their classes, soonest due first
+app.get("/users/:userId/assignments", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const classrooms = await Classroom.findForStudent(userId).select('name assignments');
+        const assignments = classrooms.flatMap(classroom =>
+            classroom.assignments.map(assignment => ({ classroom, assignment }))
+        );
+        const statusFor = await loadAssignmentActivity([userId], assignments.map(a => a.assignment));
+        const dueTime = a => a.dueDate ? a.dueDate.getTime() : Number.MAX_SAFE_INTEGER;
+
+        const result = assignments
+            .map(({ classroom, assignment }) => ({
+                classroomId: classroom._id,
+                classroomName: classroom.name,
+                assignmentId: assignment._id,
+                type: assignment.type,
+                courseId: assignment.courseId,
+                quizId: assignment.quizId,
+                title: assignment.title,
+                instructions: assignment.instructions,
+                dueDate: assignment.dueDate,
+                ...statusFor(userId, assignment)
+            }))
+            .sort((a, b) => dueTime(a) - dueTime(b));
+
+        res.json({ assignments: result });
+    } catch (error) {
+        console.error("Error fetching assignments:", error);
+        res.status(500).json({ message: "Error fetching assignments", error: error.message });
+    }
+});
+
+// ========== USER PROGRESS ENDPOINTS ==========
+
+// Get user progress for a course
+app.get("/users/:userId/progress/:courseId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId } = req.params;
+        
+        const progress = await UserProgress.findUserProgress(userId, courseId);
+        if (!progress) {
+            return res.status(404).json({ message: "Progress not found" });
+        }
+        
+        res.json(progress);
+    } catch (error) {
+        console.error("Error fetching user progress:", error);
+        res.status(500).json({ 
+            message: "Error fetching progress", 
+            error: error.message 
+        });
+    }
+});
+
+// Update user progress (time spent only; the percentage comes from sections)
+app.post("/users/:userId/progress/:courseId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId } = req.params;
+        const { timeSpent } = req.body;
+        
+        const progress = await findOrCreateProgress(userId, courseId);
+        await progress.recordActivity(Math.max(0, Number(timeSpent) || 0));
+        
+        res.json({
+            progress,
+            message: "Progress updated successfully"
+        });
+    } catch (error) {
+        console.error("Error updating progress:", error);
+        res.status(500).json({ 
+            message: "Error updating progress", 
+            error: error.message 
+        });
+    }
+});
+
+async function findOrCreateProgress(userId, courseId) {
+    const progress = await UserProgress.findUserProgress(userId, courseId);
+    return progress || new UserProgress({ userId, courseId, progressPercentage: 0, timeSpent: 0 });
+}
+
+// Course sections with the learner's completion state
+app.get("/users/:userId/progress/:courseId/sections", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId } = req.params;
+        
+        const [course, progress] = await Promise.all([
+            Course.findOne({ id: courseId }),
+            UserProgress.findUserProgress(userId, courseId)
+        ]);
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+        
+        const completedAt = new Map((progress?.sectionsCompleted || []).map(s => [s.sectionId, s.completedAt]));
+        res.json({
+            courseId,
+            status: progress?.status || 'not_started',
+            progressPercentage: progress?.progressPercentage || 0,
+            sections: course.getSections().map(section => ({
+                ...section,
+                completed: completedAt.has(section.sectionId),
+                completedAt: completedAt.get(section.sectionId) || null
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching section progress:", error);
+        res.status(500).json({ message: "Error fetching section progress", error: error.message });
+    }
+});
+
+// Mark a section complete when its video finishes
+app.post("/users/:userId/progress/:courseId/sections/:sectionId/complete", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId, sectionId } = req.params;
+        
+        const course = await Course.findOne({ id: courseId });
+        if (!course) {
+            return res.status(404).json({ message: "Course not found" });
+        }
+        
+        const sectionIds = course.getSections().map(s => s.sectionId);
+        if (!sectionIds.includes(sectionId)) {
+            return res.status(404).json({ message: "Section not found" });
+        }
+        if (await sendIfCourseLocked(res, course, userId)) return;
+        
+        const progress = await findOrCreateProgress(userId, courseId);
+        const wasCompleted = progress.status === 'completed';
+        await progress.completeSection(sectionId, sectionIds, Math.max(0, Number(req.body.timeSpent) || 0));
+        
+        // Count the course completion once, when the last section is finished
+        if (!wasCompleted && progress.status === 'completed') {
+            await User.updateOne({ _id: userId }, { $inc: { 'progress.totalCoursesCompleted': 1 } });
+            await course.addCompletion();
+        }
+        
+        await recordStreakActivity(userId);
+        const newAchievements = await awardAchievements(userId);
+        
+        res.json({
+            progress,
+            courseCompleted: progress.status === 'completed',
+            newAchievements,
+            message: "Section completed"
+        });
+    } catch (error) {
+        console.error("Error completing section:", error);
+        res.status(500).json({ message: "Error completing section", error: error.message });
+    }
+});
+
+// Timestamped notes and bookmarks on a course video
+function listProgressItems(field) {
+    return async (req, res) => {
+        try {
+            const { userId, courseId } = req.params;
+            const progress = await UserProgress.findUserProgress(userId, courseId);
+            const items = [...(progress?.[field] || [])].sort((a, b) => a.timestamp - b.timestamp);
+            res.json({ [field]: items });
+        } catch (error) {
+            console.error(`Error fetching ${field}:`, error);
+            res.status(500).json({ message: `Error fetching ${field}`, error: error.message });
+        }
+    };
+}
+
+app.get("/users/:userId/progress/:courseId/notes", authorizeParamUser('userId'), listProgressItems('notes'));
+app.get("/users/:userId/progress/:courseId/bookmarks", authorizeParamUser('userId'), listProgressItems('bookmarks'));
+
+// Add a note at a video timestamp (seconds)
+app.post("/users/:userId/progress/:courseId/notes", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId } = req.params;
+        const { content, timestamp } = req.body;
+        
+        if (!content || !content.trim()) {
+            return res.status(400).json({ message: "Note content is required" });
+        }
+        if (typeof timestamp !== 'number' || timestamp < 0) {
+            return res.status(400).json({ message: "timestamp must be a number of seconds" });
+        }
+        
+        const progress = await findOrCreateProgress(userId, courseId);
+        await progress.addNote(content, timestamp);
+        
+        res.status(201).json({ note: progress.notes[progress.notes.length - 1] });
+    } catch (error) {
+        console.error("Error adding note:", error);
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation error", errors: error.errors });
+        }
+        
+        res.status(500).json({ message: "Error adding note", error: error.message });
+    }
+});
+
+// Add a bookmark at a video timestamp (seconds)
+app.post("/users/:userId/progress/:courseId/bookmarks", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId } = req.params;
+        const { title, timestamp } = req.body;
+        
+        if (typeof timestamp !== 'number' || timestamp < 0) {
+            return res.status(400).json({ message: "timestamp must be a number of seconds" });
+        }
+        
+        const progress = await findOrCreateProgress(userId, courseId);
+        await progress.addBookmark(title || `Bookmark at ${Math.floor(timestamp / 60)}:${String(Math.floor(timestamp % 60)).padStart(2, '0')}`, timestamp);
+        
+        res.status(201).json({ bookmark: progress.bookmarks[progress.bookmarks.length - 1] });
+    } catch (error) {
+        console.error("Error adding bookmark:", error);
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: "Validation error", errors: error.errors });
+        }
+        
+        res.status(500).json({ message: "Error adding bookmark", error: error.message });
+    }
+});
+
+app.delete("/users/:userId/progress/:courseId/notes/:noteId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId, noteId } = req.params;
+        const progress = await UserProgress.findUserProgress(userId, courseId);
+        
+        if (!progress || !mongoose.isValidObjectId(noteId) || !(await progress.removeNote(noteId))) {
+            return res.status(404).json({ message: "Note not found" });
         }
+        res.json({ message: "Note deleted" });
+    } catch (error) {
+        console.error("Error deleting note:", error);
+        res.status(500).json({ message: "Error deleting note", error: error.message });
+    }
+});
+
+app.delete("/users/:userId/progress/:courseId/bookmarks/:bookmarkId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, courseId, bookmarkId } = req.params;
+        const progress = await UserProgress.findUserProgress(userId, courseId);
         
-        res.json({
-            progress,
-            message: "Progress updated successfully"
-        });
+        if (!progress || !mongoose.isValidObjectId(bookmarkId) || !(await progress.removeBookmark(bookmarkId))) {
+            return res.status(404).json({ message: "Bookmark not found" });
+        }
+        res.json({ message: "Bookmark deleted" });
     } catch (error) {
-        console.error("Error updating progress:", error);
-        res.status(500).json({ 
-            message: "Error updating progress", 
-            error: error.message 
-        });
+        console.error("Error deleting bookmark:", error);
+        res.status(500).json({ message: "Error deleting bookmark", error: error.message });
+    }
+});
+
+// ========== ACHIEVEMENT ENDPOINTS ==========
+
+// Badge rules: a badge is earned once the learner's stat named by `metric`
+// reaches `target`. Stats are recomputed from recorded activity on every check.
+const ACHIEVEMENT_RULES = [
+    { id: 'first-lesson', name: 'First Lesson', description: 'Started your first course', icon: '🎬', metric: 'coursesStarted', target: 1 },
+    { id: 'first-10-signs', name: 'First 10 Signs', description: 'Learned 10 signs in quizzes and reviews', icon: '✋', metric: 'signsLearned', target: 10 },
+    { id: 'signs-50', name: 'Sign Collector', description: 'Learned 50 signs in quizzes and reviews', icon: '🖐️', metric: 'signsLearned', target: 50 },
+    { id: 'first-quiz-passed', name: 'Quiz Passed', description: 'Passed your first quiz', icon: '✅', metric: 'quizzesPassed', target: 1 },
+    { id: 'perfect-quiz', name: 'Perfect Quiz', description: 'Scored 100% on a quiz', icon: '💯', metric: 'bestQuizScore', target: 100 },
+    { id: 'streak-3', name: 'On a Roll', description: 'Learned 3 days in a row', icon: '🔥', metric: 'longestStreak', target: 3 },
+    { id: 'streak-7', name: '7-Day Streak', description: 'Learned 7 days in a row', icon: '📅', metric: 'longestStreak', target: 7 },
+    { id: 'first-course-completed', name: 'Course Complete', description: 'Finished every section of a course', icon: '🎓', metric: 'coursesCompleted', target: 1 },
+    { id: 'courses-5', name: 'Dedicated Learner', description: 'Completed 5 courses', icon: '📚', metric: 'coursesCompleted', target: 5 }
+];
+
+// The figures the badge rules are checked against. A sign counts as learned,
+// once, after a quiz question on it was answered correctly or its review was
+// passed (see ReviewItem.countLearned).
+async function getAchievementStats(user) {
+    const learnerId = user._id;
+    const [coursesStarted, coursesCompleted, quizAgg, signsLearned] = await Promise.all([
+        UserProgress.countDocuments({ userId: learnerId }),
+        UserProgress.countDocuments({ userId: learnerId, status: 'completed' }),
+        QuizAttempt.aggregate([
+            { $match: { userId: learnerId } },
+            { $group: { _id: null, passed: { $sum: { $cond: ["$passed", 1, 0] } }, bestScore: { $max: "$score" } } }
+        ]),
+        ReviewItem.countLearned(learnerId)
+    ]);
+
+    return {
+        coursesStarted,
+        coursesCompleted,
+        quizzesPassed: quizAgg[0]?.passed || 0,
+        bestQuizScore: quizAgg[0]?.bestScore || 0,
+        signsLearned,
+        longestStreak: Math.max(user.progress?.currentStreak || 0, user.progress?.longestStreak || 0)
+    };
+}
+
+// Award every badge whose rule is now met; resolves to the newly earned ones
+async function evaluateAchievements(userId) {
+    const user = await User.findById(userId);
+    if (!user) return [];
+
+    const stats = await getAchievementStats(user);
+    const earnedIds = new Set(user.progress.achievements.map(a => a.id));
+    const awarded = [];
+
+    for (const rule of ACHIEVEMENT_RULES) {
+        if (earnedIds.has(rule.id) || stats[rule.metric] < rule.target) continue;
+
+        const { id, name, description, icon } = rule;
+        if (await user.addAchievement({ id, name, description, icon })) {
+            awarded.push({ id, name, description, icon });
+        }
+    }
+
+    if (awarded.length > 0) {
+        console.log(`[Achievements] ${userId} earned: ${awarded.map(a => a.id).join(', ')}`);
+    }
+    return awarded;
+}
+
+// Achievements are a side effect of recording activity, so a failure here
+// is logged and never fails the request that triggered it
+function awardAchievements(userId) {
+    return evaluateAchievements(userId).catch(error => {
+        console.error("Error awarding achievements:", error);
+        return [];
+    });
+}
+
+// Earned badges plus progress towards the ones still locked
+app.get("/users/:userId/achievements", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        // Evaluate first so activity recorded before a rule existed still counts
+        await evaluateAchievements(userId);
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const stats = await getAchievementStats(user);
+        const earnedById = new Map(user.progress.achievements.map(a => [a.id, a]));
+        const earned = [...user.progress.achievements].sort((a, b) => b.earnedAt - a.earnedAt);
+        const locked = ACHIEVEMENT_RULES
+            .filter(rule => !earnedById.has(rule.id))
+            .map(({ id, name, description, icon, metric, target }) => ({
+                id, name, description, icon,
+                current: Math.min(stats[metric], target),
+                target
+            }));
+
+        res.json({ earned, locked, stats, total: ACHIEVEMENT_RULES.length });
+    } catch (error) {
+        console.error("Error fetching achievements:", error);
+        res.status(500).json({ message: "Error fetching achievements", error: error.message });
     }
 });
 
@@ -676,10 +1988,256 @@ app.get("/analytics/dashboard", async (req, res) => {
         });
     }
 });
+
+// ========== ADMIN ANALYTICS ENDPOINTS ==========
+
+// Platform-wide reports for admins, each computed by an aggregation pipeline
+// over the existing collections. Served as JSON, or as CSV with ?format=csv.
+
+const RETENTION_DAYS = [1, 7, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage rounded to a whole number, or null when there is nothing to divide by
+function percentOf(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : null;
+}
+
+// Signup cohorts by week (weeks start on Monday, UTC) with day-N retention:
+// the share of a cohort active exactly N calendar days after signing up, in
+// their own timezone. Learning activity and quiz attempts both count as active.
+// Learners who signed up fewer than N days ago are not yet eligible for day N.
+async function buildCohortReport(query) {
+    const weeks = Math.min(Math.max(parseInt(query.weeks) || 12, 1), 104);
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+    const since = new Date(monday.getTime() - (weeks - 1) * 7 * DAY_MS);
+
+    // Offsets (in days since signup) of the retention days a learner was active
+    // on. Both days are UTC midnights, so their difference is whole days.
+    const activeOffsets = (dayExpression) => [
+        { $project: { _id: 0, offset: { $divide: [{ $subtract: [{ $dateFromString: { dateString: dayExpression } }, "$$signupDay"] }, DAY_MS] } } },
+        { $match: { offset: { $in: RETENTION_DAYS } } }
+    ];
+
+    const group = { _id: "$week", signups: { $sum: 1 } };
+    for (const n of RETENTION_DAYS) {
+        group[`day${n}Eligible`] = { $sum: { $cond: [{ $lte: ["$signupDay", new Date(today.getTime() - n * DAY_MS)] }, 1, 0] } };
+        group[`day${n}Retained`] = { $sum: { $cond: [{ $in: [n, "$offsets"] }, 1, 0] } };
+    }
+
+    const cohorts = await User.aggregate([
+        { $match: { createdAt: { $gte: since }, role: { $ne: 'admin' } } },
+        { $addFields: { timezone: { $ifNull: ["$preferences.timezone", "UTC"] } } },
+        {
+            $project: {
+                week: { $dateTrunc: { date: "$createdAt", unit: "week", startOfWeek: "monday" } },
+                timezone: 1,
+                // The signup's calendar day, as a UTC midnight so days can be subtracted
+                signupDay: { $dateFromString: { dateString: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "$timezone" } } } }
+            }
+        },
+        {
+            $lookup: {
+                from: DailyActivity.collection.name,
+                localField: "_id",
+                foreignField: "userId",
+                let: { signupDay: "$signupDay" },
+                pipeline: activeOffsets("$day"),
+                as: "learningDays"
+            }
+        },
+        {
+            $lookup: {
+                from: QuizAttempt.collection.name,
+                localField: "_id",
+                foreignField: "userId",
+                let: { signupDay: "$signupDay", timezone: "$timezone" },
+                pipeline: [
+                    { $match: { submittedAt: { $ne: null } } },
+                    ...activeOffsets({ $dateToString: { format: "%Y-%m-%d", date: "$submittedAt", timezone: "$$timezone" } })
+                ],
+                as: "quizDays"
+            }
+        },
+        { $project: { week: 1, signupDay: 1, offsets: { $setUnion: ["$learningDays.offset", "$quizDays.offset"] } } },
+        { $group: group },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return cohorts.map(cohort => {
+        const row = { week: cohort._id.toISOString().slice(0, 10), signups: cohort.signups };
+        for (const n of RETENTION_DAYS) {
+            row[`day${n}Eligible`] = cohort[`day${n}Eligible`];
+            row[`day${n}Retained`] = cohort[`day${n}Retained`];
+            row[`day${n}Rate`] = percentOf(cohort[`day${n}Retained`], cohort[`day${n}Eligible`]);
+        }
+        return row;
+    });
+}
+
+// Per published course: page views, then learners who started it, got
+// halfway and completed it, with the conversion between the steps
+async function buildFunnelReport() {
+    const courses = await Course.aggregate([
+        { $match: { isPublished: true } },
+        {
+            $lookup: {
+                from: UserProgress.collection.name,
+                localField: "id",
+                foreignField: "courseId",
+                pipeline: [
+                    {
+                        $group: {
+                            _id: null,
+                            started: { $sum: { $cond: [{ $or: [{ $ne: ["$status", "not_started"] }, { $gt: ["$progressPercentage", 0] }] }, 1, 0] } },
+                            halfway: { $sum: { $cond: [{ $or: [{ $gte: ["$progressPercentage", 50] }, { $eq: ["$status", "completed"] }] }, 1, 0] } },
+                            completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } }
+                        }
+                    }
+                ],
+                as: "progress"
+            }
+        },
+        { $unwind: { path: "$progress", preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                courseId: "$id",
+                title: 1,
+                ageGroup: 1,
+                views: { $ifNull: ["$analytics.views", 0] },
+                started: { $ifNull: ["$progress.started", 0] },
+                halfway: { $ifNull: ["$progress.halfway", 0] },
+                completed: { $ifNull: ["$progress.completed", 0] }
+            }
+        },
+        { $sort: { views: -1, courseId: 1 } }
+    ]);
+
+    return courses.map(course => ({
+        ...course,
+        viewToStartRate: percentOf(course.started, course.views),
+        startToHalfwayRate: percentOf(course.halfway, course.started),
+        halfwayToCompleteRate: percentOf(course.completed, course.halfway),
+        completionRate: percentOf(course.completed, course.started)
+    }));
+}
+
+// Per course: submitted quiz attempts, how many passed (overall and on the
+// first attempt) and the average score
+async function buildQuizReport() {
+    const courses = await QuizAttempt.aggregate([
+        { $match: { submittedAt: { $ne: null } } },
+        {
+            $group: {
+                _id: "$courseId",
+                attempts: { $sum: 1 },
+                passed: { $sum: { $cond: ["$passed", 1, 0] } },
+                firstAttempts: { $sum: { $cond: [{ $eq: ["$attemptNo", 1] }, 1, 0] } },
+                firstAttemptPasses: { $sum: { $cond: [{ $and: [{ $eq: ["$attemptNo", 1] }, "$passed"] }, 1, 0] } },
+                learners: { $addToSet: "$userId" },
+                averageScore: { $avg: "$score" }
+            }
+        },
+        {
+            $lookup: {
+                from: Course.collection.name,
+                localField: "_id",
+                foreignField: "id",
+                pipeline: [{ $project: { _id: 0, title: 1 } }],
+                as: "course"
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                courseId: "$_id",
+                title: { $ifNull: [{ $first: "$course.title" }, null] },
+                learners: { $size: "$learners" },
+                attempts: 1,
+                passed: 1,
+                firstAttempts: 1,
+                firstAttemptPasses: 1,
+                averageScore: { $round: ["$averageScore", 1] }
+            }
+        },
+        { $sort: { attempts: -1, courseId: 1 } }
+    ]);
+
+    return courses.map(course => ({
+        ...course,
+        passRate: percentOf(course.passed, course.attempts),
+        firstAttemptPassRate: percentOf(course.firstAttemptPasses, course.firstAttempts)
+    }));
+}
+
+// The most wanted missing signs: words asked for most often in the last
+// ?days= that the library has no video for (?status=resolved lists the ones
+// that have been recorded since)
+async function buildMissingSignReport(query) {
+    const days = Math.min(Math.max(parseInt(query.days) || 90, 1), 366);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+
+    // Catch up on videos added since the last resolve
+    await resolveRecordedSigns();
+    return SignRequest.rank({
+        since: new Date(Date.now() - days * DAY_MS),
+        limit,
+        resolved: query.status === 'resolved'
+    });
+}
+
+const ADMIN_REPORTS = {
+    cohorts: buildCohortReport,
+    funnel: buildFunnelReport,
+    quizzes: buildQuizReport,
+    'missing-signs': buildMissingSignReport
+};
+
+// Rows of flat objects as CSV, with the keys of the first row as the header
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) value = value.join(' | ');
+        else if (value.constructor === Object) value = Object.entries(value).map(([key, count]) => `${key}: ${count}`).join(' | ');
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        // Keep spreadsheets from evaluating user-supplied text as a formula
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
+
+// One admin report: cohorts, funnel, quizzes or missing-signs
+app.get("/admin/analytics/:report", requireAdmin, async (req, res) => {
+    const { report } = req.params;
+    if (!Object.hasOwn(ADMIN_REPORTS, report)) {
+        return res.status(404).json({ message: "Unknown report", reports: Object.keys(ADMIN_REPORTS) });
+    }
+
+    try {
+        const rows = await ADMIN_REPORTS[report](req.query);
+        const generatedAt = new Date();
+
+        if (req.query.format === 'csv') {
+            return res
+                .type('text/csv')
+                .attachment(`learnsign-${report}-${generatedAt.toISOString().slice(0, 10)}.csv`)
+                .send(toCsv(rows));
+        }
+        res.json({ report, generatedAt, rows });
+    } catch (error) {
+        console.error(`Error building ${report} report:`, error);
+        res.status(500).json({ message: "Error building report", error: error.message });
+    }
+});
+
 // ========== TRANSLATION ENDPOINTS ==========
 
 // Simple admin probe to view recent learning events (last 20)
-app.get('/admin/learning-events/:userId', async (req, res) => {
+app.get('/admin/learning-events/:userId', authorizeParamUser('userId'), async (req, res) => {
     try {
         const events = await LearningEvent.find({ userId: req.params.userId }).sort({ ts: -1 }).limit(20);
         res.json(events);
@@ -781,71 +2339,187 @@ app.get("/health", (req, res) => {
 
 // ========== SIGN VIDEO LIBRARY ==========
 
-// Cache for available sign videos
-let availableSignVideos = null;
+const SIGN_VIDEO_DIR = path.join(__dirname, 'public', 'assets', 'videos', 'signs');
+
+// The sign catalog (the Sign collection), cached in memory so lookups stay
+// synchronous: every gloss, synonym and video file name maps to its sign
+let signLookup = new Map();
+let catalogSigns = [];
+// The tutor's search index over courses and signs (see getTutorIndex)
+let tutorIndex = null;
+let tutorIndexBuiltAt = 0;
+
+function normalizeSignWord(word) {
+    return String(word).toUpperCase().trim().replace(/\s+/g, ' ');
+}
 
-// Load available sign videos from the directory
-function loadAvailableSignVideos() {
-    const signsDir = path.join(__dirname, 'public', 'assets', 'videos', 'signs');
+// Reload the cached catalog (after it changed)
+async function loadSignCatalog() {
     try {
-        const files = fs.readdirSync(signsDir);
-        const videos = {};
-        
-        files.forEach(file => {
-            if (file.endsWith('.webm')) {
-                const signName = file.replace('.webm', '');
-                // Store both original and uppercase versions for matching
-                videos[signName.toUpperCase()] = {
-                    filename: file,
-                    path: `/assets/videos/signs/${file}`,
-                    name: signName
-                };
+        const signs = await Sign.findActive().lean();
+        // Standard signs claim a word before regional variants do
+        signs.sort((a, b) => (a.region ? 1 : 0) - (b.region ? 1 : 0));
+
+        const lookup = new Map();
+        const add = (word, video) => {
+            const normalized = normalizeSignWord(word);
+            for (const key of [normalized, normalized.replace(/[^A-Z0-9]/g, '')]) {
+                if (key && !lookup.has(key)) lookup.set(key, video);
             }
+        };
+        const entries = signs.map(sign => [sign, {
+            filename: path.basename(sign.videos[0].path),
+            path: sign.videos[0].path,
+            name: sign.gloss,
+            signId: sign._id,
+            durationMs: sign.videos[0].durationMs ?? null
+        }]);
+        // Glosses first, so a synonym never hides another sign's gloss
+        entries.forEach(([sign, video]) => add(sign.gloss, video));
+        entries.forEach(([sign, video]) => {
+            sign.synonyms.forEach(synonym => add(synonym, video));
+            sign.videos.forEach(v => add(path.basename(v.path, path.extname(v.path)), video));
         });
-        
-        availableSignVideos = videos;
-        console.log(`Loaded ${Object.keys(videos).length} sign videos`);
-        return videos;
+
+        signLookup = lookup;
+        catalogSigns = signs;
+        tutorIndex = null;
+        console.log(`Loaded ${signs.length} signs from the catalog`);
     } catch (error) {
-        console.error('Error loading sign videos:', error);
-        return {};
+        console.error('Error loading sign catalog:', error);
     }
 }
 
-// Initialize sign videos on startup
-loadAvailableSignVideos();
+// Add video files dropped into the library directory to the catalog
+async function importSignVideoFiles() {
+    try {
+        const { upserted, videosAdded } = await Sign.importVideoFiles(fs.readdirSync(SIGN_VIDEO_DIR));
+        if (upserted > 0 || videosAdded > 0) {
+            console.log(`Imported ${upserted} new signs and ${videosAdded} videos into the catalog`);
+        }
+    } catch (error) {
+        console.error('Error importing sign videos:', error);
+    }
+}
 
-// Find video for a given sign/word
-function findSignVideo(word) {
-    if (!availableSignVideos) {
-        loadAvailableSignVideos();
+// Mark missing-sign requests resolved once the library has a video for them
+async function resolveRecordedSigns() {
+    const openWords = await SignRequest.findOpenWords();
+    const recorded = openWords.filter(word => findSignVideo(word));
+    const resolved = await SignRequest.resolveWords(recorded);
+    if (resolved > 0) {
+        console.log(`Resolved ${resolved} missing sign requests (${recorded.join(', ')})`);
     }
-    
-    if (!word) return null;
-    
-    // Normalize the word - try uppercase first
-    const normalizedWord = word.toUpperCase().trim();
-    
-    // Direct match
-    if (availableSignVideos[normalizedWord]) {
-        return availableSignVideos[normalizedWord];
+    return resolved;
+}
+
+// Record the length of catalog videos not measured yet (new files, and
+// videos an admin added), read from the files themselves
+async function measureSignVideos() {
+    try {
+        const publicDir = path.join(__dirname, 'public');
+        const signs = await Sign.find({ 'videos.durationMs': null }).select('videos').lean();
+        const paths = [...new Set(signs.flatMap(sign => sign.videos
+            .filter(video => video.durationMs === null || video.durationMs === undefined)
+            .map(video => video.path)))];
+
+        const durations = [];
+        for (const videoPath of paths) {
+            const file = path.join(publicDir, videoPath);
+            if (!file.startsWith(path.join(publicDir, 'assets', 'videos') + path.sep)) continue;
+            const durationMs = await readVideoDuration(file).catch(() => null);
+            if (durationMs !== null) durations.push({ path: videoPath, durationMs });
+        }
+
+        if (await Sign.setVideoDurations(durations) > 0) {
+            console.log(`Measured ${durations.length} sign videos`);
+        }
+    } catch (error) {
+        console.error('Error measuring sign videos:', error);
     }
-    
-    // Try without special characters
-    const cleanWord = normalizedWord.replace(/[^A-Z0-9]/g, '');
-    if (availableSignVideos[cleanWord]) {
-        return availableSignVideos[cleanWord];
+}
+
+// Reload the cache after the catalog changed; new glosses and synonyms may
+// resolve missing-sign requests
+async function signCatalogChanged() {
+    await measureSignVideos();
+    await loadSignCatalog();
+    resolveRecordedSigns().catch(error => {
+        console.error("Error resolving missing signs:", error);
+    });
+}
+
+// Import videos added to the directory, so new signs are served without a
+// restart and the requests waiting for them are resolved
+function watchSignVideos() {
+    let reloadTimer = null;
+    try {
+        fs.watch(SIGN_VIDEO_DIR, { persistent: false }, () => {
+            // A copy fires several events; import once it settles
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                importSignVideoFiles().then(signCatalogChanged);
+            }, 1000);
+        });
+    } catch (error) {
+        console.error('Error watching sign videos:', error);
+    }
+}
+
+// Initialize the catalog on startup (picking up files added while stopped)
+await importSignVideoFiles();
+await signCatalogChanged();
+watchSignVideos();
+
+// Find video for a given sign/word (its gloss, a synonym or a video file
+// name, a dictionary synonym or its lemma - see utils/signLookup.js)
+function findSignVideo(word) {
+    return lookupWord(signLookup, word)?.video || null;
+}
+
+// The signs for a piece of text in signing order: a video per sign found and
+// one per letter of each word with no sign (fingerspelled). notFoundWords
+// are the fingerspelled words.
+function buildSignSequence(text) {
+    const tokens = lookupText(signLookup, text);
+    const sequence = tokens.flatMap(({ text: source, start, end, ...token }) => (token.video
+        ? [{ word: token.gloss, text: source, start, end, match: token.match, path: token.video.path, video: token.video }]
+        : token.letters.map(({ letter, video }) => ({ word: letter, text: source, start, end, match: 'fingerspell', path: video.path, video }))
+    ));
+    const notFoundWords = tokens.filter(token => !token.video).map(token => token.words[0]);
+    // "THANK-YOU", and "fs-AMITH" for a fingerspelled word
+    const gloss = tokens.map(token => (token.video ? token.gloss : `fs-${token.words[0]}`)).join(' ');
+    return { tokens, sequence, notFoundWords, gloss };
+}
+
+// Phrasing that asks for a sign ("how do I sign ...", "show me ..."), dropped
+// before the rest of the message is looked up
+const SIGN_REQUEST_PHRASING = /^\s*(how (do i |to |can i |would i )?sign|show me( how to sign| the sign for)?|teach me( how to sign| the sign for)?|what('s| is) the sign for)\b\s*/i;
+
+// Phrasing around a sign request ("how do I sign ...", "show me ..."), not signs asked for
+const SIGN_REQUEST_FILLER_WORDS = new Set(['HOW', 'DO', 'I', 'TO', 'CAN', 'SIGN', 'SHOW', 'ME', 'TEACH', 'WHAT', 'WHATS', 'IS', 'THE', 'FOR', 'A', 'AN', 'PLEASE']);
+
+// Remember the words a signed-in learner's lookup had no video for, with the
+// sentence they were asked in and the learner's age group, so the most wanted
+// missing signs can be recorded next (see /admin/analytics/missing-signs).
+// Guests' lookups are not counted. Never rejects.
+async function recordMissingSigns(words, source, { userId = null, sentence = null } = {}) {
+    try {
+        const wanted = words.filter(word => !SIGN_REQUEST_FILLER_WORDS.has(word.toUpperCase()));
+        if (!userId || wanted.length === 0) return;
+
+        const learner = userId && mongoose.isValidObjectId(userId)
+            ? await User.findById(userId).select('ageGroup')
+            : null;
+        await SignRequest.recordMisses(wanted, { source, userId: learner?._id || null, sentence, ageGroup: learner?.ageGroup || null });
+    } catch (error) {
+        console.error("Error recording missing signs:", error);
     }
-    
-    return null;
 }
 
 // Get list of all available signs
 function getAllAvailableSigns() {
-    if (!availableSignVideos) {
-        loadAvailableSignVideos();
-    }
-    return Object.keys(availableSignVideos || {});
+    return [...new Set(catalogSigns.map(sign => sign.gloss))];
 }
 
 // API endpoint to get all available sign videos
@@ -857,8 +2531,23 @@ app.get("/signs/available", (req, res) => {
     });
 });
 
+// The sign catalog with metadata, filtered by ?category=, ?difficulty= and
+// ?q= (a gloss or synonym prefix)
+app.get("/signs", (req, res) => {
+    const { category, difficulty } = req.query;
+    const q = req.query.q ? normalizeSignWord(req.query.q) : null;
+
+    const signs = catalogSigns
+        .filter(sign => !category || sign.category === String(category).toLowerCase())
+        .filter(sign => !difficulty || sign.difficulty === difficulty)
+        .filter(sign => !q || [sign.gloss, ...sign.synonyms].some(word => word.startsWith(q)))
+        .sort((a, b) => a.gloss.localeCompare(b.gloss));
+
+    res.json({ count: signs.length, signs });
+});
+
 // API endpoint to check if a specific sign video exists
-app.get("/signs/check/:word", (req, res) => {
+app.get("/signs/check/:word", resolveCaller, (req, res) => {
     const word = req.params.word;
     const video = findSignVideo(word);
     
@@ -866,9 +2555,14 @@ app.get("/signs/check/:word", (req, res) => {
         res.json({
             found: true,
             sign: word,
-            video: video
+            video: video,
+            details: catalogSigns.find(sign => sign._id.equals(video.signId)) || null
         });
     } else {
+        // The text translator checks the words it had to fingerspell
+        const source = req.query.source === 'translate' ? 'translate' : 'check';
+        const sentence = typeof req.query.sentence === 'string' ? req.query.sentence : null;
+        recordMissingSigns([word], source, { userId: req.caller?._id, sentence });
         res.json({
             found: false,
             sign: word,
@@ -877,19 +2571,350 @@ app.get("/signs/check/:word", (req, res) => {
     }
 });
 
-// Find similar signs for suggestions
-function findSimilarSigns(word) {
-    const signs = getAllAvailableSigns();
-    const normalizedWord = word.toUpperCase();
-    
-    // Find signs that start with the same letters
-    const startsWith = signs.filter(s => s.startsWith(normalizedWord.slice(0, 2))).slice(0, 5);
-    
-    // Find signs that contain the word
-    const contains = signs.filter(s => s.includes(normalizedWord)).slice(0, 5);
-    
-    return [...new Set([...startsWith, ...contains])].slice(0, 5);
-}
+const MAX_SIGN_TEXT_LENGTH = 2000;
+
+function validateSignText(text) {
+    if (typeof text !== 'string' || !text.trim()) return "text is required";
+    if (text.length > MAX_SIGN_TEXT_LENGTH) return `text cannot exceed ${MAX_SIGN_TEXT_LENGTH} characters`;
+    return null;
+}
+
+// Turn text into the signs to play: the sequence of videos, the tokens they
+// came from (with their position in the text) and suggestions for each word
+// that had to be fingerspelled. The translator sends source: 'translate'.
+app.post("/signs/lookup", resolveCaller, (req, res) => {
+    const { text, source } = req.body;
+    const invalid = validateSignText(text);
+    if (invalid) {
+        return res.status(400).json({ message: invalid });
+    }
+
+    const { tokens, sequence, notFoundWords, gloss } = buildSignSequence(text);
+    recordMissingSigns(notFoundWords, source === 'translate' ? 'translate' : 'check', { userId: req.caller?._id, sentence: text });
+
+    res.json({
+        gloss,
+        sequence: sequence.map(({ video, ...item }) => item),
+        tokens: tokens.map(({ video, letters, ...token }) => ({
+            ...token,
+            ...(letters && { letters: letters.map(({ letter }) => letter) })
+        })),
+        notFoundWords,
+        suggestions: Object.fromEntries(notFoundWords.map(word => [word, findSimilarSigns(word)]))
+    });
+});
+
+// Shortest time a playlist shows a sign: letter clips are often a single frame
+const MIN_SIGN_DISPLAY_MS = 800;
+// Assumed length of a video that has not been measured yet
+const DEFAULT_SIGN_DURATION_MS = 2000;
+
+// The playlist for a piece of text: each sign with its video, length and the
+// part of the text it signs. startMs and displayMs place each entry on the
+// playlist's timeline.
+function buildSignPlaylist(text) {
+    const { sequence, notFoundWords, gloss } = buildSignSequence(text);
+
+    let startMs = 0;
+    const playlist = sequence.map((item, index) => {
+        const durationMs = item.video.durationMs;
+        const displayMs = Math.max(durationMs ?? DEFAULT_SIGN_DURATION_MS, MIN_SIGN_DISPLAY_MS);
+        const entry = {
+            index,
+            gloss: item.word,
+            path: item.path,
+            durationMs,
+            displayMs,
+            startMs,
+            fingerspelled: item.match === 'fingerspell',
+            match: item.match,
+            span: { start: item.start, end: item.end, text: item.text }
+        };
+        startMs += displayMs;
+        return entry;
+    });
+
+    return { gloss, playlist, totalDurationMs: startMs, notFoundWords };
+}
+
+// The playlist for a piece of text, so players can highlight words as they
+// play and show the total length before starting
+app.post("/signs/sequence", resolveCaller, (req, res) => {
+    const { text, source } = req.body;
+    const invalid = validateSignText(text);
+    if (invalid) {
+        return res.status(400).json({ message: invalid });
+    }
+
+    const result = buildSignPlaylist(text);
+    recordMissingSigns(result.notFoundWords, source === 'translate' ? 'translate' : 'check', { userId: req.caller?._id, sentence: text });
+    res.json(result);
+});
+
+// Rendered sentences are cached here and served as static files
+const SIGN_RENDER_DIR = path.join(__dirname, 'public', 'assets', 'videos', 'renders');
+const SIGN_RENDER_URL = '/assets/videos/renders';
+// Renders kept: the most recently used, up to this many and this much disk
+const SIGN_RENDER_CACHE_FILES = 200;
+const SIGN_RENDER_CACHE_BYTES = 500 * 1024 * 1024;
+const MAX_RENDER_CLIPS = 80;
+const MAX_RENDER_PAUSE_MS = 2000;
+
+// Stitch the playlist for a piece of text into one video (optionally with a
+// caption per sign and a pause after each), for gap-free playback, download
+// and sharing. Renders are cached by sequence, so repeats return at once.
+// Signed-in users only: each new render runs ffmpeg, and a busy server
+// answers 503 rather than starting more (see utils/signVideoRenderer.js).
+app.post("/signs/render", requireAuth, async (req, res) => {
+    try {
+        const { text, captions = true } = req.body;
+        const pauseMs = Number(req.body.pauseMs ?? 250);
+        const invalid = validateSignText(text);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+        if (!Number.isFinite(pauseMs) || pauseMs < 0 || pauseMs > MAX_RENDER_PAUSE_MS) {
+            return res.status(400).json({ message: `pauseMs must be between 0 and ${MAX_RENDER_PAUSE_MS}` });
+        }
+
+        const { gloss, playlist, totalDurationMs } = buildSignPlaylist(text);
+        if (playlist.length === 0) {
+            return res.status(400).json({ message: "No signs found for this text" });
+        }
+        if (playlist.length > MAX_RENDER_CLIPS) {
+            return res.status(400).json({ message: `Text is too long to render (more than ${MAX_RENDER_CLIPS} signs)` });
+        }
+
+        const clips = playlist.map(entry => ({
+            file: path.join(__dirname, 'public', entry.path),
+            path: entry.path,
+            caption: entry.fingerspelled ? entry.gloss : entry.gloss.replace(/-/g, ' '),
+            holdMs: entry.displayMs - (entry.durationMs ?? entry.displayMs)
+        }));
+        const { key, cached } = await renderSignVideo(clips, { outputDir: SIGN_RENDER_DIR, captions: captions !== false, pauseMs: Math.round(pauseMs) });
+        if (!cached) {
+            pruneRenders(SIGN_RENDER_DIR, { maxFiles: SIGN_RENDER_CACHE_FILES, maxBytes: SIGN_RENDER_CACHE_BYTES }).catch(error => {
+                console.error("Error pruning sign renders:", error);
+            });
+        }
+
+        res.json({
+            id: key,
+            url: `${SIGN_RENDER_URL}/${key}.webm`,
+            gloss,
+            clips: playlist.length,
+            durationMs: totalDurationMs + Math.round(pauseMs) * playlist.length,
+            cached
+        });
+    } catch (error) {
+        if (error.code === 'FFMPEG_NOT_FOUND') {
+            console.error("Sign render unavailable:", error.message);
+            return res.status(503).json({ message: "Video rendering is not available on this server" });
+        }
+        if (error.code === 'RENDER_BUSY') {
+            res.set('Retry-After', '30');
+            return res.status(503).json({ message: "Many videos are being made right now. Please try again in a moment." });
+        }
+        console.error("Error rendering sign video:", error);
+        res.status(500).json({ message: "Error rendering sign video", error: error.message });
+    }
+});
+
+// Find similar signs for suggestions (closest spellings first)
+function findSimilarSigns(word) {
+    return suggestSigns(getAllAvailableSigns(), word);
+}
+
+// Admin: maintain the sign catalog. Videos are files under /assets/videos;
+// files dropped into the signs directory are imported automatically.
+const SIGN_FIELDS = ['gloss', 'synonyms', 'category', 'handshape', 'location', 'movement', 'difficulty', 'videos', 'region'];
+
+function pickSignFields(body) {
+    return Object.fromEntries(SIGN_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function sendSignSaveError(res, error, action) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: "Validation error", errors: error.errors });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: "A sign with this gloss already exists for that region" });
+    }
+    console.error(`Error ${action} sign:`, error);
+    res.status(500).json({ message: `Error ${action} sign`, error: error.message });
+}
+
+// All signs, including deactivated ones
+app.get("/admin/signs", requireAdmin, async (req, res) => {
+    try {
+        const signs = await Sign.find().sort({ gloss: 1, region: 1 });
+        res.json({ count: signs.length, signs });
+    } catch (error) {
+        console.error("Error fetching signs:", error);
+        res.status(500).json({ message: "Error fetching signs", error: error.message });
+    }
+});
+
+app.post("/admin/signs", requireAdmin, async (req, res) => {
+    try {
+        const sign = await Sign.create(pickSignFields(req.body));
+        await signCatalogChanged();
+        res.status(201).json({ sign, message: "Sign created" });
+    } catch (error) {
+        sendSignSaveError(res, error, 'creating');
+    }
+});
+
+// Update a sign's metadata or videos; { isActive: true } restores a deactivated sign
+app.put("/admin/signs/:signId", requireAdmin, async (req, res) => {
+    try {
+        const sign = mongoose.isValidObjectId(req.params.signId) ? await Sign.findById(req.params.signId) : null;
+        if (!sign) {
+            return res.status(404).json({ message: "Sign not found" });
+        }
+
+        sign.set(pickSignFields(req.body));
+        if (typeof req.body.isActive === 'boolean') sign.isActive = req.body.isActive;
+        await sign.save();
+        await signCatalogChanged();
+        res.json({ sign, message: "Sign updated" });
+    } catch (error) {
+        sendSignSaveError(res, error, 'updating');
+    }
+});
+
+// Deactivate a sign. It is kept (and not re-imported from its video file);
+// learners' review items for it stay as they are.
+app.delete("/admin/signs/:signId", requireAdmin, async (req, res) => {
+    try {
+        const sign = mongoose.isValidObjectId(req.params.signId)
+            ? await Sign.findByIdAndUpdate(req.params.signId, { $set: { isActive: false } }, { new: true })
+            : null;
+        if (!sign) {
+            return res.status(404).json({ message: "Sign not found" });
+        }
+
+        await signCatalogChanged();
+        res.json({ sign, message: "Sign deactivated" });
+    } catch (error) {
+        console.error("Error deactivating sign:", error);
+        res.status(500).json({ message: "Error deactivating sign", error: error.message });
+    }
+});
+
+// ========== REVIEW QUEUE ENDPOINTS ==========
+
+// Library video for a quiz video URL such as /assets/videos/signs/HELLO.webm
+function signVideoForUrl(videoUrl) {
+    if (!videoUrl) return null;
+    return findSignVideo(path.basename(videoUrl, path.extname(videoUrl)));
+}
+
+// Add library signs to a learner's review queue
+async function queueReviewSigns(userId, videos, source, options) {
+    const unique = [...new Map(videos.filter(Boolean).map(v => [v.name.toUpperCase(), v])).values()];
+    return Promise.all(unique.map(video =>
+        ReviewItem.enqueue(userId, { sign: video.name, videoPath: video.path }, source, options)
+    ));
+}
+
+// The signs behind a quiz question that were answered correctly (or missed);
+// for matching questions each clip counts on its own
+function answeredSignVideos(question, result, correct) {
+    if (question.type === 'matching') {
+        return question.pairs
+            .filter((pair, i) => Boolean(result.results[i]) === correct)
+            .map(pair => signVideoForUrl(pair.videoUrl));
+    }
+    if (result.isCorrect !== correct) return [];
+    const videos = [signVideoForUrl(question.videoUrl)];
+    if (question.type === 'video-response') {
+        videos.push(findSignVideo(question.correctAnswer));
+    }
+    return videos;
+}
+
+// Queue the signs behind a quiz answer: missed ones are due again now, and
+// the ones answered correctly are marked learned
+function queueAnsweredSigns(userId, question, result) {
+    return Promise.all([
+        queueReviewSigns(userId, answeredSignVideos(question, result, false), 'quiz', { missed: true }),
+        queueReviewSigns(userId, answeredSignVideos(question, result, true), 'quiz', { learned: true })
+    ]);
+}
+
+// Signs due for review, oldest first
+app.get("/review/due/:userId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const [due, dueCount, totalItems, next] = await Promise.all([
+            ReviewItem.findDue(userId, limit),
+            ReviewItem.countDocuments({ userId, dueAt: { $lte: new Date() } }),
+            ReviewItem.countDocuments({ userId }),
+            ReviewItem.findOne({ userId, dueAt: { $gt: new Date() } }).sort({ dueAt: 1 }).select('dueAt')
+        ]);
+
+        res.json({ due, dueCount, totalItems, nextDueAt: next?.dueAt || null });
+    } catch (error) {
+        console.error("Error fetching due reviews:", error);
+        res.status(500).json({ message: "Error fetching due reviews", error: error.message });
+    }
+});
+
+// Add a sign to the review queue by hand
+app.post("/review/items", authorizeBodyUser, async (req, res) => {
+    try {
+        const { userId, sign } = req.body;
+        const video = findSignVideo(sign);
+        if (!video) {
+            return res.status(404).json({ message: "No sign video found for that word" });
+        }
+
+        const [item] = await queueReviewSigns(userId, [video], 'manual', { missed: true });
+        res.status(201).json({ item });
+    } catch (error) {
+        console.error("Error adding review item:", error);
+        res.status(500).json({ message: "Error adding review item", error: error.message });
+    }
+});
+
+// Record a review. Self-graded reviews send a 0-5 grade; webcam-graded reviews
+// send the recognised sign and are graded here
+app.post("/review/grade", authorizeBodyUser, async (req, res) => {
+    try {
+        const { userId, itemId, method = 'self', predictedSign } = req.body;
+        if (!mongoose.isValidObjectId(itemId)) {
+            return res.status(404).json({ message: "Review item not found" });
+        }
+
+        const item = await ReviewItem.findOne({ _id: itemId, userId });
+        if (!item) {
+            return res.status(404).json({ message: "Review item not found" });
+        }
+
+        let grade;
+        if (method === 'webcam') {
+            const recognised = typeof predictedSign === 'string' && predictedSign.trim().toUpperCase() === item.sign;
+            grade = recognised ? 4 : 1;
+        } else {
+            grade = Number(req.body.grade);
+            if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+                return res.status(400).json({ message: "grade must be a whole number from 0 to 5" });
+            }
+        }
+
+        await item.applyGrade(grade, method === 'webcam' ? 'webcam' : 'self');
+        await recordStreakActivity(userId);
+        const newAchievements = await awardAchievements(userId);
+
+        res.json({ item, grade, nextDueAt: item.dueAt, newAchievements });
+    } catch (error) {
+        console.error("Error recording review:", error);
+        res.status(500).json({ message: "Error recording review", error: error.message });
+    }
+});
 
 // ========== AI TUTOR (SignMentor) ENDPOINTS ==========
 
@@ -933,7 +2958,7 @@ YOUR TEACHING CAPABILITIES:
    - Break down complex signs into simple steps
    - Provide memory tricks and mnemonics
    - Describe common mistakes and how to avoid them
-   - Reference our 350+ video library when applicable
+   - Point to sign videos from our library when one is listed for the question
 
 2. LEARNING SUPPORT
    - Answer questions about lessons and quizzes
@@ -990,7 +3015,8 @@ FORMAT 1: When user asks about a SPECIFIC SIGN
   "relatedSigns": ["hi", "goodbye", "welcome"],
   "videoAvailable": true,
   "difficultyLevel": "beginner",
-  "estimatedPracticeTime": "5-10 minutes"
+  "estimatedPracticeTime": "5-10 minutes",
+  "sources": ["sign:HELLO"]
 }
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -1032,7 +3058,8 @@ FORMAT 3: For PROGRESS/RECOMMENDATIONS
     }
   ],
   "weeklyGoal": "Achievable goal for next 7 days",
-  "motivationMessage": "Personalized encouragement"
+  "motivationMessage": "Personalized encouragement",
+  "sources": ["course:005"]
 }
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -1086,17 +3113,14 @@ ACTIONABILITY:
 ✓ Connect to available platform resources
 
 ═══════════════════════════════════════════════════════════════
-SIGN LANGUAGE VIDEO LIBRARY (350+ Signs Available):
+LEARNSIGN COURSES & SIGN VIDEO LIBRARY:
 ═══════════════════════════════════════════════════════════════
-BASICS: hello, hi, goodbye, please, thank you, sorry, yes, no, help, stop, go, come, wait
-FAMILY: mother, mom, father, dad, sister, brother, family, baby, grandmother, grandfather, aunt, uncle, cousin
-EMOTIONS: happy, sad, angry, excited, scared, worried, tired, bored, surprised, love, like, hate, feel
-DAILY LIFE: eat, drink, sleep, wake up, shower, brush teeth, get dressed, hungry, thirsty, hot, cold
-SCHOOL: learn, teach, student, teacher, school, class, homework, test, read, write, book, pencil
-NUMBERS: 0-100 (all available)
-ALPHABET: A-Z (all available)
-
-When a sign is available, set "videoAvailable": true
+Each question comes with the LearnSign courses and library signs that match
+it, each with an id such as [course:005] or [sign:HELLO].
+- Only the signs listed there are known to have videos. Never say a video
+  exists for any other sign; teach it in words or suggest fingerspelling it
+- Recommend only courses that are listed, with their courseId
+- Add "sources" to any format: the ids of the courses and signs you used
 
 ═══════════════════════════════════════════════════════════════
 REMEMBER:
@@ -1181,7 +3205,7 @@ async function getUserTutorProfile(userId) {
             totalMinutes,
             recentQuizScores,
             avgQuizScore,
-            currentStreak: user.progress?.currentStreak || 0,
+            currentStreak: user.getCurrentStreak(),
             lastActive,
             weakAreas: weakAreas.length > 0 ? weakAreas.join(', ') : 'None identified yet',
             strongAreas: strongAreas.length > 0 ? strongAreas.join(', ') : 'Keep learning to find your strengths!',
@@ -1307,142 +3331,260 @@ function extractSignWords(message) {
     return null;
 }
 
-// AI Tutor Chat Endpoint - Supports sentences with multiple videos + OpenAI intelligence
-app.post("/tutor/chat", async (req, res) => {
-    try {
-        const { userId, message, conversationHistory = [] } = req.body;
-        
-        if (!userId || !message) {
-            return res.status(400).json({ 
-                error: "userId and message are required" 
-            });
-        }
+// The main text of a tutor reply, whichever format it is in
+function tutorReplyText(reply) {
+    return [reply?.response, reply?.progressAssessment, reply?.empathy]
+        .find(text => typeof text === 'string' && text.trim()) || '';
+}
+
+// Tutor reply when the model's is still invalid after a correction: its
+// text (or the plain text it sent) as general help
+function tutorFallbackResponse({ content, value }, words) {
+    const text = value && typeof value === 'object' ? tutorReplyText(value) : String(content || '').trim();
+    return {
+        type: "general_help",
+        response: text || "Sorry, I couldn't put an answer together. Could you ask that another way?",
+        availableSigns: findSimilarSigns(words[0] || 'hello').slice(0, 8)
+    };
+}
+
+// Sign instructions show the library video; whether there is one is looked
+// up here rather than taken from the model
+function attachSignVideo(reply) {
+    if (reply.type === 'sign_instruction') {
+        const video = findSignVideo(reply.sign);
+        reply.videoAvailable = !!video;
+        reply.videoPath = video?.path || null;
+    }
+    return reply;
+}
+
+// The learner's thread to continue, or a new (unsaved) one when no id is
+// given; null when the id is not one of their threads
+async function openTutorConversation(userId, conversationId) {
+    if (!conversationId) return new TutorConversation({ userId });
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+    return TutorConversation.findOne({ _id: conversationId, userId });
+}
+
+// ----- Retrieval -----
+
+// Courses change rarely (seeds), so their part of the index is rebuilt after
+// this long; the sign catalog resets it whenever it reloads
+const TUTOR_INDEX_TTL_MS = 10 * 60 * 1000;
+// Most signs listed for one question
+const TUTOR_CONTEXT_SIGNS = 12;
+
+// The search index over published courses and the sign catalog
+async function getTutorIndex() {
+    if (!tutorIndex || Date.now() - tutorIndexBuiltAt > TUTOR_INDEX_TTL_MS) {
+        const courses = await Course.find({ isPublished: true }).lean();
+        tutorIndex = createRetrievalIndex([...courseDocuments(courses), ...signDocuments(catalogSigns)]);
+        tutorIndexBuiltAt = Date.now();
+    }
+    return tutorIndex;
+}
+
+// The courses and signs that match a question. Signs the lookup found in it
+// come first; missingWords are words asked about that have no video.
+async function retrieveTutorContext(message, { tokens = [], missingWords = [] } = {}) {
+    const index = await getTutorIndex();
+    const results = searchRetrievalIndex(index, message).map(result => result.document);
+    const lookedUp = tokens
+        .filter(token => token.video && !SIGN_REQUEST_FILLER_WORDS.has(token.gloss))
+        .map(token => index.byId.get(`sign:${token.gloss}`))
+        .filter(Boolean);
+
+    const signs = [...new Map([...lookedUp, ...results.filter(d => d.type === 'sign')].map(d => [d.id, d])).values()];
+    return {
+        index,
+        courses: results.filter(d => d.type === 'course'),
+        signs: signs.slice(0, TUTOR_CONTEXT_SIGNS),
+        missingWords: missingWords.filter(word => !SIGN_REQUEST_FILLER_WORDS.has(word.toUpperCase()))
+    };
+}
+
+// The retrieved content as a system message for the tutor
+function tutorContextMessage({ courses, signs, missingWords }) {
+    const lines = ['LEARNSIGN CONTENT FOR THIS QUESTION (cite the ids you use in "sources"):', '', 'COURSES:'];
+    lines.push(...(courses.length
+        ? courses.map(c => `[${c.id}] ${c.title} (ages ${c.ageGroup}, ${c.category}, ${c.difficulty}): ${c.snippet}`)
+        : ['None match this question.']));
+    lines.push('', 'SIGNS WITH VIDEOS:');
+    lines.push(...(signs.length
+        ? signs.map(sign => `[${sign.id}] ${sign.gloss}${sign.snippet ? ` (${sign.snippet})` : ''}`)
+        : ['None match this question.']));
+    if (missingWords.length > 0) {
+        lines.push('', `NO VIDEO IN THE LIBRARY: ${missingWords.join(', ')}`);
+    }
+    return { role: "system", content: lines.join('\n') };
+}
+
+// Keep a reply to what was retrieved: its sources become citations of the
+// listed courses and signs, and recommended courses must be real ones
+function groundTutorReply(reply, { index, courses, signs }) {
+    const listed = new Map([...courses, ...signs].map(d => [d.id, d]));
+    const cited = (Array.isArray(reply.sources) ? reply.sources : [])
+        .map(id => listed.get(String(id).trim()))
+        .filter(Boolean);
+
+    if (reply.type === 'sign_instruction' && reply.videoAvailable) {
+        const sign = index.byId.get(`sign:${findSignVideo(reply.sign)?.name}`);
+        if (sign) cited.push(sign);
+    }
+
+    if (Array.isArray(reply.recommendedCourses)) {
+        const allCourses = index.documents.filter(d => d.type === 'course');
+        reply.recommendedCourses = reply.recommendedCourses.flatMap(recommended => {
+            const course = index.byId.get(`course:${recommended.courseId}`) ||
+                allCourses.find(c => c.title.toLowerCase() === String(recommended.title || '').trim().toLowerCase());
+            if (!course) return [];
+            cited.push(course);
+            return [{ ...recommended, courseId: course.courseId, title: course.title, url: course.url }];
+        });
+    }
+
+    delete reply.sources;
+    reply.citations = [...new Map(cited.map(d => [d.id, d])).values()].map(d => (d.type === 'course'
+        ? { id: d.id, type: 'course', courseId: d.courseId, title: d.title, url: d.url }
+        : { id: d.id, type: 'sign', gloss: d.gloss, title: d.gloss, videoPath: d.videoPath }));
+    return reply;
+}
+
+// Answer a tutor message - Supports sentences with multiple videos + AI provider answers.
+// Each exchange is saved to a thread (conversationId, or a new one); the model
+// sees the last messages of that thread. onToken, when given, receives the
+// text of an AI answer as it is written. Resolves to the HTTP status and body.
+async function answerTutorMessage({ userId, message, conversationId }, { onToken } = {}) {
+    if (!userId || !message) {
+        return { status: 400, body: {
+            error: "userId and message are required" 
+        } };
+    }
+
+    const conversation = await openTutorConversation(userId, conversationId);
+    if (!conversation) {
+        return { status: 404, body: { error: "Conversation not found" } };
+    }
+
+    const cleanMessage = message.trim().toUpperCase();
+    const originalMessage = message.trim();
+    
+    // Check if it's a sign/word request (short message or explicit request)
+    const isSignRequest = cleanMessage.split(/\s+/).length <= 3 || 
+        /how (do i |to |can i )?sign|show me|teach me|what('s| is) the sign/i.test(originalMessage);
+    
+    // Look up the signs for the message (without "how do I sign ...")
+    const signText = originalMessage.replace(SIGN_REQUEST_PHRASING, '').trim() || originalMessage;
+    const { tokens, sequence: videoSequence, notFoundWords, gloss } = buildSignSequence(signText);
+    const words = tokens.flatMap(token => token.words);
+    
+    if (isSignRequest && notFoundWords.length > 0) {
+        recordMissingSigns(notFoundWords, 'tutor', { userId, sentence: originalMessage });
+    }
+    
+    // If we found signs (or a single word to fingerspell), return them
+    const foundSigns = videoSequence.filter(v => v.match !== 'fingerspell');
+    if (videoSequence.length > 0 && isSignRequest && (foundSigns.length > 0 || tokens.length === 1)) {
+        queueReviewSigns(userId, foundSigns.map(v => v.video), 'tutor').catch(error => {
+            console.error("Error queueing tutor signs for review:", error);
+        });
 
-        const cleanMessage = message.trim().toUpperCase();
-        const originalMessage = message.trim();
+        const isSentence = tokens.length > 1;
+        
+        const response = {
+            type: "sign_sequence",
+            isSentence: isSentence,
+            sentence: gloss,
+            signText: signText,
+            response: `Here's how to sign "${gloss}" 👇`,
+            videoSequence: videoSequence.map(v => ({
+                word: v.word,
+                path: v.video.path,
+                fingerspelled: v.match === 'fingerspell'
+            })),
+            notFoundWords: notFoundWords,
+            totalVideos: videoSequence.length
+        };
         
-        // Check if it's a sign/word request (short message or explicit request)
-        const isSignRequest = cleanMessage.split(/\s+/).length <= 3 || 
-            /how (do i |to |can i )?sign|show me|teach me|what('s| is) the sign/i.test(originalMessage);
+        // Add warning if some words weren't found
+        if (notFoundWords.length > 0) {
+            response.warning = `Note: No sign for ${notFoundWords.join(', ')}, so it is fingerspelled`;
+        }
         
-        // Split message into words and find videos for each
-        const words = cleanMessage.split(/\s+/).filter(w => w.length > 0);
-        const videoSequence = [];
-        const notFoundWords = [];
+        await conversation.addExchange(originalMessage, response);
+        return { status: 200, body: {
+            success: true,
+            conversationId: conversation._id,
+            response: response,
+            userProfile: { name: 'Learner', streak: 0, progress: 0 }
+        } };
+    }
+    
+    // For general questions or no videos found, ask the AI provider
+    try {
+        const userProfile = await getUserTutorProfile(userId);
+        const systemPrompt = userProfile ? populateSystemPrompt(userProfile) : AI_TUTOR_SYSTEM_PROMPT;
         
-        for (const word of words) {
-            const cleanWord = word.replace(/[^A-Z0-9]/g, '');
-            if (cleanWord.length === 0) continue;
-            
-            const video = findSignVideo(cleanWord);
-            if (video) {
-                videoSequence.push({
-                    word: cleanWord,
-                    video: video
-                });
-            } else {
-                notFoundWords.push(cleanWord);
-            }
-        }
+        // Only the courses and signs that match the question, with real video availability
+        const retrieved = await retrieveTutorContext(originalMessage, {
+            tokens,
+            missingWords: isSignRequest ? notFoundWords : []
+        });
         
-        // If we found videos, return them
-        if (videoSequence.length > 0 && isSignRequest) {
-            const isSentence = videoSequence.length > 1;
-            const foundWords = videoSequence.map(v => v.word).join(' ');
-            
-            const response = {
-                type: "sign_sequence",
-                isSentence: isSentence,
-                sentence: foundWords,
-                response: isSentence 
-                    ? `Here's how to sign "${foundWords}" 👇`
-                    : `Here's how to sign "${foundWords}" 👇`,
-                videoSequence: videoSequence.map(v => ({
-                    word: v.word,
-                    path: v.video.path
-                })),
-                notFoundWords: notFoundWords,
-                totalVideos: videoSequence.length
-            };
-            
-            // Add warning if some words weren't found
-            if (notFoundWords.length > 0) {
-                response.warning = `Note: No video for: ${notFoundWords.join(', ')}`;
-            }
-            
-            return res.json({
-                success: true,
-                response: response,
-                userProfile: { name: 'Learner', streak: 0, progress: 0 }
-            });
-        }
+        // Checked against the formats in the system prompt; otherwise general help
+        const { value: parsedResponse } = await requestAiJson(ai, 'tutor', 'tutor', {
+            messages: [
+                { role: "system", content: systemPrompt },
+                tutorContextMessage(retrieved),
+                ...conversation.chatHistory(6),
+                { role: "user", content: originalMessage }
+            ],
+            maxTokens: 800,
+            temperature: 0.7,
+            onToken: onToken && streamJsonText(['response', 'progressAssessment', 'empathy'], onToken)
+        }, failed => tutorFallbackResponse(failed, words));
+        attachSignVideo(parsedResponse);
+        groundTutorReply(parsedResponse, retrieved);
+        
+        await conversation.addExchange(originalMessage, parsedResponse);
+        return { status: 200, body: {
+            success: true,
+            conversationId: conversation._id,
+            response: parsedResponse,
+            userProfile: userProfile || { name: 'Learner', streak: 0, progress: 0 }
+        } };
         
-        // For general questions or no videos found, use OpenAI
-        try {
-            const userProfile = await getUserTutorProfile(userId);
-            const systemPrompt = userProfile ? populateSystemPrompt(userProfile) : AI_TUTOR_SYSTEM_PROMPT;
-            
-            // Get available signs for context
-            const availableSigns = getAllAvailableSigns().slice(0, 50);
-            
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    { 
-                        role: "system", 
-                        content: systemPrompt + `\n\nAvailable sign videos: ${availableSigns.join(', ')}...` 
-                    },
-                    ...conversationHistory.slice(-6).map(msg => ({
-                        role: msg.role,
-                        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
-                    })),
-                    { role: "user", content: originalMessage }
-                ],
-                max_tokens: 800,
-                temperature: 0.7
-            });
-            
-            let aiResponse = completion.choices[0].message.content;
-            
-            // Try to parse as JSON, otherwise wrap in general_help format
-            let parsedResponse;
-            try {
-                parsedResponse = JSON.parse(aiResponse);
-            } catch {
-                parsedResponse = {
-                    type: "general_help",
-                    response: aiResponse,
-                    availableSigns: findSimilarSigns(words[0] || 'hello').slice(0, 8)
-                };
-            }
-            
-            return res.json({
-                success: true,
-                response: parsedResponse,
-                userProfile: userProfile || { name: 'Learner', streak: 0, progress: 0 }
-            });
-            
-        } catch (aiError) {
-            console.error("OpenAI error:", aiError.message);
-            
-            // Fallback to suggestions if OpenAI fails
-            const suggestions = words.length > 0 ? findSimilarSigns(words[0]) : [];
-            const availableSigns = getAllAvailableSigns();
-            const randomSigns = availableSigns.sort(() => 0.5 - Math.random()).slice(0, 8);
-            
-            return res.json({
-                success: true,
-                response: {
-                    type: "not_found",
-                    sign: cleanMessage,
-                    response: `I couldn't find videos for "${message}". Try one of these signs instead!`,
-                    suggestions: suggestions.length > 0 ? suggestions : randomSigns,
-                    totalAvailable: availableSigns.length
-                },
-                userProfile: { name: 'Learner', streak: 0, progress: 0 }
-            });
-        }
+    } catch (aiError) {
+        console.error("AI provider error:", aiError.message);
         
+        // Fallback to suggestions if the AI provider fails
+        const suggestions = words.length > 0 ? findSimilarSigns(words[0]) : [];
+        const availableSigns = getAllAvailableSigns();
+        const randomSigns = availableSigns.sort(() => 0.5 - Math.random()).slice(0, 8);
+        
+        const fallback = {
+            type: "not_found",
+            sign: cleanMessage,
+            response: `I couldn't find videos for "${message}". Try one of these signs instead!`,
+            suggestions: suggestions.length > 0 ? suggestions : randomSigns,
+            totalAvailable: availableSigns.length
+        };
+        await conversation.addExchange(originalMessage, fallback);
+        return { status: 200, body: {
+            success: true,
+            conversationId: conversation._id,
+            response: fallback,
+            userProfile: { name: 'Learner', streak: 0, progress: 0 }
+        } };
+    }
+}
+
+// AI Tutor Chat Endpoint
+app.post("/tutor/chat", authorizeBodyUser, async (req, res) => {
+    try {
+        const { status, body } = await answerTutorMessage(req.body);
+        res.status(status).json(body);
     } catch (error) {
         console.error("AI Tutor error:", error);
         res.status(500).json({ 
@@ -1452,8 +3594,50 @@ app.post("/tutor/chat", async (req, res) => {
     }
 });
 
+// Streaming AI Tutor Chat - the same answer as /tutor/chat as Server-Sent
+// Events: "token" events ({ text }) while an AI answer is written, then
+// "done" with the /tutor/chat body, or "error" ({ error, details }).
+// Requests that are not valid get a plain JSON error instead.
+app.post("/tutor/chat/stream", authorizeBodyUser, async (req, res) => {
+    const sendEvent = (event, data) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+        }
+        // The learner may have left; the answer is still saved to the thread
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const { status, body } = await answerTutorMessage(req.body, {
+            onToken: text => sendEvent('token', { text })
+        });
+        if (status !== 200) {
+            return res.status(status).json(body);
+        }
+        sendEvent('done', body);
+        res.end();
+    } catch (error) {
+        console.error("AI Tutor stream error:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: "Failed to process request",
+                details: error.message
+            });
+        }
+        sendEvent('error', { error: "Failed to process request", details: error.message });
+        res.end();
+    }
+});
+
 // Get user tutor profile (for frontend display)
-app.get("/tutor/profile/:userId", async (req, res) => {
+app.get("/tutor/profile/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
         const profile = await getUserTutorProfile(userId);
@@ -1469,10 +3653,78 @@ app.get("/tutor/profile/:userId", async (req, res) => {
     }
 });
 
-// ========== OPENAI-POWERED ENDPOINTS ==========
+// A learner's tutor threads, most recent first (without their messages)
+app.get("/tutor/conversations/:userId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const conversations = await TutorConversation.listForUser(req.params.userId, limit);
+        res.json({ conversations });
+    } catch (error) {
+        console.error("Error fetching tutor conversations:", error);
+        res.status(500).json({ message: "Error fetching conversations", error: error.message });
+    }
+});
+
+// One thread with its messages, to resume it
+app.get("/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, conversationId } = req.params;
+        const conversation = mongoose.isValidObjectId(conversationId)
+            ? await TutorConversation.findOne({ _id: conversationId, userId })
+            : null;
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        res.json({ conversation });
+    } catch (error) {
+        console.error("Error fetching tutor conversation:", error);
+        res.status(500).json({ message: "Error fetching conversation", error: error.message });
+    }
+});
+
+// Rename a thread
+app.put("/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, conversationId } = req.params;
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+        if (!title || title.length > 100) {
+            return res.status(400).json({ message: "title must be 1 to 100 characters" });
+        }
+
+        const conversation = mongoose.isValidObjectId(conversationId)
+            ? await TutorConversation.findOneAndUpdate({ _id: conversationId, userId }, { $set: { title } }, { new: true }).select('-messages')
+            : null;
+        if (!conversation) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        res.json({ conversation, message: "Conversation renamed" });
+    } catch (error) {
+        console.error("Error renaming tutor conversation:", error);
+        res.status(500).json({ message: "Error renaming conversation", error: error.message });
+    }
+});
+
+// Delete a thread and its messages
+app.delete("/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const { userId, conversationId } = req.params;
+        const result = mongoose.isValidObjectId(conversationId)
+            ? await TutorConversation.deleteOne({ _id: conversationId, userId })
+            : { deletedCount: 0 };
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+        res.json({ message: "Conversation deleted" });
+    } catch (error) {
+        console.error("Error deleting tutor conversation:", error);
+        res.status(500).json({ message: "Error deleting conversation", error: error.message });
+    }
+});
+
+// ========== AI-POWERED ENDPOINTS ==========
 
 /**
- * Generate personalized quiz questions using OpenAI
+ * Generate personalized quiz questions with the AI provider
  */
 app.post("/ai/generate-quiz", async (req, res) => {
     try {
@@ -1491,8 +3743,8 @@ app.post("/ai/generate-quiz", async (req, res) => {
         
         const signsToUse = topicSigns.length > 0 ? topicSigns : availableSigns.slice(0, 20);
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        // Questions whose correct answer is not one of the options are dropped
+        const { value: quizData, fallback } = await requestAiJson(ai, 'quiz', 'quiz', {
             messages: [
                 {
                     role: "system",
@@ -1520,32 +3772,48 @@ Return ONLY valid JSON in this format:
                     content: `Generate ${questionCount} ${difficulty} difficulty quiz questions about "${topic}" in sign language. Include questions about hand shapes, movements, and common mistakes.`
                 }
             ],
-            max_tokens: 1500,
+            maxTokens: 1500,
             temperature: 0.8
-        });
-        
-        let quizData;
-        try {
-            quizData = JSON.parse(completion.choices[0].message.content);
-        } catch {
-            quizData = { error: "Failed to parse quiz", raw: completion.choices[0].message.content };
-        }
+        }, ({ value }) => salvageQuiz(value, `${topic} Quiz`));
         
         res.json({
             success: true,
-            ...quizData
+            ...quizData,
+            fallback
         });
         
     } catch (error) {
+        if (error.code === 'AI_INVALID_RESPONSE') {
+            return res.status(502).json({ error: "The generated quiz was not valid", details: error.errors });
+        }
         console.error("Quiz generation error:", error);
         res.status(500).json({ error: "Failed to generate quiz", details: error.message });
     }
 });
 
+// Recommendations from the learner's numbers, when the model's are invalid
+function fallbackRecommendations(profile) {
+    const actions = [
+        { action: "Continue your current course", reason: "Short, regular lessons build vocabulary fastest", priority: "high" },
+        { action: "Work through the signs due in your review queue", reason: "Reviewing signs just before you forget them makes them stick", priority: "medium" }
+    ];
+    if (!profile?.avgQuizScore) {
+        actions.push({ action: "Take a quiz on a course you have finished", reason: "Quizzes show which signs need more practice", priority: "medium" });
+    }
+    return {
+        summary: `Progress so far: ${profile?.totalMinutes || 0} minutes of learning and ${profile?.coursesCompleted || 0} course(s) completed.`,
+        strengths: [],
+        focusAreas: [],
+        recommendedActions: actions,
+        motivationalMessage: "Every sign you learn is a step forward. Keep going!",
+        weeklyGoal: "Practise for 10 minutes on 4 days this week"
+    };
+}
+
 /**
- * Get personalized learning recommendations using OpenAI
+ * Get personalized learning recommendations with the AI provider
  */
-app.post("/ai/recommendations", async (req, res) => {
+app.post("/ai/recommendations", authorizeBodyUser, async (req, res) => {
     try {
         const { userId } = req.body;
         
@@ -1556,8 +3824,7 @@ app.post("/ai/recommendations", async (req, res) => {
         const userProfile = await getUserTutorProfile(userId);
         const availableCourses = await Course.find({ isPublished: true }).limit(10);
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        const { value: recommendations, fallback } = await requestAiJson(ai, 'recommendations', 'recommendations', {
             messages: [
                 {
                     role: "system",
@@ -1591,23 +3858,14 @@ Available courses: ${availableCourses.map(c => c.title).join(', ')}
 Provide personalized learning recommendations.`
                 }
             ],
-            max_tokens: 800,
+            maxTokens: 800,
             temperature: 0.7
-        });
-        
-        let recommendations;
-        try {
-            recommendations = JSON.parse(completion.choices[0].message.content);
-        } catch {
-            recommendations = { 
-                summary: completion.choices[0].message.content,
-                recommendedActions: []
-            };
-        }
+        }, () => fallbackRecommendations(userProfile));
         
         res.json({
             success: true,
-            recommendations
+            recommendations,
+            fallback
         });
         
     } catch (error) {
@@ -1616,8 +3874,25 @@ Provide personalized learning recommendations.`
     }
 });
 
+// An explanation pointing to the video (or to fingerspelling), when the
+// model's is invalid
+function fallbackSignExplanation(sign, video) {
+    const word = String(sign).toUpperCase();
+    return {
+        sign: word,
+        handShape: video ? "As shown in the video" : "The hand shapes of the letters",
+        position: video ? "As shown in the video" : "In front of your chest, where fingerspelling is done",
+        movement: video ? "As shown in the video" : "One letter after another, with a short pause between letters",
+        steps: video
+            ? [`Watch the video of ${word} a few times`, "Copy the hand shape, then the position, then the movement", "Practise slowly in front of a mirror"]
+            : [`Fingerspell ${word} letter by letter`, "Keep your hand steady while you change letters"],
+        commonMistakes: [],
+        memoryTip: "Practise the sign in a sentence you use every day"
+    };
+}
+
 /**
- * Explain how to sign a word/phrase using OpenAI
+ * Explain how to sign a word/phrase with the AI provider
  */
 app.post("/ai/explain-sign", async (req, res) => {
     try {
@@ -1630,8 +3905,7 @@ app.post("/ai/explain-sign", async (req, res) => {
         // Check if video exists
         const video = findSignVideo(sign);
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        const { value: explanation, fallback } = await requestAiJson(ai, 'explain', 'explain', {
             messages: [
                 {
                     role: "system",
@@ -1654,25 +3928,16 @@ Return ONLY valid JSON:
                     content: `Explain how to sign "${sign}" in Indian Sign Language (ISL). Be specific about hand shapes and movements.`
                 }
             ],
-            max_tokens: 600,
+            maxTokens: 600,
             temperature: 0.7
-        });
-        
-        let explanation;
-        try {
-            explanation = JSON.parse(completion.choices[0].message.content);
-        } catch {
-            explanation = { 
-                sign: sign,
-                explanation: completion.choices[0].message.content
-            };
-        }
+        }, () => fallbackSignExplanation(sign, video));
         
         res.json({
             success: true,
             videoAvailable: !!video,
             videoPath: video?.path || null,
-            ...explanation
+            ...explanation,
+            fallback
         });
         
     } catch (error) {
@@ -1681,10 +3946,23 @@ Return ONLY valid JSON:
     }
 });
 
+// The library's own lookup of the sentence, in English word order, when
+// the model's sign order is invalid
+function fallbackSignOrder(sentence) {
+    const { tokens, notFoundWords } = buildSignSequence(sentence);
+    return {
+        originalSentence: sentence,
+        signOrder: tokens.map(token => (token.video ? token.gloss : token.words[0])),
+        explanation: "These signs follow the English word order; words without a sign are fingerspelled.",
+        unavailableSigns: notFoundWords,
+        alternatives: {}
+    };
+}
+
 /**
- * Translate sentence to sign language order using OpenAI
+ * Translate sentence to sign language order with the AI provider
  */
-app.post("/ai/translate-to-signs", async (req, res) => {
+app.post("/ai/translate-to-signs", resolveCaller, async (req, res) => {
     try {
         const { sentence } = req.body;
         
@@ -1694,8 +3972,7 @@ app.post("/ai/translate-to-signs", async (req, res) => {
         
         const availableSigns = getAllAvailableSigns();
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
+        const { value: translation, fallback } = await requestAiJson(ai, 'translate', 'translate', {
             messages: [
                 {
                     role: "system",
@@ -1718,35 +3995,29 @@ Return ONLY valid JSON:
                     content: `Convert this sentence to sign language order: "${sentence}"`
                 }
             ],
-            max_tokens: 500,
+            maxTokens: 500,
             temperature: 0.5
-        });
+        }, () => fallbackSignOrder(sentence));
         
-        let translation;
-        try {
-            translation = JSON.parse(completion.choices[0].message.content);
-            
-            // Check which signs have videos
-            if (translation.signOrder) {
-                translation.signOrder = translation.signOrder.map(word => {
-                    const video = findSignVideo(word);
-                    return {
-                        word: word,
-                        hasVideo: !!video,
-                        videoPath: video?.path || null
-                    };
-                });
-            }
-        } catch {
-            translation = { 
-                originalSentence: sentence,
-                explanation: completion.choices[0].message.content
+        // Check which signs have videos
+        translation.originalSentence = translation.originalSentence || sentence;
+        translation.signOrder = translation.signOrder.map(word => {
+            const video = findSignVideo(word);
+            return {
+                word: word,
+                hasVideo: !!video,
+                videoPath: video?.path || null
             };
+        });
+        const missing = translation.signOrder.filter(sign => !sign.hasVideo).map(sign => sign.word);
+        if (missing.length > 0) {
+            recordMissingSigns(missing, 'translate', { userId: req.caller?._id, sentence });
         }
         
         res.json({
             success: true,
-            ...translation
+            ...translation,
+            fallback
         });
         
     } catch (error) {
@@ -1766,7 +4037,7 @@ const SUPPORTED_LANGUAGES = {
 };
 
 /**
- * Speech-to-Text using OpenAI Whisper API
+ * Speech-to-Text with the AI provider (Whisper on OpenAI)
  * Converts audio blob to text transcription
  * Supports: English, Hindi, Kannada, Telugu
  */
@@ -1781,25 +4052,17 @@ app.post("/voice/speech-to-text", async (req, res) => {
         // Validate language
         const validLanguage = SUPPORTED_LANGUAGES[language] ? language : 'en';
         
-        // Convert base64 audio to buffer
-        const audioBuffer = Buffer.from(audio, 'base64');
-        
-        // Create a file object compatible with OpenAI SDK (Node.js)
-        const audioFile = await toFile(audioBuffer, 'audio.webm', { type: 'audio/webm' });
-        
-        // Transcribe using Whisper with selected language
-        const transcription = await openai.audio.transcriptions.create({
-            file: audioFile,
-            model: "whisper-1",
-            language: validLanguage,
-            response_format: "json"
+        // Transcribe the base64 audio in the selected language
+        const text = await ai.transcribe({
+            audio: Buffer.from(audio, 'base64'),
+            language: validLanguage
         });
         
-        console.log(`[Voice] Transcription (${validLanguage}):`, transcription.text);
+        console.log(`[Voice] Transcription (${validLanguage}):`, text);
         
         res.json({
             success: true,
-            text: transcription.text,
+            text,
             language: validLanguage,
             languageName: SUPPORTED_LANGUAGES[validLanguage]
         });
@@ -1814,7 +4077,7 @@ app.post("/voice/speech-to-text", async (req, res) => {
 });
 
 /**
- * Text-to-Speech using OpenAI TTS API
+ * Text-to-Speech with the AI provider (OpenAI TTS)
  * Converts text response to audio for playback
  */
 app.post("/voice/text-to-speech", async (req, res) => {
@@ -1828,16 +4091,8 @@ app.post("/voice/text-to-speech", async (req, res) => {
         // Limit text length to avoid excessive costs
         const truncatedText = text.slice(0, 4000);
         
-        // Generate speech using OpenAI TTS
-        const mp3Response = await openai.audio.speech.create({
-            model: "tts-1",
-            voice: voice, // Options: alloy, echo, fable, onyx, nova, shimmer
-            input: truncatedText,
-            response_format: "mp3"
-        });
-        
-        // Convert to buffer and then to base64
-        const audioBuffer = Buffer.from(await mp3Response.arrayBuffer());
+        // Generate speech (OpenAI voices: alloy, echo, fable, onyx, nova, shimmer)
+        const audioBuffer = await ai.speak({ text: truncatedText, voice });
         const audioBase64 = audioBuffer.toString('base64');
         
         console.log('[Voice] TTS generated:', truncatedText.slice(0, 50) + '...');
@@ -1863,29 +4118,28 @@ app.post("/voice/text-to-speech", async (req, res) => {
  * Transcribes audio → Gets AI response → Generates speech
  * Supports: English, Hindi, Kannada, Telugu
  */
-app.post("/voice/chat", async (req, res) => {
+app.post("/voice/chat", authorizeBodyUser, async (req, res) => {
     try {
-        const { userId, audio, language = 'en', conversationHistory = [], voiceEnabled = true } = req.body;
+        const { userId, audio, language = 'en', conversationId, voiceEnabled = true } = req.body;
         
         if (!userId || !audio) {
             return res.status(400).json({ error: "userId and audio are required" });
         }
+
+        const conversation = await openTutorConversation(userId, conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: "Conversation not found" });
+        }
         
         // Validate language
         const validLanguage = SUPPORTED_LANGUAGES[language] ? language : 'en';
         console.log(`[VoiceChat] Using language: ${validLanguage} (${SUPPORTED_LANGUAGES[validLanguage]})`);
         
         // Step 1: Transcribe audio to text
-        const audioBuffer = Buffer.from(audio, 'base64');
-        const audioFile = await toFile(audioBuffer, 'audio.webm', { type: 'audio/webm' });
-        
-        const transcription = await openai.audio.transcriptions.create({
-            file: audioFile,
-            model: "whisper-1",
+        const userMessage = await ai.transcribe({
+            audio: Buffer.from(audio, 'base64'),
             language: validLanguage
         });
-        
-        const userMessage = transcription.text;
         console.log('[VoiceChat] User said:', userMessage);
         
         if (!userMessage || userMessage.trim().length === 0) {
@@ -1902,76 +4156,63 @@ app.post("/voice/chat", async (req, res) => {
         
         // Check if it's a sign request
         const isSignRequest = cleanMessage.split(/\s+/).length <= 3;
-        const words = cleanMessage.split(/\s+/).filter(w => w.length > 0);
-        const videoSequence = [];
-        const notFoundWords = [];
+        const signText = userMessage.replace(SIGN_REQUEST_PHRASING, '').trim() || userMessage;
+        const { tokens, sequence: videoSequence, notFoundWords, gloss } = buildSignSequence(signText);
         
-        for (const word of words) {
-            const cleanWord = word.replace(/[^A-Z0-9]/g, '');
-            if (cleanWord.length === 0) continue;
-            
-            const video = findSignVideo(cleanWord);
-            if (video) {
-                videoSequence.push({ word: cleanWord, video: video });
-            } else {
-                notFoundWords.push(cleanWord);
-            }
+        if (isSignRequest && notFoundWords.length > 0) {
+            recordMissingSigns(notFoundWords, 'voice', { userId, sentence: userMessage });
         }
         
         let tutorResponse;
         let textForSpeech;
         
-        if (videoSequence.length > 0 && isSignRequest) {
-            const foundWords = videoSequence.map(v => v.word).join(' ');
+        const hasSigns = videoSequence.some(v => v.match !== 'fingerspell');
+        if (videoSequence.length > 0 && isSignRequest && (hasSigns || tokens.length === 1)) {
             tutorResponse = {
                 type: "sign_sequence",
-                isSentence: videoSequence.length > 1,
-                sentence: foundWords,
-                response: `Here's how to sign "${foundWords}"`,
+                isSentence: tokens.length > 1,
+                sentence: gloss,
+                signText: signText,
+                response: `Here's how to sign "${gloss}"`,
                 videoSequence: videoSequence.map(v => ({
                     word: v.word,
-                    path: v.video.path
+                    path: v.video.path,
+                    fingerspelled: v.match === 'fingerspell'
                 })),
                 notFoundWords: notFoundWords,
                 totalVideos: videoSequence.length
             };
-            textForSpeech = `Here's how to sign ${foundWords}. Watch the video to learn!`;
+            textForSpeech = `Here's how to sign ${signText}. Watch the video to learn!`;
             
             if (notFoundWords.length > 0) {
-                tutorResponse.warning = `Note: No video for: ${notFoundWords.join(', ')}`;
-                textForSpeech += ` I don't have videos for ${notFoundWords.join(' and ')}.`;
+                tutorResponse.warning = `Note: No sign for ${notFoundWords.join(', ')}, so it is fingerspelled`;
+                textForSpeech += ` I don't have signs for ${notFoundWords.join(' and ')}, so I spelled them out.`;
             }
         } else {
-            // Use OpenAI for general questions
+            // Use the AI provider for general questions
             try {
                 const userProfile = await getUserTutorProfile(userId);
                 const systemPrompt = userProfile ? populateSystemPrompt(userProfile) : AI_TUTOR_SYSTEM_PROMPT;
+                const retrieved = await retrieveTutorContext(userMessage, {
+                    tokens,
+                    missingWords: isSignRequest ? notFoundWords : []
+                });
                 
-                const completion = await openai.chat.completions.create({
-                    model: "gpt-4o-mini",
+                ({ value: tutorResponse } = await requestAiJson(ai, 'tutor', 'tutor', {
                     messages: [
                         { role: "system", content: systemPrompt },
-                        ...conversationHistory.slice(-6).map(msg => ({
-                            role: msg.role,
-                            content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
-                        })),
+                        tutorContextMessage(retrieved),
+                        ...conversation.chatHistory(6),
                         { role: "user", content: userMessage }
                     ],
-                    max_tokens: 500,
+                    maxTokens: 500,
                     temperature: 0.7
-                });
-                
-                let aiResponse = completion.choices[0].message.content;
-                
-                try {
-                    tutorResponse = JSON.parse(aiResponse);
-                    textForSpeech = tutorResponse.response || aiResponse;
-                } catch {
-                    tutorResponse = { type: "general_help", response: aiResponse };
-                    textForSpeech = aiResponse;
-                }
+                }, failed => tutorFallbackResponse(failed, tokens.flatMap(token => token.words))));
+                attachSignVideo(tutorResponse);
+                groundTutorReply(tutorResponse, retrieved);
+                textForSpeech = tutorReplyText(tutorResponse);
             } catch (aiError) {
-                console.error("OpenAI error in voice chat:", aiError.message);
+                console.error("AI provider error in voice chat:", aiError.message);
                 tutorResponse = {
                     type: "not_found",
                     response: "I'm having trouble understanding. Could you try asking again?"
@@ -1991,13 +4232,7 @@ app.post("/voice/chat", async (req, res) => {
                     .replace(/[^\w\s.,!?'-]/g, ' ')
                     .slice(0, 1000);
                 
-                const mp3Response = await openai.audio.speech.create({
-                    model: "tts-1",
-                    voice: "nova",
-                    input: cleanTextForSpeech
-                });
-                
-                const audioBuffer = Buffer.from(await mp3Response.arrayBuffer());
+                const audioBuffer = await ai.speak({ text: cleanTextForSpeech, voice: "nova" });
                 audioResponse = audioBuffer.toString('base64');
             } catch (ttsError) {
                 console.error("TTS error:", ttsError.message);
@@ -2005,8 +4240,10 @@ app.post("/voice/chat", async (req, res) => {
             }
         }
         
+        await conversation.addExchange(userMessage, tutorResponse, 'voice');
         res.json({
             success: true,
+            conversationId: conversation._id,
             transcription: userMessage,
             response: tutorResponse,
             audio: audioResponse,
@@ -2026,9 +4263,9 @@ app.post("/voice/chat", async (req, res) => {
 
 /**
  * Generate comprehensive learning report for parents
- * Uses OpenAI to create personalized insights and recommendations
+ * Uses the AI provider to create personalized insights and recommendations
  */
-app.get("/report/generate/:userId", async (req, res) => {
+app.get("/report/generate/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
         
@@ -2038,18 +4275,24 @@ app.get("/report/generate/:userId", async (req, res) => {
         
         console.log('[Report] Generating report for user:', userId);
         
+        // Bring badges up to date so the summary can mention the real ones
+        await awardAchievements(userId);
+        
         // Fetch all user data
-        const [user, progressDocs, quizAttempts, learningEvents] = await Promise.all([
+        const [user, progressDocs, quizAttempts] = await Promise.all([
             User.findById(userId),
             UserProgress.find({ userId }),
-            QuizAttempt.find({ userId }).sort({ submittedAt: -1 }),
-            LearningEvent.find({ userId }).sort({ ts: -1 }).limit(100)
+            QuizAttempt.find({ userId }).sort({ submittedAt: -1 })
         ]);
         
         if (!user) {
             return res.status(404).json({ error: "User not found" });
         }
         
+        // The last 7 calendar days in the learner's timezone, from the daily rollups
+        const week = User.recentCalendarDays(7, user.getTimeZone());
+        const weekRollups = await DailyActivity.findDays(userId, week);
+        
         // Calculate statistics
         const totalCourses = progressDocs.length;
         const completedCourses = progressDocs.filter(p => p.status === 'completed').length;
@@ -2066,32 +4309,16 @@ app.get("/report/generate/:userId", async (req, res) => {
         const quizzesPassed = quizAttempts.filter(q => q.passed).length;
         const passRate = totalQuizzes > 0 ? Math.round((quizzesPassed / totalQuizzes) * 100) : 0;
         
-        // Weekly activity breakdown
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const weeklyEvents = learningEvents.filter(e => new Date(e.ts) >= weekAgo);
-        const weeklyMinutes = Math.round(weeklyEvents.reduce((sum, e) => sum + (e.activeMs || 0), 0) / 60000);
-        
         // Daily activity for the week
-        const dailyActivity = [];
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            const dayStart = new Date(date.setHours(0, 0, 0, 0));
-            const dayEnd = new Date(date.setHours(23, 59, 59, 999));
-            
-            const dayEvents = learningEvents.filter(e => {
-                const eventDate = new Date(e.ts);
-                return eventDate >= dayStart && eventDate <= dayEnd;
-            });
-            
-            const minutes = Math.round(dayEvents.reduce((sum, e) => sum + (e.activeMs || 0), 0) / 60000);
-            dailyActivity.push({
-                day: dayStart.toLocaleDateString('en-US', { weekday: 'short' }),
-                date: dayStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-                minutes
-            });
-        }
+        const dailyActivity = week.map(day => {
+            const date = new Date(`${day}T00:00:00Z`);
+            return {
+                day: date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }),
+                date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+                minutes: Math.round((weekRollups.get(day)?.activeMs || 0) / 60000)
+            };
+        });
+        const weeklyMinutes = dailyActivity.reduce((sum, d) => sum + d.minutes, 0);
         
         // Get recent quiz scores for trend
         const recentQuizScores = quizAttempts.slice(0, 10).map(q => ({
@@ -2133,18 +4360,32 @@ app.get("/report/generate/:userId", async (req, res) => {
             }
         }
         
-        // Generate AI insights for parents
+        const earnedBadges = user.progress?.achievements || [];
+        
+        // Generate AI insights for parents; written from the numbers when the
+        // provider fails or its insights are still invalid after a correction
+        const fallbackInsights = () => ({
+            overallSummary: `${user.name || 'Your child'} has been making progress in sign language learning! They've completed ${completedCourses} courses and spent ${totalTimeMinutes} minutes learning.`,
+            strengthsAnalysis: "Your child is building a foundation in sign language.",
+            areasForGrowth: "Consistent daily practice will help reinforce learning.",
+            parentTips: [
+                "Practice signs together during daily routines",
+                "Use signs for common words like 'please', 'thank you', 'hello'",
+                "Celebrate small wins to keep motivation high"
+            ],
+            weeklyGoal: "Complete one lesson and practice 5 new signs",
+            encouragement: "Every sign learned is a step towards better communication! 🌟"
+        });
         let aiInsights = null;
         try {
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
+            ({ value: aiInsights } = await requestAiJson(ai, 'report', 'report', {
                 messages: [
                     {
                         role: "system",
                         content: `You are a caring educational advisor writing a report for parents about their child's sign language learning progress.
 
 Write in a warm, encouraging, and easy-to-understand tone. Focus on:
-1. Celebrating achievements and progress
+1. Celebrating the badges they have earned and their progress
 2. Providing specific, actionable recommendations
 3. Explaining what the data means in parent-friendly terms
 4. Suggesting ways parents can help at home
@@ -2152,7 +4393,6 @@ Write in a warm, encouraging, and easy-to-understand tone. Focus on:
 Return ONLY valid JSON in this format:
 {
     "overallSummary": "2-3 sentence summary of the child's progress (warm and encouraging)",
-    "achievements": ["Achievement 1", "Achievement 2", "Achievement 3"],
     "strengthsAnalysis": "1-2 sentences about what they're doing well",
     "areasForGrowth": "1-2 sentences about areas to focus on (positive framing)",
     "parentTips": [
@@ -2178,7 +4418,10 @@ LEARNING STATS:
 - Overall Progress: ${avgProgress}%
 - Total Learning Time: ${totalTimeMinutes} minutes
 - This Week's Learning: ${weeklyMinutes} minutes
-- Current Streak: ${user.progress?.currentStreak || 0} days
+- Current Streak: ${user.getCurrentStreak()} days
+
+BADGES EARNED:
+${earnedBadges.length > 0 ? earnedBadges.map(a => `- ${a.name}: ${a.description}`).join('\n') : '- None yet'}
 
 QUIZ PERFORMANCE:
 - Quizzes Taken: ${totalQuizzes}
@@ -2193,39 +4436,12 @@ AREAS FOR GROWTH:
 ${improvements.length > 0 ? improvements.map(i => `- ${i.course}: ${i.avgScore}% avg`).join('\n') : '- Doing well across all areas!'}`
                     }
                 ],
-                max_tokens: 800,
+                maxTokens: 800,
                 temperature: 0.7
-            });
-            
-            try {
-                aiInsights = JSON.parse(completion.choices[0].message.content);
-            } catch {
-                aiInsights = {
-                    overallSummary: completion.choices[0].message.content,
-                    achievements: [],
-                    parentTips: [],
-                    encouragement: "Keep up the great work!"
-                };
-            }
+            }, fallbackInsights));
         } catch (aiError) {
             console.error('[Report] AI insights error:', aiError.message);
-            aiInsights = {
-                overallSummary: `${user.name || 'Your child'} has been making progress in sign language learning! They've completed ${completedCourses} courses and spent ${totalTimeMinutes} minutes learning.`,
-                achievements: [
-                    completedCourses > 0 ? `Completed ${completedCourses} course${completedCourses > 1 ? 's' : ''}!` : 'Started their learning journey!',
-                    totalQuizzes > 0 ? `Took ${totalQuizzes} quiz${totalQuizzes > 1 ? 'zes' : ''}!` : 'Exploring the courses!',
-                    weeklyMinutes > 0 ? `Active learner this week!` : 'Ready to learn more!'
-                ],
-                strengthsAnalysis: "Your child is building a foundation in sign language.",
-                areasForGrowth: "Consistent daily practice will help reinforce learning.",
-                parentTips: [
-                    "Practice signs together during daily routines",
-                    "Use signs for common words like 'please', 'thank you', 'hello'",
-                    "Celebrate small wins to keep motivation high"
-                ],
-                weeklyGoal: "Complete one lesson and practice 5 new signs",
-                encouragement: "Every sign learned is a step towards better communication! 🌟"
-            };
+            aiInsights = fallbackInsights();
         }
         
         // Compile full report
@@ -2235,7 +4451,7 @@ ${improvements.length > 0 ? improvements.map(i => `- ${i.course}: ${i.avgScore}%
                 name: user.name || 'Learner',
                 ageGroup: user.ageGroup || 'Not specified',
                 memberSince: user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'Unknown',
-                currentStreak: user.progress?.currentStreak || 0
+                currentStreak: user.getCurrentStreak()
             },
             statistics: {
                 totalCourses,
@@ -2273,4 +4489,5 @@ ${improvements.length > 0 ? improvements.map(i => `- ${i.course}: ${i.avgScore}%
 
 app.listen(port, () => {
     console.log(`API is running at http://localhost:${port}`);
+    console.log(`AI provider: ${ai.name}`);
   });
\ No newline at end of file
@@ -12,7 +12,7 @@ export const config = {
     NUMBERS_LETTERS_API_PORT: process.env.NUMBERS_LETTERS_API_PORT || 8002,
 
     // Session Secret
-    SESSION_SECRET: process.env.SESSION_SECRET || 'edusign_super_secret_key_change_in_production',
+    SESSION_SECRET: process.env.SESSION_SECRET,
 
     // Environment
     NODE_ENV: process.env.NODE_ENV || 'development',
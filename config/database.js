@@ -35,7 +35,7 @@ const setupIndexes = async () => {
         const db = mongoose.connection.db;
         
         // Users collection indexes
-        await db.collection('users').createIndex({ email: 1 }, { unique: true });
+        await migrateEmailIndex(db);
         await db.collection('users').createIndex({ createdAt: -1 });
         
         // Courses collection indexes
@@ -53,6 +53,21 @@ const setupIndexes = async () => {
     }
 };
 
+// Guardian-managed learner profiles have no email, so the unique email index
+// must be sparse. Older databases were created with a non-sparse index.
+const migrateEmailIndex = async (db) => {
+    const users = db.collection('users');
+    const indexes = await users.indexes().catch(() => []);
+    const emailIndex = indexes.find(index => index.name === 'email_1');
+    
+    if (emailIndex && !emailIndex.sparse) {
+        console.log('Rebuilding users.email index as sparse...');
+        await users.dropIndex('email_1');
+    }
+    
+    await users.createIndex({ email: 1 }, { unique: true, sparse: true });
+};
+
 // Disconnect from MongoDB
 export const disconnectDB = async () => {
     try {
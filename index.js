@@ -6,11 +6,16 @@ import session from "express-session";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from 'url';
+import { authorizeUserAccess, callerAuthHeaders, requireAdmin, requireAuth } from "./middleware/auth.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+
+if (!process.env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET must be set to sign session cookies (see .env.example)');
+}
 const port = process.env.PORT || 3000;
 const API_URL = process.env.API_URL || "http://localhost:4000";
 const PYTHON_API_URL = process.env.PYTHON_API_URL || "http://localhost:8000"; // FastAPI backend for sign language recognition
@@ -23,7 +28,7 @@ app.use(express.static('public'));
 
 // Session configuration
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'edusign_super_secret_key_change_in_production',
+    secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -40,6 +45,12 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 // Set template engine
 app.set('view engine', 'ejs');
 
+// Per-user API routes: the session user must match the requested userId (or be a
+// parent/educator, whose learner links are checked by the API)
+const authorizeParamUser = (param) => authorizeUserAccess(req => req.params[param]);
+const authorizeBodyUser = authorizeUserAccess(req => req.body.userId);
+const authorizeBodyUserOrSelf = authorizeUserAccess(req => req.body.userId, { allowMissing: true });
+
 app.get("/", (req, res) => {
     res.render('home.ejs');
 });
@@ -62,7 +73,7 @@ app.get("/dashboard", async (req, res) => {
         res.render("dashboard.ejs", {
             categories: categoriesResponse.data,
             packages: packagesResponse.data,
-            user: req.session?.user || null // Will implement session later
+            user: req.session?.user || null
         });
     } catch (error) {
         console.error("Error loading dashboard:", error.message);
@@ -201,6 +212,18 @@ app.post("/api/translate", async (req, res) => {
 
 // ========== AUTHENTICATION ENDPOINTS ==========
 
+// Start a fresh session for the authenticated user (regenerating the id
+// prevents session fixation) and store the API's public user record in it
+function establishSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) return reject(err);
+            req.session.user = user;
+            req.session.save((saveErr) => saveErr ? reject(saveErr) : resolve());
+        });
+    });
+}
+
 // Login endpoint
 app.post("/api/auth/login", async (req, res) => {
     try {
@@ -209,6 +232,7 @@ app.post("/api/auth/login", async (req, res) => {
                 'Content-Type': 'application/json'
             }
         });
+        await establishSession(req, response.data.user);
         res.json(response.data);
     } catch (error) {
         console.error("Login error:", error.message);
@@ -227,7 +251,8 @@ app.post("/api/auth/register", async (req, res) => {
                 'Content-Type': 'application/json'
             }
         });
-        res.json(response.data);
+        await establishSession(req, response.data.user);
+        res.status(201).json(response.data);
     } catch (error) {
         console.error("Registration error:", error.message);
         res.status(error.response?.status || 500).json({
@@ -237,6 +262,26 @@ app.post("/api/auth/register", async (req, res) => {
     }
 });
 
+// Logout endpoint
+app.post("/api/auth/logout", (req, res) => {
+    req.session.destroy((err) => {
+        if (err) {
+            console.error("Logout error:", err.message);
+            return res.status(500).json({ message: "Logout failed" });
+        }
+        res.clearCookie('connect.sid');
+        res.json({ message: "Logged out" });
+    });
+});
+
+// Current session user (the browser uses this instead of trusting localStorage)
+app.get("/api/auth/session", (req, res) => {
+    if (!req.session?.user) {
+        return res.status(401).json({ authenticated: false });
+    }
+    res.json({ authenticated: true, user: req.session.user });
+});
+
 // API endpoint to proxy requests to the Python backend for numbers and letters recognition
 app.post("/api/recognize", async (req, res) => {
     try {
@@ -263,65 +308,318 @@ app.post("/api/recognize", async (req, res) => {
 // ========== PROGRESS TRACKING API PROXIES ==========
 
 // Learning events endpoint
-app.post("/api/learning/events", async (req, res) => {
+app.post("/api/learning/events", authorizeBodyUser, async (req, res) => {
     try {
         const response = await axios.post(`${API_URL}/learning/events`, req.body, {
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
         });
         res.json(response.data);
     } catch (error) {
         console.error("Error forwarding learning event:", error.message);
-        res.status(500).json({ error: "Failed to record learning event" });
+        res.status(error.response?.status || 500).json({ error: error.response?.data?.error || "Failed to record learning event" });
     }
 });
 
+// Batched learning events (heartbeat.js flushes its offline buffer here, also via sendBeacon)
+app.post("/api/learning/events/batch", authorizeBodyUser, (req, res) =>
+    forwardApiRequest(req, res, 'post', '/learning/events/batch', "Failed to record learning events"));
+
 // Quiz attempts endpoint
-app.post("/api/quizzes/:courseId/:quizId/attempts", async (req, res) => {
+app.post("/api/quizzes/:courseId/:quizId/attempts", authorizeBodyUser, async (req, res) => {
     try {
         const { courseId, quizId } = req.params;
         const response = await axios.post(`${API_URL}/quizzes/${courseId}/${quizId}/attempts`, req.body, {
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
         });
         res.json(response.data);
     } catch (error) {
         console.error("Error forwarding quiz attempt:", error.message);
-        res.status(500).json({ error: "Failed to record quiz attempt" });
+        res.status(error.response?.status || 500).json({ error: error.response?.data?.error || error.response?.data?.message || "Failed to record quiz attempt" });
     }
 });
 
 // Analytics summary endpoint
-app.get("/api/analytics/summary/:userId", async (req, res) => {
+app.get("/api/analytics/summary/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
-        const response = await axios.get(`${API_URL}/analytics/summary/${userId}`);
+        const response = await axios.get(`${API_URL}/analytics/summary/${userId}`, {
+            headers: callerAuthHeaders(req)
+        });
         res.json(response.data);
     } catch (error) {
         console.error("Error fetching analytics:", error.message);
-        res.status(500).json({ error: "Failed to fetch analytics" });
+        res.status(error.response?.status || 500).json({ error: error.response?.data?.error || "Failed to fetch analytics" });
     }
 });
 
+// Admin analytics page and reports (JSON, or CSV with ?format=csv)
+app.get("/admin/analytics", (req, res) => {
+    res.render("admin-analytics.ejs");
+});
+
+app.get("/api/admin/analytics/:report", requireAdmin, (req, res) =>
+    forwardApiRequest(req, res, 'get', `/admin/analytics/${encodeURIComponent(req.params.report)}`, "Failed to fetch report"));
+
 // Admin learning events endpoint
-app.get("/api/admin/learning-events/:userId", async (req, res) => {
+app.get("/api/admin/learning-events/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
-        const response = await axios.get(`${API_URL}/admin/learning-events/${userId}`);
+        const response = await axios.get(`${API_URL}/admin/learning-events/${userId}`, {
+            headers: callerAuthHeaders(req)
+        });
         res.json(response.data);
     } catch (error) {
         console.error("Error fetching learning events:", error.message);
-        res.status(500).json({ error: "Failed to fetch learning events" });
+        res.status(error.response?.status || 500).json({ error: error.response?.data?.error || "Failed to fetch learning events" });
+    }
+});
+
+// Section progress, notes and bookmarks for the video player
+const progressPath = (req, suffix = '') => `/users/${req.params.userId}/progress/${req.params.courseId}${suffix}`;
+
+app.get("/api/users/:userId/progress/:courseId/sections", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', progressPath(req, '/sections'), "Failed to fetch section progress"));
+
+app.post("/api/users/:userId/progress/:courseId/sections/:sectionId/complete", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'post', progressPath(req, `/sections/${encodeURIComponent(req.params.sectionId)}/complete`), "Failed to complete section"));
+
+app.get("/api/users/:userId/progress/:courseId/:kind(notes|bookmarks)", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', progressPath(req, `/${req.params.kind}`), `Failed to fetch ${req.params.kind}`));
+
+app.post("/api/users/:userId/progress/:courseId/:kind(notes|bookmarks)", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'post', progressPath(req, `/${req.params.kind}`), `Failed to save ${req.params.kind}`));
+
+app.delete("/api/users/:userId/progress/:courseId/:kind(notes|bookmarks)/:itemId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'delete', progressPath(req, `/${req.params.kind}/${req.params.itemId}`), `Failed to delete ${req.params.kind}`));
+
+// Session history and time-of-day / day-of-week learning patterns
+app.get("/api/analytics/sessions/:userId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/analytics/sessions/${req.params.userId}`, "Failed to fetch session history"));
+
+app.get("/api/analytics/patterns/:userId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/analytics/patterns/${req.params.userId}`, "Failed to fetch learning patterns"));
+
+// Day-by-day activity for the streak calendar
+app.get("/api/users/:userId/activity-history", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/users/${req.params.userId}/activity-history`, "Failed to fetch activity history"));
+
+// Preferences such as the timezone streaks are counted in and sign player settings
+app.get("/api/users/:userId/preferences", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/users/${req.params.userId}/preferences`, "Failed to fetch preferences"));
+
+app.put("/api/users/:userId/preferences", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'put', `/users/${req.params.userId}/preferences`, "Failed to update preferences"));
+
+// Earned badges and progress towards locked ones
+app.get("/api/users/:userId/achievements", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/users/${req.params.userId}/achievements`, "Failed to fetch achievements"));
+
+// ========== LEARNER PROFILE PROXIES ==========
+
+// Guardian view of the learner profiles linked to the session account
+app.get("/learners", (req, res) => {
+    res.render("learners.ejs");
+});
+
+// List learner profiles
+app.get("/api/learners", requireAuth, async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/guardians/${req.caller._id}/learners`, {
+            headers: callerAuthHeaders(req)
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching learners:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch learners" });
     }
 });
 
+// Per-learner analytics summaries for the guardian view
+app.get("/api/learners/summary", requireAuth, async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/guardians/${req.caller._id}/learners/summary`, {
+            headers: callerAuthHeaders(req)
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching learner summaries:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch learner summaries" });
+    }
+});
+
+// Add a child learner profile
+app.post("/api/learners", requireAuth, async (req, res) => {
+    try {
+        const response = await axios.post(`${API_URL}/guardians/${req.caller._id}/learners`, req.body, {
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
+        });
+        res.status(201).json(response.data);
+    } catch (error) {
+        console.error("Error creating learner:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to create learner" });
+    }
+});
+
+// Remove a learner profile
+app.delete("/api/learners/:learnerId", requireAuth, async (req, res) => {
+    try {
+        const response = await axios.delete(`${API_URL}/guardians/${req.caller._id}/learners/${req.params.learnerId}`, {
+            headers: callerAuthHeaders(req)
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error removing learner:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to remove learner" });
+    }
+});
+
+// ========== REVIEW QUEUE PROXIES ==========
+
+// Spaced-repetition review page
+app.get("/review", (req, res) => {
+    res.render("review.ejs");
+});
+
+// Review queue proxies
+app.get("/api/review/due/:userId", authorizeParamUser('userId'), async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/review/due/${req.params.userId}`, {
+            params: req.query,
+            headers: callerAuthHeaders(req)
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching due reviews:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch reviews" });
+    }
+});
+
+app.post("/api/review/items", authorizeBodyUser, async (req, res) => {
+    try {
+        const response = await axios.post(`${API_URL}/review/items`, req.body, {
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error("Error adding review item:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to add review item" });
+    }
+});
+
+app.post("/api/review/grade", authorizeBodyUser, async (req, res) => {
+    try {
+        const response = await axios.post(`${API_URL}/review/grade`, req.body, {
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error recording review:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to record review" });
+    }
+});
+
+// ========== CLASSROOM PROXIES ==========
+
+// Forward a request to the API as the session user and relay the API's
+// status code, so validation and permission errors reach the browser
+async function forwardApiRequest(req, res, method, apiPath, failureMessage) {
+    try {
+        const response = await axios({
+            method,
+            url: `${API_URL}${apiPath}`,
+            params: req.query,
+            data: method === 'get' || method === 'delete' ? undefined : req.body,
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
+        });
+
+        // Downloads such as CSV reports are passed on as they are
+        const contentType = response.headers['content-type'] || '';
+        if (!contentType.includes('application/json')) {
+            if (response.headers['content-disposition']) {
+                res.set('Content-Disposition', response.headers['content-disposition']);
+            }
+            return res.status(response.status).type(contentType).send(response.data);
+        }
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error(`${failureMessage}:`, error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || failureMessage });
+    }
+}
+
+// Educator classroom management page
+app.get("/classrooms", async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/courses`, { params: { limit: 100 } });
+        res.render("classrooms.ejs", { courses: response.data.courses });
+    } catch (error) {
+        console.error("Error loading classrooms page:", error.message);
+        res.render("classrooms.ejs", { courses: [] });
+    }
+});
+
+app.get("/api/classrooms", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'get', '/classrooms', "Failed to fetch classes"));
+
+app.post("/api/classrooms", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'post', '/classrooms', "Failed to create class"));
+
+app.post("/api/classrooms/join", authorizeBodyUserOrSelf, (req, res) =>
+    forwardApiRequest(req, res, 'post', '/classrooms/join', "Failed to join class"));
+
+app.get("/api/classrooms/:classroomId", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'get', `/classrooms/${req.params.classroomId}`, "Failed to fetch class"));
+
+app.get("/api/classrooms/:classroomId/progress", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'get', `/classrooms/${req.params.classroomId}/progress`, "Failed to fetch class progress"));
+
+app.post("/api/classrooms/:classroomId/assignments", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'post', `/classrooms/${req.params.classroomId}/assignments`, "Failed to create assignment"));
+
+app.delete("/api/classrooms/:classroomId/assignments/:assignmentId", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'delete', `/classrooms/${req.params.classroomId}/assignments/${req.params.assignmentId}`, "Failed to delete assignment"));
+
+app.delete("/api/classrooms/:classroomId/students/:studentId", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'delete', `/classrooms/${req.params.classroomId}/students/${req.params.studentId}`, "Failed to remove student"));
+
+// A student's assignments, shown on the dashboard
+app.get("/api/users/:userId/assignments", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/users/${req.params.userId}/assignments`, "Failed to fetch assignments"));
+
+// Fetch a course for the tutorial pages, for the logged-in user or the
+// learner in ?userId= (a parent's or educator's learner profile)
+function fetchCourseVideo(req, courseId) {
+    return axios.get(`${API_URL}/videolib/${courseId}`, {
+        params: req.query.userId ? { userId: req.query.userId } : {},
+        headers: callerAuthHeaders(req)
+    });
+}
+
+// Courses with unmet prerequisites get the locked page, which shows the course
+// overview but no lessons (or the API's JSON for AJAX requests). Returns false
+// for any other error.
+function sendLockedCourse(req, res, error) {
+    const data = error.response?.data;
+    if (!data?.locked) return false;
+
+    if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+        res.status(403).json(data);
+    } else {
+        res.status(403).render("course-locked.ejs", { locked: data, userId: req.query.userId || '' });
+    }
+    return true;
+}
+
 // Existing routes for tutorials
 app.get("/tutorials/basics", async (req, res) => {
     try {
         // By default, load the Introduction video (001)
-        const response = await axios.get(`${API_URL}/videolib/001`);
+        const response = await fetchCourseVideo(req, '001');
         res.render("basics.ejs", {
             videos: response.data
         });
     } catch (error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching default video:", error.message);
         res.render("basics.ejs", {
             videos: null
@@ -332,7 +630,7 @@ app.get("/tutorials/basics", async (req, res) => {
 app.get("/tutorials/basics/:id", async (req,res) => {
     const videoId = req.params.id;
     try {
-        const response = await axios.get(`${API_URL}/videolib/${videoId}`);
+        const response = await fetchCourseVideo(req, videoId);
         
         // Check if this is an AJAX request (looks for XHR header or accepts JSON)
         const isAjaxRequest = req.xhr || req.headers.accept.indexOf('json') > -1;
@@ -349,6 +647,7 @@ app.get("/tutorials/basics/:id", async (req,res) => {
             });
         }
     } catch(error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching video:", error.message);
         if (req.xhr || req.headers.accept.indexOf('json') > -1) {
             res.status(500).json({message: "Error fetching the video"});
@@ -361,11 +660,12 @@ app.get("/tutorials/basics/:id", async (req,res) => {
 app.get("/tutorials/family-signs", async (req, res) => {
     try {
         // By default, load the Family Signs video (004)
-        const response = await axios.get(`${API_URL}/videolib/004`);
+        const response = await fetchCourseVideo(req, '004');
         res.render("family-signs.ejs", {
             videos: response.data
         });
     } catch (error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching default video:", error.message);
         res.render("family-signs.ejs", {
             videos: null
@@ -376,7 +676,7 @@ app.get("/tutorials/family-signs", async (req, res) => {
 app.get("/tutorials/family-signs/:id", async (req, res) => {
     const videoId = req.params.id;
     try {
-        const response = await axios.get(`${API_URL}/videolib/${videoId}`);
+        const response = await fetchCourseVideo(req, videoId);
         
         // Check if this is an AJAX request
         const isAjaxRequest = req.xhr || req.headers.accept.indexOf('json') > -1;
@@ -393,6 +693,7 @@ app.get("/tutorials/family-signs/:id", async (req, res) => {
             });
         }
     } catch(error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching video:", error.message);
         if (req.xhr || req.headers.accept.indexOf('json') > -1) {
             res.status(500).json({message: "Error fetching the video"});
@@ -405,11 +706,12 @@ app.get("/tutorials/family-signs/:id", async (req, res) => {
 app.get("/tutorials/emotions-expressions", async (req, res) => {
     try {
         // By default, load the Emotions Introduction video (007)
-        const response = await axios.get(`${API_URL}/videolib/005`);
+        const response = await fetchCourseVideo(req, '005');
         res.render("emotions-expressions.ejs", {
             videos: response.data
         });
     } catch (error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching default video:", error.message);
         res.render("emotions-expressions.ejs", {
             videos: null
@@ -420,7 +722,7 @@ app.get("/tutorials/emotions-expressions", async (req, res) => {
 app.get("/tutorials/emotions-expressions/:id", async (req, res) => {
     const videoId = req.params.id;
     try {
-        const response = await axios.get(`${API_URL}/videolib/${videoId}`);
+        const response = await fetchCourseVideo(req, videoId);
         
         // Check if this is an AJAX request
         const isAjaxRequest = req.xhr || req.headers.accept.indexOf('json') > -1;
@@ -437,6 +739,7 @@ app.get("/tutorials/emotions-expressions/:id", async (req, res) => {
             });
         }
     } catch(error) {
+        if (sendLockedCourse(req, res, error)) return;
         console.error("Error fetching video:", error.message);
         if (req.xhr || req.headers.accept.indexOf('json') > -1) {
             res.status(500).json({message: "Error fetching the video"});
@@ -446,6 +749,67 @@ app.get("/tutorials/emotions-expressions/:id", async (req, res) => {
     }
 });
 
+// Quiz bank proxies
+// Course dependency graph with locked/available/completed status
+app.get("/api/learning-path/:ageGroup", async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/learning-path/${req.params.ageGroup}`, {
+            params: req.query,
+            headers: callerAuthHeaders(req)
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching learning path:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch learning path" });
+    }
+});
+
+app.get("/api/quizzes", async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/quizzes`, { params: req.query });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching quiz:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch quiz" });
+    }
+});
+
+app.get("/api/courses/:courseId/quiz", async (req, res) => {
+    try {
+        const response = await axios.get(`${API_URL}/courses/${req.params.courseId}/quiz`);
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error fetching course quiz:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to fetch quiz" });
+    }
+});
+
+app.post("/api/courses/:courseId/quiz/sessions", (req, res, next) => req.body.userId ? authorizeBodyUser(req, res, next) : next(), async (req, res) => {
+    try {
+        const response = await axios.post(`${API_URL}/courses/${req.params.courseId}/quiz/sessions`, req.body, {
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) }
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error("Error starting quiz session:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to start quiz" });
+    }
+});
+
+app.post("/api/quizzes/sessions/:sessionId/answers", async (req, res) => {
+    try {
+        const response = await axios.post(`${API_URL}/quizzes/sessions/${req.params.sessionId}/answers`, req.body, {
+            headers: { 'Content-Type': 'application/json', ...callerAuthHeaders(req) },
+            // Video-response answers carry webcam frames
+            maxBodyLength: Infinity
+        });
+        res.json(response.data);
+    } catch (error) {
+        console.error("Error recording quiz answer:", error.message);
+        res.status(error.response?.status || 500).json({ message: error.response?.data?.message || "Failed to record answer" });
+    }
+});
+
 // Add Quiz Endpoints
 app.get("/tutorials/quiz", (req, res) => {
     res.render("quiz.ejs");
@@ -521,11 +885,12 @@ app.get("/report", (req, res) => {
 });
 
 // AI Tutor chat proxy endpoint
-app.post("/api/tutor/chat", async (req, res) => {
+app.post("/api/tutor/chat", authorizeBodyUser, async (req, res) => {
     try {
         const response = await axios.post(`${API_URL}/tutor/chat`, req.body, {
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...callerAuthHeaders(req)
             },
             timeout: 60000 // 60 second timeout for AI responses
         });
@@ -540,11 +905,59 @@ app.post("/api/tutor/chat", async (req, res) => {
     }
 });
 
+// Streaming AI Tutor chat proxy endpoint - passes the Server-Sent Events
+// through as they arrive
+app.post("/api/tutor/chat/stream", authorizeBodyUser, async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const response = await axios.post(`${API_URL}/tutor/chat/stream`, req.body, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...callerAuthHeaders(req)
+            },
+            responseType: 'stream',
+            signal: controller.signal
+        });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        response.data.on('error', error => {
+            if (!controller.signal.aborted) console.error("Tutor chat stream error:", error.message);
+            res.end();
+        });
+        response.data.pipe(res);
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("Tutor chat stream error:", error.message);
+        // Errors before the stream starts come back as a JSON body
+        let data = {};
+        try {
+            const chunks = [];
+            for await (const chunk of error.response?.data || []) chunks.push(chunk);
+            data = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        } catch {
+            // Not JSON; report the status only
+        }
+        res.status(error.response?.status || 500).json({
+            error: data.error || "Failed to process tutor request",
+            details: data.details || error.message
+        });
+    }
+});
+
 // AI Tutor profile proxy endpoint
-app.get("/api/tutor/profile/:userId", async (req, res) => {
+app.get("/api/tutor/profile/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
-        const response = await axios.get(`${API_URL}/tutor/profile/${userId}`);
+        const response = await axios.get(`${API_URL}/tutor/profile/${userId}`, {
+            headers: callerAuthHeaders(req)
+        });
         res.json(response.data);
     } catch (error) {
         console.error("Tutor profile error:", error.message);
@@ -555,6 +968,19 @@ app.get("/api/tutor/profile/:userId", async (req, res) => {
     }
 });
 
+// Saved tutor threads: list, resume, rename and delete
+app.get("/api/tutor/conversations/:userId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/tutor/conversations/${req.params.userId}`, "Failed to fetch conversations"));
+
+app.get("/api/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'get', `/tutor/conversations/${req.params.userId}/${encodeURIComponent(req.params.conversationId)}`, "Failed to fetch conversation"));
+
+app.put("/api/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'put', `/tutor/conversations/${req.params.userId}/${encodeURIComponent(req.params.conversationId)}`, "Failed to rename conversation"));
+
+app.delete("/api/tutor/conversations/:userId/:conversationId", authorizeParamUser('userId'), (req, res) =>
+    forwardApiRequest(req, res, 'delete', `/tutor/conversations/${req.params.userId}/${encodeURIComponent(req.params.conversationId)}`, "Failed to delete conversation"));
+
 // Get available signs
 app.get("/api/signs/available", async (req, res) => {
     try {
@@ -570,7 +996,10 @@ app.get("/api/signs/available", async (req, res) => {
 app.get("/api/signs/check/:word", async (req, res) => {
     try {
         const { word } = req.params;
-        const response = await axios.get(`${API_URL}/signs/check/${word}`);
+        const response = await axios.get(`${API_URL}/signs/check/${encodeURIComponent(word)}`, {
+            params: req.query,
+            headers: callerAuthHeaders(req)
+        });
         res.json(response.data);
     } catch (error) {
         console.error("Sign check error:", error.message);
@@ -578,6 +1007,35 @@ app.get("/api/signs/check/:word", async (req, res) => {
     }
 });
 
+// Sign catalog with metadata (?category=&difficulty=&q=)
+app.get("/api/signs", (req, res) =>
+    forwardApiRequest(req, res, 'get', '/signs', "Failed to fetch sign catalog"));
+
+// Signs to play for a piece of text (multi-word glosses, synonyms, lemmas, fingerspelling)
+app.post("/api/signs/lookup", (req, res) =>
+    forwardApiRequest(req, res, 'post', '/signs/lookup', "Failed to look up signs"));
+
+// Playlist for a piece of text, with video lengths and the text each sign covers
+app.post("/api/signs/sequence", (req, res) =>
+    forwardApiRequest(req, res, 'post', '/signs/sequence', "Failed to build sign sequence"));
+
+// Render the signs for a piece of text into one downloadable video
+app.post("/api/signs/render", requireAuth, (req, res) =>
+    forwardApiRequest(req, res, 'post', '/signs/render', "Failed to render sign video"));
+
+// Admin sign catalog maintenance
+app.get("/api/admin/signs", requireAdmin, (req, res) =>
+    forwardApiRequest(req, res, 'get', '/admin/signs', "Failed to fetch signs"));
+
+app.post("/api/admin/signs", requireAdmin, (req, res) =>
+    forwardApiRequest(req, res, 'post', '/admin/signs', "Failed to create sign"));
+
+app.put("/api/admin/signs/:signId", requireAdmin, (req, res) =>
+    forwardApiRequest(req, res, 'put', `/admin/signs/${encodeURIComponent(req.params.signId)}`, "Failed to update sign"));
+
+app.delete("/api/admin/signs/:signId", requireAdmin, (req, res) =>
+    forwardApiRequest(req, res, 'delete', `/admin/signs/${encodeURIComponent(req.params.signId)}`, "Failed to deactivate sign"));
+
 // ========== VOICE-ENABLED AI TUTOR ENDPOINTS ==========
 
 // Speech-to-Text proxy endpoint
@@ -623,11 +1081,12 @@ app.post("/api/voice/text-to-speech", async (req, res) => {
 });
 
 // Combined Voice Chat proxy endpoint
-app.post("/api/voice/chat", async (req, res) => {
+app.post("/api/voice/chat", authorizeBodyUser, async (req, res) => {
     try {
         const response = await axios.post(`${API_URL}/voice/chat`, req.body, {
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...callerAuthHeaders(req)
             },
             maxContentLength: Infinity,
             maxBodyLength: Infinity,
@@ -647,10 +1106,11 @@ app.post("/api/voice/chat", async (req, res) => {
 // ========== PARENT REPORT ENDPOINTS ==========
 
 // Generate parent report
-app.get("/api/report/generate/:userId", async (req, res) => {
+app.get("/api/report/generate/:userId", authorizeParamUser('userId'), async (req, res) => {
     try {
         const { userId } = req.params;
         const response = await axios.get(`${API_URL}/report/generate/${userId}`, {
+            headers: callerAuthHeaders(req),
             timeout: 60000 // 60 second timeout for AI report generation
         });
         res.json(response.data);
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+
+// Authorization helpers shared by the web server (index.js) and the API (api.js).
+//
+// index.js knows the caller from its express-session. When it proxies a request it
+// forwards a short-lived signed token so api.js, which has no session store, can
+// resolve the same caller and decide whether they may touch the requested userId.
+
+// There is no built-in key: one in the source would let anyone forge tokens
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || process.env.SESSION_SECRET;
+if (!TOKEN_SECRET) {
+    throw new Error('AUTH_TOKEN_SECRET or SESSION_SECRET must be set to sign caller tokens (see .env.example)');
+}
+const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes - tokens are minted per proxied request
+
+// Account types allowed to act on behalf of the learners linked to them
+export const GUARDIAN_USER_TYPES = ['parent', 'educator'];
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed token identifying a user
+ * @param {{ _id: string, userType?: string, role?: string }} user
+ * @returns {string}
+ */
+export function signUserToken(user) {
+    const payload = base64url(JSON.stringify({
+        sub: String(user._id),
+        userType: user.userType || 'other',
+        role: user.role || 'user',
+        exp: Date.now() + TOKEN_TTL_MS
+    }));
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a token created by signUserToken
+ * @param {string} token
+ * @returns {{ _id: string, userType: string, role: string } | null} the caller, or null if invalid or expired
+ */
+export function verifyUserToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data.sub || !data.exp || data.exp < Date.now()) return null;
+        return { _id: data.sub, userType: data.userType, role: data.role || 'user' };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Headers that carry the session user to the API
+ * @param {import('express').Request} req
+ * @returns {Object}
+ */
+export function callerAuthHeaders(req) {
+    const user = req.session?.user;
+    return user ? { Authorization: `Bearer ${signUserToken(user)}` } : {};
+}
+
+/**
+ * Middleware: set req.caller from the session or a Bearer token (if any)
+ */
+export function resolveCaller(req, res, next) {
+    const sessionUser = req.session?.user;
+    if (sessionUser?._id) {
+        req.caller = {
+            _id: String(sessionUser._id),
+            userType: sessionUser.userType || 'other',
+            role: sessionUser.role || 'user'
+        };
+        return next();
+    }
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        req.caller = verifyUserToken(header.slice(7)) || null;
+    }
+    next();
+}
+
+/**
+ * Middleware: reject requests without an authenticated caller
+ */
+export function requireAuth(req, res, next) {
+    resolveCaller(req, res, () => {
+        if (!req.caller) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+        next();
+    });
+}
+
+/**
+ * Middleware: reject callers that are not platform admins
+ */
+export function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+        if (req.caller.role !== 'admin') {
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    });
+}
+
+/**
+ * Build middleware that only lets the caller act on their own userId, or on a
+ * learner linked to them when they are a parent or educator.
+ *
+ * @param {(req: import('express').Request) => string | undefined} getTargetUserId
+ * @param {Object} [options]
+ * @param {(caller: Object, learnerId: string) => Promise<boolean>} [options.canAccessLearner]
+ *        Link lookup for guardians. When omitted (index.js has no database) guardian
+ *        requests are passed on and the API makes the final decision.
+ * @param {boolean} [options.allowMissing] Let requests that name no user through,
+ *        for routes that then act on the caller. Otherwise they are rejected with 400.
+ */
+export function authorizeUserAccess(getTargetUserId, { canAccessLearner, allowMissing = false } = {}) {
+    return (req, res, next) => {
+        requireAuth(req, res, async () => {
+            const targetUserId = getTargetUserId(req);
+            if (!targetUserId) {
+                return allowMissing ? next() : res.status(400).json({ error: "userId is required" });
+            }
+            if (String(targetUserId) === req.caller._id) {
+                return next();
+            }
+
+            if (!GUARDIAN_USER_TYPES.includes(req.caller.userType)) {
+                return res.status(403).json({ error: "You can only access your own data" });
+            }
+
+            if (!canAccessLearner) {
+                return next();
+            }
+
+            try {
+                if (await canAccessLearner(req.caller, String(targetUserId))) {
+                    return next();
+                }
+                res.status(403).json({ error: "This learner is not linked to your account" });
+            } catch (error) {
+                console.error("Authorization check error:", error);
+                res.status(500).json({ error: "Failed to verify access" });
+            }
+        });
+    };
+}
+
+export default {
+    signUserToken,
+    verifyUserToken,
+    callerAuthHeaders,
+    resolveCaller,
+    requireAuth,
+    requireAdmin,
+    authorizeUserAccess
+};
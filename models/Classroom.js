@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Join codes avoid characters that are easy to misread (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const assignmentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['course', 'quiz'],
+        required: true
+    },
+    courseId: {
+        type: String,
+        required: [true, 'Course ID is required'],
+        trim: true
+    },
+    // Set for quiz assignments; attempts are matched on courseId + quizId
+    quizId: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    instructions: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Instructions cannot exceed 1000 characters']
+    },
+    dueDate: {
+        type: Date,
+        default: null
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const classroomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Class name is required'],
+        trim: true,
+        maxlength: [100, 'Class name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    educatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    joinCode: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    students: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        joinedAt: { type: Date, default: Date.now }
+    }],
+    assignments: [assignmentSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+classroomSchema.index({ 'students.userId': 1 });
+
+// Virtual for roster size
+classroomSchema.virtual('studentCount').get(function() {
+    return this.students ? this.students.length : 0;
+});
+
+// Instance methods
+classroomSchema.methods.hasStudent = function(userId) {
+    return this.students.some(s => s.userId.toString() === userId.toString());
+};
+
+classroomSchema.methods.addStudent = function(userId) {
+    if (!this.hasStudent(userId)) {
+        this.students.push({ userId, joinedAt: new Date() });
+    }
+    return this.save();
+};
+
+classroomSchema.methods.removeStudent = function(userId) {
+    this.students = this.students.filter(s => s.userId.toString() !== userId.toString());
+    return this.save();
+};
+
+classroomSchema.methods.addAssignment = function(assignment) {
+    this.assignments.push({
+        ...assignment,
+        type: assignment.quizId ? 'quiz' : 'course',
+        assignedAt: new Date()
+    });
+    return this.save();
+};
+
+// Static methods
+classroomSchema.statics.generateJoinCode = function() {
+    const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+    return Array.from(bytes, b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+};
+
+classroomSchema.statics.findByJoinCode = function(joinCode) {
+    return this.findOne({ joinCode: joinCode.trim().toUpperCase(), isActive: true });
+};
+
+classroomSchema.statics.findForEducator = function(educatorId) {
+    return this.find({ educatorId, isActive: true }).sort({ createdAt: -1 });
+};
+
+classroomSchema.statics.findForStudent = function(userId) {
+    return this.find({ 'students.userId': userId, isActive: true }).sort({ createdAt: -1 });
+};
+
+const Classroom = mongoose.model('Classroom', classroomSchema);
+export default Classroom;
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Section id used for courses that have no explicit content.sections
+const MAIN_SECTION_ID = 'main';
+
 const courseSchema = new mongoose.Schema({
     id: {
         type: String,
@@ -125,7 +128,15 @@ const courseSchema = new mongoose.Schema({
                 question: String,
                 type: { type: String, enum: ['multiple-choice', 'video-response', 'matching'] },
                 options: [String],
+                // multiple-choice: the correct option; video-response: the sign label
+                // the recognition model should see (e.g. "one", "a")
                 correctAnswer: String,
+                videoUrl: String, // sign clip shown with the question
+                // matching: each clip is matched to its answer
+                pairs: [{
+                    videoUrl: String,
+                    answer: String
+                }],
                 explanation: String
             }],
             passingScore: { type: Number, default: 70 }
@@ -173,6 +184,11 @@ courseSchema.virtual('difficultyLevel').get(function() {
     return levels[this.difficulty];
 });
 
+// Virtual for the id quiz attempts are recorded under
+courseSchema.virtual('quizId').get(function() {
+    return `quiz-${this.id}`;
+});
+
 // Instance methods
 courseSchema.methods.incrementViews = function() {
     this.analytics.views += 1;
@@ -196,6 +212,115 @@ courseSchema.methods.addRating = function(rating) {
     return this.save();
 };
 
+// Sections progress is tracked against. A course without explicit sections is
+// one section covering its main video.
+courseSchema.methods.getSections = function() {
+    const sections = this.content?.sections || [];
+    if (sections.length === 0) {
+        return [{
+            sectionId: MAIN_SECTION_ID,
+            title: this.title,
+            videoUrl: this.video,
+            duration: this.durationMinutes,
+            order: 1
+        }];
+    }
+
+    return [...sections]
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .map(section => ({
+            sectionId: section._id.toString(),
+            title: section.title,
+            description: section.description,
+            videoUrl: section.videoUrl,
+            duration: section.duration,
+            order: section.order
+        }));
+};
+
+// Prerequisite course ids the learner has not completed yet
+courseSchema.methods.getMissingPrerequisites = function(completedCourseIds = []) {
+    const completed = new Set(completedCourseIds);
+    return (this.prerequisites || []).filter(id => !completed.has(id));
+};
+
+// Quiz questions as sent to learners, without the answer key
+courseSchema.methods.getPublicQuiz = function() {
+    const quiz = this.content?.quiz;
+    return {
+        courseId: this.id,
+        quizId: this.quizId,
+        title: this.title,
+        category: this.category,
+        ageGroup: this.ageGroup,
+        passingScore: quiz?.passingScore ?? 70,
+        questions: (quiz?.questions || []).map(toPublicQuestion)
+    };
+};
+
+// Check a learner's answer to one question. Matching answers are an array of
+// choices in the same order as the question's pairs.
+courseSchema.methods.checkQuizAnswer = function(questionId, answer) {
+    const question = this.content?.quiz?.questions?.id(questionId);
+    if (!question) return null;
+
+    if (question.type === 'matching') {
+        const choices = Array.isArray(answer) ? answer : [];
+        const results = question.pairs.map((pair, i) => answersMatch(choices[i], pair.answer));
+        return {
+            isCorrect: results.length > 0 && results.every(Boolean),
+            results,
+            correctAnswer: question.pairs.map(pair => pair.answer),
+            explanation: question.explanation
+        };
+    }
+
+    return {
+        isCorrect: answersMatch(answer, question.correctAnswer),
+        correctAnswer: question.correctAnswer,
+        explanation: question.explanation
+    };
+};
+
+function answersMatch(given, expected) {
+    if (typeof given !== 'string' || typeof expected !== 'string') return false;
+    return given.trim().toLowerCase() === expected.trim().toLowerCase();
+}
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function toPublicQuestion(question) {
+    const base = {
+        questionId: question._id.toString(),
+        type: question.type,
+        question: question.question,
+        videoUrl: question.videoUrl || null
+    };
+
+    switch (question.type) {
+        case 'multiple-choice':
+            return { ...base, options: question.options };
+        case 'video-response':
+            // Answered with webcam frames, recognised and checked by the API
+            return base;
+        case 'matching':
+            return {
+                ...base,
+                items: question.pairs.map(pair => ({ videoUrl: pair.videoUrl })),
+                choices: shuffle(question.pairs.map(pair => pair.answer))
+            };
+        default:
+            return base;
+    }
+}
+
 // Static methods
 courseSchema.statics.findByAgeGroup = function(ageGroup) {
     return this.find({ ageGroup, isPublished: true }).sort({ order: 1 });
@@ -215,15 +340,56 @@ courseSchema.statics.getPopular = function(limit = 10) {
         .limit(limit);
 };
 
+// First published course with quiz questions matching the filters
+courseSchema.statics.findQuizCourse = function({ category, ageGroup } = {}) {
+    const query = { isPublished: true, 'content.quiz.questions.0': { $exists: true } };
+    if (category) query.category = category;
+    if (ageGroup) query.ageGroup = ageGroup;
+    return this.findOne(query).sort({ id: 1 });
+};
+
 courseSchema.statics.getRecommendedForUser = function(ageGroup, completedCourses = []) {
-    // Get courses for age group that user hasn't completed
+    // Get courses for age group that user hasn't completed and whose
+    // prerequisites are all completed
     return this.find({ 
         ageGroup, 
         isPublished: true,
-        id: { $nin: completedCourses }
+        id: { $nin: completedCourses },
+        prerequisites: { $not: { $elemMatch: { $nin: completedCourses } } }
     }).sort({ difficultyLevel: 1, order: 1 });
 };
 
+// Prerequisite cycles in a list of courses ({ id, prerequisites }), each
+// reported as the course ids along the loop, e.g. ['003', '004', '003']
+courseSchema.statics.findPrerequisiteCycles = function(courses) {
+    const prerequisitesById = new Map(courses.map(c => [c.id, c.prerequisites || []]));
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const cycles = [];
+
+    const visit = (id, trail) => {
+        if (state.get(id) === 'done' || !prerequisitesById.has(id)) return;
+        if (state.get(id) === 'visiting') {
+            cycles.push([...trail.slice(trail.indexOf(id)), id]);
+            return;
+        }
+
+        state.set(id, 'visiting');
+        prerequisitesById.get(id).forEach(prereq => visit(prereq, [...trail, id]));
+        state.set(id, 'done');
+    };
+
+    courses.forEach(c => visit(c.id, []));
+    return cycles;
+};
+
+// Prerequisite ids that do not match any course in the list
+courseSchema.statics.findUnknownPrerequisites = function(courses) {
+    const ids = new Set(courses.map(c => c.id));
+    return courses.flatMap(c => (c.prerequisites || [])
+        .filter(prereq => !ids.has(prereq))
+        .map(prereq => ({ courseId: c.id, prerequisite: prereq })));
+};
+
 // Pre-save middleware
 courseSchema.pre('save', function(next) {
     // Convert duration to minutes for sorting/filtering
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import LearningEvent from './LearningEvent.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One learner's learning activity on one calendar day (in their timezone),
+// rolled up from LearningEvents. Rebuilt for a day whenever events for it arrive.
+// Events are only ever added, so a rebuild that counted fewer events than the
+// stored rollup ran on older data (an overlapping batch) and is not written.
+const dailyActivitySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD
+    timezone: { type: String, default: 'UTC' },
+    weekday: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+    activeMs: { type: Number, default: 0 },
+    // Active time per hour of the day (24 entries, local time)
+    hourlyActiveMs: { type: [Number], default: () => Array(24).fill(0) },
+    sessions: { type: Number, default: 0 },
+    events: { type: Number, default: 0 },
+    courses: [{ type: String }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+dailyActivitySchema.index({ userId: 1, day: 1 }, { unique: true });
+
+// A guarded upsert whose rollup already holds more events matches nothing and
+// then collides with it on insert; that duplicate key is the write skipped
+function skipNewerRollups(error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000)) return;
+    throw error;
+}
+
+// Static methods
+
+// Recompute the rollups of the given calendar days from the raw events
+dailyActivitySchema.statics.rebuildDays = async function(userId, days, timezone = 'UTC') {
+    const wanted = [...new Set(days)].sort();
+    if (wanted.length === 0) return [];
+
+    // Any timezone is within a day of UTC, so this window covers every wanted day
+    const from = new Date(Date.parse(wanted[0]) - DAY_MS);
+    const to = new Date(Date.parse(wanted[wanted.length - 1]) + 2 * DAY_MS);
+    const learnerId = new mongoose.Types.ObjectId(String(userId));
+
+    const hours = await LearningEvent.aggregate([
+        { $match: { userId: learnerId, ts: { $gte: from, $lt: to } } },
+        { $addFields: { day: { $dateToString: { format: "%Y-%m-%d", date: "$ts", timezone } } } },
+        { $match: { day: { $in: wanted } } },
+        {
+            $group: {
+                _id: { day: "$day", hour: { $hour: { date: "$ts", timezone } } },
+                activeMs: { $sum: "$activeMs" },
+                events: { $sum: 1 },
+                sessions: { $addToSet: "$sessionId" },
+                courses: { $addToSet: "$courseId" }
+            }
+        }
+    ]);
+
+    const rollups = new Map();
+    for (const bucket of hours) {
+        const { day, hour } = bucket._id;
+        if (!rollups.has(day)) {
+            rollups.set(day, {
+                userId: learnerId,
+                day,
+                timezone,
+                weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+                activeMs: 0,
+                hourlyActiveMs: Array(24).fill(0),
+                sessionIds: new Set(),
+                events: 0,
+                courses: new Set()
+            });
+        }
+        const rollup = rollups.get(day);
+        rollup.activeMs += bucket.activeMs;
+        rollup.hourlyActiveMs[hour] += bucket.activeMs;
+        rollup.events += bucket.events;
+        bucket.sessions.filter(Boolean).forEach(id => rollup.sessionIds.add(id));
+        bucket.courses.forEach(id => rollup.courses.add(id));
+    }
+
+    const docs = [...rollups.values()].map(({ sessionIds, courses, ...rollup }) => ({
+        ...rollup,
+        sessions: sessionIds.size,
+        courses: [...courses]
+    }));
+    const emptyDays = wanted.filter(day => !rollups.has(day));
+
+    await Promise.all([
+        docs.length > 0 && this.bulkWrite(docs.map(doc => ({
+            replaceOne: {
+                filter: { userId: learnerId, day: doc.day, events: { $lte: doc.events } },
+                replacement: doc,
+                upsert: true
+            }
+        })), { ordered: false }).catch(skipNewerRollups),
+        emptyDays.length > 0 && this.deleteMany({ userId: learnerId, day: { $in: emptyDays } })
+    ]);
+    return docs;
+};
+
+// Recompute every rollup of a learner, e.g. after their timezone changed
+dailyActivitySchema.statics.rebuildAll = async function(userId, timezone = 'UTC') {
+    const learnerId = new mongoose.Types.ObjectId(String(userId));
+    const days = await LearningEvent.aggregate([
+        { $match: { userId: learnerId } },
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$ts", timezone } } } }
+    ]);
+
+    await this.deleteMany({ userId: learnerId });
+    const wanted = days.map(d => d._id).sort();
+    // A month at a time keeps each aggregation window small
+    for (let i = 0; i < wanted.length; i += 31) {
+        await this.rebuildDays(learnerId, wanted.slice(i, i + 31), timezone);
+    }
+    return wanted.length;
+};
+
+// Rollups for a list of calendar days, keyed by day
+dailyActivitySchema.statics.findDays = async function(userId, days) {
+    const rollups = await this.find({ userId, day: { $in: days } });
+    return new Map(rollups.map(rollup => [rollup.day, rollup]));
+};
+
+const DailyActivity = mongoose.model('DailyActivity', dailyActivitySchema);
+export default DailyActivity;
@@ -1,9 +1,16 @@
 import mongoose from 'mongoose';
 
+const LEARNING_EVENT_TYPES = ['start', 'pause', 'resume', 'heartbeat', 'end'];
+// Client timestamps are trusted within this window; others get the server time
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
 const learningEventSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     courseId: { type: String, required: true, index: true },
-    type: { type: String, enum: ['start', 'pause', 'resume', 'heartbeat', 'end'], required: true },
+    // Id generated by the client so a resent event is only stored once
+    clientEventId: { type: String },
+    type: { type: String, enum: LEARNING_EVENT_TYPES, required: true },
     sessionId: { type: String, index: true },
     activeMs: { type: Number, default: 0, min: 0 },
     progressPercentage: { type: Number, min: 0, max: 100 },
@@ -17,6 +24,66 @@ const learningEventSchema = new mongoose.Schema({
 });
 
 learningEventSchema.index({ userId: 1, courseId: 1, ts: -1 });
+learningEventSchema.index(
+    { userId: 1, clientEventId: 1 },
+    { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } }
+);
+
+// Static methods
+
+// Store a batch of events for one learner. Events carrying a clientEventId
+// that was already stored are skipped, so a batch can safely be resent.
+// Resolves to the events that were newly stored and the counts of duplicate
+// and malformed ones.
+learningEventSchema.statics.recordBatch = async function(userId, events, { userAgent } = {}) {
+    const now = Date.now();
+    const valid = [];
+    let rejected = 0;
+
+    for (const event of events) {
+        if (!event || typeof event.courseId !== 'string' || !event.courseId || !LEARNING_EVENT_TYPES.includes(event.type)) {
+            rejected++;
+            continue;
+        }
+        const clientTs = Date.parse(event.ts);
+        const ts = clientTs > now - MAX_EVENT_AGE_MS && clientTs < now + MAX_CLOCK_SKEW_MS ? new Date(clientTs) : new Date(now);
+        const progressPercentage = Number(event.progressPercentage);
+        valid.push({
+            userId,
+            courseId: event.courseId,
+            clientEventId: typeof event.eventId === 'string' ? event.eventId : undefined,
+            type: event.type,
+            sessionId: typeof event.sessionId === 'string' ? event.sessionId : undefined,
+            activeMs: Math.max(0, Math.round(Number(event.activeMs) || 0)),
+            progressPercentage: progressPercentage >= 0 && progressPercentage <= 100 ? progressPercentage : undefined,
+            ts,
+            source: typeof event.source === 'string' ? event.source : 'web',
+            userAgent,
+            meta: event.meta
+        });
+    }
+
+    const operations = valid.map(doc => doc.clientEventId
+        ? { updateOne: { filter: { userId, clientEventId: doc.clientEventId }, update: { $setOnInsert: doc }, upsert: true } }
+        : { insertOne: { document: doc } });
+    if (operations.length === 0) return { stored: [], duplicates: 0, rejected };
+
+    let result;
+    try {
+        result = await this.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        // A concurrent resend of the same event loses the race on the unique index
+        if (!error.writeErrors || error.writeErrors.some(e => e.code !== 11000)) throw error;
+        result = error.result;
+    }
+
+    const storedIndexes = new Set([
+        ...Object.keys(result.upsertedIds || {}).map(Number),
+        ...Object.keys(result.insertedIds || {}).map(Number)
+    ]);
+    const stored = valid.filter((_, i) => storedIndexes.has(i));
+    return { stored, duplicates: valid.length - stored.length, rejected };
+};
 
 const LearningEvent = mongoose.model('LearningEvent', learningEventSchema);
 export default LearningEvent;
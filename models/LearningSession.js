@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import LearningEvent from './LearningEvent.js';
+
+// A gap without events longer than this ends a session; the next event starts a new one
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// A stretch of learning reconstructed from the LearningEvents sharing a
+// sessionId (one page visit). Rebuilt from the raw events whenever new ones
+// arrive; overlapping rebuilds are ordered by sourceEvents (see rebuild).
+const learningSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sessionId: { type: String, required: true },
+    // sessionId, plus "#n" for the n-th stretch after an idle gap
+    sessionKey: { type: String, required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    durationMs: { type: Number, default: 0 },
+    activeMs: { type: Number, default: 0 },
+    activeRatio: { type: Number, default: 0 }, // 0-1, active time over duration
+    courses: [{ type: String }],
+    eventCount: { type: Number, default: 0 },
+    // Events of the whole sessionId this was built from. Events are only
+    // added, so a rebuild from fewer ran on older data.
+    sourceEvents: { type: Number, default: 0 },
+    // How the session ended: an explicit 'end' beat, an idle gap, or still open
+    endedWith: { type: String, enum: ['end', 'idle', 'open'], default: 'open' },
+    // Where the learner stopped: the course and progress of the last event
+    dropOff: {
+        courseId: String,
+        progressPercentage: Number,
+        at: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+learningSessionSchema.index({ userId: 1, sessionKey: 1 }, { unique: true });
+learningSessionSchema.index({ userId: 1, startedAt: -1 });
+
+// Split one sessionId's events (sorted by ts) into sessions at idle gaps
+function splitAtIdleGaps(events) {
+    const stretches = [];
+    let current = [];
+    for (const event of events) {
+        const previous = current[current.length - 1];
+        if (previous && event.ts - previous.ts > SESSION_IDLE_MS) {
+            stretches.push(current);
+            current = [];
+        }
+        current.push(event);
+    }
+    if (current.length > 0) stretches.push(current);
+    return stretches;
+}
+
+function summarize(userId, sessionId, events, index, isLast, now, sourceEvents) {
+    const first = events[0];
+    const last = events[events.length - 1];
+    const durationMs = last.ts - first.ts;
+    const activeMs = events.reduce((sum, e) => sum + (e.activeMs || 0), 0);
+
+    let endedWith = 'open';
+    if (last.type === 'end') endedWith = 'end';
+    else if (!isLast || now - last.ts > SESSION_IDLE_MS) endedWith = 'idle';
+
+    return {
+        userId,
+        sessionId,
+        sessionKey: index === 0 ? sessionId : `${sessionId}#${index}`,
+        startedAt: first.ts,
+        endedAt: last.ts,
+        durationMs,
+        activeMs,
+        activeRatio: durationMs > 0 ? Math.min(1, Math.round((activeMs / durationMs) * 100) / 100) : 0,
+        courses: [...new Set(events.map(e => e.courseId))],
+        eventCount: events.length,
+        endedWith,
+        dropOff: { courseId: last.courseId, progressPercentage: last.progressPercentage, at: last.ts },
+        sourceEvents
+    };
+}
+
+// A guarded upsert that finds a session built from more events matches nothing
+// and collides with it on insert; that duplicate key is the skipped write
+function skipNewerSessions(error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000)) return;
+    throw error;
+}
+
+// Static methods
+
+// Rebuild a learner's sessions for the given sessionIds from their raw events.
+// Two batches can rebuild the same sessionId at once (the end beat sent on
+// page exit and a flush of queued events). A session is only replaced by a
+// rebuild from at least as many events, and afterwards every stretch left
+// from an older rebuild (one that later events merged away) is removed.
+learningSessionSchema.statics.rebuild = async function(userId, sessionIds) {
+    const ids = [...new Set(sessionIds.filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const events = await LearningEvent.find({ userId, sessionId: { $in: ids } })
+        .select('sessionId courseId type activeMs progressPercentage ts')
+        .sort({ ts: 1 })
+        .lean();
+
+    const bySession = new Map(ids.map(id => [id, []]));
+    events.forEach(event => bySession.get(event.sessionId).push(event));
+
+    const now = Date.now();
+    const sessions = [];
+    for (const [sessionId, sessionEvents] of bySession) {
+        const stretches = splitAtIdleGaps(sessionEvents);
+        stretches.forEach((stretch, i) => {
+            sessions.push(summarize(userId, sessionId, stretch, i, i === stretches.length - 1, now, sessionEvents.length));
+        });
+    }
+
+    if (sessions.length > 0) {
+        await this.bulkWrite(sessions.map(session => ({
+            replaceOne: {
+                filter: {
+                    userId,
+                    sessionKey: session.sessionKey,
+                    $or: [{ sourceEvents: { $lte: session.sourceEvents } }, { sourceEvents: { $exists: false } }]
+                },
+                replacement: session,
+                upsert: true
+            }
+        })), { ordered: false }).catch(skipNewerSessions);
+    }
+
+    // Whatever is older than the newest build of a sessionId: stretches that
+    // merged after late events arrived, or ones a stale rebuild wrote
+    const latest = await this.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), sessionId: { $in: ids } } },
+        { $group: { _id: "$sessionId", sourceEvents: { $max: "$sourceEvents" } } }
+    ]);
+    await Promise.all(latest.filter(({ sourceEvents }) => sourceEvents != null).map(({ _id, sourceEvents }) =>
+        this.deleteMany({
+            userId,
+            sessionId: _id,
+            $or: [{ sourceEvents: { $lt: sourceEvents } }, { sourceEvents: { $exists: false } }]
+        })
+    ));
+    return sessions;
+};
+
+// A learner's sessions, newest first. Sessions that were still open when last
+// rebuilt but have seen no events since are reported as ended by idling.
+learningSessionSchema.statics.findRecent = async function(userId, { limit = 20, before, since } = {}) {
+    const query = { userId };
+    if (before || since) {
+        query.startedAt = {};
+        if (before) query.startedAt.$lt = before;
+        if (since) query.startedAt.$gte = since;
+    }
+    const sessions = await this.find(query).sort({ startedAt: -1 }).limit(limit);
+
+    const now = Date.now();
+    sessions.forEach(session => {
+        if (session.endedWith === 'open' && now - session.endedAt > SESSION_IDLE_MS) {
+            session.endedWith = 'idle';
+        }
+    });
+    return sessions;
+};
+
+const LearningSession = mongoose.model('LearningSession', learningSessionSchema);
+export default LearningSession;
@@ -4,6 +4,8 @@ const quizAttemptSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     courseId: { type: String, required: true, index: true },
     quizId: { type: String, required: true },
+    // The quiz session the score was computed from
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizSession', index: true },
     attemptNo: { type: Number, required: true },
     startedAt: { type: Date, default: Date.now },
     submittedAt: { type: Date },
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// How long an issued quiz session can be answered and submitted
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+const quizSessionSchema = new mongoose.Schema({
+    // Null for guests; only sessions issued to a user can be submitted as attempts
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    courseId: { type: String, required: true },
+    quizId: { type: String, required: true },
+    questionIds: [{ type: String }],
+    answers: [{
+        questionId: { type: String, required: true },
+        // The option, sign label (recognition result) or list of matches given
+        answer: { type: mongoose.Schema.Types.Mixed },
+        correct: { type: Boolean, required: true },
+        timeMs: { type: Number, default: 0 },
+        answeredAt: { type: Date, default: Date.now }
+    }],
+    status: {
+        type: String,
+        enum: ['active', 'submitted'],
+        default: 'active'
+    },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: () => new Date(Date.now() + SESSION_TTL_MS) },
+    attemptId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizAttempt', default: null }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+// MongoDB removes every session once it expires, submitted or not; the
+// result of a submitted one lives on its QuizAttempt (attemptId)
+quizSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+quizSessionSchema.methods.isOpen = function() {
+    return this.status === 'active' && this.expiresAt > new Date();
+};
+
+quizSessionSchema.methods.hasAnswered = function(questionId) {
+    return this.answers.some(a => a.questionId === String(questionId));
+};
+
+// Score the recorded answers; unanswered questions count as wrong
+quizSessionSchema.methods.computeScore = function(passingScore = 70) {
+    const totalQuestions = this.questionIds.length;
+    const correct = this.answers.filter(a => a.correct).length;
+    const score = totalQuestions ? Math.round((correct / totalQuestions) * 100) : 0;
+
+    return { totalQuestions, correct, score, passed: score >= passingScore };
+};
+
+// Static methods
+quizSessionSchema.statics.issue = function(course, userId = null) {
+    return this.create({
+        userId,
+        courseId: course.id,
+        quizId: course.quizId,
+        questionIds: (course.content?.quiz?.questions || []).map(q => q._id.toString())
+    });
+};
+
+// Record one answer atomically so a question can only be answered once per session
+quizSessionSchema.statics.recordAnswer = function(sessionId, answer) {
+    return this.findOneAndUpdate(
+        {
+            _id: sessionId,
+            status: 'active',
+            expiresAt: { $gt: new Date() },
+            'answers.questionId': { $ne: answer.questionId }
+        },
+        { $push: { answers: { ...answer, answeredAt: new Date() } } },
+        { new: true }
+    );
+};
+
+// Close an open session; returns null if it was already submitted or has expired
+quizSessionSchema.statics.close = function(sessionId) {
+    return this.findOneAndUpdate(
+        { _id: sessionId, status: 'active', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'submitted' } },
+        { new: true }
+    );
+};
+
+const QuizSession = mongoose.model('QuizSession', quizSessionSchema);
+export default QuizSession;
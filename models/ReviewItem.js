@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+// One sign word a learner is reviewing, scheduled with the SM-2 algorithm
+const reviewItemSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Upper-case sign name, as keyed in the sign video library
+    sign: { type: String, required: true, uppercase: true, trim: true },
+    videoPath: { type: String, required: true },
+    easeFactor: { type: Number, default: 2.5, min: MIN_EASE_FACTOR },
+    interval: { type: Number, default: 0 }, // in days
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueAt: { type: Date, default: Date.now },
+    lastReviewedAt: { type: Date },
+    lastGrade: { type: Number, min: 0, max: 5 },
+    // When a quiz question on the sign was first answered correctly or its
+    // review first passed; unset until then
+    learnedAt: { type: Date },
+    // Where the sign was picked up from
+    sources: [{ type: String, enum: ['quiz', 'tutor', 'manual'] }],
+    reviews: [{
+        grade: { type: Number, min: 0, max: 5, required: true },
+        method: { type: String, enum: ['self', 'webcam'], default: 'self' },
+        reviewedAt: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; delete ret.reviews; return ret; } }
+});
+
+reviewItemSchema.index({ userId: 1, sign: 1 }, { unique: true });
+reviewItemSchema.index({ userId: 1, dueAt: 1 });
+
+// Instance methods
+
+// Apply a review grade (0-5, 3 or more is a pass) and schedule the next review
+reviewItemSchema.methods.applyGrade = function(grade, method = 'self') {
+    const now = new Date();
+
+    if (grade < 3) {
+        this.repetitions = 0;
+        this.interval = 1;
+        this.lapses += 1;
+    } else {
+        this.repetitions += 1;
+        if (this.repetitions === 1) this.interval = 1;
+        else if (this.repetitions === 2) this.interval = 6;
+        else this.interval = Math.round(this.interval * this.easeFactor);
+    }
+
+    const ease = this.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+    this.easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(ease * 100) / 100);
+
+    this.lastGrade = grade;
+    this.lastReviewedAt = now;
+    if (grade >= 3 && !this.learnedAt) this.learnedAt = now;
+    this.dueAt = new Date(now.getTime() + this.interval * DAY_MS);
+    this.reviews.push({ grade, method, reviewedAt: now });
+
+    return this.save();
+};
+
+// Static methods
+
+// Add a sign to a learner's queue. Missed signs are due again now; signs that
+// were looked up or answered correctly come up for a first review the next
+// day. learned marks the sign as learned (a correct quiz answer).
+reviewItemSchema.statics.enqueue = function(userId, { sign, videoPath }, source, { missed = false, learned = false } = {}) {
+    const now = new Date();
+    const firstDue = missed ? now : new Date(now.getTime() + DAY_MS);
+
+    const update = {
+        $setOnInsert: { videoPath },
+        $addToSet: { sources: source }
+    };
+    if (missed) {
+        update.$min = { dueAt: firstDue };
+    } else {
+        update.$setOnInsert.dueAt = firstDue;
+    }
+    if (learned) update.$min = { ...update.$min, learnedAt: now };
+
+    return this.findOneAndUpdate(
+        { userId, sign: sign.toUpperCase() },
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Distinct signs a learner has learned. Items whose review was passed before
+// learnedAt was recorded count by their last grade.
+reviewItemSchema.statics.countLearned = function(userId) {
+    return this.countDocuments({
+        userId,
+        $or: [{ learnedAt: { $exists: true } }, { lastGrade: { $gte: 3 } }]
+    });
+};
+
+reviewItemSchema.statics.findDue = function(userId, limit = 20) {
+    return this.find({ userId, dueAt: { $lte: new Date() } })
+        .sort({ dueAt: 1 })
+        .limit(limit);
+};
+
+const ReviewItem = mongoose.model('ReviewItem', reviewItemSchema);
+export default ReviewItem;
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+// Where the sign video files are served from
+const SIGN_VIDEO_URL = '/assets/videos/signs';
+const VIDEO_FORMATS = ['webm', 'mp4'];
+
+const signVideoSchema = new mongoose.Schema({
+    path: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^\/assets\/videos\/[\w\-./ ()]+\.(webm|mp4)$/i, 'Video path must be a .webm or .mp4 file under /assets/videos']
+    },
+    format: { type: String, enum: VIDEO_FORMATS, default: 'webm' },
+    // e.g. "standard", "alternate", "slow"
+    label: { type: String, trim: true, default: 'standard' },
+    // Length of the video, read from the file; null until it is measured
+    durationMs: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+// One sign in the video library: its gloss, the words that map to it, how it
+// is formed and the videos that show it
+const signSchema = new mongoose.Schema({
+    // Upper-case English word the sign is known by, e.g. "THANK-YOU"
+    gloss: {
+        type: String,
+        required: [true, 'Gloss is required'],
+        uppercase: true,
+        trim: true,
+        maxlength: [50, 'Gloss cannot exceed 50 characters']
+    },
+    // Other words and spellings that should show this sign
+    synonyms: [{ type: String, uppercase: true, trim: true }],
+    category: { type: String, lowercase: true, trim: true, default: 'general', index: true },
+    handshape: { type: String, trim: true, default: null },
+    location: { type: String, trim: true, default: null },
+    movement: { type: String, trim: true, default: null },
+    difficulty: {
+        type: String,
+        enum: ['Beginner', 'Intermediate', 'Advanced'],
+        default: 'Beginner'
+    },
+    // The first video is the one played by default
+    videos: {
+        type: [signVideoSchema],
+        validate: [videos => videos.length > 0, 'A sign needs at least one video']
+    },
+    // Region this is a local variant for; null for the standard sign
+    region: { type: String, trim: true, default: null },
+    isActive: { type: Boolean, default: true }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+signSchema.index({ gloss: 1, region: 1 }, { unique: true });
+signSchema.index({ synonyms: 1 });
+
+// Describe a video file from the library directory: "GIVE_0A.webm" is GIVE,
+// "EVENING (1).webm" a second take of EVENING, "Walk.webm" is WALK
+function describeVideoFile(filename) {
+    const extension = filename.slice(filename.lastIndexOf('.') + 1).toLowerCase();
+    const base = filename.slice(0, filename.lastIndexOf('.'));
+    const isAlternate = /\s*\(\d+\)$/.test(base);
+    const gloss = base.toUpperCase().replace(/\s*\(\d+\)$/, '').replace(/_\d+[A-Z]?$/, '').trim();
+
+    let category = 'general';
+    if (/^\d+$/.test(gloss)) category = 'numbers';
+    else if (/^[A-Z]$/.test(gloss)) category = 'letters';
+
+    return {
+        gloss,
+        category,
+        // "NO-ONE" is also typed as "NO ONE" or "NOONE"
+        synonyms: gloss.includes('-') ? [gloss.replace(/-/g, ' '), gloss.replace(/-/g, '')] : [],
+        video: {
+            path: `${SIGN_VIDEO_URL}/${filename}`,
+            format: extension,
+            label: isAlternate ? 'alternate' : 'standard'
+        }
+    };
+}
+
+// Static methods
+
+// Add video files from the library directory to the catalog: new glosses
+// become standard signs, and files not yet listed are appended to their sign.
+// Existing metadata (and signs an admin deactivated) are left alone.
+signSchema.statics.importVideoFiles = async function(filenames) {
+    const files = filenames
+        .filter(file => VIDEO_FORMATS.some(format => file.toLowerCase().endsWith(`.${format}`)))
+        .map(describeVideoFile)
+        .filter(file => file.gloss)
+        // Standard takes first, so they become each sign's default video
+        .sort((a, b) => (a.video.label === 'standard' ? 0 : 1) - (b.video.label === 'standard' ? 0 : 1));
+    if (files.length === 0) return { upserted: 0, videosAdded: 0 };
+
+    const operations = [];
+    for (const { gloss, category, synonyms, video } of files) {
+        operations.push({
+            updateOne: {
+                filter: { gloss, region: null },
+                update: { $setOnInsert: { gloss, category, synonyms, region: null, videos: [video] } },
+                upsert: true
+            }
+        }, {
+            updateOne: {
+                filter: { gloss, region: null, 'videos.path': { $ne: video.path } },
+                update: { $push: { videos: video } }
+            }
+        });
+    }
+
+    const result = await this.bulkWrite(operations);
+    return { upserted: result.upsertedCount, videosAdded: result.modifiedCount };
+};
+
+// Store measured video lengths: [{ path, durationMs }]. Resolves to the
+// number of signs updated.
+signSchema.statics.setVideoDurations = async function(durations) {
+    if (durations.length === 0) return 0;
+    const result = await this.bulkWrite(durations.map(({ path, durationMs }) => ({
+        updateMany: {
+            filter: { 'videos.path': path },
+            update: { $set: { 'videos.$[video].durationMs': durationMs } },
+            arrayFilters: [{ 'video.path': path }]
+        }
+    })));
+    return result.modifiedCount;
+};
+
+signSchema.statics.findActive = function(filter = {}) {
+    return this.find({ ...filter, isActive: true }).sort({ gloss: 1, region: 1 });
+};
+
+const Sign = mongoose.model('Sign', signSchema);
+export default Sign;
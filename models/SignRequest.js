@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+// A signed-in learner asking, on one day, for a sign the video library has no
+// clip for, e.g. a word asked for in the tutor. Asking again the same day
+// adds nothing, and demand is ranked by distinct learners, so one account
+// cannot decide which signs are most wanted.
+const signRequestSchema = new mongoose.Schema({
+    // Upper-case word, as keyed in the sign video library
+    word: { type: String, required: true, uppercase: true, trim: true, maxlength: 50 },
+    source: { type: String, enum: ['tutor', 'voice', 'check', 'translate'], required: true },
+    // Null only on requests recorded before misses needed a learner
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // UTC calendar day (YYYY-MM-DD) of the first request that day
+    day: { type: String },
+    // The message or sentence the word was asked for in, kept as an example
+    sentence: { type: String, trim: true, maxlength: 300, default: null },
+    // Age group of the learner who asked, when known
+    ageGroup: { type: String, default: null },
+    // Set once the library has a video for the word
+    resolvedAt: { type: Date, default: null }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+signRequestSchema.index({ word: 1, createdAt: -1 });
+signRequestSchema.index({ createdAt: -1 });
+signRequestSchema.index({ resolvedAt: 1, word: 1 });
+signRequestSchema.index(
+    { userId: 1, word: 1, day: 1 },
+    { unique: true, partialFilterExpression: { day: { $type: 'string' } } }
+);
+
+// Static methods
+
+// Record the words of a learner's lookup that had no video, each at most once
+// per learner and day. Lookups without a learner are not recorded.
+signRequestSchema.statics.recordMisses = async function(words, { source, userId = null, sentence = null, ageGroup = null }) {
+    const unique = [...new Set(words.map(word => String(word).toUpperCase().trim()))]
+        .filter(word => word && word.length <= 50);
+    if (!userId || unique.length === 0) return 0;
+
+    const day = new Date().toISOString().slice(0, 10);
+    const example = sentence ? String(sentence).trim().slice(0, 300) || null : null;
+    try {
+        const result = await this.bulkWrite(unique.map(word => ({
+            updateOne: {
+                filter: { userId, word, day },
+                update: { $setOnInsert: { source, sentence: example, ageGroup, resolvedAt: null } },
+                upsert: true
+            }
+        })), { ordered: false });
+        return result.upsertedCount;
+    } catch (error) {
+        // The same learner asking twice at once: the other upsert recorded it
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000)) {
+            return error.result?.upsertedCount ?? 0;
+        }
+        throw error;
+    }
+};
+
+// Words that have open (unresolved) requests
+signRequestSchema.statics.findOpenWords = function() {
+    return this.distinct('word', { resolvedAt: null });
+};
+
+// Mark every open request for these words resolved; resolves to the number updated
+signRequestSchema.statics.resolveWords = async function(words, resolvedAt = new Date()) {
+    if (words.length === 0) return 0;
+    const result = await this.updateMany(
+        { word: { $in: words.map(word => word.toUpperCase()) }, resolvedAt: null },
+        { $set: { resolvedAt } }
+    );
+    return result.modifiedCount;
+};
+
+// Missing signs ranked by how many learners asked for them since a date, then
+// by learner-days of requests, with where they were asked, requests per age
+// group and a few recent example sentences. resolved: true lists the ones
+// since recorded. Requests recorded without a learner are left out.
+signRequestSchema.statics.rank = async function({ since, limit = 50, resolved = false } = {}) {
+    const match = { resolvedAt: resolved ? { $ne: null } : null, userId: { $ne: null } };
+    if (since) match.createdAt = { $gte: since };
+
+    const signs = await this.aggregate([
+        { $match: match },
+        // Newest first, so the example sentences pushed below are the recent ones
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: "$word",
+                requests: { $sum: 1 },
+                learners: { $addToSet: "$userId" },
+                sources: { $addToSet: "$source" },
+                ageGroups: { $push: { $ifNull: ["$ageGroup", "unknown"] } },
+                examples: { $push: "$sentence" },
+                firstRequestedAt: { $min: "$createdAt" },
+                lastRequestedAt: { $max: "$createdAt" },
+                resolvedAt: { $max: "$resolvedAt" }
+            }
+        },
+        { $addFields: { learnerCount: { $size: "$learners" }, examples: { $slice: ["$examples", 20] } } },
+        { $sort: { learnerCount: -1, requests: -1, lastRequestedAt: -1, _id: 1 } },
+        { $limit: limit }
+    ]);
+
+    return signs.map(sign => ({
+        word: sign._id,
+        requests: sign.requests,
+        learners: sign.learnerCount,
+        sources: sign.sources.sort(),
+        ageGroups: sign.ageGroups.reduce((counts, group) => ({ ...counts, [group]: (counts[group] || 0) + 1 }), {}),
+        examples: [...new Set(sign.examples.filter(Boolean))].slice(0, 3),
+        firstRequestedAt: sign.firstRequestedAt,
+        lastRequestedAt: sign.lastRequestedAt,
+        resolvedAt: sign.resolvedAt
+    }));
+};
+
+const SignRequest = mongoose.model('SignRequest', signRequestSchema);
+export default SignRequest;
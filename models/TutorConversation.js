@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// Messages kept per thread; older ones are dropped as new ones arrive
+const MAX_MESSAGES = 400;
+const TITLE_LENGTH = 60;
+const MAX_CONTENT_LENGTH = 8000;
+
+// One message in a tutor thread. Tutor replies keep the structured response
+// (sign_sequence, sign_instruction, recommendation, support, ...) so a
+// resumed thread renders the same cards and videos.
+const tutorMessageSchema = new mongoose.Schema({
+    role: { type: String, enum: ['user', 'assistant'], required: true },
+    content: { type: String, default: '', maxlength: MAX_CONTENT_LENGTH },
+    type: { type: String, default: null },
+    response: { type: mongoose.Schema.Types.Mixed, default: null },
+    // How the learner asked: typed or spoken
+    source: { type: String, enum: ['text', 'voice'], default: 'text' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A learner's conversation with SignMentor
+const tutorConversationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Taken from the first question until the learner renames the thread
+    title: { type: String, trim: true, maxlength: 100, default: '' },
+    messages: [tutorMessageSchema],
+    messageCount: { type: Number, default: 0 },
+    // Start of the last message, for the thread list
+    preview: { type: String, default: '' },
+    lastMessageAt: { type: Date, default: Date.now }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true, transform: function(doc, ret) { delete ret.__v; return ret; } }
+});
+
+tutorConversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+function shorten(text, length) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+}
+
+// Instance methods
+
+// Add a question and the tutor's reply, keeping the thread within MAX_MESSAGES
+tutorConversationSchema.methods.addExchange = function(question, response, source = 'text') {
+    const now = new Date();
+    const reply = String(response?.response || '').slice(0, MAX_CONTENT_LENGTH);
+
+    this.messages.push(
+        { role: 'user', content: String(question).slice(0, MAX_CONTENT_LENGTH), source, createdAt: now },
+        { role: 'assistant', content: reply, type: response?.type || null, response, createdAt: now }
+    );
+    if (this.messages.length > MAX_MESSAGES) {
+        this.messages.splice(0, this.messages.length - MAX_MESSAGES);
+    }
+    if (!this.title) this.title = shorten(question, TITLE_LENGTH);
+
+    this.messageCount = this.messages.length;
+    this.preview = shorten(reply || question, 120);
+    this.lastMessageAt = now;
+    return this.save();
+};
+
+// The last messages as chat-completion history. Tutor replies are given back
+// as compact JSON (type and text only), the format the model answers in.
+tutorConversationSchema.methods.chatHistory = function(limit = 6) {
+    return this.messages.slice(-limit).map(message => ({
+        role: message.role,
+        content: message.role === 'assistant'
+            ? JSON.stringify({ type: message.type || 'general_help', response: message.content })
+            : message.content
+    }));
+};
+
+// Static methods
+
+// A learner's threads, most recent first, without their messages
+tutorConversationSchema.statics.listForUser = function(userId, limit = 50) {
+    return this.find({ userId })
+        .select('-messages')
+        .sort({ lastMessageAt: -1 })
+        .limit(limit);
+};
+
+const TutorConversation = mongoose.model('TutorConversation', tutorConversationSchema);
+export default TutorConversation;
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Playback speeds offered by the sign video player
+const SIGN_PLAYER_SPEEDS = [0.5, 0.75, 1];
+
 const userSchema = new mongoose.Schema({
     firebaseUid: {
         type: String,
@@ -15,15 +18,16 @@ const userSchema = new mongoose.Schema({
     },
     email: {
         type: String,
-        required: [true, 'Email is required'],
+        required: [function() { return !this.guardianId; }, 'Email is required'],
         unique: true,
+        sparse: true, // Learner profiles managed by a guardian have no email of their own
         lowercase: true,
         trim: true,
         match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
     },
     password: {
         type: String,
-        required: [true, 'Password is required'],
+        required: [function() { return !this.guardianId; }, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
     phone: {
@@ -36,6 +40,13 @@ const userSchema = new mongoose.Schema({
         enum: ['parent', 'educator', 'student', 'other'],
         default: 'parent'
     },
+    // Admins can see the platform-wide analytics. Only granted from the
+    // command line (seeds/make-admin.js), never through the API
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
     ageGroup: {
         type: String,
         enum: ['1-4', '5-10', '15+'],
@@ -49,6 +60,16 @@ const userSchema = new mongoose.Schema({
             type: String,
             default: 'en'
         },
+        // IANA timezone (e.g. "Asia/Kolkata") that decides the learner's
+        // calendar days for streaks; UTC is used until one is set
+        timezone: {
+            type: String,
+            default: null,
+            validate: {
+                validator: tz => tz === null || isValidTimeZone(tz),
+                message: 'Please enter a valid IANA timezone'
+            }
+        },
         notifications: {
             email: { type: Boolean, default: true },
             sms: { type: Boolean, default: false },
@@ -57,7 +78,13 @@ const userSchema = new mongoose.Schema({
         learningGoals: [{
             type: String,
             enum: ['basic_communication', 'family_bonding', 'professional_development', 'personal_interest', 'accessibility_support']
-        }]
+        }],
+        // Sign video player settings (public/js/sign-player.js)
+        signPlayer: {
+            speed: { type: Number, enum: SIGN_PLAYER_SPEEDS, default: 1 },
+            // Flip videos horizontally, for left-handed signers
+            mirror: { type: Boolean, default: false }
+        }
     },
     subscription: {
         plan: {
@@ -80,6 +107,11 @@ const userSchema = new mongoose.Schema({
         currentStreak: { type: Number, default: 0 },
         longestStreak: { type: Number, default: 0 },
         lastActivityDate: { type: Date, default: Date.now },
+        // Calendar day (YYYY-MM-DD, learner's timezone) of the last qualifying activity
+        lastActiveDay: { type: String, default: null },
+        // Each token covers one missed day without breaking the streak
+        streakFreezes: { type: Number, default: 0, min: 0 },
+        frozenDays: [{ type: String }],
         achievements: [{
             id: String,
             name: String,
@@ -88,6 +120,19 @@ const userSchema = new mongoose.Schema({
             icon: String
         }]
     },
+    // Set on learner profiles created under a parent or educator account;
+    // such profiles cannot log in and are always used through the guardian
+    guardianId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    // Learner accounts a parent or educator may view and act for
+    linkedLearners: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     familyMembers: [{
         name: String,
         relationship: String,
@@ -108,11 +153,50 @@ const userSchema = new mongoose.Schema({
         virtuals: true,
         transform: function(doc, ret) {
             delete ret.__v;
+            delete ret.password;
             return ret;
         }
     }
 });
 
+const BCRYPT_ROUNDS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A freeze token is earned every STREAK_FREEZE_EVERY streak days, up to MAX_STREAK_FREEZES
+const STREAK_FREEZE_EVERY = 7;
+const MAX_STREAK_FREEZES = 2;
+const MAX_FROZEN_DAYS_KEPT = 365;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// The YYYY-MM-DD calendar day a moment falls on in the given timezone
+function calendarDay(date, timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+// Whole calendar days from one YYYY-MM-DD day to another
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+}
+
+function addDays(day, count) {
+    return new Date(Date.parse(day) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+// bcrypt hashes always start with $2a$, $2b$ or $2y$ followed by the cost
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
 // Virtual for user's age
 userSchema.virtual('age').get(function() {
     if (this.dateOfBirth) {
@@ -128,34 +212,117 @@ userSchema.virtual('completionPercentage').get(function() {
 });
 
 // Instance methods
-userSchema.methods.updateStreak = function() {
-    const today = new Date();
-    const lastActivity = this.progress.lastActivityDate;
-    const diffTime = Math.abs(today - lastActivity);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays === 1) {
-        // Continue streak
-        this.progress.currentStreak += 1;
-        this.progress.longestStreak = Math.max(this.progress.longestStreak, this.progress.currentStreak);
-    } else if (diffDays > 1) {
-        // Break streak
-        this.progress.currentStreak = 1;
+userSchema.methods.getTimeZone = function() {
+    return this.preferences?.timezone || 'UTC';
+};
+
+// The YYYY-MM-DD calendar day a moment falls on for this user
+userSchema.methods.calendarDayOf = function(date) {
+    return calendarDay(date, this.getTimeZone());
+};
+
+// Count a qualifying activity towards the streak. Streaks run over calendar
+// days in the learner's timezone: activity on the next day extends it, and a
+// longer gap is bridged by freeze tokens when there are enough of them.
+// Resolves to true when the streak changed.
+userSchema.methods.updateStreak = async function(now = new Date()) {
+    const progress = this.progress;
+    const today = calendarDay(now, this.getTimeZone());
+    const storedDay = progress.lastActiveDay || null;
+    // Accounts from before lastActiveDay was tracked fall back to the last activity time
+    const previousDay = storedDay || (progress.currentStreak > 0 ? calendarDay(progress.lastActivityDate, this.getTimeZone()) : null);
+    const gap = previousDay ? daysBetween(previousDay, today) : null;
+
+    // Same day (or an earlier one after a timezone change): only the timestamp moves
+    if (gap !== null && gap <= 0) {
+        progress.lastActivityDate = now;
+        await this.constructor.updateOne({ _id: this._id }, { $set: { 'progress.lastActivityDate': now } });
+        return false;
     }
-    // If same day, don't change streak
-    
-    this.progress.lastActivityDate = today;
-    return this.save();
+
+    let streak = 1;
+    let freezes = progress.streakFreezes || 0;
+    const frozenDays = [];
+    if (gap === 1) {
+        streak = progress.currentStreak + 1;
+    } else if (gap > 1 && gap - 1 <= freezes) {
+        for (let i = 1; i < gap; i++) frozenDays.push(addDays(previousDay, i));
+        freezes -= frozenDays.length;
+        streak = progress.currentStreak + 1;
+    }
+    if (streak % STREAK_FREEZE_EVERY === 0 && freezes < MAX_STREAK_FREEZES) {
+        freezes += 1;
+    }
+    const longest = Math.max(progress.longestStreak, streak);
+
+    // Only apply if no other request has counted today in the meantime
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'progress.lastActiveDay': storedDay },
+        {
+            $set: {
+                'progress.currentStreak': streak,
+                'progress.longestStreak': longest,
+                'progress.streakFreezes': freezes,
+                'progress.lastActiveDay': today,
+                'progress.lastActivityDate': now
+            },
+            $push: { 'progress.frozenDays': { $each: frozenDays, $slice: -MAX_FROZEN_DAYS_KEPT } }
+        }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    Object.assign(progress, { currentStreak: streak, longestStreak: longest, streakFreezes: freezes, lastActiveDay: today, lastActivityDate: now });
+    progress.frozenDays.push(...frozenDays);
+    return true;
+};
+
+// The streak as it stands now: it lapses once a day has been missed that the
+// remaining freeze tokens cannot cover
+userSchema.methods.getCurrentStreak = function(now = new Date()) {
+    const { currentStreak = 0, lastActiveDay, streakFreezes = 0 } = this.progress || {};
+    if (!currentStreak || !lastActiveDay) return currentStreak || 0;
+
+    const missedDays = daysBetween(lastActiveDay, calendarDay(now, this.getTimeZone())) - 1;
+    return missedDays <= streakFreezes ? currentStreak : 0;
+};
+
+userSchema.methods.hasHashedPassword = function() {
+    return BCRYPT_HASH_PATTERN.test(this.password || '');
 };
 
-userSchema.methods.addAchievement = function(achievement) {
-    // Check if achievement already exists
-    const exists = this.progress.achievements.find(a => a.id === achievement.id);
-    if (!exists) {
-        this.progress.achievements.push(achievement);
-        return this.save();
+// Resolves to true when the candidate matches. Legacy plaintext records are
+// compared directly; on a match the password is replaced with its hash
+// (flagged via `rehashed`), which the caller's next save stores.
+userSchema.methods.verifyPassword = async function(candidate) {
+    if (!candidate || !this.password) return false;
+
+    if (this.hasHashedPassword()) {
+        return bcrypt.compare(candidate, this.password);
+    }
+
+    const matches = this.password === candidate;
+    if (matches) {
+        this.password = await bcrypt.hash(candidate, BCRYPT_ROUNDS);
+        this.$locals.rehashed = true;
     }
-    return Promise.resolve(this);
+    return matches;
+};
+
+// Award an achievement once. The check and push happen in one update so two
+// events arriving together cannot award the same badge twice; resolves to
+// true when the achievement was newly added.
+userSchema.methods.addAchievement = async function(achievement) {
+    const earned = { ...achievement, earnedAt: achievement.earnedAt || new Date() };
+    const result = await this.constructor.updateOne(
+        { _id: this._id, 'progress.achievements.id': { $ne: earned.id } },
+        { $push: { 'progress.achievements': earned } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    if (!this.progress.achievements.some(a => a.id === earned.id)) {
+        this.progress.achievements.push(earned);
+    }
+    return true;
 };
 
 userSchema.methods.enrollInPackage = function(packageId) {
@@ -181,6 +348,14 @@ userSchema.methods.enrollInPackage = function(packageId) {
 };
 
 // Static methods
+userSchema.statics.isValidTimeZone = isValidTimeZone;
+
+// The last `count` calendar days (YYYY-MM-DD) in a timezone, oldest first
+userSchema.statics.recentCalendarDays = function(count, timeZone = 'UTC', now = new Date()) {
+    const today = calendarDay(now, timeZone);
+    return Array.from({ length: count }, (_, i) => addDays(today, i - count + 1));
+};
+
 userSchema.statics.findByEmail = function(email) {
     return this.findOne({ email: email.toLowerCase() });
 };
@@ -189,6 +364,19 @@ userSchema.statics.findByFirebaseUid = function(firebaseUid) {
     return this.findOne({ firebaseUid });
 };
 
+userSchema.statics.isLinkedLearner = async function(guardianId, learnerId) {
+    const guardian = await this.exists({ _id: guardianId, linkedLearners: learnerId });
+    return !!guardian;
+};
+
+userSchema.statics.findLearnersForGuardian = async function(guardianId) {
+    const guardian = await this.findById(guardianId).select('linkedLearners');
+    if (!guardian) return [];
+    return this.find({ _id: { $in: guardian.linkedLearners }, isActive: true })
+        .select('name ageGroup dateOfBirth userType guardianId progress.currentStreak progress.lastActiveDay progress.streakFreezes progress.lastActivityDate preferences.timezone createdAt')
+        .sort({ createdAt: 1 });
+};
+
 // Pre-save middleware
 userSchema.pre('save', function(next) {
     // Update lastLogin if user is logging in
@@ -199,6 +387,20 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Hash the password whenever it is set to a new plaintext value
+userSchema.pre('save', async function(next) {
+    if (!this.password || !this.isModified('password') || this.hasHashedPassword()) {
+        return next();
+    }
+    
+    try {
+        this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Export the model
 const User = mongoose.model('User', userSchema);
 export default User;
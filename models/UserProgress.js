@@ -41,6 +41,12 @@ const userProgressSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Time spent cannot be negative']
     },
+    // Watch time reported by heartbeats, in ms; its whole minutes are part of timeSpent
+    activeMs: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     sectionsCompleted: [{
         sectionId: String,
         completedAt: { type: Date, default: Date.now },
@@ -153,6 +159,47 @@ userProgressSchema.methods.updateProgress = function(percentage, timeSpent = 0)
     return this.save();
 };
 
+// Count active time without changing the computed progress percentage
+userProgressSchema.methods.recordActivity = function(timeSpent = 0) {
+    this.timeSpent += timeSpent;
+    this.lastAccessedAt = new Date();
+    
+    if (this.status === 'not_started' || this.status === 'paused') {
+        this.status = 'in_progress';
+        this.startedAt = this.startedAt || new Date();
+    }
+    
+    return this.save();
+};
+
+// Mark a course section complete; progress is the share of the course's
+// sections (sectionIds) that are complete
+userProgressSchema.methods.completeSection = function(sectionId, sectionIds, timeSpent = 0) {
+    if (!this.sectionsCompleted.some(s => s.sectionId === sectionId)) {
+        this.sectionsCompleted.push({ sectionId, completedAt: new Date(), timeSpent });
+    }
+    
+    const done = new Set(this.sectionsCompleted.map(s => s.sectionId));
+    const completedCount = sectionIds.filter(id => done.has(id)).length;
+    const percentage = sectionIds.length ? Math.round((completedCount / sectionIds.length) * 100) : 0;
+    
+    this.progressPercentage = Math.max(this.status === 'completed' ? 100 : 0, percentage);
+    this.timeSpent += timeSpent;
+    this.lastAccessedAt = new Date();
+    
+    if (this.status === 'not_started' || this.status === 'paused') {
+        this.status = 'in_progress';
+        this.startedAt = this.startedAt || new Date();
+    }
+    
+    if (percentage >= 100 && this.status !== 'completed') {
+        this.status = 'completed';
+        this.completedAt = new Date();
+    }
+    
+    return this.save();
+};
+
 userProgressSchema.methods.completeCourse = function() {
     this.status = 'completed';
     this.progressPercentage = 100;
@@ -218,6 +265,20 @@ userProgressSchema.methods.addBookmark = function(title, timestamp) {
     return this.save();
 };
 
+userProgressSchema.methods.removeNote = function(noteId) {
+    const note = this.notes.id(noteId);
+    if (!note) return null;
+    note.deleteOne();
+    return this.save();
+};
+
+userProgressSchema.methods.removeBookmark = function(bookmarkId) {
+    const bookmark = this.bookmarks.id(bookmarkId);
+    if (!bookmark) return null;
+    bookmark.deleteOne();
+    return this.save();
+};
+
 userProgressSchema.methods.rateCourse = function(stars, review = '') {
     this.rating = {
         stars,
@@ -242,6 +303,40 @@ userProgressSchema.statics.findUserProgress = function(userId, courseId) {
     return this.findOne({ userId, courseId });
 };
 
+// Roll a batch of heartbeat activity into the learner's course progress with
+// one atomic update per course. `activity` maps courseId to
+// { activeMs, firstAt, lastAt }; missing progress records are created.
+userProgressSchema.statics.recordActivityBatch = function(userId, activity) {
+    const now = new Date();
+    const minutes = ms => ({ $floor: { $divide: [ms, 60000] } });
+
+    const operations = Object.entries(activity).map(([courseId, { activeMs, firstAt, lastAt }]) => {
+        const previousMs = { $ifNull: ['$activeMs', 0] };
+        const totalMs = { $add: [previousMs, activeMs] };
+        return {
+            updateOne: {
+                filter: { userId, courseId },
+                update: [{
+                    $set: {
+                        activeMs: totalMs,
+                        timeSpent: { $add: [{ $ifNull: ['$timeSpent', 0] }, { $subtract: [minutes(totalMs), minutes(previousMs)] }] },
+                        lastAccessedAt: { $max: ['$lastAccessedAt', lastAt] },
+                        status: {
+                            $cond: [{ $in: [{ $ifNull: ['$status', 'not_started'] }, ['not_started', 'paused']] }, 'in_progress', '$status']
+                        },
+                        startedAt: { $ifNull: ['$startedAt', firstAt] },
+                        progressPercentage: { $ifNull: ['$progressPercentage', 0] },
+                        createdAt: { $ifNull: ['$createdAt', now] }
+                    }
+                }],
+                upsert: true
+            }
+        };
+    });
+
+    return operations.length > 0 ? this.bulkWrite(operations) : Promise.resolve(null);
+};
+
 userProgressSchema.statics.getUserCoursesByStatus = function(userId, status) {
     return this.find({ userId, status }).populate('courseId');
 };
@@ -4,7 +4,15 @@ import Course from './Course.js';
 import UserProgress from './UserProgress.js';
 import Package from './Package.js';
 import LearningEvent from './LearningEvent.js';
+import LearningSession from './LearningSession.js';
+import DailyActivity from './DailyActivity.js';
 import QuizAttempt from './QuizAttempt.js';
+import QuizSession from './QuizSession.js';
+import ReviewItem from './ReviewItem.js';
+import Classroom from './Classroom.js';
+import Sign from './Sign.js';
+import SignRequest from './SignRequest.js';
+import TutorConversation from './TutorConversation.js';
 
 export {
     User,
@@ -12,7 +20,15 @@ export {
     UserProgress,
     Package,
     LearningEvent,
-    QuizAttempt
+    LearningSession,
+    DailyActivity,
+    QuizAttempt,
+    QuizSession,
+    ReviewItem,
+    Classroom,
+    Sign,
+    SignRequest,
+    TutorConversation
 };
 
 export default {
@@ -21,5 +37,13 @@ export default {
     UserProgress,
     Package,
     LearningEvent,
-    QuizAttempt
+    LearningSession,
+    DailyActivity,
+    QuizAttempt,
+    QuizSession,
+    ReviewItem,
+    Classroom,
+    Sign,
+    SignRequest,
+    TutorConversation
 };
@@ -0,0 +1,146 @@
+/**
+ * LearnSign - Admin Analytics
+ * Platform-wide cohort, funnel, quiz and missing-sign reports
+ */
+
+// Admin Analytics State
+const AdminAnalyticsState = {
+    // Query parameters per report, also used for the CSV download links
+    params: {
+        cohorts: { weeks: 12 },
+        funnel: {},
+        quizzes: {},
+        'missing-signs': { days: 90, status: 'open' }
+    }
+};
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${value}%`);
+const date = (value) => (value ? new Date(value).toLocaleDateString() : '–');
+const list = (value) => (value.length ? value.join(', ') : '–');
+
+// Columns shown for each report: [row key, heading, formatter]
+const REPORT_COLUMNS = {
+    cohorts: [
+        ['week', 'Week of'],
+        ['signups', 'Signups'],
+        ['day1Rate', 'Day 1', percent],
+        ['day7Rate', 'Day 7', percent],
+        ['day30Rate', 'Day 30', percent]
+    ],
+    funnel: [
+        ['title', 'Course'],
+        ['views', 'Views'],
+        ['started', 'Started'],
+        ['halfway', '50%'],
+        ['completed', 'Completed'],
+        ['viewToStartRate', 'View → start', percent],
+        ['completionRate', 'Start → complete', percent]
+    ],
+    quizzes: [
+        ['title', 'Course'],
+        ['learners', 'Learners'],
+        ['attempts', 'Attempts'],
+        ['passRate', 'Pass rate', percent],
+        ['firstAttemptPassRate', 'First-try pass rate', percent],
+        ['averageScore', 'Avg score']
+    ],
+    'missing-signs': [
+        ['word', 'Word'],
+        ['requests', 'Requests'],
+        ['learners', 'Learners'],
+        ['sources', 'Asked in', list],
+        ['ageGroups', 'Age groups', (value) => list(Object.entries(value).map(([group, count]) => `${group} (${count})`))],
+        ['examples', 'Examples', (value) => list(value.map(example => `“${example}”`))],
+        ['lastRequestedAt', 'Last asked', date]
+    ]
+};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('cohort-weeks').addEventListener('change', (e) => {
+        AdminAnalyticsState.params.cohorts.weeks = e.target.value;
+        loadReport('cohorts');
+    });
+    document.getElementById('missing-days').addEventListener('change', (e) => {
+        AdminAnalyticsState.params['missing-signs'].days = e.target.value;
+        loadReport('missing-signs');
+    });
+    document.getElementById('missing-status').addEventListener('change', (e) => {
+        AdminAnalyticsState.params['missing-signs'].status = e.target.value;
+        loadReport('missing-signs');
+    });
+
+    Object.keys(REPORT_COLUMNS).forEach(loadReport);
+});
+
+/**
+ * URL of a report with its current parameters
+ */
+function reportUrl(report, format) {
+    const params = new URLSearchParams(AdminAnalyticsState.params[report]);
+    if (format) params.set('format', format);
+    const query = params.toString();
+    return `/api/admin/analytics/${report}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Fetch one report and render it as a table
+ */
+async function loadReport(report) {
+    const container = document.getElementById(`report-${report}`);
+    container.innerHTML = '<p class="report-loading">Loading...</p>';
+    document.querySelector(`.btn-csv[data-report="${report}"]`).href = reportUrl(report, 'csv');
+
+    try {
+        const response = await fetch(reportUrl(report), { credentials: 'same-origin' });
+        const data = await response.json();
+
+        if (response.status === 401 || response.status === 403) {
+            return showPageError('Platform analytics are only available to admin accounts.');
+        }
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load report');
+        }
+
+        renderReport(container, REPORT_COLUMNS[report], data.rows);
+    } catch (error) {
+        console.error(`[Admin Analytics] Error loading ${report}:`, error);
+        container.innerHTML = `<p class="report-loading">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Render report rows as a table
+ */
+function renderReport(container, columns, rows) {
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="report-loading">No data for this period yet.</p>';
+        return;
+    }
+
+    const header = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('');
+    const body = rows.map(row => `<tr>${columns.map(([key, , format]) => {
+        const value = format ? format(row[key]) : (row[key] ?? row.courseId ?? '–');
+        return `<td>${escapeHtml(String(value))}</td>`;
+    }).join('')}</tr>`).join('');
+
+    container.innerHTML = `<table class="report-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Replace the reports with an error message
+ */
+function showPageError(message) {
+    document.getElementById('admin-reports').style.display = 'none';
+    document.getElementById('admin-analytics-error-message').textContent = message;
+    document.getElementById('admin-analytics-error').style.display = 'block';
+}
+
+/**
+ * Escape text before inserting it as HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
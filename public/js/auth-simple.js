@@ -34,22 +34,130 @@ function initializeHeader() {
     setupDropdownToggle();
 }
 
-function checkLoginStatus() {
-    const storedUser = localStorage.getItem('learnSignUser');
-    if (storedUser) {
-        try {
-            const user = JSON.parse(storedUser);
-            console.log('Found stored user:', user.email);
-            // Ensure userId is set for analytics
-            if (user._id && !localStorage.getItem('userId')) {
-                localStorage.setItem('userId', user._id);
-            }
-            updateHeaderForLoggedInUser(user);
-        } catch (error) {
-            console.error('Error parsing stored user:', error);
-            localStorage.removeItem('learnSignUser');
-            localStorage.removeItem('userId');
+async function checkLoginStatus() {
+    // The server session is the source of truth; localStorage only mirrors it
+    // so pages that read userId keep working
+    try {
+        const response = await fetch('/api/auth/session', { credentials: 'same-origin' });
+        
+        if (!response.ok) {
+            clearStoredUser();
+            return;
+        }
+        
+        const data = await response.json();
+        console.log('Found session user:', data.user.email);
+        storeUser(data.user);
+        updateHeaderForLoggedInUser(data.user);
+        await setupLearnerSwitcher(data.user);
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+}
+
+function storeUser(user) {
+    // A different account must not inherit the previous account's selected learner
+    if (localStorage.getItem('userId') !== user._id) {
+        clearActiveLearner();
+    }
+    localStorage.setItem('learnSignUser', JSON.stringify(user));
+    localStorage.setItem('userId', user._id); // Store userId for analytics
+}
+
+function clearStoredUser() {
+    localStorage.removeItem('learnSignUser');
+    localStorage.removeItem('userId');
+    clearActiveLearner();
+}
+
+// ========== LEARNER PROFILES ==========
+
+// Account types that can manage child learner profiles (mirrors middleware/auth.js)
+const GUARDIAN_USER_TYPES = ['parent', 'educator'];
+
+// The learner that activity is recorded for: the selected child profile,
+// or the logged-in account itself
+function getActiveLearnerId() {
+    return localStorage.getItem('activeLearnerId') || localStorage.getItem('userId');
+}
+
+function getActiveLearnerName() {
+    if (localStorage.getItem('activeLearnerId')) {
+        return localStorage.getItem('activeLearnerName');
+    }
+    const user = JSON.parse(localStorage.getItem('learnSignUser') || 'null');
+    return user ? user.name : null;
+}
+
+function setActiveLearner(learner) {
+    if (!learner) {
+        clearActiveLearner();
+        return;
+    }
+    localStorage.setItem('activeLearnerId', learner._id);
+    localStorage.setItem('activeLearnerName', learner.name);
+}
+
+function clearActiveLearner() {
+    localStorage.removeItem('activeLearnerId');
+    localStorage.removeItem('activeLearnerName');
+}
+
+async function setupLearnerSwitcher(user) {
+    if (!GUARDIAN_USER_TYPES.includes(user.userType)) {
+        clearActiveLearner();
+        return;
+    }
+    
+    const learnersLink = document.getElementById('learners-link');
+    if (learnersLink) learnersLink.style.display = 'flex';
+    
+    try {
+        const response = await fetch('/api/learners', { credentials: 'same-origin' });
+        if (!response.ok) return;
+        
+        const { learners } = await response.json();
+        const activeId = localStorage.getItem('activeLearnerId');
+        const activeLearner = learners.find(learner => learner._id === activeId) || null;
+        
+        // Drop a selection that was removed or unlinked since it was made
+        if (activeId && !activeLearner) {
+            clearActiveLearner();
+        } else if (activeLearner) {
+            setActiveLearner(activeLearner);
         }
+        
+        renderLearnerSwitcher(user, learners, activeLearner);
+    } catch (error) {
+        console.error('Error loading learner profiles:', error);
+    }
+}
+
+function renderLearnerSwitcher(user, learners, activeLearner) {
+    const switcher = document.getElementById('learner-switcher');
+    const select = document.getElementById('active-learner-select');
+    if (!switcher || !select || learners.length === 0) return;
+    
+    select.innerHTML = '';
+    select.appendChild(new Option(`${user.name} (me)`, ''));
+    learners.forEach(learner => {
+        select.appendChild(new Option(learner.name, learner._id));
+    });
+    select.value = activeLearner ? activeLearner._id : '';
+    
+    select.addEventListener('change', function() {
+        const learner = learners.find(l => l._id === select.value) || null;
+        setActiveLearner(learner);
+        // Pages read the active learner when they start, so reload to switch
+        window.location.reload();
+    });
+    
+    switcher.style.display = 'flex';
+    
+    // Show who is learning in the header toggle
+    if (activeLearner) {
+        const userName = document.getElementById('user-name');
+        if (userName) userName.textContent = `${user.name} → ${activeLearner.name}`;
     }
 }
 
@@ -150,8 +258,7 @@ async function handleLogin() {
         
         if (response.ok) {
             // Store user data
-            localStorage.setItem('learnSignUser', JSON.stringify(data.user));
-            localStorage.setItem('userId', data.user._id); // Store userId for analytics
+            storeUser(data.user);
             
             // Update header
             updateHeaderForLoggedInUser(data.user);
@@ -211,8 +318,7 @@ async function handleRegister() {
         
         if (response.ok) {
             // Store user data
-            localStorage.setItem('learnSignUser', JSON.stringify(data.user));
-            localStorage.setItem('userId', data.user._id); // Store userId for analytics
+            storeUser(data.user);
             
             // Update header
             updateHeaderForLoggedInUser(data.user);
@@ -253,6 +359,9 @@ function updateHeaderForLoggedInUser(user) {
     
     if (userName) userName.textContent = user.name;
     if (userFullName) userFullName.textContent = user.name;
+    
+    const classroomsLink = document.getElementById('classrooms-link');
+    if (classroomsLink && user.userType === 'educator') classroomsLink.style.display = 'flex';
     if (userEmail) userEmail.textContent = user.email;
     if (userInitials) {
         const initials = user.name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2);
@@ -289,10 +398,14 @@ function showMessage(message, type) {
     }
 }
 
-function handleLogout() {
+async function handleLogout() {
     console.log('Logging out...');
-    localStorage.removeItem('learnSignUser');
-    localStorage.removeItem('userId');
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    clearStoredUser();
     updateHeaderForLoggedOutUser();
     window.location.href = '/';
 }
@@ -319,5 +432,8 @@ function setupDropdownToggle() {
 // Make functions available globally
 window.handleLogout = handleLogout;
 window.handleProfileLogout = handleLogout;
+window.getActiveLearnerId = getActiveLearnerId;
+window.getActiveLearnerName = getActiveLearnerName;
+window.setActiveLearner = setActiveLearner;
 
 console.log('Simple Auth System Loaded');
@@ -40,15 +40,16 @@ function initializeHeaderState() {
     }
 }
 
-// Check if user is logged in (from session storage or server session)
+// Check if user is logged in (from the server session)
 async function checkLoginStatus() {
     try {
-        // Check local storage first
-        const storedUser = localStorage.getItem('learnSignUser');
-        if (storedUser) {
-            const userData = JSON.parse(storedUser);
-            console.log('Found stored user:', userData.email);
+        const response = await fetch('/api/auth/session', { credentials: 'same-origin' });
+        if (response.ok) {
+            const { user: userData } = await response.json();
+            console.log('Found session user:', userData.email);
             currentUser = userData;
+            localStorage.setItem('learnSignUser', JSON.stringify(userData));
+            localStorage.setItem('userId', userData._id);
             updateHeaderForLoggedInUser(userData);
             
             // Show already logged in message if on login page
@@ -56,7 +57,9 @@ async function checkLoginStatus() {
                 showAlreadyLoggedInMessage(userData);
             }
         } else {
-            console.log('No stored user found');
+            console.log('No active session');
+            localStorage.removeItem('learnSignUser');
+            localStorage.removeItem('userId');
             updateHeaderForLoggedOutUser();
         }
     } catch (error) {
@@ -153,6 +156,7 @@ async function handleEmailLogin(e) {
             // Store user data
             currentUser = data.user;
             localStorage.setItem('learnSignUser', JSON.stringify(data.user));
+            localStorage.setItem('userId', data.user._id);
             
             // Update header
             updateHeaderForLoggedInUser(data.user);
@@ -215,6 +219,7 @@ async function handleEmailRegister(e) {
             // Store user data
             currentUser = data.user;
             localStorage.setItem('learnSignUser', JSON.stringify(data.user));
+            localStorage.setItem('userId', data.user._id);
             
             // Update header
             updateHeaderForLoggedInUser(data.user);
@@ -274,12 +279,19 @@ function updateHeaderForLoggedOutUser() {
 }
 
 // Handle logout
-function handleLogout() {
+async function handleLogout() {
     console.log('Logging out user...');
     
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+    
     // Clear stored data
     currentUser = null;
     localStorage.removeItem('learnSignUser');
+    localStorage.removeItem('userId');
     
     // Update header
     updateHeaderForLoggedOutUser();
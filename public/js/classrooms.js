@@ -0,0 +1,319 @@
+/**
+ * LearnSign - Educator Classrooms
+ * Class creation, rosters, assignments and per-student progress
+ */
+
+// Classroom State
+const ClassroomState = {
+    classrooms: [],
+    activeClassroomId: null
+};
+
+const STATUS_LABELS = {
+    completed: '✅ Completed',
+    in_progress: '⏳ In progress',
+    not_started: '⚪ Not started'
+};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    loadClassrooms();
+    setupCreateClassForm();
+    setupAssignmentForm();
+});
+
+/**
+ * Load the classes taught by the logged-in educator
+ */
+async function loadClassrooms() {
+    try {
+        const response = await fetch('/api/classrooms', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Please log in with an educator account.');
+        }
+        if (!data.canTeach) {
+            throw new Error('Classes are available to educator accounts. Students can join a class from their dashboard.');
+        }
+
+        ClassroomState.classrooms = data.teaching;
+        renderClassroomList();
+    } catch (error) {
+        console.error('[Classrooms] Error:', error);
+        showPageError(error.message);
+    }
+}
+
+/**
+ * Render one card per class
+ */
+function renderClassroomList() {
+    const list = document.getElementById('classroom-list');
+    list.innerHTML = '';
+
+    if (ClassroomState.classrooms.length === 0) {
+        list.innerHTML = '<p class="classrooms-empty">No classes yet. Create your first class above.</p>';
+        return;
+    }
+
+    ClassroomState.classrooms.forEach(classroom => {
+        const card = document.createElement('div');
+        card.className = 'classroom-summary';
+        card.innerHTML = `
+            <div>
+                <h3>${escapeHtml(classroom.name)}</h3>
+                <p>${escapeHtml(classroom.description || '')}</p>
+                <span class="classroom-meta">${classroom.studentCount} students · ${classroom.assignments.length} assignments</span>
+            </div>
+            <div class="classroom-summary-actions">
+                <span class="join-code">${escapeHtml(classroom.joinCode)}</span>
+                <button class="btn-primary">Manage</button>
+            </div>
+        `;
+        card.querySelector('button').addEventListener('click', () => openClassroom(classroom._id));
+        list.appendChild(card);
+    });
+}
+
+/**
+ * Open the detail panel for a class
+ */
+async function openClassroom(classroomId) {
+    ClassroomState.activeClassroomId = classroomId;
+
+    try {
+        const [classResponse, progressResponse] = await Promise.all([
+            fetch(`/api/classrooms/${classroomId}`, { credentials: 'same-origin' }),
+            fetch(`/api/classrooms/${classroomId}/progress`, { credentials: 'same-origin' })
+        ]);
+        const classroom = await classResponse.json();
+        const progress = await progressResponse.json();
+
+        if (!classResponse.ok) throw new Error(classroom.message || 'Failed to load class');
+        if (!progressResponse.ok) throw new Error(progress.message || 'Failed to load progress');
+
+        document.getElementById('detail-name').textContent = classroom.name;
+        document.getElementById('detail-join-code').textContent = classroom.joinCode;
+        renderRoster(classroom);
+        renderAssignmentProgress(progress.assignments);
+
+        const detail = document.getElementById('classroom-detail');
+        detail.style.display = 'block';
+        detail.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('[Classrooms] Detail error:', error);
+        showMessage(error.message, 'error');
+    }
+}
+
+/**
+ * Close the detail panel
+ */
+function closeClassroom() {
+    ClassroomState.activeClassroomId = null;
+    document.getElementById('classroom-detail').style.display = 'none';
+}
+
+/**
+ * Render the class roster
+ */
+function renderRoster(classroom) {
+    const roster = document.getElementById('roster-list');
+    const students = classroom.students.filter(s => s.userId);
+
+    if (students.length === 0) {
+        roster.innerHTML = `<p class="classrooms-empty">No students yet. Share the join code <strong>${escapeHtml(classroom.joinCode)}</strong>.</p>`;
+        return;
+    }
+
+    roster.innerHTML = '';
+    students.forEach(student => {
+        const row = document.createElement('div');
+        row.className = 'roster-row';
+        row.innerHTML = `
+            <span>${escapeHtml(student.userId.name)}</span>
+            <span class="classroom-meta">Joined ${new Date(student.joinedAt).toLocaleDateString()}</span>
+            <button class="btn-link-danger">Remove</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => removeStudent(student.userId));
+        roster.appendChild(row);
+    });
+}
+
+/**
+ * Render a status table for each assignment
+ */
+function renderAssignmentProgress(assignments) {
+    const container = document.getElementById('assignment-progress');
+
+    if (assignments.length === 0) {
+        container.innerHTML = '<p class="classrooms-empty">No assignments yet.</p>';
+        return;
+    }
+
+    container.innerHTML = assignments.map(({ assignment, students }) => `
+        <div class="assignment-block">
+            <div class="assignment-block-header">
+                <div>
+                    <h4>${escapeHtml(assignment.title)}</h4>
+                    <span class="classroom-meta">
+                        ${assignment.type === 'quiz' ? '📝 Quiz' : '📹 Course'} ${escapeHtml(assignment.courseId)}
+                        · ${assignment.dueDate ? `Due ${new Date(assignment.dueDate).toLocaleDateString()}` : 'No due date'}
+                    </span>
+                </div>
+                <button class="btn-link-danger" data-assignment-id="${assignment._id}">Delete</button>
+            </div>
+            <table class="progress-table">
+                <thead>
+                    <tr><th>Student</th><th>Status</th><th>Progress</th><th>Quiz attempts</th><th>Best score</th></tr>
+                </thead>
+                <tbody>
+                    ${students.map(student => `
+                        <tr>
+                            <td>${escapeHtml(student.name)}</td>
+                            <td>
+                                <span class="status-badge ${student.status}">${STATUS_LABELS[student.status]}</span>
+                                ${student.overdue ? '<span class="status-badge overdue">Overdue</span>' : ''}
+                            </td>
+                            <td>${student.progressPercentage}%</td>
+                            <td>${student.quizAttempts}</td>
+                            <td>${student.bestScore === null ? '—' : `${student.bestScore}%`}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5">No students yet</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('[data-assignment-id]').forEach(button => {
+        button.addEventListener('click', () => deleteAssignment(button.dataset.assignmentId));
+    });
+}
+
+/**
+ * Setup the create class form
+ */
+function setupCreateClassForm() {
+    const form = document.getElementById('create-class-form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const name = document.getElementById('class-name').value.trim();
+        const description = document.getElementById('class-description').value.trim();
+
+        const data = await sendJSON('POST', '/api/classrooms', { name, description });
+        if (data) {
+            form.reset();
+            showMessage(`Class created. Join code: ${data.classroom.joinCode}`, 'success');
+            loadClassrooms();
+        }
+    });
+}
+
+/**
+ * Setup the assignment form
+ */
+function setupAssignmentForm() {
+    const form = document.getElementById('assignment-form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const classroomId = ClassroomState.activeClassroomId;
+        if (!classroomId) return;
+
+        const data = await sendJSON('POST', `/api/classrooms/${classroomId}/assignments`, {
+            courseId: document.getElementById('assignment-course').value,
+            quizId: document.getElementById('assignment-quiz').value.trim() || undefined,
+            title: document.getElementById('assignment-title').value.trim() || undefined,
+            dueDate: document.getElementById('assignment-due').value || undefined
+        });
+        if (data) {
+            form.reset();
+            openClassroom(classroomId);
+            loadClassrooms();
+        }
+    });
+}
+
+/**
+ * Delete an assignment after confirmation
+ */
+async function deleteAssignment(assignmentId) {
+    if (!confirm('Delete this assignment?')) return;
+
+    const classroomId = ClassroomState.activeClassroomId;
+    if (await sendJSON('DELETE', `/api/classrooms/${classroomId}/assignments/${assignmentId}`)) {
+        openClassroom(classroomId);
+        loadClassrooms();
+    }
+}
+
+/**
+ * Remove a student from the class after confirmation
+ */
+async function removeStudent(student) {
+    if (!confirm(`Remove ${student.name} from this class?`)) return;
+
+    const classroomId = ClassroomState.activeClassroomId;
+    if (await sendJSON('DELETE', `/api/classrooms/${classroomId}/students/${student._id}`)) {
+        openClassroom(classroomId);
+        loadClassrooms();
+    }
+}
+
+/**
+ * Send a JSON request; returns the response data or null after showing the error
+ */
+async function sendJSON(method, url, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Request failed');
+        }
+        return data;
+    } catch (error) {
+        console.error('[Classrooms] Request error:', error);
+        showMessage(error.message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Show a page-level error instead of the class tools
+ */
+function showPageError(message) {
+    document.getElementById('create-class-section').style.display = 'none';
+    document.getElementById('classrooms-error-message').textContent = message;
+    document.getElementById('classrooms-error').style.display = 'block';
+}
+
+/**
+ * Show a message under the create class form
+ */
+function showMessage(message, type) {
+    const el = document.getElementById('classroom-message');
+    el.textContent = message;
+    el.className = `classroom-message ${type}`;
+    el.style.display = 'block';
+
+    setTimeout(() => {
+        el.style.display = 'none';
+    }, 6000);
+}
+
+/**
+ * Escape text before inserting it as HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,241 @@
+/**
+ * LearnSign - Course Progress
+ * Section completion, notes and bookmarks for the course video player
+ */
+
+// Course Progress State
+const CourseProgress = {
+    userId: null,
+    courseId: null,
+    video: null,
+    sections: [],
+    sectionStartedAt: Date.now()
+};
+
+/**
+ * Load section progress, notes and bookmarks for a course video
+ */
+function initCourseProgress({ courseId, video }) {
+    CourseProgress.userId = window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
+    CourseProgress.courseId = courseId;
+    CourseProgress.video = video;
+
+    const noteForm = document.getElementById('note-form');
+    if (!CourseProgress.userId || !courseId) {
+        if (noteForm) noteForm.style.display = 'none';
+        document.getElementById('notes-login-hint').style.display = 'block';
+        return;
+    }
+
+    noteForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        addNote();
+    });
+    document.getElementById('bookmark-btn').addEventListener('click', addBookmark);
+
+    loadSections();
+    loadTimestampItems('notes');
+    loadTimestampItems('bookmarks');
+}
+
+/**
+ * Base URL of the learner's progress routes for this course
+ */
+function progressUrl(suffix = '') {
+    return `/api/users/${CourseProgress.userId}/progress/${CourseProgress.courseId}${suffix}`;
+}
+
+/**
+ * Fetch the course sections and render the server-computed progress
+ */
+async function loadSections() {
+    try {
+        const response = await fetch(progressUrl('/sections'), { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to load progress');
+
+        CourseProgress.sections = data.sections;
+        renderSectionProgress(data.progressPercentage, data.status);
+    } catch (error) {
+        console.error('[Progress] Error loading sections:', error);
+    }
+}
+
+/**
+ * The section the current video belongs to (the first unfinished one otherwise)
+ */
+function currentSection() {
+    const src = CourseProgress.video?.currentSrc || '';
+    return CourseProgress.sections.find(s => s.videoUrl && src.endsWith(s.videoUrl))
+        || CourseProgress.sections.find(s => !s.completed)
+        || CourseProgress.sections[0];
+}
+
+/**
+ * Mark the current section complete (called when its video finishes)
+ */
+async function completeCurrentSection() {
+    const section = currentSection();
+    if (!CourseProgress.userId || !section) return null;
+
+    try {
+        const timeSpent = Math.round((Date.now() - CourseProgress.sectionStartedAt) / 60000);
+        const response = await fetch(progressUrl(`/sections/${encodeURIComponent(section.sectionId)}/complete`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ timeSpent })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to save progress');
+
+        section.completed = true;
+        CourseProgress.sectionStartedAt = Date.now();
+        renderSectionProgress(data.progress.progressPercentage, data.progress.status);
+        return data;
+    } catch (error) {
+        console.error('[Progress] Error completing section:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the progress percentage, status and (for multi-section courses) the section list
+ */
+function renderSectionProgress(percentage, status) {
+    document.getElementById('courseProgress').textContent = `${percentage}%`;
+    document.getElementById('courseProgressFill').style.width = `${percentage}%`;
+
+    const completionStatus = document.getElementById('completionStatus');
+    completionStatus.textContent = status === 'completed' ? 'Completed' : (percentage > 0 ? 'In Progress' : 'Not Started');
+    completionStatus.style.color = status === 'completed' ? 'var(--success-color)' : 'var(--primary-color)';
+
+    const list = document.getElementById('section-list');
+    if (CourseProgress.sections.length < 2) {
+        list.style.display = 'none';
+        return;
+    }
+    list.style.display = 'block';
+    list.innerHTML = CourseProgress.sections.map(section => `
+        <li class="section-item ${section.completed ? 'completed' : ''}">
+            <span class="section-check">${section.completed ? '✅' : '⚪'}</span>
+            <span>${escapeHtml(section.title || 'Section')}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Load and render notes or bookmarks
+ */
+async function loadTimestampItems(kind) {
+    try {
+        const response = await fetch(progressUrl(`/${kind}`), { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || `Failed to load ${kind}`);
+
+        renderTimestampItems(kind, data[kind]);
+    } catch (error) {
+        console.error(`[Progress] Error loading ${kind}:`, error);
+    }
+}
+
+/**
+ * Render notes or bookmarks; clicking one seeks the video to its timestamp
+ */
+function renderTimestampItems(kind, items) {
+    const list = document.getElementById(kind === 'notes' ? 'note-list' : 'bookmark-list');
+    list.innerHTML = '';
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = `timestamp-item ${kind}`;
+        li.innerHTML = `
+            <button class="timestamp-seek">${kind === 'bookmarks' ? '🔖' : '📝'} ${formatTimestamp(item.timestamp)}</button>
+            <span class="timestamp-text">${escapeHtml(kind === 'notes' ? item.content : item.title)}</span>
+            <button class="timestamp-delete" aria-label="Delete">✕</button>
+        `;
+        li.querySelector('.timestamp-seek').addEventListener('click', () => {
+            CourseProgress.video.currentTime = item.timestamp;
+            CourseProgress.video.play();
+        });
+        li.querySelector('.timestamp-delete').addEventListener('click', () => deleteTimestampItem(kind, item._id));
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Add a note at the current video time
+ */
+async function addNote() {
+    const input = document.getElementById('note-input');
+    const content = input.value.trim();
+    if (!content) return;
+
+    if (await postTimestampItem('notes', { content, timestamp: Math.floor(CourseProgress.video.currentTime) })) {
+        input.value = '';
+    }
+}
+
+/**
+ * Bookmark the current video time
+ */
+function addBookmark() {
+    postTimestampItem('bookmarks', { timestamp: Math.floor(CourseProgress.video.currentTime) });
+}
+
+/**
+ * Save a note or bookmark and refresh its list
+ */
+async function postTimestampItem(kind, body) {
+    try {
+        const response = await fetch(progressUrl(`/${kind}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || `Failed to save ${kind}`);
+
+        loadTimestampItems(kind);
+        return true;
+    } catch (error) {
+        console.error(`[Progress] Error saving ${kind}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Delete a note or bookmark
+ */
+async function deleteTimestampItem(kind, itemId) {
+    try {
+        const response = await fetch(progressUrl(`/${kind}/${itemId}`), {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        if (!response.ok) throw new Error(`Failed to delete ${kind}`);
+
+        loadTimestampItems(kind);
+    } catch (error) {
+        console.error(`[Progress] Error deleting ${kind}:`, error);
+    }
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function formatTimestamp(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs < 10 ? '0' : ''}${secs}`;
+}
+
+/**
+ * Escape text before inserting it as HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
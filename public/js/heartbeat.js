@@ -1,58 +1,197 @@
 // Lightweight learning heartbeat sender.
-// Usage: initLearningHeartbeat({ apiBase: '/learning/events', userId, courseId, getProgress, getActiveMs })
+// Usage: initLearningHeartbeat({ userId, courseId, getProgress })
+// userId defaults to the active learner (a parent's selected child profile, see auth-simple.js).
+//
+// Beats are buffered in IndexedDB and sent in batches, so beats recorded while
+// offline are delivered once the connection is back. Every event carries a
+// client-generated id and the server stores each id once, so resending a batch
+// (e.g. after a beacon whose delivery could not be confirmed) is safe.
 
 (function() {
+    const BATCH_URL = '/api/learning/events/batch';
+    const BEAT_INTERVAL_MS = 15000;
+    const FLUSH_EVERY_BEATS = 4; // send about once a minute while playing
+    const MAX_BATCH_SIZE = 100; // server limit per batch
+    // Longest gap counted as active, so a laptop waking from sleep does not
+    // report the whole time it was closed
+    const MAX_ACTIVE_MS = BEAT_INTERVAL_MS * 2;
+    const DB_NAME = 'learnsign-heartbeat';
+    const STORE_NAME = 'events';
+
     let intervalId = null;
-    let sessionId = Math.random().toString(36).slice(2);
+    let sessionId = randomId();
     let lastBeat = Date.now();
+    let wasVisible = document.visibilityState === 'visible';
+    let beatsSinceFlush = 0;
+    let flushing = null;
+    let dbPromise = null;
+    // Events not yet confirmed by the server. Mirrors the IndexedDB buffer so
+    // they can still be handed to sendBeacon synchronously when the page unloads.
+    let pending = [];
+
+    function randomId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
 
     function visible() {
         return document.visibilityState === 'visible';
     }
 
-    async function postJSON(url, body) {
+    // ----- IndexedDB buffer (memory only when IndexedDB is unavailable) -----
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise(resolve => {
+                if (!window.indexedDB) return resolve(null);
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'eventId' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run fn against the store in one transaction; resolves to the result of
+    // the request fn returns (if any) once the transaction completes
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        if (!db) return null;
+        return new Promise(resolve => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = fn(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = tx.onabort = () => resolve(null);
+        });
+    }
+
+    function bufferEvent(event) {
+        pending.push(event);
+        return withStore('readwrite', store => { store.put(event); });
+    }
+
+    async function bufferedEvents() {
+        const stored = (await withStore('readonly', store => store.getAll())) || [];
+        const byId = new Map([...stored, ...pending].map(event => [event.eventId, event]));
+        return [...byId.values()].sort((a, b) => a.ts.localeCompare(b.ts));
+    }
+
+    function forgetEvents(events) {
+        const ids = new Set(events.map(event => event.eventId));
+        pending = pending.filter(event => !ids.has(event.eventId));
+        return withStore('readwrite', store => { ids.forEach(id => store.delete(id)); });
+    }
+
+    // ----- Sending -----
+
+    // Split events into per-learner batches the server accepts
+    function toBatches(events) {
+        const byUser = new Map();
+        events.forEach(event => {
+            if (!byUser.has(event.userId)) byUser.set(event.userId, []);
+            byUser.get(event.userId).push(event);
+        });
+
+        const batches = [];
+        byUser.forEach((userEvents, userId) => {
+            for (let i = 0; i < userEvents.length; i += MAX_BATCH_SIZE) {
+                batches.push({ userId, events: userEvents.slice(i, i + MAX_BATCH_SIZE) });
+            }
+        });
+        return batches;
+    }
+
+    // Resolves to true once the server has the batch, or has refused it for
+    // good (a 4xx other than 401 will not change on a retry)
+    async function sendBatch(batch) {
         try {
-            await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+            const response = await fetch(BATCH_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                keepalive: true,
+                body: JSON.stringify(batch)
+            });
+            return response.ok || (response.status >= 400 && response.status < 500 && response.status !== 401 && response.status !== 408 && response.status !== 429);
         } catch (_) {
-            // ignore network errors for heartbeat
+            return false; // offline or server unreachable; keep the events buffered
         }
     }
 
+    // Send everything buffered, oldest first; stops at the first batch that fails
+    function flush() {
+        if (flushing || !navigator.onLine) return flushing;
+        beatsSinceFlush = 0;
+
+        flushing = (async () => {
+            for (const batch of toBatches(await bufferedEvents())) {
+                if (!(await sendBatch(batch))) return;
+                await forgetEvents(batch.events);
+            }
+        })().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    }
+
+    // The page is going away: hand the unconfirmed events to the browser.
+    // They stay buffered, so anything the beacon did not deliver is resent on
+    // the next visit and duplicates are ignored by the server.
+    function flushWithBeacon() {
+        if (!navigator.sendBeacon) {
+            flush();
+            return;
+        }
+        toBatches(pending).forEach(batch => {
+            navigator.sendBeacon(BATCH_URL, new Blob([JSON.stringify(batch)], { type: 'application/json' }));
+        });
+    }
+
     window.initLearningHeartbeat = function initLearningHeartbeat(opts) {
-        const { apiBase, userId, courseId, getProgress } = opts;
-        if (!apiBase || !userId || !courseId) return;
+        const { courseId, getProgress } = opts;
+        const userId = opts.userId || (window.getActiveLearnerId ? window.getActiveLearnerId() : null);
+        if (!userId || !courseId) return;
 
         function beat(type) {
             const now = Date.now();
             const delta = Math.max(0, now - lastBeat);
+            // Time since the last beat counts as active if the page was visible during it
+            const activeMs = wasVisible ? Math.min(delta, MAX_ACTIVE_MS) : 0;
             lastBeat = now;
-            const payload = {
+            wasVisible = visible();
+            bufferEvent({
+                eventId: randomId(),
                 userId,
                 courseId,
                 type,
                 sessionId,
-                activeMs: visible() ? delta : 0,
+                ts: new Date(now).toISOString(),
+                activeMs,
                 progressPercentage: typeof getProgress === 'function' ? getProgress() : undefined
-            };
-            // Use relative URL to work in both development and production
-            postJSON('/api/learning/events', payload);
+            });
+
+            beatsSinceFlush++;
+            if (type === 'start' || type === 'pause' || beatsSinceFlush >= FLUSH_EVERY_BEATS) {
+                flush();
+            }
         }
 
-        // initial start
+        // initial start (also sends anything left over from earlier visits)
         beat('start');
 
-        // 15s heartbeat
-        intervalId = setInterval(() => beat('heartbeat'), 15000);
+        intervalId = setInterval(() => beat('heartbeat'), BEAT_INTERVAL_MS);
 
         document.addEventListener('visibilitychange', () => {
             beat(visible() ? 'resume' : 'pause');
         });
 
-        window.addEventListener('beforeunload', () => {
+        window.addEventListener('online', flush);
+
+        window.addEventListener('pagehide', () => {
             beat('end');
             if (intervalId) clearInterval(intervalId);
+            flushWithBeacon();
         });
     };
 })();
-
-
@@ -0,0 +1,213 @@
+/**
+ * LearnSign - Guardian Learner Profiles
+ * Lists each linked learner's analytics summary and manages child profiles
+ */
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    loadLearners();
+    setupAddLearnerForm();
+});
+
+/**
+ * Load every learner with their analytics summary
+ */
+async function loadLearners() {
+    const loadingEl = document.getElementById('learners-loading');
+
+    try {
+        const response = await fetch('/api/learners/summary', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to load learners');
+        }
+
+        renderLearners(data.learners);
+    } catch (error) {
+        console.error('[Learners] Error:', error);
+        document.getElementById('learners-error-message').textContent = error.message;
+        document.getElementById('learners-error').style.display = 'block';
+    } finally {
+        loadingEl.style.display = 'none';
+    }
+}
+
+/**
+ * Render one card per learner
+ */
+function renderLearners(learners) {
+    const grid = document.getElementById('learners-grid');
+    const emptyEl = document.getElementById('learners-empty');
+
+    grid.innerHTML = '';
+    emptyEl.style.display = learners.length === 0 ? 'block' : 'none';
+
+    const activeId = localStorage.getItem('activeLearnerId');
+    learners.forEach(learner => {
+        grid.appendChild(createLearnerCard(learner, learner._id === activeId));
+    });
+}
+
+/**
+ * Build the card for a single learner
+ */
+function createLearnerCard(learner, isActive) {
+    const summary = learner.summary || {};
+    const card = document.createElement('div');
+    card.className = `learner-card${isActive ? ' active' : ''}`;
+
+    card.innerHTML = `
+        <div class="learner-card-header">
+            <div class="learner-avatar">${escapeHtml(getInitials(learner.name))}</div>
+            <div class="learner-info">
+                <h3>${escapeHtml(learner.name)}</h3>
+                <span class="learner-meta">${learner.ageGroup ? `Ages ${escapeHtml(learner.ageGroup)}` : 'Age group not set'}</span>
+            </div>
+            ${isActive ? '<span class="learner-active-badge">Learning now</span>' : ''}
+        </div>
+        <div class="learner-stats">
+            ${renderStat('⏱️', summary.weeklyMinutes || 0, 'Minutes this week')}
+            ${renderStat('📚', summary.totalCompleted || 0, 'Courses completed')}
+            ${renderStat('📈', `${summary.completionPct || 0}%`, 'Completion')}
+            ${renderStat('📝', `${summary.avgQuiz || 0}%`, `Avg quiz (${summary.quizAttempts || 0} attempts)`)}
+            ${renderStat('✅', `${summary.quizPassRate || 0}%`, 'Quiz pass rate')}
+            ${renderStat('🔥', summary.currentStreak || 0, 'Day streak')}
+        </div>
+        <div class="learner-actions">
+            <button class="btn-learn-as" data-action="learn">Learn as ${escapeHtml(learner.name)}</button>
+            <button class="btn-learner-report" data-action="report">View Report</button>
+            <button class="btn-remove-learner" data-action="remove">Remove</button>
+        </div>
+    `;
+
+    card.querySelector('[data-action="learn"]').addEventListener('click', () => {
+        window.setActiveLearner(learner);
+        window.location.href = '/dashboard';
+    });
+    card.querySelector('[data-action="report"]').addEventListener('click', () => {
+        window.setActiveLearner(learner);
+        window.location.href = '/report';
+    });
+    card.querySelector('[data-action="remove"]').addEventListener('click', () => removeLearner(learner));
+
+    return card;
+}
+
+/**
+ * Render a single stat tile
+ */
+function renderStat(icon, value, label) {
+    return `
+        <div class="learner-stat">
+            <span class="learner-stat-icon">${icon}</span>
+            <span class="learner-stat-value">${value}</span>
+            <span class="learner-stat-label">${label}</span>
+        </div>
+    `;
+}
+
+/**
+ * Setup the add learner form
+ */
+function setupAddLearnerForm() {
+    const form = document.getElementById('add-learner-form');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const name = document.getElementById('learner-name').value.trim();
+        const ageGroup = document.getElementById('learner-age-group').value;
+        const dateOfBirth = document.getElementById('learner-dob').value;
+
+        if (!name) {
+            showFormMessage('Please enter a name', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/learners', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    name,
+                    ageGroup: ageGroup || undefined,
+                    dateOfBirth: dateOfBirth || undefined
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to add learner');
+            }
+
+            form.reset();
+            showFormMessage(`${data.learner.name} was added`, 'success');
+            loadLearners();
+        } catch (error) {
+            console.error('[Learners] Add error:', error);
+            showFormMessage(error.message, 'error');
+        }
+    });
+}
+
+/**
+ * Remove a learner after confirmation
+ */
+async function removeLearner(learner) {
+    if (!confirm(`Remove ${learner.name}? Their learning history is kept but they will no longer appear here.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/learners/${learner._id}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Failed to remove learner');
+        }
+
+        if (localStorage.getItem('activeLearnerId') === learner._id) {
+            window.setActiveLearner(null);
+        }
+        loadLearners();
+    } catch (error) {
+        console.error('[Learners] Remove error:', error);
+        showFormMessage(error.message, 'error');
+    }
+}
+
+/**
+ * Show a message under the add learner form
+ */
+function showFormMessage(message, type) {
+    const el = document.getElementById('learner-form-message');
+    el.textContent = message;
+    el.className = `learner-form-message ${type}`;
+    el.style.display = 'block';
+
+    setTimeout(() => {
+        el.style.display = 'none';
+    }, 5000);
+}
+
+/**
+ * Get initials from a name
+ */
+function getInitials(name) {
+    return (name || 'L').split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2);
+}
+
+/**
+ * Escape text before inserting it as HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -22,6 +22,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const scoreElement = document.getElementById('score');
     const maxScoreElement = document.getElementById('max-score');
     const resultMessageElement = document.getElementById('result-message');
+    const questionMediaElement = document.getElementById('question-media');
+    const questionAnswersElement = document.getElementById('question-answers');
+    const quizTitleBadge = document.getElementById('quiz-title-badge');
     
     // Quiz state
     let stream = null;
@@ -34,9 +37,11 @@ document.addEventListener('DOMContentLoaded', function() {
     let quizStartTime = null;
     let totalTimeSpent = 0;
     let capturedFrames = []; // Make this global to prevent loss
+    let quiz = null; // Quiz loaded from the course quiz bank
+    let sessionId = null; // Quiz session issued by the server; answers are scored against it
+    let questionStartTime = null;
     
     // Constants - FIXED VALUES
-    const API_URL = '/api/quiz'; // Use Node proxy to FastAPI
     const COUNTDOWN_DURATION = 3; // Seconds
     const CAPTURE_DURATION = 3; // Reduced to 3 seconds for better UX
     const CAPTURE_INTERVAL = 100; // Capture every 100ms (10 FPS)
@@ -55,31 +60,90 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    // Load the quiz for this page: ?courseId= picks a course, otherwise the
+    // category (from /tutorials/quiz/:category or ?category=) and ?ageGroup= filter
+    async function loadQuiz() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const courseId = urlParams.get('courseId') || urlParams.get('id');
+        const category = document.getElementById('quiz-content').dataset.category || urlParams.get('category');
+        const ageGroup = urlParams.get('ageGroup');
+        
+        let url;
+        if (courseId) {
+            url = `/api/courses/${encodeURIComponent(courseId)}/quiz`;
+        } else {
+            const query = new URLSearchParams();
+            if (category) query.set('category', category);
+            if (ageGroup) query.set('ageGroup', ageGroup);
+            url = `/api/quizzes?${query}`;
+        }
+        
+        try {
+            debugLog('Loading quiz from:', url);
+            const response = await fetch(url);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to load quiz');
+            }
+            
+            quiz = data;
+            questions = quiz.questions;
+            
+            if (quizTitleBadge) quizTitleBadge.textContent = quiz.title;
+            if (totalQuestionsElement) totalQuestionsElement.textContent = questions.length;
+            if (maxScoreElement) maxScoreElement.textContent = questions.length;
+            
+            debugLog('Quiz loaded:', quiz);
+        } catch (error) {
+            console.error('❌ Error loading quiz:', error);
+            startQuizBtn.disabled = true;
+            if (currentPromptElement) currentPromptElement.textContent = 'No quiz available yet';
+            feedbackElement.innerHTML = `<div class="feedback-content error"><div class="feedback-icon">❌</div><div class="feedback-text">${escapeHtml(error.message)}</div></div>`;
+        }
+    }
+    
+    // The learner the attempt is recorded for (a selected child profile, or the account)
+    function getQuizUserId() {
+        return window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
+    }
+    
+    // Ask the server for a quiz session; answers and the final score are
+    // computed against it, so a fresh one is needed for every attempt
+    async function startSession() {
+        const response = await fetch(`/api/courses/${encodeURIComponent(quiz.courseId)}/quiz/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userId: getQuizUserId() || undefined })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to start quiz');
+        }
+        
+        sessionId = data.sessionId;
+        quiz = data.quiz;
+        questions = quiz.questions;
+        debugLog('Quiz session started:', sessionId);
+    }
+    
+    // Whether any loaded question needs the webcam
+    function needsWebcam() {
+        return questions.some(q => q.type === 'video-response');
+    }
+    
     // Initialize quiz
     function initQuiz() {
         try {
             console.log('🚀 Starting quiz initialization...');
             
-            // Quiz questions - matching trained signs
-            questions = [
-                { prompt: "Show the sign for number 1", answer: "one" },
-                { prompt: "Show the sign for number 2", answer: "two" },
-                { prompt: "Show the sign for number 3", answer: "three" },
-                { prompt: "Show the sign for letter A", answer: "a" },
-                { prompt: "Show the sign for letter B", answer: "b" },
-                { prompt: "Show the sign for letter C", answer: "c" }
-            ];
-            
-            debugLog('Quiz initialized with questions:', questions);
-            
-            // Update UI elements
-            if (totalQuestionsElement) {
-                totalQuestionsElement.textContent = questions.length;
+            if (!quiz || questions.length === 0) {
+                console.error('❌ Quiz questions are not loaded');
+                return;
             }
             
-            if (maxScoreElement) {
-                maxScoreElement.textContent = questions.length;
-            }
+            debugLog('Quiz initialized with questions:', questions);
             
             // Reset quiz state
             currentQuestionIndex = 0;
@@ -107,8 +171,10 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
+            questionStartTime = Date.now();
+            
             if (currentPromptElement) {
-                currentPromptElement.textContent = question.prompt;
+                currentPromptElement.textContent = question.question;
             }
             
             if (currentQuestionElement) {
@@ -127,12 +193,157 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             }
             
-            debugLog(`Current question: ${question.prompt} (answer: ${question.answer})`);
+            renderQuestionInputs(question);
+            
+            debugLog(`Current question: ${question.question} (${question.type})`);
         } catch (error) {
             console.error('❌ Error in setCurrentQuestion:', error);
         }
     }
     
+    // Show the controls for the question type: the webcam for video-response,
+    // option buttons for multiple-choice, clip-to-word selects for matching
+    function renderQuestionInputs(question) {
+        questionMediaElement.innerHTML = '';
+        questionAnswersElement.innerHTML = '';
+        questionMediaElement.style.display = 'none';
+        questionAnswersElement.style.display = 'none';
+        
+        const isSignQuestion = question.type === 'video-response';
+        submitSignBtn.style.display = isSignQuestion ? 'flex' : 'none';
+        submitSignBtn.disabled = !isSignQuestion;
+        
+        if (question.videoUrl) {
+            questionMediaElement.innerHTML = `<video src="${question.videoUrl}" autoplay loop muted playsinline></video>`;
+            questionMediaElement.style.display = 'block';
+        }
+        
+        if (question.type === 'multiple-choice') {
+            const list = document.createElement('div');
+            list.className = 'answer-options';
+            question.options.forEach(option => {
+                const button = document.createElement('button');
+                button.className = 'answer-option';
+                button.textContent = option;
+                button.addEventListener('click', () => answerMultipleChoice(question, option, button));
+                list.appendChild(button);
+            });
+            questionAnswersElement.appendChild(list);
+            questionAnswersElement.style.display = 'block';
+        } else if (question.type === 'matching') {
+            const list = document.createElement('div');
+            list.className = 'matching-list';
+            question.items.forEach((item, i) => {
+                const row = document.createElement('div');
+                row.className = 'matching-item';
+                row.innerHTML = `
+                    <video src="${item.videoUrl}" autoplay loop muted playsinline></video>
+                    <select data-index="${i}">
+                        <option value="">Choose...</option>
+                        ${question.choices.map(choice => `<option value="${escapeHtml(choice)}">${escapeHtml(choice)}</option>`).join('')}
+                    </select>
+                `;
+                list.appendChild(row);
+            });
+            
+            const checkBtn = document.createElement('button');
+            checkBtn.className = 'btn primary-btn';
+            checkBtn.innerHTML = '<span class="btn-icon">✅</span><span>Check Matches</span>';
+            checkBtn.addEventListener('click', () => answerMatching(question, list, checkBtn));
+            
+            questionAnswersElement.appendChild(list);
+            questionAnswersElement.appendChild(checkBtn);
+            questionAnswersElement.style.display = 'block';
+        }
+    }
+    
+    // Record an answer in the quiz session; the server checks it against the answer key
+    // (for signed answers, { frames } to recognise instead of an answer)
+    async function checkAnswer(question, answer, { frames } = {}) {
+        const response = await fetch(`/api/quizzes/sessions/${sessionId}/answers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                questionId: question.questionId,
+                answer,
+                frames,
+                timeMs: Date.now() - questionStartTime
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    // Count a checked answer towards the on-screen score and reveal the next button
+    function recordAnswer(isCorrect) {
+        if (isCorrect) {
+            score++;
+            debugLog('Score increased to', score);
+        }
+        nextQuestionBtn.style.display = 'inline-block';
+    }
+    
+    async function answerMultipleChoice(question, option, button) {
+        const buttons = questionAnswersElement.querySelectorAll('.answer-option');
+        buttons.forEach(b => { b.disabled = true; });
+        
+        try {
+            const result = await checkAnswer(question, option);
+            button.classList.add(result.isCorrect ? 'correct' : 'incorrect');
+            buttons.forEach(b => {
+                if (b.textContent === result.correctAnswer) b.classList.add('correct');
+            });
+            
+            showFeedback(result.isCorrect, result.isCorrect
+                ? 'Correct! Well done!'
+                : `Not quite. The answer is "${result.correctAnswer}"`, result.explanation);
+            recordAnswer(result.isCorrect);
+        } catch (error) {
+            console.error('Error checking answer:', error);
+            buttons.forEach(b => { b.disabled = false; });
+            showFeedback(false, 'Failed to check your answer. Please try again.');
+        }
+    }
+    
+    async function answerMatching(question, list, checkBtn) {
+        const selects = Array.from(list.querySelectorAll('select'));
+        const choice = selects.map(select => select.value);
+        
+        if (choice.some(value => !value)) {
+            showFeedback(false, 'Match every sign before checking.');
+            return;
+        }
+        
+        checkBtn.disabled = true;
+        selects.forEach(select => { select.disabled = true; });
+        
+        try {
+            const result = await checkAnswer(question, choice);
+            result.results.forEach((isCorrect, i) => {
+                selects[i].parentElement.classList.add(isCorrect ? 'correct' : 'incorrect');
+            });
+            
+            const matched = result.results.filter(Boolean).length;
+            showFeedback(result.isCorrect, result.isCorrect
+                ? 'All matched! Well done!'
+                : `${matched} of ${result.results.length} matched. Correct order: ${result.correctAnswer.join(', ')}`, result.explanation);
+            recordAnswer(result.isCorrect);
+        } catch (error) {
+            console.error('Error checking matches:', error);
+            checkBtn.disabled = false;
+            selects.forEach(select => { select.disabled = false; });
+            showFeedback(false, 'Failed to check your answers. Please try again.');
+        }
+    }
+    
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     // Start webcam stream
     async function startWebcam() {
         try {
@@ -356,45 +567,19 @@ document.addEventListener('DOMContentLoaded', function() {
             feedbackElement.style.display = 'block';
             feedbackElement.style.opacity = '1';
             
-            // Prepare data for API
-            const requestData = {
-                frames: frames,
-                expectedSign: question.answer
-            };
-            
-            debugLog('Sending request to:', API_URL);
-            debugLog('Expected sign:', question.answer);
             debugLog('Number of frames:', frames.length);
             
-            // Send to backend with proper error handling
-            const response = await fetch(API_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestData)
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Server error:', response.status, errorText);
-                throw new Error(`Server error: ${response.status}`);
-            }
-            
-            const result = await response.json();
-            debugLog('Recognition result:', result);
+            // The quiz session has the frames recognised and scores the result
+            const result = await checkAnswer(question, undefined, { frames });
+            debugLog('Recognition result:', result.predictedSign);
             
             // Display feedback
-            showFeedback(result.isCorrect, result.predictedSign, result.confidence);
+            showFeedback(result.isCorrect, result.isCorrect
+                ? 'Correct! Well done!'
+                : `Incorrect. You showed "${result.predictedSign || '?'}"`);
             
-            // Update score if correct
-            if (result.isCorrect) {
-                score++;
-                debugLog('Score increased to', score);
-            }
-            
-            // Enable next question button
-            nextQuestionBtn.style.display = 'inline-block';
+            // Update score and enable next question button
+            recordAnswer(result.isCorrect);
             submitSignBtn.disabled = true;
             
         } catch (error) {
@@ -412,17 +597,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // Show feedback - ENHANCED VERSION
-    function showFeedback(isCorrect, predictedSign, confidence) {
-        // Create feedback message
-        let message;
-        let icon;
-        if (isCorrect) {
-            icon = '✅';
-            message = `Correct! Well done!`;
-        } else {
-            icon = '❌';
-            message = `Incorrect. You showed "${predictedSign}"`;
-        }
+    function showFeedback(isCorrect, message, explanation) {
+        const icon = isCorrect ? '✅' : '❌';
         
         debugLog('Showing feedback:', message);
         
@@ -430,7 +606,7 @@ document.addEventListener('DOMContentLoaded', function() {
         feedbackElement.innerHTML = `
             <div class="feedback-content ${isCorrect ? 'success' : 'error'}">
                 <div class="feedback-icon">${icon}</div>
-                <div class="feedback-text">${message}</div>
+                <div class="feedback-text">${escapeHtml(message)}${explanation ? `<br><small>${escapeHtml(explanation)}</small>` : ''}</div>
             </div>
         `;
         feedbackElement.style.display = 'block';
@@ -505,7 +681,6 @@ document.addEventListener('DOMContentLoaded', function() {
         if (currentQuestionIndex < questions.length) {
             // More questions remain
             setCurrentQuestion();
-            submitSignBtn.disabled = false;
             nextQuestionBtn.style.display = 'none';
         } else {
             // End of quiz
@@ -525,11 +700,17 @@ document.addEventListener('DOMContentLoaded', function() {
             totalTimeSpent = Math.round((Date.now() - quizStartTime) / 1000);
         }
         
+        // Submit the session; the saved attempt's score is the one shown
+        const saved = await submitQuizResults();
+        if (saved) {
+            score = saved.correct;
+        }
+        
         // Update score
         scoreElement.textContent = score;
         
         // Calculate percentage
-        const percentage = Math.round((score / questions.length) * 100);
+        const percentage = saved ? saved.score : Math.round((score / questions.length) * 100);
         
         // Update UI elements
         const accuracyElement = document.getElementById('accuracy');
@@ -568,10 +749,17 @@ document.addEventListener('DOMContentLoaded', function() {
             message = '📚 Keep learning! Practice makes perfect.';
         }
         
-        resultMessageElement.textContent = message;
+        if (saved) {
+            message += saved.passed
+                ? ` You passed (pass mark ${saved.passingScore}%).`
+                : ` You need ${saved.passingScore}% to pass.`;
+            
+            if (saved.newAchievements?.length > 0) {
+                message += ` 🏆 New badge${saved.newAchievements.length > 1 ? 's' : ''}: ${saved.newAchievements.map(a => a.name).join(', ')}!`;
+            }
+        }
         
-        // Submit quiz results to API
-        await submitQuizResults(score, percentage, totalTimeSpent);
+        resultMessageElement.textContent = message;
         
         // Show results panel
         document.querySelector('.webcam-container').style.display = 'none';
@@ -580,50 +768,34 @@ document.addEventListener('DOMContentLoaded', function() {
         quizResultsElement.style.display = 'block';
     }
     
-    // Submit quiz results to backend API
-    async function submitQuizResults(finalScore, percentage, timeSpent) {
+    // Submit the quiz session; the server scores it and returns the saved attempt
+    async function submitQuizResults() {
         try {
-            const userId = localStorage.getItem('userId');
+            const userId = getQuizUserId();
             if (!userId) {
                 console.warn('No userId found, skipping quiz result submission');
-                return;
+                return null;
             }
             
-            // Get courseId from URL parameter
-            const urlParams = new URLSearchParams(window.location.search);
-            const courseId = urlParams.get('id') || urlParams.get('courseId') || 'quiz-001';
-            const quizId = 'quiz-' + Date.now();
-            
-            const quizData = {
-                userId,
-                courseId,
-                quizId,
-                score: percentage,
-                totalQuestions: questions.length,
-                correct: finalScore,
-                timeMs: timeSpent * 1000,
-                passed: percentage >= 60,
-                answers: [] // Could be enhanced to track individual answers
-            };
-            
-            console.log('Submitting quiz results:', quizData);
+            const { courseId, quizId } = quiz;
             
             // Use relative URL to work in both development and production
             const response = await fetch(`/api/quizzes/${courseId}/${quizId}/attempts`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(quizData)
+                body: JSON.stringify({ userId, sessionId })
             });
             
             if (response.ok) {
                 const result = await response.json();
                 console.log('Quiz results saved successfully:', result);
-            } else {
-                console.error('Failed to save quiz results:', response.status);
+                return result;
             }
+            console.error('Failed to save quiz results:', response.status);
         } catch (error) {
             console.error('Error submitting quiz results:', error);
         }
+        return null;
     }
     
     // Cancel ongoing capture
@@ -656,17 +828,22 @@ document.addEventListener('DOMContentLoaded', function() {
             startQuizBtn.disabled = true;
             startQuizBtn.innerHTML = '<span class="btn-icon">⏳</span><span>Starting...</span>';
             
-            await startWebcam();
+            await startSession();
             
-            // Hide start button, show submit button
+            // Only sign (video-response) questions need the camera
+            if (needsWebcam()) {
+                await startWebcam();
+            }
+            
+            // Hide start button; each question shows its own controls
             startQuizBtn.style.display = 'none';
-            submitSignBtn.disabled = false;
             
             // Initialize/reset quiz
             initQuiz();
             
         } catch (error) {
             console.error('Error starting quiz:', error);
+            showFeedback(false, error.message);
             startQuizBtn.disabled = false;
             startQuizBtn.innerHTML = '<span class="btn-icon">🚀</span><span>Start Quiz</span>';
         }
@@ -689,6 +866,9 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Reset buttons
         submitSignBtn.disabled = true;
+        submitSignBtn.style.display = 'flex';
+        questionMediaElement.style.display = 'none';
+        questionAnswersElement.style.display = 'none';
         nextQuestionBtn.style.display = 'none';
         startQuizBtn.style.display = 'inline-block';
         startQuizBtn.disabled = false;
@@ -723,6 +903,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (currentPromptElement) {
         currentPromptElement.textContent = 'Click "Start Quiz" to begin';
     }
+    loadQuiz();
     
     // Verify API connectivity on load
     fetch('/')
@@ -27,7 +27,7 @@ async function loadReport() {
     const errorEl = document.getElementById('report-error');
     
     try {
-        const userId = localStorage.getItem('userId');
+        const userId = window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
         
         if (!userId) {
             showError('Please log in to view your report.');
@@ -54,6 +54,7 @@ async function loadReport() {
         
         // Render the report
         renderReport(data.report);
+        loadAchievements(userId);
         
         // Show content, hide loading
         loadingEl.style.display = 'none';
@@ -105,9 +106,6 @@ function renderReport(report) {
     // Render course progress
     renderCourseProgress(report.courseProgress);
     
-    // Render achievements
-    renderAchievements(report.aiInsights?.achievements || []);
-    
     // Render analysis
     renderAnalysis(report.aiInsights, report.strengths, report.improvements);
     
@@ -311,25 +309,49 @@ function renderCourseProgress(courses) {
 }
 
 /**
- * Render achievements
+ * Load the learner's badges from the achievements engine
  */
-function renderAchievements(achievements) {
+async function loadAchievements(userId) {
+    try {
+        const response = await fetch(`/api/users/${userId}/achievements`, { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to load achievements');
+
+        renderAchievements(data.earned, data.locked);
+    } catch (error) {
+        console.error('[Report] Error loading achievements:', error);
+        renderAchievements([], []);
+    }
+}
+
+/**
+ * Render earned badges; until the first one is earned, show the closest locked ones
+ */
+function renderAchievements(earned, locked) {
     const container = document.getElementById('achievements-list');
     
-    const defaultAchievements = [
-        '🌟 Started Learning Journey',
-        '📚 Explored First Course',
-        '🎯 Ready to Grow'
-    ];
+    if (earned.length > 0) {
+        container.innerHTML = earned.map(badge => `
+            <div class="achievement-badge" title="${escapeHtml(badge.description)}">
+                <span class="achievement-icon">${badge.icon || '🏆'}</span>
+                <span class="achievement-text">${escapeHtml(badge.name)}</span>
+            </div>
+        `).join('');
+        return;
+    }
     
-    const items = achievements.length > 0 ? achievements : defaultAchievements;
+    const upcoming = [...locked]
+        .sort((a, b) => (b.current / b.target) - (a.current / a.target))
+        .slice(0, 3);
     
-    container.innerHTML = items.map(achievement => `
-        <div class="achievement-badge">
-            <span class="achievement-icon">🏆</span>
-            <span class="achievement-text">${escapeHtml(achievement)}</span>
-        </div>
-    `).join('');
+    container.innerHTML = upcoming.length > 0
+        ? upcoming.map(badge => `
+            <div class="achievement-badge locked" title="${escapeHtml(badge.description)}">
+                <span class="achievement-icon">${badge.icon || '🏆'}</span>
+                <span class="achievement-text">${escapeHtml(badge.name)} (${badge.current}/${badge.target})</span>
+            </div>
+        `).join('')
+        : '<p class="achievements-empty">Badges will appear here as lessons, quizzes and reviews are completed.</p>';
 }
 
 /**
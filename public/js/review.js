@@ -0,0 +1,254 @@
+/**
+ * LearnSign - Sign Review
+ * Spaced-repetition review of due signs, graded by the learner or the webcam
+ */
+
+// Review State
+const ReviewState = {
+    userId: null,
+    items: [],
+    index: 0,
+    stream: null
+};
+
+// Webcam capture settings (match the quiz recogniser)
+const CAPTURE_DURATION_MS = 3000;
+const CAPTURE_INTERVAL_MS = 100;
+const IMAGE_QUALITY = 0.7;
+const IMAGE_SCALE = 0.5;
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    ReviewState.userId = window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
+
+    document.getElementById('reveal-btn').addEventListener('click', revealSign);
+    document.getElementById('webcam-btn').addEventListener('click', gradeWithWebcam);
+    document.querySelectorAll('.grade-btn').forEach(button => {
+        button.addEventListener('click', () => submitGrade({ method: 'self', grade: Number(button.dataset.grade) }));
+    });
+
+    loadDueReviews();
+});
+
+window.addEventListener('beforeunload', stopWebcam);
+
+/**
+ * Load the signs that are due for review
+ */
+async function loadDueReviews() {
+    if (!ReviewState.userId) {
+        showEmpty('🔒', 'Please log in', 'Log in to see the signs you have to review.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/review/due/${ReviewState.userId}`, { credentials: 'same-origin' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load reviews');
+        }
+
+        ReviewState.items = data.due;
+        ReviewState.index = 0;
+
+        if (ReviewState.items.length === 0) {
+            const next = data.nextDueAt
+                ? `Your next review is due ${new Date(data.nextDueAt).toLocaleString()}.`
+                : 'Missed quiz signs and tutor lookups will show up here.';
+            showEmpty('🎉', 'All caught up!', next);
+            return;
+        }
+
+        document.getElementById('review-loading').style.display = 'none';
+        document.getElementById('review-session').style.display = 'block';
+        showCurrentItem();
+    } catch (error) {
+        console.error('[Review] Error:', error);
+        showEmpty('⚠️', 'Could not load reviews', error.message);
+    }
+}
+
+/**
+ * Play the current sign with the word hidden
+ */
+function showCurrentItem() {
+    const item = ReviewState.items[ReviewState.index];
+
+    document.getElementById('review-video').src = item.videoPath;
+    document.getElementById('review-sign').textContent = item.sign;
+    document.getElementById('review-sign').style.visibility = 'hidden';
+    document.getElementById('review-position').textContent = `${ReviewState.index + 1} / ${ReviewState.items.length}`;
+    document.getElementById('review-remaining').textContent = item.repetitions > 0
+        ? `Reviewed ${item.repetitions} time${item.repetitions > 1 ? 's' : ''} in a row`
+        : 'New or recently missed';
+    setStatus('Watch the sign, then sign it yourself.');
+
+    document.getElementById('review-reveal-actions').style.display = 'flex';
+    document.getElementById('review-grade-actions').style.display = 'none';
+    document.getElementById('webcam-btn').disabled = false;
+}
+
+/**
+ * Show the word and let the learner grade themselves
+ */
+function revealSign() {
+    document.getElementById('review-sign').style.visibility = 'visible';
+    document.getElementById('review-reveal-actions').style.display = 'none';
+    document.getElementById('review-grade-actions').style.display = 'flex';
+    setStatus('How well did you remember it?');
+}
+
+/**
+ * Record the learner signing and let the recogniser grade it
+ */
+async function gradeWithWebcam() {
+    const item = ReviewState.items[ReviewState.index];
+    const button = document.getElementById('webcam-btn');
+    button.disabled = true;
+
+    try {
+        await startWebcam();
+        setStatus('Sign the word now... 🔴');
+        const frames = await captureFrames();
+        stopWebcam();
+        setStatus('Checking your sign...');
+
+        const response = await fetch('/api/quiz', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ frames, expectedSign: item.sign })
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const recognition = await response.json();
+
+        document.getElementById('review-sign').style.visibility = 'visible';
+        await submitGrade({ method: 'webcam', predictedSign: recognition.predictedSign });
+    } catch (error) {
+        console.error('[Review] Webcam grading error:', error);
+        stopWebcam();
+        setStatus('Webcam check failed. Reveal the word and grade yourself instead.');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Send a grade for the current sign and move on
+ */
+async function submitGrade(grading) {
+    const item = ReviewState.items[ReviewState.index];
+
+    try {
+        const response = await fetch('/api/review/grade', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ userId: ReviewState.userId, itemId: item._id, ...grading })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to record review');
+        }
+
+        const days = data.item.interval;
+        const prefix = grading.method === 'webcam'
+            ? (data.grade >= 3 ? '✅ Recognised! ' : `❌ That looked like "${grading.predictedSign || '?'}". `)
+            : '';
+        setStatus(`${prefix}Next review in ${days} day${days === 1 ? '' : 's'}.`);
+
+        setTimeout(nextItem, grading.method === 'webcam' ? 2000 : 600);
+    } catch (error) {
+        console.error('[Review] Grade error:', error);
+        setStatus(error.message);
+    }
+}
+
+/**
+ * Advance to the next due sign, or finish the session
+ */
+function nextItem() {
+    ReviewState.index++;
+
+    if (ReviewState.index >= ReviewState.items.length) {
+        document.getElementById('review-session').style.display = 'none';
+        document.getElementById('review-video').removeAttribute('src');
+        loadDueReviews();
+        return;
+    }
+    showCurrentItem();
+}
+
+/**
+ * Start the webcam preview in place of the sign video
+ */
+async function startWebcam() {
+    const webcam = document.getElementById('review-webcam');
+    ReviewState.stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 640 }, height: { ideal: 480 }, facingMode: 'user' }
+    });
+    webcam.srcObject = ReviewState.stream;
+    await webcam.play();
+
+    document.getElementById('review-video').style.display = 'none';
+    webcam.style.display = 'block';
+}
+
+/**
+ * Stop the webcam and show the sign video again
+ */
+function stopWebcam() {
+    if (ReviewState.stream) {
+        ReviewState.stream.getTracks().forEach(track => track.stop());
+        ReviewState.stream = null;
+    }
+    document.getElementById('review-webcam').style.display = 'none';
+    document.getElementById('review-video').style.display = 'block';
+}
+
+/**
+ * Capture base64 JPEG frames from the webcam for the recogniser
+ */
+function captureFrames() {
+    const webcam = document.getElementById('review-webcam');
+    const canvas = document.getElementById('review-canvas');
+    const frames = [];
+
+    return new Promise(resolve => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            if (Date.now() - started >= CAPTURE_DURATION_MS) {
+                clearInterval(timer);
+                resolve(frames);
+                return;
+            }
+
+            canvas.width = Math.floor(webcam.videoWidth * IMAGE_SCALE);
+            canvas.height = Math.floor(webcam.videoHeight * IMAGE_SCALE);
+            if (!canvas.width || !canvas.height) return;
+
+            canvas.getContext('2d').drawImage(webcam, 0, 0, canvas.width, canvas.height);
+            frames.push(canvas.toDataURL('image/jpeg', IMAGE_QUALITY).split(',')[1]);
+        }, CAPTURE_INTERVAL_MS);
+    });
+}
+
+/**
+ * Update the status line under the sign
+ */
+function setStatus(message) {
+    document.getElementById('review-status').textContent = message;
+}
+
+/**
+ * Replace the page with an empty or error state
+ */
+function showEmpty(icon, title, message) {
+    document.getElementById('review-loading').style.display = 'none';
+    document.querySelector('#review-empty .empty-icon').textContent = icon;
+    document.getElementById('review-empty-title').textContent = title;
+    document.getElementById('review-empty-message').textContent = message;
+    document.getElementById('review-empty').style.display = 'block';
+}
@@ -0,0 +1,371 @@
+// Sign video player shared by the translator and the AI tutor.
+// Usage: const player = new SignPlayer(videoElement, { controls, onChange, onFinish, loop })
+//        player.load([{ path, label, displayMs }]); player.play(0);
+//
+// Plays a sequence of sign clips with per-sign replay and looping, looping of
+// the whole sentence, 0.5x/0.75x speed, an A-B loop over part of a clip, a
+// mirrored (left-handed) view and frame-by-frame stepping. Speed and mirror
+// are the learner's preferences: kept in localStorage and, when logged in,
+// saved to their profile (preferences.signPlayer).
+
+(function() {
+    const SPEEDS = [0.5, 0.75, 1];
+    const FRAME_SECONDS = 1 / 25;
+    // Shortest time a sign stays on screen: letter clips are often one frame
+    const MIN_DISPLAY_MS = 800;
+    const STORAGE_KEY = 'learnSignPlayerPrefs';
+    const SAVE_DELAY_MS = 1000;
+
+    // Preferences shared by every player on the page
+    const prefs = {
+        values: { speed: 1, mirror: false, ...readStoredPrefs() },
+        players: new Set(),
+        loading: null,
+        saveTimer: null,
+        unsaved: {}
+    };
+
+    function readStoredPrefs() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            return {
+                ...(SPEEDS.includes(stored.speed) && { speed: stored.speed }),
+                ...(typeof stored.mirror === 'boolean' && { mirror: stored.mirror })
+            };
+        } catch {
+            return {};
+        }
+    }
+
+    function learnerId() {
+        return window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
+    }
+
+    // The saved preferences from the learner's profile, fetched once per page
+    function loadProfilePrefs() {
+        const userId = learnerId();
+        if (!userId || prefs.loading) return;
+
+        prefs.loading = fetch(`/api/users/${encodeURIComponent(userId)}/preferences`, { credentials: 'same-origin' })
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => {
+                const saved = data?.preferences?.signPlayer;
+                if (saved) applyPrefs({ speed: saved.speed, mirror: saved.mirror }, false);
+            })
+            .catch(error => console.error('[SignPlayer] Error loading preferences:', error));
+    }
+
+    function applyPrefs(changes, save) {
+        Object.assign(prefs.values, changes);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs.values));
+        prefs.players.forEach(player => player.applyPrefs());
+        if (save) saveProfilePrefs(changes);
+    }
+
+    // Save changed preferences to the profile, batching quick successive changes
+    function saveProfilePrefs(changes) {
+        const userId = learnerId();
+        if (!userId) return;
+
+        Object.assign(prefs.unsaved, changes);
+        clearTimeout(prefs.saveTimer);
+        prefs.saveTimer = setTimeout(() => {
+            const signPlayer = prefs.unsaved;
+            prefs.unsaved = {};
+            fetch(`/api/users/${encodeURIComponent(userId)}/preferences`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ signPlayer })
+            }).catch(error => console.error('[SignPlayer] Error saving preferences:', error));
+        }, SAVE_DELAY_MS);
+    }
+
+    class SignPlayer {
+        /**
+         * @param {HTMLVideoElement} video
+         * @param {Object} [options]
+         * @param {HTMLElement} [options.controls] element to render the controls into
+         * @param {(index: number, item: Object) => void} [options.onChange] a sign started
+         * @param {() => void} [options.onFinish] the sequence played to the end
+         * @param {(paused: boolean) => void} [options.onPauseChange]
+         * @param {'off'|'sign'|'sequence'} [options.loop]
+         */
+        constructor(video, { controls = null, onChange = null, onFinish = null, onPauseChange = null, loop = 'off' } = {}) {
+            this.video = video;
+            this.controls = controls;
+            this.onChange = onChange;
+            this.onFinish = onFinish;
+            this.onPauseChange = onPauseChange;
+            this.loop = loop;
+            this.items = [];
+            this.index = 0;
+            this.paused = true;
+            this.abLoop = { a: null, b: null };
+            this.holdTimer = null;
+            this.startedAt = 0;
+
+            video.removeAttribute('loop');
+            video.muted = true;
+            video.playsInline = true;
+            this.handleEnded = () => this.signEnded();
+            this.handleTimeUpdate = () => this.checkAbLoop();
+            video.addEventListener('ended', this.handleEnded);
+            video.addEventListener('timeupdate', this.handleTimeUpdate);
+
+            if (controls) this.renderControls();
+            prefs.players.add(this);
+            this.applyPrefs();
+            loadProfilePrefs();
+        }
+
+        /**
+         * Replace the sequence: [{ path, label, displayMs }]
+         */
+        load(items) {
+            this.items = items;
+            this.index = 0;
+            this.clearAbLoop();
+            this.updateControls();
+        }
+
+        /**
+         * Play the sign at index (the current one by default)
+         */
+        play(index = this.index) {
+            if (!this.items[index]) return;
+            clearTimeout(this.holdTimer);
+            if (index !== this.index) this.clearAbLoop();
+            this.index = index;
+            this.setPaused(false);
+
+            const item = this.items[index];
+            if (this.video.getAttribute('src') !== item.path) {
+                this.video.src = item.path;
+            }
+            this.video.currentTime = this.abLoop.a ?? 0;
+            this.applyPrefs();
+            this.startedAt = Date.now();
+            this.video.play().catch(error => console.log('[SignPlayer] Play error:', error.message));
+
+            this.onChange?.(index, item);
+            this.updateControls();
+        }
+
+        pause() {
+            clearTimeout(this.holdTimer);
+            this.video.pause();
+            this.setPaused(true);
+        }
+
+        // Resume where the video was paused
+        resume() {
+            if (!this.items[this.index]) return;
+            this.setPaused(false);
+            if (this.video.ended) {
+                this.signEnded();
+            } else {
+                this.video.play().catch(error => console.log('[SignPlayer] Play error:', error.message));
+            }
+        }
+
+        togglePause() {
+            if (this.paused) this.resume();
+            else this.pause();
+        }
+
+        restart() {
+            this.play(0);
+        }
+
+        next() {
+            if (this.index < this.items.length - 1) this.play(this.index + 1);
+            else if (this.loop === 'sequence') this.play(0);
+        }
+
+        previous() {
+            this.play(Math.max(0, this.index - 1));
+        }
+
+        // Play the current sign again from the start
+        replaySign() {
+            this.clearAbLoop();
+            this.play(this.index);
+        }
+
+        /**
+         * Loop nothing, the current sign or the whole sequence
+         * @param {'off'|'sign'|'sequence'} mode
+         */
+        setLoop(mode) {
+            this.loop = mode;
+            this.updateControls();
+        }
+
+        setSpeed(speed) {
+            const value = Number(speed);
+            if (SPEEDS.includes(value)) applyPrefs({ speed: value }, true);
+        }
+
+        toggleMirror() {
+            applyPrefs({ mirror: !prefs.values.mirror }, true);
+        }
+
+        // A-B loop: mark A, then B, and the part between them repeats
+        markA() {
+            this.abLoop = { a: this.video.currentTime, b: null };
+            this.updateControls();
+        }
+
+        markB() {
+            if (this.abLoop.a === null || this.video.currentTime <= this.abLoop.a) return;
+            this.abLoop.b = this.video.currentTime;
+            this.video.currentTime = this.abLoop.a;
+            if (this.paused) this.resume();
+            this.updateControls();
+        }
+
+        clearAbLoop() {
+            this.abLoop = { a: null, b: null };
+            this.updateControls();
+        }
+
+        /**
+         * Pause and move by a number of frames (negative steps back)
+         */
+        step(frames) {
+            this.pause();
+            const duration = Number.isFinite(this.video.duration) ? this.video.duration : Infinity;
+            this.video.currentTime = Math.min(duration, Math.max(0, this.video.currentTime + frames * FRAME_SECONDS));
+        }
+
+        // Apply the shared speed and mirror preferences to this player
+        applyPrefs() {
+            this.video.defaultPlaybackRate = prefs.values.speed;
+            this.video.playbackRate = prefs.values.speed;
+            this.video.classList.toggle('sign-player-mirrored', prefs.values.mirror);
+            this.updateControls();
+        }
+
+        destroy() {
+            clearTimeout(this.holdTimer);
+            this.video.removeEventListener('ended', this.handleEnded);
+            this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+            prefs.players.delete(this);
+        }
+
+        // ===== Internals =====
+
+        setPaused(paused) {
+            if (this.paused === paused) return;
+            this.paused = paused;
+            this.onPauseChange?.(paused);
+            this.updateControls();
+        }
+
+        checkAbLoop() {
+            const { a, b } = this.abLoop;
+            if (a !== null && b !== null && this.video.currentTime >= b) {
+                this.video.currentTime = a;
+            }
+        }
+
+        signEnded() {
+            if (this.paused) return;
+            if (this.abLoop.a !== null && this.abLoop.b !== null) {
+                this.video.currentTime = this.abLoop.a;
+                this.video.play().catch(() => {});
+                return;
+            }
+
+            // Hold short clips long enough to read, allowing for the speed
+            const item = this.items[this.index];
+            const displayMs = Math.max(item?.displayMs || 0, MIN_DISPLAY_MS) / prefs.values.speed;
+            const remainingMs = displayMs - (Date.now() - this.startedAt);
+            clearTimeout(this.holdTimer);
+            this.holdTimer = setTimeout(() => this.advance(), Math.max(0, remainingMs));
+        }
+
+        advance() {
+            if (this.paused) return;
+            if (this.loop === 'sign') {
+                this.play(this.index);
+            } else if (this.index < this.items.length - 1) {
+                this.play(this.index + 1);
+            } else if (this.loop === 'sequence') {
+                this.play(0);
+            } else {
+                this.setPaused(true);
+                this.onFinish?.();
+            }
+        }
+
+        renderControls() {
+            this.controls.classList.add('sign-player-controls');
+            this.controls.innerHTML = `
+                <div class="sign-player-row">
+                    <button type="button" data-action="previous" title="Previous sign">⏮️</button>
+                    <button type="button" data-action="toggle" title="Play / pause">⏸️</button>
+                    <button type="button" data-action="next" title="Next sign">⏭️</button>
+                    <button type="button" data-action="replay" title="Replay this sign">🔂 Replay</button>
+                    <select data-action="loop" aria-label="Loop">
+                        <option value="off">No loop</option>
+                        <option value="sign">Loop this sign</option>
+                        <option value="sequence">Loop all</option>
+                    </select>
+                    <select data-action="speed" aria-label="Speed">
+                        ${SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+                    </select>
+                    <button type="button" data-action="mirror" title="Mirror for left-handed signing">🪞 Mirror</button>
+                </div>
+                <div class="sign-player-row">
+                    <button type="button" data-action="step-back" title="Previous frame">◀️ Frame</button>
+                    <button type="button" data-action="step-forward" title="Next frame">Frame ▶️</button>
+                    <span class="sign-player-ab">
+                        <button type="button" data-action="mark-a" title="Start of the part to repeat">A</button>
+                        <button type="button" data-action="mark-b" title="End of the part to repeat">B</button>
+                        <button type="button" data-action="clear-ab" title="Stop repeating the part">✕</button>
+                    </span>
+                </div>
+            `;
+
+            const actions = {
+                previous: () => this.previous(),
+                toggle: () => this.togglePause(),
+                next: () => this.next(),
+                replay: () => this.replaySign(),
+                mirror: () => this.toggleMirror(),
+                'step-back': () => this.step(-1),
+                'step-forward': () => this.step(1),
+                'mark-a': () => this.markA(),
+                'mark-b': () => this.markB(),
+                'clear-ab': () => this.clearAbLoop()
+            };
+            this.controls.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) actions[button.dataset.action]?.();
+            });
+            this.controls.querySelector('[data-action="loop"]').addEventListener('change', (e) => this.setLoop(e.target.value));
+            this.controls.querySelector('[data-action="speed"]').addEventListener('change', (e) => this.setSpeed(e.target.value));
+        }
+
+        updateControls() {
+            if (!this.controls || !this.controls.querySelector('[data-action="toggle"]')) return;
+            const control = (action) => this.controls.querySelector(`[data-action="${action}"]`);
+            const { a, b } = this.abLoop;
+
+            control('toggle').textContent = this.paused ? '▶️' : '⏸️';
+            control('previous').disabled = this.index === 0;
+            control('next').disabled = this.index >= this.items.length - 1 && this.loop !== 'sequence';
+            control('loop').value = this.loop;
+            control('speed').value = String(prefs.values.speed);
+            control('mirror').classList.toggle('active', prefs.values.mirror);
+            control('mark-a').classList.toggle('active', a !== null);
+            control('mark-b').classList.toggle('active', b !== null);
+            control('mark-b').disabled = a === null;
+            control('clear-ab').disabled = a === null;
+        }
+    }
+
+    window.SignPlayer = SignPlayer;
+})();
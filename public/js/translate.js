@@ -218,20 +218,30 @@ class SignLanguageLearning {
         this.textToSignInput = document.getElementById('text-to-sign-input');
         this.translateToSignBtn = document.getElementById('translate-to-sign-btn');
         this.stopSignVideoBtn = document.getElementById('stop-sign-video-btn');
-        this.loopSignVideoBtn = document.getElementById('loop-sign-video-btn');
         this.signVideo = document.getElementById('sign-video');
         this.videoStatusText = document.getElementById('video-status-text');
         this.videoProgressText = document.getElementById('video-progress-text');
+        this.videoLengthText = document.getElementById('video-length-text');
+        this.signTextHighlight = document.getElementById('sign-text-highlight');
+        this.downloadSignVideoBtn = document.getElementById('download-sign-video-btn');
+        this.signRenderPause = document.getElementById('sign-render-pause');
         
-        this.isPlayingSignVideo = false;
-        this.isPausedSignVideo = false;
-        this.isLoopingSignVideo = false;
-        this.currentVideoIndex = 0;
         this.videoSequence = [];
+        // Shared player (sign-player.js): per-sign replay and looping, speed,
+        // A-B loop, mirror and frame steps
+        this.signPlayer = this.signVideo ? new SignPlayer(this.signVideo, {
+            controls: document.getElementById('sign-player-controls'),
+            onChange: (index, item) => this.signStarted(index, item),
+            onFinish: () => this.signSequenceFinished(),
+            onPauseChange: (paused) => {
+                this.stopSignVideoBtn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+                if (paused) this.videoStatusText.textContent = 'Paused';
+            }
+        }) : null;
         
         this.translateToSignBtn?.addEventListener('click', () => this.startTextToSign());
         this.stopSignVideoBtn?.addEventListener('click', () => this.stopSignVideo());
-        this.loopSignVideoBtn?.addEventListener('click', () => this.toggleLoop());
+        this.downloadSignVideoBtn?.addEventListener('click', () => this.downloadSignVideo());
 
         document.querySelectorAll('.example-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -248,16 +258,13 @@ class SignLanguageLearning {
             return;
         }
         
-        this.isPlayingSignVideo = true;
-        this.isPausedSignVideo = false;
-        this.currentVideoIndex = 0;
-        
         this.translateToSignBtn.disabled = true;
         this.stopSignVideoBtn.style.display = 'inline-block';
-        this.loopSignVideoBtn.disabled = false;
         this.videoStatusText.textContent = 'Loading...';
         
         this.videoSequence = await this.prepareVideoSequence(text);
+        this.signText = text;
+        if (this.downloadSignVideoBtn) this.downloadSignVideoBtn.disabled = this.videoSequence.length === 0;
         
         if (this.videoSequence.length === 0) {
             this.videoStatusText.textContent = 'Not available';
@@ -268,111 +275,106 @@ class SignLanguageLearning {
         
         document.querySelector('.video-placeholder').style.display = 'none';
         this.signVideo.style.display = 'block';
+        if (this.videoLengthText) {
+            this.videoLengthText.textContent = this.formatSignDuration(this.sequenceDurationMs);
+        }
         
         this.showToast('🎬 Playing sign language video!');
-        await this.playVideoSequence(0);
+        this.signPlayer.load(this.videoSequence);
+        this.signPlayer.play(0);
+        // Another text can be started while this one plays or loops
+        this.translateToSignBtn.disabled = false;
     }
 
-    async checkVideoExists(path) {
-        return new Promise(resolve => {
-            const xhr = new XMLHttpRequest();
-            xhr.open('HEAD', path, true);
-            xhr.onload = () => resolve(xhr.status !== 404);
-            xhr.onerror = () => resolve(false);
-            xhr.send();
-        });
-    }
+    // The playlist for the text, built by the server: multi-word signs,
+    // synonyms and word forms, with words it has no sign for spelled out.
+    // Each entry knows how long to show it and which part of the text it signs.
+    async prepareVideoSequence(text) {
+        try {
+            const response = await fetch('/api/signs/sequence', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ text, source: 'translate' })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    async getVideoPath(name) {
-        const formats = ['.webm', '.mp4'];
-        for (const ext of formats) {
-            const path = `/assets/videos/signs/${name.toUpperCase()}${ext}`;
-            if (await this.checkVideoExists(path)) return path;
+            const { playlist, totalDurationMs } = await response.json();
+            this.sequenceDurationMs = totalDurationMs;
+            return playlist.map(item => ({
+                path: item.path,
+                label: item.fingerspelled ? `${item.gloss} (${item.span.text})` : item.gloss,
+                displayMs: item.displayMs,
+                span: item.span
+            }));
+        } catch (error) {
+            console.error('Sign lookup error:', error);
+            return [];
         }
-        return null;
     }
 
-    async prepareVideoSequence(text) {
-        const words = text.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/);
-        const seq = [];
-        
-        for (const word of words) {
-            const path = await this.getVideoPath(word);
-            if (path) {
-                seq.push({ path, label: word });
-            } else {
-                for (const letter of word.toUpperCase()) {
-                    if (/[A-Z0-9]/.test(letter)) {
-                        const letterPath = await this.getVideoPath(letter);
-                        if (letterPath) seq.push({ path: letterPath, label: letter });
-                    }
-                }
-            }
-        }
-        
-        return seq;
-    }
+    // Render the signs as one video (captioned, with the chosen pause between
+    // signs) on the server and download it
+    async downloadSignVideo() {
+        if (!this.signText) return;
+        this.downloadSignVideoBtn.disabled = true;
+        this.showToast('⏳ Preparing your video...');
 
-    async playVideoSequence(startIndex = 0) {
-        for (let i = startIndex; i < this.videoSequence.length; i++) {
-            if (this.isPausedSignVideo) {
-                this.currentVideoIndex = i;
-                this.translateToSignBtn.disabled = false;
-                this.translateToSignBtn.innerHTML = '<span class="btn-icon">▶️</span><span>Continue</span>';
-                return;
-            }
-            
-            this.currentVideoIndex = i;
-            const item = this.videoSequence[i];
-            this.videoProgressText.textContent = `${i + 1} / ${this.videoSequence.length}`;
-            this.videoStatusText.textContent = item.label.toUpperCase();
-            
-            this.signVideo.src = item.path;
-            this.signVideo.loop = this.isLoopingSignVideo && (i === this.videoSequence.length - 1);
-            
-            try {
-                await this.signVideo.play();
-            } catch (e) {
-                console.error('Video error:', e);
-                continue;
-            }
-            
-            await new Promise(resolve => {
-                const onEnd = () => {
-                    this.signVideo.removeEventListener('ended', onEnd);
-                    if (!this.isLoopingSignVideo || i < this.videoSequence.length - 1) {
-                        resolve(true);
-                    }
-                };
-                
-                if (!this.isLoopingSignVideo || i < this.videoSequence.length - 1) {
-                    this.signVideo.addEventListener('ended', onEnd);
-                }
+        try {
+            const response = await fetch('/api/signs/render', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ text: this.signText, pauseMs: Number(this.signRenderPause?.value || 250) })
             });
-        }
-        
-        if (!this.isLoopingSignVideo) {
-            this.videoStatusText.textContent = 'Finished!';
-            this.isPlayingSignVideo = false;
-            this.translateToSignBtn.disabled = false;
-            this.translateToSignBtn.innerHTML = '<span class="btn-icon">▶️</span><span>Show Sign Language</span>';
-            this.stopSignVideoBtn.style.display = 'none';
-            this.showToast('✅ All done! Try another word?');
+            const data = await response.json();
+            if (!response.ok) throw new Error(response.status === 401 ? 'Sign in to download sign videos' : (data.message || `HTTP ${response.status}`));
+
+            const link = document.createElement('a');
+            link.href = data.url;
+            link.download = `learnsign-${data.gloss.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 60)}.webm`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        } catch (error) {
+            console.error('Sign render error:', error);
+            this.showToast(`❌ ${error.message}`);
+        } finally {
+            this.downloadSignVideoBtn.disabled = false;
         }
     }
 
-    stopSignVideo() {
-        this.isPausedSignVideo = true;
-        this.signVideo.pause();
-        this.videoStatusText.textContent = 'Paused';
-        this.translateToSignBtn.disabled = false;
-        this.translateToSignBtn.innerHTML = '<span class="btn-icon">▶️</span><span>Continue</span>';
+    formatSignDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Show the text with the part being signed highlighted
+    highlightSignSpan(span) {
+        if (!this.signTextHighlight) return;
+        const text = this.signText || '';
+        const escape = (value) => value.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        this.signTextHighlight.innerHTML = span
+            ? `${escape(text.slice(0, span.start))}<mark>${escape(text.slice(span.start, span.end))}</mark>${escape(text.slice(span.end))}`
+            : escape(text);
     }
 
-    toggleLoop() {
-        this.isLoopingSignVideo = !this.isLoopingSignVideo;
-        this.loopSignVideoBtn.textContent = this.isLoopingSignVideo ? '🔁 Stop Loop' : '🔁 Loop';
-        this.loopSignVideoBtn.classList.toggle('active', this.isLoopingSignVideo);
+    signStarted(index, item) {
+        this.videoProgressText.textContent = `${index + 1} / ${this.videoSequence.length}`;
+        this.videoStatusText.textContent = `Playing: ${item.label}`;
+        this.highlightSignSpan(item.span);
+    }
+
+    signSequenceFinished() {
+        this.videoStatusText.textContent = 'Finished!';
+        this.stopSignVideoBtn.style.display = 'none';
+        this.highlightSignSpan(null);
+        this.showToast('✅ All done! Try another word?');
+    }
+
+    // Pause or resume the sequence
+    stopSignVideo() {
+        this.signPlayer.togglePause();
     }
 
     // ====================================================================================
@@ -4,6 +4,7 @@
  * 
  * Features:
  * - Text chat with AI tutor
+ * - Saved conversation threads (list, resume, rename, delete)
  * - Voice input using OpenAI Whisper
  * - Voice output using OpenAI TTS
  */
@@ -12,7 +13,9 @@
 const TutorState = {
     userId: null,
     userProfile: null,
-    conversationHistory: [],
+    // Thread the next message goes to; null starts a new one
+    conversationId: null,
+    conversations: [],
     isLoading: false,
     isAuthenticated: false
 };
@@ -45,6 +48,12 @@ const elements = {
     chatInput: null,
     sendBtn: null,
     loginModal: null,
+    // Conversation threads
+    threadsToggle: null,
+    threadPanel: null,
+    threadList: null,
+    threadTitle: null,
+    newThreadBtn: null,
     quickStats: {
         streak: null,
         courses: null
@@ -73,6 +82,11 @@ function initializeElements() {
     elements.chatInput = document.getElementById('chat-input');
     elements.sendBtn = document.getElementById('send-btn');
     elements.loginModal = document.getElementById('login-modal');
+    elements.threadsToggle = document.getElementById('threads-toggle');
+    elements.threadPanel = document.getElementById('thread-panel');
+    elements.threadList = document.getElementById('thread-list');
+    elements.threadTitle = document.getElementById('thread-current-title');
+    elements.newThreadBtn = document.getElementById('new-thread-btn');
     elements.quickStats.streak = document.getElementById('stat-streak');
     elements.quickStats.courses = document.getElementById('stat-courses');
     
@@ -90,14 +104,22 @@ function initializeElements() {
  * Check if user is authenticated
  */
 function checkAuthentication() {
-    const userId = localStorage.getItem('userId');
-    const userName = localStorage.getItem('userName');
+    // Parents and educators may be switched to a child profile in the header
+    const userId = window.getActiveLearnerId ? window.getActiveLearnerId() : localStorage.getItem('userId');
+    const userName = (window.getActiveLearnerName && window.getActiveLearnerName()) || localStorage.getItem('userName');
     
     if (userId) {
         TutorState.userId = userId;
         TutorState.isAuthenticated = true;
         loadUserProfile();
         updateWelcomeMessage(userName);
+        loadConversations().then(() => {
+            // Pick up the thread the learner was last in
+            const lastId = localStorage.getItem(conversationStorageKey());
+            if (lastId && TutorState.conversations.some(c => c._id === lastId)) {
+                openConversation(lastId);
+            }
+        });
     } else {
         TutorState.isAuthenticated = false;
         // Show login modal after a short delay
@@ -151,6 +173,220 @@ function updateWelcomeMessage(userName) {
     }
 }
 
+/**
+ * Conversation threads
+ */
+
+// Thread to reopen on the next visit, per learner
+function conversationStorageKey() {
+    return `tutorConversation:${TutorState.userId}`;
+}
+
+/**
+ * Load the learner's saved threads, most recent first
+ */
+async function loadConversations() {
+    try {
+        const response = await fetch(`/api/tutor/conversations/${TutorState.userId}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        TutorState.conversations = data.conversations || [];
+        renderConversationList();
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
+    }
+}
+
+/**
+ * Render the thread list and the current thread's title
+ */
+function renderConversationList() {
+    const current = TutorState.conversations.find(c => c._id === TutorState.conversationId);
+    if (elements.threadTitle) {
+        elements.threadTitle.textContent = current?.title || 'New conversation';
+    }
+    if (!elements.threadList) return;
+    
+    if (TutorState.conversations.length === 0) {
+        elements.threadList.innerHTML = '<li class="thread-empty">No saved conversations yet</li>';
+        return;
+    }
+    
+    elements.threadList.innerHTML = TutorState.conversations.map(conversation => `
+        <li class="thread-item ${conversation._id === TutorState.conversationId ? 'active' : ''}" data-id="${conversation._id}">
+            <button class="thread-open" data-action="open">
+                <span class="thread-title">${escapeHtml(conversation.title || 'Untitled')}</span>
+                <span class="thread-meta">${formatMessageTime(conversation.lastMessageAt)}${conversation.preview ? ` · ${escapeHtml(conversation.preview)}` : ''}</span>
+            </button>
+            <button class="thread-action" data-action="rename" title="Rename">✏️</button>
+            <button class="thread-action" data-action="delete" title="Delete">🗑️</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Handle clicks in the thread list (open, rename, delete)
+ */
+function handleThreadListClick(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('.thread-item');
+    if (!button || !item) return;
+    
+    const conversationId = item.dataset.id;
+    switch (button.dataset.action) {
+        case 'open':
+            openConversation(conversationId);
+            break;
+        case 'rename':
+            renameConversation(conversationId);
+            break;
+        case 'delete':
+            deleteConversation(conversationId);
+            break;
+    }
+}
+
+function toggleThreadPanel() {
+    if (!elements.threadPanel) return;
+    const open = elements.threadPanel.style.display === 'none';
+    elements.threadPanel.style.display = open ? 'block' : 'none';
+    elements.threadsToggle.classList.toggle('active', open);
+    if (open) loadConversations();
+}
+
+function hideThreadPanel() {
+    if (!elements.threadPanel) return;
+    elements.threadPanel.style.display = 'none';
+    elements.threadsToggle.classList.remove('active');
+}
+
+/**
+ * Make a thread the one new messages go to (null for a new thread)
+ */
+function setCurrentConversation(conversationId) {
+    TutorState.conversationId = conversationId;
+    if (conversationId) {
+        localStorage.setItem(conversationStorageKey(), conversationId);
+    } else {
+        localStorage.removeItem(conversationStorageKey());
+    }
+    renderConversationList();
+}
+
+/**
+ * After a reply: the server saved the exchange (to a new thread if there was none)
+ */
+function conversationSaved(conversationId) {
+    if (conversationId && conversationId !== TutorState.conversationId) {
+        setCurrentConversation(conversationId);
+    }
+    loadConversations();
+}
+
+/**
+ * Error text when the current thread was deleted elsewhere; the next message starts a new one
+ */
+function conversationErrorMessage(status) {
+    if (status !== 404 || !TutorState.conversationId) return null;
+    setCurrentConversation(null);
+    loadConversations();
+    return 'That conversation was deleted. Send your message again to start a new one';
+}
+
+/**
+ * Remove the messages shown (keeping the welcome message) and their video players
+ */
+function clearChat() {
+    Object.values(window.videoSequences || {}).forEach(sequence => sequence.player?.destroy());
+    window.videoSequences = {};
+    elements.chatMessages.querySelectorAll('.message:not(.welcome-message)').forEach(el => el.remove());
+}
+
+/**
+ * Resume a saved thread: show its messages and continue it
+ */
+async function openConversation(conversationId) {
+    try {
+        const response = await fetch(`/api/tutor/conversations/${TutorState.userId}/${conversationId}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to open conversation');
+        }
+        
+        clearChat();
+        setCurrentConversation(conversationId);
+        hideThreadPanel();
+        
+        data.conversation.messages.forEach(message => {
+            if (message.role === 'user') {
+                addMessage(message.content, 'user', message.createdAt);
+            } else {
+                addTutorResponse(message.response || { type: message.type, response: message.content }, {
+                    time: message.createdAt,
+                    autoplay: false
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Failed to open conversation:', error);
+        addErrorMessage(error.message);
+    }
+}
+
+/**
+ * Start a new thread; it is saved with the first message
+ */
+function startNewConversation() {
+    clearChat();
+    setCurrentConversation(null);
+    hideThreadPanel();
+    elements.chatInput.focus();
+}
+
+async function renameConversation(conversationId) {
+    const conversation = TutorState.conversations.find(c => c._id === conversationId);
+    const title = prompt('Rename conversation', conversation?.title || '');
+    if (title === null || !title.trim()) return;
+    
+    try {
+        const response = await fetch(`/api/tutor/conversations/${TutorState.userId}/${conversationId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title: title.trim() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to rename conversation');
+        }
+        await loadConversations();
+    } catch (error) {
+        console.error('Failed to rename conversation:', error);
+        alert(error.message);
+    }
+}
+
+async function deleteConversation(conversationId) {
+    if (!confirm('Delete this conversation? Its messages cannot be recovered.')) return;
+    
+    try {
+        const response = await fetch(`/api/tutor/conversations/${TutorState.userId}/${conversationId}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Failed to delete conversation');
+        }
+        if (conversationId === TutorState.conversationId) {
+            clearChat();
+            setCurrentConversation(null);
+        }
+        await loadConversations();
+    } catch (error) {
+        console.error('Failed to delete conversation:', error);
+        alert(error.message);
+    }
+}
+
 /**
  * Setup event listeners
  */
@@ -187,6 +423,17 @@ function setupEventListeners() {
         });
     });
     
+    // Conversation threads
+    if (elements.threadsToggle) {
+        elements.threadsToggle.addEventListener('click', toggleThreadPanel);
+    }
+    if (elements.newThreadBtn) {
+        elements.newThreadBtn.addEventListener('click', startNewConversation);
+    }
+    if (elements.threadList) {
+        elements.threadList.addEventListener('click', handleThreadListClick);
+    }
+    
     // Voice controls
     setupVoiceEventListeners();
 }
@@ -280,12 +527,6 @@ async function handleSendMessage() {
     updateSendButton();
     autoResizeTextarea();
     
-    // Add to conversation history
-    TutorState.conversationHistory.push({
-        role: 'user',
-        content: message
-    });
-    
     // Show typing indicator
     showTypingIndicator();
     
@@ -294,7 +535,7 @@ async function handleSendMessage() {
         TutorState.isLoading = true;
         updateSendButton();
         
-        const response = await fetch('/api/tutor/chat', {
+        const response = await fetch('/api/tutor/chat/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -302,27 +543,30 @@ async function handleSendMessage() {
             body: JSON.stringify({
                 userId: TutorState.userId,
                 message: message,
-                conversationHistory: TutorState.conversationHistory.slice(-10)
+                conversationId: TutorState.conversationId
             })
         });
         
-        removeTypingIndicator();
-        
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to get response');
+            throw new Error(conversationErrorMessage(response.status) || errorData.error || 'Failed to get response');
         }
         
-        const data = await response.json();
+        // Show the answer as it is written, then the full response
+        let streamingMessage = null;
+        const data = await readTutorStream(response, text => {
+            if (!streamingMessage) {
+                removeTypingIndicator();
+                streamingMessage = addStreamingMessage();
+            }
+            streamingMessage.append(text);
+        });
         
-        // Add assistant response to UI
-        addTutorResponse(data.response);
+        removeTypingIndicator();
         
-        // Add to conversation history
-        TutorState.conversationHistory.push({
-            role: 'assistant',
-            content: JSON.stringify(data.response)
-        });
+        // Add assistant response to UI
+        addTutorResponse(data.response, { messageDiv: streamingMessage?.messageDiv });
+        conversationSaved(data.conversationId);
         
         // Speak the response if voice output is enabled
         if (VoiceState.voiceEnabled && data.response?.response) {
@@ -340,9 +584,83 @@ async function handleSendMessage() {
 }
 
 /**
- * Add a message to the chat
+ * Read a streamed tutor answer (Server-Sent Events): token events go to
+ * onText, and the payload of the done event is returned
  */
-function addMessage(content, sender) {
+async function readTutorStream(response, onText) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (!data) continue;
+            
+            const payload = JSON.parse(data);
+            if (event === 'token') onText(payload.text);
+            else if (event === 'done') return payload;
+            else if (event === 'error') throw new Error(payload.error || 'Failed to get response');
+        }
+        
+        if (done) throw new Error('The answer was cut off. Please try again.');
+    }
+}
+
+/**
+ * Add a tutor message whose text grows as it streams in; addTutorResponse()
+ * replaces it with the full response
+ */
+function addStreamingMessage() {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message tutor-message';
+    messageDiv.innerHTML = `
+        <div class="message-avatar">
+            <span>🤟</span>
+        </div>
+        <div class="message-content">
+            <div class="message-header">
+                <span class="sender-name">SignMentor</span>
+                <span class="message-time">${formatMessageTime(null)}</span>
+            </div>
+            <div class="message-body">
+                <p class="streaming-text"></p>
+            </div>
+        </div>
+    `;
+    
+    elements.chatMessages.appendChild(messageDiv);
+    scrollToBottom();
+    
+    const textElement = messageDiv.querySelector('.streaming-text');
+    let text = '';
+    return {
+        messageDiv,
+        append(piece) {
+            text += piece;
+            textElement.innerHTML = formatText(text);
+            scrollToBottom();
+        }
+    };
+}
+
+/**
+ * Add a message to the chat (time is set for messages of a resumed thread)
+ */
+function addMessage(content, sender, time = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${sender}-message`;
     
@@ -361,7 +679,7 @@ function addMessage(content, sender) {
         <div class="message-content">
             <div class="message-header">
                 <span class="sender-name">${senderName}</span>
-                <span class="message-time">Just now</span>
+                <span class="message-time">${formatMessageTime(time)}</span>
             </div>
             <div class="message-body">
                 <p>${escapeHtml(content)}</p>
@@ -374,11 +692,16 @@ function addMessage(content, sender) {
 }
 
 /**
- * Add tutor response with structured formatting
+ * Add tutor response with structured formatting. Replies of a resumed
+ * thread pass their time and don't start their videos; a streamed reply
+ * passes the message it was written into.
  */
-function addTutorResponse(response) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message tutor-message';
+function addTutorResponse(response, { time = null, autoplay = true, messageDiv = null } = {}) {
+    const isNew = !messageDiv;
+    if (isNew) {
+        messageDiv = document.createElement('div');
+        messageDiv.className = 'message tutor-message';
+    }
     
     // Clear pending sequences before formatting (formatSignSequence will add new ones)
     window.pendingSequences = [];
@@ -392,7 +715,7 @@ function addTutorResponse(response) {
         <div class="message-content">
             <div class="message-header">
                 <span class="sender-name">SignMentor</span>
-                <span class="message-time">Just now</span>
+                <span class="message-time">${formatMessageTime(time)}</span>
             </div>
             <div class="message-body">
                 ${bodyContent}
@@ -400,7 +723,7 @@ function addTutorResponse(response) {
         </div>
     `;
     
-    elements.chatMessages.appendChild(messageDiv);
+    if (isNew) elements.chatMessages.appendChild(messageDiv);
     scrollToBottom();
     
     // Add event listeners for interactive elements
@@ -415,10 +738,11 @@ function addTutorResponse(response) {
             window.videoSequences = window.videoSequences || {};
             window.videoSequences[seq.sequenceId] = {
                 videos: seq.videos,
+                signText: seq.signText,
+                loop: seq.loop,
+                autoplay: autoplay,
                 currentIndex: 0,
-                isPaused: false,
-                isTransitioning: false,
-                videoElement: null,
+                player: null,
                 sequenceId: seq.sequenceId
             };
             
@@ -471,9 +795,28 @@ function formatTutorResponse(response) {
             break;
     }
     
+    html += formatCitations(response);
+    
     return html;
 }
 
+/**
+ * Format the courses and sign videos an answer drew on
+ */
+function formatCitations(response) {
+    if (!response.citations || response.citations.length === 0) return '';
+    
+    return `
+        <div class="citations">
+            <span class="citations-label">Sources:</span>
+            ${response.citations.map(citation => citation.type === 'course'
+                ? `<a class="citation-tag" href="${escapeHtml(citation.url)}">📚 ${escapeHtml(citation.title)}</a>`
+                : `<span class="citation-tag" onclick="askAboutSign('${escapeHtml(citation.gloss)}')">🎬 ${escapeHtml(citation.gloss)}</span>`
+            ).join('')}
+        </div>
+    `;
+}
+
 /**
  * Format sign sequence (multiple videos for a sentence)
  */
@@ -481,20 +824,21 @@ function formatSignSequence(response) {
     let html = '';
     
     if (response.videoSequence && response.videoSequence.length > 0) {
-        const sequenceId = Date.now();
+        const sequenceId = nextSequenceId();
         
         // Store sequence data for initialization (scripts in innerHTML don't execute!)
         window.pendingSequences = window.pendingSequences || [];
         window.pendingSequences.push({
             sequenceId: sequenceId,
-            videos: response.videoSequence
+            videos: response.videoSequence,
+            signText: response.signText
         });
         
         // Word indicators at top
         html += `
             <div class="sentence-display" id="sentence-display-${sequenceId}">
                 ${response.videoSequence.map((item, index) => 
-                    `<span class="word-indicator ${index === 0 ? 'playing' : ''}" data-index="${index}" onclick="jumpToVideo(${sequenceId}, ${index})">${escapeHtml(item.word)}</span>`
+                    `<span class="word-indicator ${index === 0 ? 'playing' : ''} ${item.fingerspelled ? 'fingerspelled' : ''}" data-index="${index}" onclick="jumpToVideo(${sequenceId}, ${index})"${item.fingerspelled ? ' title="Fingerspelled"' : ''}>${escapeHtml(item.word)}</span>`
                 ).join('<span class="word-arrow">→</span>')}
             </div>
         `;
@@ -511,19 +855,17 @@ function formatSignSequence(response) {
                     <video 
                         class="sign-video" 
                         id="sequence-video-${sequenceId}"
-                        autoplay 
                         muted
                         playsinline
-                        src="${escapeHtml(response.videoSequence[0].path)}"
                     ></video>
                 </div>
                 <div class="video-progress-bar">
                     <div class="video-progress-fill" id="progress-${sequenceId}" style="width: ${100 / response.videoSequence.length}%"></div>
                 </div>
+                <div id="player-controls-${sequenceId}"></div>
                 <div class="video-controls">
                     <button class="video-control-btn" onclick="restartSequence(${sequenceId})">🔄 Restart</button>
-                    <button class="video-control-btn" onclick="togglePause(${sequenceId})">⏸️ Pause</button>
-                    <button class="video-control-btn" onclick="toggleSlowMotion(this)">🐢 Slow</button>
+                    ${response.signText && response.videoSequence.length > 1 ? `<button class="video-control-btn" onclick="downloadSignVideo(${sequenceId}, this)">⬇️ Download</button>` : ''}
                 </div>
             </div>
         `;
@@ -564,10 +906,19 @@ function formatNotFound(response) {
 function formatSignInstruction(response) {
     let html = '';
     
-    // VIDEO PLAYER - Show first if video is available
+    // VIDEO PLAYER - Show first if video is available (a one-sign sequence,
+    // looping, so it gets the same player controls)
     if (response.videoAvailable && response.videoPath) {
+        const sequenceId = nextSequenceId();
+        window.pendingSequences = window.pendingSequences || [];
+        window.pendingSequences.push({
+            sequenceId: sequenceId,
+            videos: [{ word: response.sign || 'Sign', path: response.videoPath }],
+            loop: 'sign'
+        });
+
         html += `
-            <div class="sign-video-container">
+            <div class="sign-video-container" id="video-container-${sequenceId}" data-sequence-id="${sequenceId}">
                 <div class="video-header">
                     <span class="video-icon">🎥</span>
                     <span class="video-title">Sign Demo: ${escapeHtml(response.sign || 'Sign')}</span>
@@ -575,24 +926,14 @@ function formatSignInstruction(response) {
                 <div class="video-wrapper">
                     <video 
                         class="sign-video" 
-                        controls 
-                        autoplay 
-                        loop 
+                        id="sequence-video-${sequenceId}"
                         muted
                         playsinline
-                        src="${escapeHtml(response.videoPath)}"
                     >
                         Your browser does not support video playback.
                     </video>
                 </div>
-                <div class="video-controls">
-                    <button class="video-control-btn" onclick="replayVideo(this)">
-                        🔄 Replay
-                    </button>
-                    <button class="video-control-btn" onclick="toggleSlowMotion(this)">
-                        🐢 Slow Motion
-                    </button>
-                </div>
+                <div id="player-controls-${sequenceId}"></div>
             </div>
         `;
     }
@@ -680,42 +1021,13 @@ function formatSignInstruction(response) {
     return html;
 }
 
-/**
- * Replay video
- */
-window.replayVideo = function(btn) {
-    const video = btn.closest('.sign-video-container').querySelector('video');
-    if (video) {
-        video.currentTime = 0;
-        video.play();
-    }
-};
-
-/**
- * Toggle slow motion
- */
-window.toggleSlowMotion = function(btn) {
-    const video = btn.closest('.sign-video-container').querySelector('video');
-    if (video) {
-        if (video.playbackRate === 1) {
-            video.playbackRate = 0.5;
-            btn.innerHTML = '🐇 Normal';
-            btn.classList.add('active');
-        } else {
-            video.playbackRate = 1;
-            btn.innerHTML = '🐢 Slow';
-            btn.classList.remove('active');
-        }
-    }
-};
-
 /**
  * Video Sequence Controls
  */
 window.videoSequences = window.videoSequences || {};
 
 /**
- * Initialize video sequence with proper event listeners
+ * Attach the shared sign player (sign-player.js) to a rendered sequence and start it
  */
 window.initVideoSequence = function(sequenceId) {
     const sequence = window.videoSequences[sequenceId];
@@ -731,122 +1043,26 @@ window.initVideoSequence = function(sequenceId) {
     }
     
     console.log('[VideoSeq] Initializing sequence:', sequenceId, 'with', sequence.videos.length, 'videos');
-    console.log('[VideoSeq] Videos:', sequence.videos.map(v => v.word).join(' -> '));
-    
-    // Store reference to video element
-    sequence.videoElement = video;
-    sequence.isTransitioning = false;
-    
-    // Remove loop attribute if present
-    video.removeAttribute('loop');
-    
-    // Function to advance to next video
-    function advanceToNextVideo() {
-        if (sequence.isPaused || sequence.isTransitioning) {
-            return;
-        }
-        
-        sequence.isTransitioning = true;
-        
-        const nextIndex = sequence.currentIndex + 1;
-        
-        if (nextIndex < sequence.videos.length) {
-            sequence.currentIndex = nextIndex;
-            console.log('[VideoSeq] >>> Advancing to:', nextIndex, sequence.videos[nextIndex].word);
-            playNextVideo();
-        } else {
-            sequence.currentIndex = 0;
-            console.log('[VideoSeq] >>> Looping back to start');
-            playNextVideo();
-        }
-    }
-    
-    // Function to play the video at current index
-    function playNextVideo() {
-        const currentItem = sequence.videos[sequence.currentIndex];
-        if (!currentItem) return;
-        
-        console.log('[VideoSeq] Loading:', currentItem.word, currentItem.path);
-        
-        // Update UI
-        updateSequenceUI(sequenceId);
-        
-        // Set new source and play
-        video.src = currentItem.path;
-        
-        const playPromise = video.play();
-        if (playPromise !== undefined) {
-            playPromise.then(function() {
-                console.log('[VideoSeq] Playing:', currentItem.word);
-                sequence.isTransitioning = false;
-            }).catch(function(e) {
-                console.log('[VideoSeq] Play error:', e.message);
-                sequence.isTransitioning = false;
-            });
-        } else {
-            sequence.isTransitioning = false;
-        }
-    }
-    
-    // PRIMARY: Use timeupdate to detect video end (most reliable)
-    video.addEventListener('timeupdate', function() {
-        if (sequence.isPaused || sequence.isTransitioning) return;
-        
-        // Check if video has ended (within 50ms of end)
-        if (video.duration > 0 && video.currentTime > 0) {
-            const timeRemaining = video.duration - video.currentTime;
-            if (timeRemaining < 0.05) {
-                console.log('[VideoSeq] Video ending (timeupdate):', sequence.videos[sequence.currentIndex]?.word);
-                advanceToNextVideo();
-            }
-        }
-    });
     
-    // BACKUP: Also listen to ended event
-    video.addEventListener('ended', function() {
-        console.log('[VideoSeq] Video ended event:', sequence.videos[sequence.currentIndex]?.word);
-        if (!sequence.isTransitioning) {
-            advanceToNextVideo();
+    // Sentences replay until the learner moves on
+    sequence.player = new SignPlayer(video, {
+        controls: document.getElementById(`player-controls-${sequenceId}`),
+        loop: sequence.loop || 'sequence',
+        onChange: (index) => {
+            sequence.currentIndex = index;
+            updateSequenceUI(sequenceId);
         }
     });
-    
-    // Store advance function for external use
-    sequence.advanceToNext = advanceToNextVideo;
-    
-    // Start playing first video
-    console.log('[VideoSeq] Starting first video:', sequence.videos[0]?.word);
-    video.play().catch(function(e) {
-        console.log('[VideoSeq] Autoplay blocked:', e.message);
-    });
+    sequence.player.load(sequence.videos.map(item => ({ ...item, label: item.word })));
+    if (sequence.autoplay === false) {
+        // Shown ready to play, e.g. in a resumed thread
+        video.preload = 'metadata';
+        video.src = sequence.videos[0].path;
+    } else {
+        sequence.player.play(0);
+    }
 };
 
-/**
- * Play video at specific index (for external calls like jumpToVideo)
- */
-function playVideoAtIndex(sequenceId, index) {
-    const sequence = window.videoSequences[sequenceId];
-    if (!sequence || !sequence.videoElement) return;
-    
-    const video = sequence.videoElement;
-    const currentItem = sequence.videos[index];
-    
-    if (!currentItem) return;
-    
-    sequence.currentIndex = index;
-    sequence.isTransitioning = false;
-    
-    console.log('[VideoSeq] Jump to:', index, currentItem.word);
-    
-    // Update UI
-    updateSequenceUI(sequenceId);
-    
-    // Play video
-    video.src = currentItem.path;
-    video.play().catch(function(e) {
-        console.log('[VideoSeq] Play error:', e.message);
-    });
-}
-
 /**
  * Update UI elements for video sequence
  */
@@ -862,7 +1078,7 @@ function updateSequenceUI(sequenceId) {
     const currentItem = sequence.videos[sequence.currentIndex];
     
     // Update title
-    if (title && currentItem) {
+    if (title && currentItem && sequence.videos.length > 1) {
         title.textContent = `Playing: ${currentItem.word}`;
     }
     
@@ -895,60 +1111,56 @@ function updateSequenceUI(sequenceId) {
  */
 window.restartSequence = function(sequenceId) {
     const sequence = window.videoSequences[sequenceId];
-    if (!sequence) return;
+    if (!sequence || !sequence.player) return;
     
     console.log('[VideoSeq] Restarting sequence');
-    sequence.currentIndex = 0;
-    sequence.isPaused = false;
-    sequence.isTransitioning = false;
-    playVideoAtIndex(sequenceId, 0);
-    
-    // Update pause button
-    const container = document.getElementById(`video-container-${sequenceId}`);
-    if (container) {
-        const pauseBtn = container.querySelector('.video-control-btn:nth-child(2)');
-        if (pauseBtn) pauseBtn.innerHTML = '⏸️ Pause';
-    }
+    sequence.player.restart();
 };
 
 /**
- * Toggle pause/play
+ * Jump to specific video in sequence
  */
-window.togglePause = function(sequenceId) {
+window.jumpToVideo = function(sequenceId, index) {
     const sequence = window.videoSequences[sequenceId];
-    if (!sequence) return;
+    if (!sequence || !sequence.player || index < 0 || index >= sequence.videos.length) return;
     
-    const video = sequence.videoElement || document.getElementById(`sequence-video-${sequenceId}`);
-    const container = document.getElementById(`video-container-${sequenceId}`);
-    const pauseBtn = container?.querySelector('.video-control-btn:nth-child(2)');
-    
-    if (video) {
-        if (video.paused) {
-            video.play();
-            sequence.isPaused = false;
-            sequence.isTransitioning = false;
-            if (pauseBtn) pauseBtn.innerHTML = '⏸️ Pause';
-            console.log('[VideoSeq] Resumed');
-        } else {
-            video.pause();
-            sequence.isPaused = true;
-            if (pauseBtn) pauseBtn.innerHTML = '▶️ Play';
-            console.log('[VideoSeq] Paused');
-        }
-    }
+    console.log('[VideoSeq] Jumping to index:', index);
+    sequence.player.play(index);
 };
 
 /**
- * Jump to specific video in sequence
+ * Render the sequence as one video on the server and download it
  */
-window.jumpToVideo = function(sequenceId, index) {
+window.downloadSignVideo = async function(sequenceId, btn) {
     const sequence = window.videoSequences[sequenceId];
-    if (!sequence || index < 0 || index >= sequence.videos.length) return;
-    
-    console.log('[VideoSeq] Jumping to index:', index);
-    sequence.isPaused = false;
-    sequence.isTransitioning = false;
-    playVideoAtIndex(sequenceId, index);
+    if (!sequence || !sequence.signText) return;
+
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = '⏳ Rendering...';
+    try {
+        const response = await fetch('/api/signs/render', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ text: sequence.signText })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(response.status === 401 ? 'Sign in to download sign videos' : (data.message || 'Failed to render video'));
+
+        const link = document.createElement('a');
+        link.href = data.url;
+        link.download = `learnsign-${data.gloss.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 60)}.webm`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    } catch (error) {
+        console.error('[VideoSeq] Render error:', error);
+        addErrorMessage(error.message);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = label;
+    }
 };
 
 /**
@@ -1066,7 +1278,7 @@ function formatRecommendation(response) {
                 <div class="response-card-body">
                     ${response.recommendedCourses.map(course => `
                         <div style="margin-bottom: 1rem; padding: 0.75rem; background: #f8f9fc; border-radius: 8px;">
-                            <p><strong>${escapeHtml(course.title || '')}</strong></p>
+                            <p><strong>${course.url ? `<a href="${escapeHtml(course.url)}">${escapeHtml(course.title || '')}</a>` : escapeHtml(course.title || '')}</strong></p>
                             <p style="font-size: 0.85rem; color: #718096;">${escapeHtml(course.reason || '')}</p>
                             ${course.estimatedTime ? `<p style="font-size: 0.8rem;"><em>⏱️ ${escapeHtml(course.estimatedTime)}</em></p>` : ''}
                         </div>
@@ -1265,6 +1477,27 @@ window.goToVideoLibrary = function(sign) {
     window.location.href = `/tutorials/basics`;
 };
 
+/**
+ * Utility: Unique id for a video sequence (several render at once in a resumed thread)
+ */
+let lastSequenceId = 0;
+function nextSequenceId() {
+    lastSequenceId = Math.max(lastSequenceId + 1, Date.now());
+    return lastSequenceId;
+}
+
+/**
+ * Utility: Time shown on a message ("Just now" for new ones)
+ */
+function formatMessageTime(time) {
+    if (!time) return 'Just now';
+    const date = new Date(time);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay
+        ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+        : date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+}
+
 /**
  * Utility: Get initials from name
  */
@@ -1466,7 +1699,7 @@ async function processVoiceRecording() {
                         userId: TutorState.userId,
                         audio: base64Audio,
                         language: VoiceState.selectedLanguage,
-                        conversationHistory: TutorState.conversationHistory.slice(-10),
+                        conversationId: TutorState.conversationId,
                         voiceEnabled: VoiceState.voiceEnabled
                     })
                 });
@@ -1477,7 +1710,7 @@ async function processVoiceRecording() {
                 
                 if (!response.ok) {
                     const errorData = await response.json();
-                    throw new Error(errorData.error || 'Failed to process voice');
+                    throw new Error(conversationErrorMessage(response.status) || errorData.error || 'Failed to process voice');
                 }
                 
                 const data = await response.json();
@@ -1485,19 +1718,14 @@ async function processVoiceRecording() {
                 // Add user's transcribed message to chat
                 if (data.transcription) {
                     addMessage(data.transcription, 'user');
-                    TutorState.conversationHistory.push({
-                        role: 'user',
-                        content: data.transcription
-                    });
                 }
                 
                 // Add tutor response to chat
                 if (data.response) {
                     addTutorResponse(data.response);
-                    TutorState.conversationHistory.push({
-                        role: 'assistant',
-                        content: JSON.stringify(data.response)
-                    });
+                }
+                if (data.conversationId) {
+                    conversationSaved(data.conversationId);
                 }
                 
                 // Play TTS audio if available and voice is enabled
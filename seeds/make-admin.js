@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { User } from '../models/index.js';
+import { connectDB } from '../config/database.js';
+
+// Grant (or with --revoke, take away) the admin role that opens the platform
+// analytics. The user picks it up the next time they log in:
+// node seeds/make-admin.js someone@example.com [--revoke]
+
+const email = process.argv[2];
+const role = process.argv.includes('--revoke') ? 'user' : 'admin';
+
+// Connect to database
+await connectDB();
+
+async function setAdminRole() {
+    try {
+        if (!email || email.startsWith('--')) {
+            console.error('❌ Usage: node seeds/make-admin.js <email> [--revoke]');
+            return;
+        }
+
+        const user = await User.findByEmail(email);
+        if (!user) {
+            console.error(`❌ No user found with email ${email}`);
+            return;
+        }
+
+        await User.updateOne({ _id: user._id }, { $set: { role } });
+        console.log(role === 'admin'
+            ? `✅ ${user.email} is now an admin`
+            : `✅ ${user.email} is no longer an admin`);
+    } catch (error) {
+        console.error('❌ Error updating role:', error);
+    } finally {
+        mongoose.connection.close();
+    }
+}
+
+// Run the function
+setAdminRole();
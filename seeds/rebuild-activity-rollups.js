@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { User, LearningEvent, LearningSession, DailyActivity } from '../models/index.js';
+import { connectDB } from '../config/database.js';
+
+// Rebuild every learner's sessions and daily activity rollups from the raw
+// learning events. Run once after upgrading, or whenever the rollups need
+// recomputing: node seeds/rebuild-activity-rollups.js
+
+// Connect to database
+await connectDB();
+
+async function rebuildActivityRollups() {
+    try {
+        const userIds = await LearningEvent.distinct('userId');
+        console.log(`🔄 Rebuilding activity rollups for ${userIds.length} learners...`);
+
+        for (const userId of userIds) {
+            const user = await User.findById(userId).select('preferences');
+            const timezone = user ? user.getTimeZone() : 'UTC';
+
+            const sessionIds = await LearningEvent.distinct('sessionId', { userId });
+            await LearningSession.deleteMany({ userId });
+            const sessions = await LearningSession.rebuild(userId, sessionIds);
+            const days = await DailyActivity.rebuildAll(userId, timezone);
+
+            console.log(`✅ ${userId}: ${sessions.length} sessions, ${days} days (${timezone})`);
+        }
+
+        console.log('🎉 Activity rollups rebuilt!');
+    } catch (error) {
+        console.error('❌ Error rebuilding activity rollups:', error);
+    } finally {
+        mongoose.connection.close();
+    }
+}
+
+// Run the function
+rebuildActivityRollups();
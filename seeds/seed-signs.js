@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Sign } from '../models/index.js';
+import { connectDB } from '../config/database.js';
+
+// Build the sign catalog from the video files in public/assets/videos/signs.
+// Safe to re-run: existing signs keep their metadata and only new files are
+// added. The API also imports new files on startup and while running.
+// node seeds/seed-signs.js
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SIGN_VIDEO_DIR = path.join(__dirname, '..', 'public', 'assets', 'videos', 'signs');
+
+// Connect to database
+await connectDB();
+
+async function seedSigns() {
+    try {
+        const files = fs.readdirSync(SIGN_VIDEO_DIR);
+        console.log(`🔄 Importing ${files.length} sign video files...`);
+
+        const { upserted, videosAdded } = await Sign.importVideoFiles(files);
+        const total = await Sign.countDocuments({ isActive: true });
+
+        console.log(`✅ ${upserted} new signs, ${videosAdded} videos added to existing signs`);
+        console.log(`🎉 The catalog has ${total} active signs`);
+    } catch (error) {
+        console.error('❌ Error seeding signs:', error);
+    } finally {
+        mongoose.connection.close();
+    }
+}
+
+// Run the function
+seedSigns();
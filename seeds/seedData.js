@@ -1,6 +1,9 @@
 import { connectDB } from '../config/database.js';
 import { User, Course, Package } from '../models/index.js';
 
+// Clips from the sign video library used by the course quizzes
+const signVideo = (word) => `/assets/videos/signs/${word}.webm`;
+
 // Seed data for courses
 const seedCourses = [
     // Early Learners (Ages 1-4)
@@ -22,6 +25,39 @@ const seedCourses = [
             "Learn basic hand movements",
             "Recognize simple signs"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("HELLO"),
+                        options: ["Hello", "Bye", "Eat", "Sleep"],
+                        correctAnswer: "Hello",
+                        explanation: "An open hand moving away from the forehead, like a salute, says hello."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("BYE"),
+                        options: ["Thank you", "Bye", "Play", "Water"],
+                        correctAnswer: "Bye",
+                        explanation: "Opening and closing the hand is a friendly wave goodbye."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("HELLO"), answer: "Hello" },
+                            { videoUrl: signVideo("EAT"), answer: "Eat" },
+                            { videoUrl: signVideo("SLEEP"), answer: "Sleep" }
+                        ],
+                        explanation: "Greetings and everyday actions are some of the first signs children use."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["introduction", "basics", "toddler", "visual"],
         instructor: {
             name: "Sarah Johnson",
@@ -47,6 +83,39 @@ const seedCourses = [
             "Understand number concepts",
             "Practice counting with signs"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "Show the sign for number 1",
+                        type: "video-response",
+                        correctAnswer: "one",
+                        explanation: "Hold up your index finger with the palm facing you."
+                    },
+                    {
+                        question: "Show the sign for number 2",
+                        type: "video-response",
+                        correctAnswer: "two",
+                        explanation: "Hold up your index and middle fingers with the palm facing you."
+                    },
+                    {
+                        question: "Show the sign for number 3",
+                        type: "video-response",
+                        correctAnswer: "three",
+                        explanation: "Hold up your thumb, index and middle fingers."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("4"),
+                        options: ["Three", "Four", "Five", "Six"],
+                        correctAnswer: "Four",
+                        explanation: "Four fingers up with the thumb tucked in is the number four."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["numbers", "counting", "math", "toddler"]
     },
     {
@@ -67,6 +136,39 @@ const seedCourses = [
             "Sign common toys and games",
             "Interact with other children"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("PLAY_0A"),
+                        options: ["Play", "Run", "Stop", "Jump"],
+                        correctAnswer: "Play",
+                        explanation: "Shake both 'Y' hands to sign play."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("FRIEND"),
+                        options: ["Friend", "Game", "Team", "Party"],
+                        correctAnswer: "Friend",
+                        explanation: "Hook the index fingers together, then switch them."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("JUMP"), answer: "Jump" },
+                            { videoUrl: signVideo("RUN"), answer: "Run" },
+                            { videoUrl: signVideo("GAME"), answer: "Game" }
+                        ],
+                        explanation: "Action signs copy the movement they describe."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["playground", "toys", "games", "social"]
     },
 
@@ -89,6 +191,41 @@ const seedCourses = [
             "Spell simple words",
             "Understand fingerspelling"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "Show the sign for letter A",
+                        type: "video-response",
+                        correctAnswer: "a",
+                        explanation: "Make a fist with your thumb resting against the side of your index finger."
+                    },
+                    {
+                        question: "Show the sign for letter B",
+                        type: "video-response",
+                        correctAnswer: "b",
+                        explanation: "Hold your fingers straight up together with your thumb folded across the palm."
+                    },
+                    {
+                        question: "Show the sign for letter C",
+                        type: "video-response",
+                        correctAnswer: "c",
+                        explanation: "Curve your hand into the shape of the letter C."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("D"), answer: "D" },
+                            { videoUrl: signVideo("E"), answer: "E" },
+                            { videoUrl: signVideo("F"), answer: "F" }
+                        ],
+                        explanation: "Each letter of the manual alphabet has its own handshape."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["alphabet", "letters", "spelling", "fingerspelling"]
     },
     {
@@ -109,6 +246,39 @@ const seedCourses = [
             "Understand family relationships",
             "Use family signs in conversation"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("MOTHER"),
+                        options: ["Father", "Mother", "Sister", "Baby"],
+                        correctAnswer: "Mother",
+                        explanation: "Tap your thumb on your chin with an open hand."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("FATHER"),
+                        options: ["Father", "Brother", "Son", "Friend"],
+                        correctAnswer: "Father",
+                        explanation: "Tap your thumb on your forehead with an open hand."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("SISTER"), answer: "Sister" },
+                            { videoUrl: signVideo("BROTHER"), answer: "Brother" },
+                            { videoUrl: signVideo("BABY"), answer: "Baby" }
+                        ],
+                        explanation: "Family signs for girls are made near the chin and for boys near the forehead."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["family", "relationships", "parents", "siblings"]
     },
     {
@@ -129,6 +299,39 @@ const seedCourses = [
             "Communicate in classroom settings",
             "Sign educational activities"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("SCHOOL"),
+                        options: ["Book", "School", "Class", "Paper"],
+                        correctAnswer: "School",
+                        explanation: "Clap the top hand onto the flat bottom hand twice, like a teacher calling the class."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("BOOK"),
+                        options: ["Book", "Write", "Read", "Computer"],
+                        correctAnswer: "Book",
+                        explanation: "Open your palms like the pages of a book."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("READ"), answer: "Read" },
+                            { videoUrl: signVideo("WRITE"), answer: "Write" },
+                            { videoUrl: signVideo("CLASS"), answer: "Class" }
+                        ],
+                        explanation: "Classroom signs help children take part at school."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["school", "education", "classroom", "learning"]
     },
 
@@ -151,6 +354,39 @@ const seedCourses = [
             "Understand emotional nuance",
             "Use facial expressions effectively"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("HAPPY"),
+                        options: ["Sad", "Angry", "Happy", "Tired"],
+                        correctAnswer: "Happy",
+                        explanation: "Brushing the chest upward with a flat hand shows a happy feeling."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("SAD"),
+                        options: ["Sad", "Excited", "Calm", "Proud"],
+                        correctAnswer: "Sad",
+                        explanation: "Both hands move down in front of the face, like a falling expression."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("ANGRY"), answer: "Angry" },
+                            { videoUrl: signVideo("EXCITED"), answer: "Excited" },
+                            { videoUrl: signVideo("TIRED"), answer: "Tired" }
+                        ],
+                        explanation: "Facial expression is part of every emotion sign."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["emotions", "feelings", "expressions", "advanced"]
     },
     {
@@ -171,6 +407,39 @@ const seedCourses = [
             "Use advanced grammar structures",
             "Develop fluency in ASL"
         ],
+        content: {
+            quiz: {
+                questions: [
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("UNDERSTAND"),
+                        options: ["Explain", "Understand", "Remember", "Forget"],
+                        correctAnswer: "Understand",
+                        explanation: "Flick the index finger up beside the forehead, like an idea switching on."
+                    },
+                    {
+                        question: "What does this sign mean?",
+                        type: "multiple-choice",
+                        videoUrl: signVideo("QUESTION"),
+                        options: ["Answer", "Question", "Opinion", "Idea"],
+                        correctAnswer: "Question",
+                        explanation: "Draw a question mark in the air with the index finger."
+                    },
+                    {
+                        question: "Match each sign to its meaning",
+                        type: "matching",
+                        pairs: [
+                            { videoUrl: signVideo("WHAT"), answer: "What" },
+                            { videoUrl: signVideo("WHY"), answer: "Why" },
+                            { videoUrl: signVideo("HOW"), answer: "How" }
+                        ],
+                        explanation: "Question words are signed with raised or furrowed eyebrows."
+                    }
+                ],
+                passingScore: 70
+            }
+        },
         tags: ["conversation", "grammar", "fluency", "advanced"]
     }
 ];
@@ -319,6 +588,15 @@ export const seedDatabase = async () => {
     try {
         console.log('🌱 Starting database seeding...');
 
+        // Check the course prerequisite graph before touching the database
+        const cycles = Course.findPrerequisiteCycles(seedCourses);
+        const unknown = Course.findUnknownPrerequisites(seedCourses);
+        if (cycles.length > 0 || unknown.length > 0) {
+            cycles.forEach(cycle => console.error(`❌ Prerequisite cycle: ${cycle.join(' → ')}`));
+            unknown.forEach(({ courseId, prerequisite }) => console.error(`❌ Course ${courseId} requires unknown course ${prerequisite}`));
+            throw new Error('Seed courses have an invalid prerequisite graph');
+        }
+
         // Connect to database
         await connectDB();
 
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAiProvider } from '../utils/aiProvider.js';
+import { requestAiJson, salvageQuiz, streamJsonText } from '../utils/aiResponses.js';
+
+// The tutor, quiz, report and voice requests as api.js makes them, against
+// the fixture provider (AI_PROVIDER=fixture), so they run without a network or a key
+const ai = createAiProvider({ AI_PROVIDER: 'fixture' });
+const tutorMessages = [
+    { role: 'system', content: 'You are SignMentor.' },
+    { role: 'user', content: 'How do I sign hello?' }
+];
+const quizMessages = [
+    { role: 'system', content: 'You are a sign language quiz generator.' },
+    { role: 'user', content: 'Generate 2 easy difficulty quiz questions about "Greetings" in sign language.' }
+];
+const noFallback = () => null;
+
+let fixturesDir;
+
+before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnsign-fixtures-'));
+});
+
+after(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+test('the fixture tutor reply is valid as it is', async () => {
+    const { value, repaired, fallback } = await requestAiJson(ai, 'tutor', 'tutor', { messages: tutorMessages }, noFallback);
+    assert.equal(repaired, false);
+    assert.equal(fallback, false);
+    assert.equal(value.type, 'general_help');
+    assert.ok(value.response.length > 0);
+});
+
+test('a streamed tutor reply sends its response text piece by piece', async () => {
+    const pieces = [];
+    const { value } = await requestAiJson(ai, 'tutor', 'tutor', {
+        messages: tutorMessages,
+        onToken: streamJsonText(['response', 'progressAssessment', 'empathy'], piece => pieces.push(piece))
+    }, noFallback);
+    assert.ok(pieces.length > 1);
+    assert.equal(pieces.join(''), value.response);
+});
+
+test('the fixture quiz is valid as it is', async () => {
+    const { value, repaired, fallback } = await requestAiJson(ai, 'quiz', 'quiz', { messages: quizMessages },
+        ({ value }) => salvageQuiz(value, 'Greetings Quiz'));
+    assert.equal(repaired, false);
+    assert.equal(fallback, false);
+    assert.equal(value.quiz.questions.length, 2);
+    for (const question of value.quiz.questions) {
+        assert.ok(question.correctAnswer < question.options.length);
+    }
+});
+
+test('a quiz that stays invalid keeps only its valid questions', async () => {
+    await fs.writeFile(path.join(fixturesDir, 'quiz.json'), JSON.stringify({
+        quiz: {
+            questions: [
+                { question: 'Where is THANK YOU signed?', options: ['Chin', 'Chest'], correctAnswer: 0, explanation: 'At the chin.' },
+                { question: 'Which hand signs HELLO?', options: ['Either', 'Left'], correctAnswer: 5, explanation: 'Out of range.' }
+            ]
+        }
+    }));
+    const fixtureAi = createAiProvider({ AI_PROVIDER: 'fixture', AI_FIXTURES_DIR: fixturesDir });
+    const { value, fallback } = await requestAiJson(fixtureAi, 'quiz', 'quiz', { messages: quizMessages },
+        ({ value }) => salvageQuiz(value, 'Greetings Quiz'));
+
+    assert.equal(fallback, true);
+    assert.equal(value.quiz.title, 'Greetings Quiz');
+    assert.deepEqual(value.quiz.questions.map(question => question.question), ['Where is THANK YOU signed?']);
+});
+
+test('the fixture parent report is valid as it is', async () => {
+    const { value, repaired, fallback } = await requestAiJson(ai, 'report', 'report', {
+        messages: [
+            { role: 'system', content: 'You are a caring educational advisor.' },
+            { role: 'user', content: 'Generate a parent-friendly report for this learner.' }
+        ]
+    }, noFallback);
+    assert.equal(repaired, false);
+    assert.equal(fallback, false);
+    assert.ok(value.overallSummary.length > 0);
+    assert.ok(value.parentTips.length > 0);
+});
+
+test('a report that stays invalid is replaced by the fallback', async () => {
+    await fs.writeFile(path.join(fixturesDir, 'report.json'), JSON.stringify({ overallSummary: 'Only a summary' }));
+    const fixtureAi = createAiProvider({ AI_PROVIDER: 'fixture', AI_FIXTURES_DIR: fixturesDir });
+    const fallbackReport = { overallSummary: 'Fallback', parentTips: [] };
+    const { value, fallback } = await requestAiJson(fixtureAi, 'report', 'report', {
+        messages: [{ role: 'user', content: 'Generate a parent-friendly report for this learner.' }]
+    }, () => fallbackReport);
+
+    assert.equal(fallback, true);
+    assert.equal(value, fallbackReport);
+});
+
+test('voice: the fixture transcribes audio and speaks replies offline', async () => {
+    assert.equal(await ai.transcribe({ audio: Buffer.alloc(16), language: 'en' }), 'hello');
+
+    await fs.writeFile(path.join(fixturesDir, 'transcription.json'), JSON.stringify('how do I sign thank you'));
+    const fixtureAi = createAiProvider({ AI_PROVIDER: 'fixture', AI_FIXTURES_DIR: fixturesDir });
+    assert.equal(await fixtureAi.transcribe({ audio: Buffer.alloc(16) }), 'how do I sign thank you');
+
+    const audio = await ai.speak({ text: 'Hello!', voice: 'nova' });
+    assert.ok(Buffer.isBuffer(audio));
+    // An MP3 frame header: frame sync, MPEG-1 Layer III
+    assert.deepEqual([...audio.subarray(0, 2)], [0xff, 0xfb]);
+});
@@ -0,0 +1,33 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let authorizeUserAccess;
+
+before(async () => {
+    process.env.AUTH_TOKEN_SECRET ||= 'test-secret';
+    ({ authorizeUserAccess } = await import('../middleware/auth.js'));
+});
+
+// Run a middleware against a session user; resolves to the status sent, or 'next'
+function run(middleware, body) {
+    return new Promise(resolve => {
+        const req = { session: { user: { _id: 'u1', userType: 'student' } }, headers: {}, body };
+        const res = {
+            status(code) { return { json: () => resolve(code) }; }
+        };
+        middleware(req, res, () => resolve('next'));
+    });
+}
+
+test('a request that names no user is rejected', async () => {
+    const authorize = authorizeUserAccess(req => req.body.userId);
+    assert.equal(await run(authorize, {}), 400);
+    assert.equal(await run(authorize, { userId: 'u1' }), 'next');
+    assert.equal(await run(authorize, { userId: 'u2' }), 403);
+});
+
+test('routes that act on the caller can opt in to a missing user', async () => {
+    const authorize = authorizeUserAccess(req => req.body.userId, { allowMissing: true });
+    assert.equal(await run(authorize, {}), 'next');
+    assert.equal(await run(authorize, { userId: 'u2' }), 403);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Course from '../models/Course.js';
+
+const course = Course.hydrate({
+    id: '001',
+    title: 'Introduction',
+    content: {
+        quiz: {
+            passingScore: 70,
+            questions: [
+                { question: 'Which sign is this?', type: 'multiple-choice', options: ['HELLO', 'BYE'], correctAnswer: 'HELLO' },
+                { question: 'Sign ONE to the camera', type: 'video-response', correctAnswer: 'one' },
+                { question: 'Match the clips', type: 'matching', pairs: [{ videoUrl: '/a.webm', answer: 'A' }, { videoUrl: '/b.webm', answer: 'B' }] }
+            ]
+        }
+    }
+});
+
+test('the public quiz carries no answers, including the sign a video-response expects', () => {
+    const { questions } = course.getPublicQuiz();
+    const sent = JSON.stringify(questions);
+    assert.equal(questions.length, 3);
+    assert.equal(sent.includes('correctAnswer'), false);
+    assert.equal(sent.includes('expectedSign'), false);
+    assert.equal(sent.includes('"one"'), false);
+    assert.deepEqual(questions[2].items, [{ videoUrl: '/a.webm' }, { videoUrl: '/b.webm' }]);
+});
+
+test('a video-response answer is checked against the recognised sign', () => {
+    const { questionId } = course.getPublicQuiz().questions[1];
+    assert.equal(course.checkQuizAnswer(questionId, 'ONE').isCorrect, true);
+    assert.equal(course.checkQuizAnswer(questionId, 'two').isCorrect, false);
+});
@@ -0,0 +1,91 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LearningEvent from '../models/LearningEvent.js';
+import LearningSession from '../models/LearningSession.js';
+import DailyActivity from '../models/DailyActivity.js';
+
+const { MongoBulkWriteError } = mongoose.mongo;
+const userId = new mongoose.Types.ObjectId();
+const stubs = [];
+
+// Replace a model function for one test
+function stub(target, name, fn) {
+    stubs.push([target, name, target[name]]);
+    target[name] = fn;
+}
+
+afterEach(() => {
+    while (stubs.length > 0) {
+        const [target, name, original] = stubs.pop();
+        target[name] = original;
+    }
+});
+
+// What MongoDB answers when a guarded upsert finds a newer document
+const newerDocument = () => new MongoBulkWriteError(
+    { message: 'E11000 duplicate key error', code: 11000, writeErrors: [{ code: 11000, index: 0 }] },
+    {}
+);
+
+function sessionEvents(types) {
+    const start = Date.now() - types.length * 1000;
+    return types.map((type, i) => ({ sessionId: 'page-1', courseId: '001', type, activeMs: 1000, ts: new Date(start + i * 1000) }));
+}
+
+test('a session is only replaced by a rebuild from at least as many events', async () => {
+    const events = sessionEvents(['start', 'heartbeat', 'end']);
+    stub(LearningEvent, 'find', () => ({ select() { return this; }, sort() { return this; }, lean: async () => events }));
+    const writes = [];
+    stub(LearningSession, 'bulkWrite', async (ops, options) => writes.push({ ops, options }));
+    stub(LearningSession, 'aggregate', async () => [{ _id: 'page-1', sourceEvents: 3 }]);
+    const deletes = [];
+    stub(LearningSession, 'deleteMany', async filter => deletes.push(filter));
+
+    const [session] = await LearningSession.rebuild(userId, ['page-1']);
+    assert.equal(session.endedWith, 'end');
+    assert.equal(session.sourceEvents, 3);
+
+    const { replaceOne } = writes[0].ops[0];
+    assert.deepEqual(replaceOne.filter.$or, [{ sourceEvents: { $lte: 3 } }, { sourceEvents: { $exists: false } }]);
+    assert.equal(writes[0].options.ordered, false);
+    // Anything from an older build of the page is removed
+    assert.deepEqual(deletes, [{
+        userId, sessionId: 'page-1', $or: [{ sourceEvents: { $lt: 3 } }, { sourceEvents: { $exists: false } }]
+    }]);
+});
+
+test('a stale session rebuild is skipped instead of overwriting a newer one', async () => {
+    const events = sessionEvents(['start', 'heartbeat']);
+    stub(LearningEvent, 'find', () => ({ select() { return this; }, sort() { return this; }, lean: async () => events }));
+    stub(LearningSession, 'bulkWrite', async () => { throw newerDocument(); });
+    stub(LearningSession, 'aggregate', async () => [{ _id: 'page-1', sourceEvents: 3 }]);
+    const deletes = [];
+    stub(LearningSession, 'deleteMany', async filter => deletes.push(filter));
+
+    await LearningSession.rebuild(userId, ['page-1']);
+    assert.deepEqual(deletes[0].$or[0], { sourceEvents: { $lt: 3 } });
+});
+
+test('a daily rollup is only replaced by one counting at least as many events', async () => {
+    stub(LearningEvent, 'aggregate', async () => [
+        { _id: { day: '2026-10-19', hour: 9 }, activeMs: 60000, events: 4, sessions: ['page-1'], courses: ['001'] }
+    ]);
+    const writes = [];
+    stub(DailyActivity, 'bulkWrite', async ops => { writes.push(ops); throw newerDocument(); });
+    stub(DailyActivity, 'deleteMany', async () => ({}));
+
+    const [rollup] = await DailyActivity.rebuildDays(userId, ['2026-10-19']);
+    assert.equal(rollup.events, 4);
+    assert.deepEqual(writes[0][0].replaceOne.filter, { userId, day: '2026-10-19', events: { $lte: 4 } });
+});
+
+test('other write errors are not hidden', async () => {
+    stub(LearningEvent, 'aggregate', async () => [
+        { _id: { day: '2026-10-19', hour: 9 }, activeMs: 60000, events: 4, sessions: [], courses: ['001'] }
+    ]);
+    stub(DailyActivity, 'bulkWrite', async () => { throw new Error('connection lost'); });
+    stub(DailyActivity, 'deleteMany', async () => ({}));
+
+    await assert.rejects(DailyActivity.rebuildDays(userId, ['2026-10-19']), /connection lost/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ReviewItem from '../models/ReviewItem.js';
+
+// A stored review item whose saves are not sent to MongoDB
+function storedItem(fields = {}) {
+    const item = ReviewItem.hydrate({
+        _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(),
+        sign: 'HELLO', videoPath: '/assets/videos/signs/HELLO.webm', easeFactor: 2.5,
+        interval: 0, repetitions: 0, lapses: 0, reviews: [], ...fields
+    });
+    item.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    return item;
+}
+
+test('a passed review marks the sign learned once, and a later miss keeps it', async () => {
+    const item = storedItem();
+    await item.applyGrade(1);
+    assert.equal(item.learnedAt, undefined);
+
+    await item.applyGrade(4);
+    const learnedAt = item.learnedAt;
+    assert.ok(learnedAt instanceof Date);
+
+    await item.applyGrade(5);
+    await item.applyGrade(0);
+    assert.equal(item.learnedAt, learnedAt);
+});
+
+test('a correct quiz answer records when the sign was first learned', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const sign = { sign: 'hello', videoPath: '/assets/videos/signs/HELLO.webm' };
+
+    const learned = ReviewItem.enqueue(userId, sign, 'quiz', { learned: true });
+    assert.deepEqual(learned.getFilter(), { userId, sign: 'HELLO' });
+    assert.ok(learned.getUpdate().$min.learnedAt instanceof Date);
+
+    const missed = ReviewItem.enqueue(userId, sign, 'quiz', { missed: true });
+    assert.equal(missed.getUpdate().$min.learnedAt, undefined);
+});
+
+test('learned signs are counted per review item, so each sign once', () => {
+    const userId = new mongoose.Types.ObjectId();
+    assert.deepEqual(ReviewItem.countLearned(userId).getFilter(), {
+        userId,
+        $or: [{ learnedAt: { $exists: true } }, { lastGrade: { $gte: 3 } }]
+    });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lemmaCandidates, lookupWord, lookupText } from '../utils/signLookup.js';
+
+// A catalog index as loadSignCatalog builds it: word -> video
+function catalog(glosses) {
+    return new Map(glosses.map(gloss => [gloss, { name: gloss, path: `/assets/videos/signs/${gloss}.webm` }]));
+}
+
+const index = catalog(['HI', 'WE', 'NEW', 'EVEN', 'FLOW', 'RUN', 'PARTY', 'WALK', 'GO', 'DO', 'IS', 'HAVE',
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')]);
+
+test('words that only look inflected are not signed as a shorter word', () => {
+    for (const word of ['his', 'weed', 'news', 'evening', 'flower']) {
+        assert.equal(lookupWord(index, word), null, word);
+    }
+});
+
+test('suffix rules never leave a stem under three letters', () => {
+    for (const word of ['HIS', 'WEED', 'BUS', 'USED', 'ONLY']) {
+        assert.ok(lemmaCandidates(word).every(stem => stem.length >= 3), word);
+    }
+});
+
+test('a false positive is fingerspelled instead', () => {
+    const [token] = lookupText(index, 'his');
+    assert.equal(token.match, 'fingerspell');
+    assert.deepEqual(token.letters.map(({ letter }) => letter), ['H', 'I', 'S']);
+});
+
+test('inflected and irregular forms still find their sign', () => {
+    assert.deepEqual(lookupWord(index, 'running'), { video: index.get('RUN'), gloss: 'RUN', match: 'lemma' });
+    assert.equal(lookupWord(index, 'parties')?.gloss, 'PARTY');
+    assert.equal(lookupWord(index, 'walked')?.gloss, 'WALK');
+    assert.equal(lookupWord(index, 'went')?.gloss, 'GO');
+    assert.equal(lookupWord(index, 'was')?.gloss, 'IS');
+    assert.equal(lookupWord(index, 'has')?.gloss, 'HAVE');
+});
+
+test('forms of two-letter signs are found', () => {
+    for (const word of ['going', 'goes', 'went', 'gone']) {
+        assert.equal(lookupWord(index, word)?.gloss, 'GO', word);
+    }
+    for (const word of ['doing', 'does', 'did']) {
+        assert.equal(lookupWord(index, word)?.gloss, 'DO', word);
+    }
+});
@@ -0,0 +1,41 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import SignRequest from '../models/SignRequest.js';
+
+const bulkWrite = SignRequest.bulkWrite;
+const aggregate = SignRequest.aggregate;
+
+afterEach(() => {
+    SignRequest.bulkWrite = bulkWrite;
+    SignRequest.aggregate = aggregate;
+});
+
+test('misses without a learner are not recorded', async () => {
+    SignRequest.bulkWrite = async () => assert.fail('nothing should be written');
+    assert.equal(await SignRequest.recordMisses(['zebra'], { source: 'check' }), 0);
+});
+
+test('a learner asking for a word is recorded once per day', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    let ops;
+    SignRequest.bulkWrite = async (written) => { ops = written; return { upsertedCount: 1 }; };
+
+    await SignRequest.recordMisses(['zebra', 'Zebra'], { source: 'check', userId, sentence: 'zebra' });
+    assert.equal(ops.length, 1);
+    assert.deepEqual(ops[0].updateOne.filter, { userId, word: 'ZEBRA', day: new Date().toISOString().slice(0, 10) });
+    assert.equal(ops[0].updateOne.upsert, true);
+    assert.ok(ops[0].updateOne.update.$setOnInsert);
+});
+
+test('missing signs are ranked by distinct learners, without anonymous requests', async () => {
+    let pipeline;
+    SignRequest.aggregate = async (stages) => { pipeline = stages; return []; };
+
+    await SignRequest.rank({ since: new Date(0) });
+    assert.deepEqual(pipeline[0].$match.userId, { $ne: null });
+    const sort = pipeline.findLast(stage => stage.$sort).$sort;
+    assert.equal(Object.keys(sort)[0], 'learnerCount');
+    // No operators newer than MongoDB 5.0 ($topN needs 5.2)
+    assert.equal(JSON.stringify(pipeline).includes('$topN'), false);
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let dir;
+let renderer;
+
+// One render at a time and one waiting; "ffmpeg" is a script that takes a
+// moment and writes its output file
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'learnsign-render-'));
+    const ffmpeg = path.join(dir, 'ffmpeg');
+    await fs.writeFile(ffmpeg, '#!/bin/sh\nsleep 0.3\nfor last; do :; done\necho webm > "$last"\n', { mode: 0o755 });
+    process.env.FFMPEG_PATH = ffmpeg;
+    process.env.SIGN_RENDER_CONCURRENCY = '1';
+    process.env.SIGN_RENDER_QUEUE = '1';
+    renderer = await import('../utils/signVideoRenderer.js');
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+const clips = word => [{ file: `/videos/${word}.webm`, path: `/assets/videos/signs/${word}.webm`, caption: word, holdMs: 0 }];
+
+test('renders beyond the running one and the queue are turned away', async () => {
+    const outputDir = path.join(dir, 'busy');
+    const results = await Promise.allSettled(['HELLO', 'THANK-YOU', 'PLEASE']
+        .map(word => renderer.renderSignVideo(clips(word), { outputDir })));
+
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(results[1].status, 'fulfilled');
+    assert.equal(results[2].status, 'rejected');
+    assert.equal(results[2].reason.code, 'RENDER_BUSY');
+
+    // Once the queue has drained, renders are accepted again
+    const again = await renderer.renderSignVideo(clips('PLEASE'), { outputDir });
+    assert.equal(again.cached, false);
+});
+
+test('the same sequence asked for twice is rendered once and then cached', async () => {
+    const outputDir = path.join(dir, 'same');
+    const [first, second] = await Promise.all([
+        renderer.renderSignVideo(clips('HELLO'), { outputDir }),
+        renderer.renderSignVideo(clips('HELLO'), { outputDir })
+    ]);
+    assert.equal(first.key, second.key);
+    assert.equal((await renderer.renderSignVideo(clips('HELLO'), { outputDir })).cached, true);
+});
+
+test('pruning keeps the most recently used renders within the file and size limits', async () => {
+    const outputDir = path.join(dir, 'prune');
+    await fs.mkdir(outputDir);
+    const names = ['a', 'b', 'c', 'd'].map(letter => letter.repeat(32));
+    for (const [i, name] of names.entries()) {
+        const file = path.join(outputDir, `${name}.webm`);
+        await fs.writeFile(file, Buffer.alloc(100));
+        const time = new Date(Date.now() - (names.length - i) * 1000);
+        await fs.utimes(file, time, time);
+    }
+    // A partial file from a crash two hours ago
+    const partial = path.join(outputDir, `${'e'.repeat(32)}.123.partial.webm`);
+    await fs.writeFile(partial, '');
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(partial, old, old);
+
+    assert.equal(await renderer.pruneRenders(outputDir, { maxFiles: 3, maxBytes: 250 }), 3);
+    assert.deepEqual(await fs.readdir(outputDir), [`${'d'.repeat(32)}.webm`, `${'c'.repeat(32)}.webm`].sort());
+});
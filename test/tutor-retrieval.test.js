@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signDocuments, createRetrievalIndex, searchRetrievalIndex } from '../utils/tutorRetrieval.js';
+
+const sign = (gloss, region, file) => ({
+    gloss, region, category: 'greetings', synonyms: [], videos: [{ path: `/assets/videos/signs/${file}.webm` }]
+});
+
+test('a regional variant does not replace the standard sign', () => {
+    for (const signs of [
+        [sign('HELLO', null, 'hello'), sign('HELLO', 'south', 'hello-south')],
+        [sign('HELLO', 'south', 'hello-south'), sign('HELLO', null, 'hello')]
+    ]) {
+        const index = createRetrievalIndex(signDocuments(signs));
+        assert.equal(index.documents.length, 1);
+        assert.equal(index.byId.get('sign:HELLO').videoPath, '/assets/videos/signs/hello.webm');
+    }
+});
+
+test('a sign with only regional variants is still indexed', () => {
+    const index = createRetrievalIndex(signDocuments([sign('HELLO', null, 'hello'), sign('NAMASTE', 'north', 'namaste-north')]));
+    const [best] = searchRetrievalIndex(index, 'how do I sign namaste');
+    assert.equal(best.document.id, 'sign:NAMASTE');
+    assert.equal(best.document.videoPath, '/assets/videos/signs/namaste-north.webm');
+});
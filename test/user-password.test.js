@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+// A stored user, as loaded by User.findByEmail, whose saves are captured
+// instead of sent to MongoDB
+function storedUser(fields) {
+    const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Asha', email: 'asha@example.com', ...fields });
+    const updates = [];
+    user.collection.updateOne = async (filter, update) => {
+        updates.push(update);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    };
+    return { user, updates };
+}
+
+test('logging in with a legacy plaintext password stores it as bcrypt', async () => {
+    const { user, updates } = storedUser({ password: 'secret123' });
+    assert.equal(user.hasHashedPassword(), false);
+
+    // What /auth/login does: verify, then save
+    assert.equal(await user.verifyPassword('secret123'), true);
+    await user.save();
+
+    const stored = updates.at(-1).$set.password;
+    assert.match(stored, /^\$2[aby]\$\d{2}\$/);
+    assert.equal(await bcrypt.compare('secret123', stored), true);
+    assert.equal(user.hasHashedPassword(), true);
+    assert.equal(await user.verifyPassword('secret123'), true);
+});
+
+test('a wrong password leaves a legacy record untouched', async () => {
+    const { user } = storedUser({ password: 'secret123' });
+    assert.equal(await user.verifyPassword('nope'), false);
+    assert.equal(user.isModified('password'), false);
+    assert.equal(user.password, 'secret123');
+});
+
+test('a hashed password is not hashed again on save', async () => {
+    const hash = await bcrypt.hash('secret123', 4);
+    const { user, updates } = storedUser({ password: hash });
+    assert.equal(await user.verifyPassword('secret123'), true);
+    user.lastLogin = new Date();
+    await user.save();
+    assert.equal(updates.at(-1).$set?.password, undefined);
+    assert.equal(user.password, hash);
+});
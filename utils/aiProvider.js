@@ -0,0 +1,283 @@
+// Chat, transcription and speech for the AI features, behind one interface
+// so the backend can be swapped (AI_PROVIDER):
+//   openai   - the OpenAI API (OPENAI_API_KEY), the default
+//   local    - an OpenAI-compatible server such as Ollama, llama.cpp or
+//              LocalAI (AI_BASE_URL, optional AI_API_KEY)
+//   fixture  - canned responses, no network; for tests and offline development
+// Each feature has its own model: AI_MODEL_<FEATURE>, e.g. AI_MODEL_TUTOR,
+// falling back to AI_CHAT_MODEL for the chat features.
+// Chat requests may pass a JSON schema for the reply (responseFormat); it is
+// sent as structured output where the server supports it (AI_STRUCTURED_OUTPUT).
+// chatStream() is chat() with each piece of the reply passed to onToken as
+// it arrives.
+
+import OpenAI, { toFile } from 'openai';
+import fs from 'fs';
+import path from 'path';
+
+// Chat features and the audio features, with the models they use by default
+export const AI_FEATURES = {
+    tutor: 'chat',
+    quiz: 'chat',
+    recommendations: 'chat',
+    explain: 'chat',
+    translate: 'chat',
+    report: 'chat',
+    transcription: 'transcription',
+    speech: 'speech'
+};
+
+const DEFAULT_MODELS = {
+    chat: 'gpt-4o-mini',
+    transcription: 'whisper-1',
+    speech: 'tts-1'
+};
+
+/**
+ * Model for each feature from the environment
+ * @param {object} env
+ * @returns {Record<string, string>}
+ */
+export function resolveModels(env = process.env) {
+    const defaults = {
+        chat: env.AI_CHAT_MODEL || DEFAULT_MODELS.chat,
+        transcription: env.AI_TRANSCRIPTION_MODEL || DEFAULT_MODELS.transcription,
+        speech: env.AI_SPEECH_MODEL || DEFAULT_MODELS.speech
+    };
+    return Object.fromEntries(Object.entries(AI_FEATURES).map(([feature, kind]) =>
+        [feature, env[`AI_MODEL_${feature.toUpperCase()}`] || defaults[kind]]
+    ));
+}
+
+function checkFeature(feature, kind) {
+    if (AI_FEATURES[feature] !== kind) {
+        throw new Error(`Unknown ${kind} feature: ${feature}`);
+    }
+}
+
+// ----- OpenAI and OpenAI-compatible servers -----
+
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'off'];
+
+// response_format for a reply schema: the schema itself (json_schema mode,
+// object schemas only), or just "reply with a JSON object"
+function responseFormatFor(mode, responseFormat) {
+    if (!responseFormat || mode === 'off') return undefined;
+    if (mode === 'json_schema' && responseFormat.schema.type === 'object') {
+        return {
+            type: 'json_schema',
+            json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+        };
+    }
+    return { type: 'json_object' };
+}
+
+function createOpenAiProvider(name, client, models, structuredOutput) {
+    return {
+        name,
+        models,
+
+        async chat(feature, { messages, maxTokens, temperature, responseFormat }) {
+            checkFeature(feature, 'chat');
+            const completion = await client.chat.completions.create({
+                model: models[feature],
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                response_format: responseFormatFor(structuredOutput, responseFormat)
+            });
+            return completion.choices[0]?.message?.content || '';
+        },
+
+        async chatStream(feature, { messages, maxTokens, temperature, responseFormat }, onToken) {
+            checkFeature(feature, 'chat');
+            const stream = await client.chat.completions.create({
+                model: models[feature],
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                response_format: responseFormatFor(structuredOutput, responseFormat),
+                stream: true
+            });
+            let content = '';
+            for await (const chunk of stream) {
+                const token = chunk.choices[0]?.delta?.content;
+                if (token) {
+                    content += token;
+                    onToken(token);
+                }
+            }
+            return content;
+        },
+
+        async transcribe({ audio, language, filename = 'audio.webm', mimeType = 'audio/webm' }) {
+            const transcription = await client.audio.transcriptions.create({
+                file: await toFile(audio, filename, { type: mimeType }),
+                model: models.transcription,
+                language,
+                response_format: 'json'
+            });
+            return transcription.text || '';
+        },
+
+        async speak({ text, voice = 'nova' }) {
+            const speech = await client.audio.speech.create({
+                model: models.speech,
+                voice,
+                input: text,
+                response_format: 'mp3'
+            });
+            return Buffer.from(await speech.arrayBuffer());
+        }
+    };
+}
+
+// ----- Fixtures -----
+
+// Replies of the fixture provider, by feature; AI_FIXTURES_DIR/<feature>.json
+// replaces one (a JSON value, or a string for replies that are not JSON)
+const FIXTURE_REPLIES = {
+    tutor: {
+        type: 'general_help',
+        response: 'This is a practice reply from SignMentor. Try asking how to sign a word, such as "hello".',
+        keyPoints: ['Watch the hand shape first', 'Then follow the movement', 'Practise in front of a mirror'],
+        suggestedSigns: ['HELLO', 'THANK YOU', 'PLEASE']
+    },
+    quiz: {
+        quiz: {
+            title: 'Practice Quiz',
+            questions: [
+                {
+                    question: 'Which hand shape starts the sign for HELLO?',
+                    options: ['Flat open hand', 'Closed fist', 'Pointing finger', 'Thumb up'],
+                    correctAnswer: 0,
+                    explanation: 'HELLO starts with a flat open hand near the forehead.'
+                },
+                {
+                    question: 'Where is the sign for THANK YOU made?',
+                    options: ['At the chin', 'At the chest', 'Above the head', 'At the waist'],
+                    correctAnswer: 0,
+                    explanation: 'THANK YOU starts with the fingertips at the chin.'
+                }
+            ]
+        }
+    },
+    recommendations: {
+        summary: 'You are making steady progress.',
+        strengths: ['Regular practice'],
+        focusAreas: ['Finger spelling'],
+        recommendedActions: [
+            { action: 'Review the alphabet course', reason: 'Finger spelling fills gaps in vocabulary', priority: 'high' }
+        ],
+        motivationalMessage: 'Keep going, every sign counts!',
+        weeklyGoal: 'Practise for 10 minutes on 4 days this week'
+    },
+    explain: {
+        sign: 'HELLO',
+        handShape: 'Flat open hand, fingers together',
+        position: 'Beside the forehead',
+        movement: 'Move the hand outwards, like a salute',
+        steps: ['Raise your flat hand to your forehead', 'Move it outwards and away'],
+        commonMistakes: ['Spreading the fingers'],
+        memoryTip: 'Think of a friendly salute',
+        funFact: 'Greetings are often the first signs learners pick up.'
+    },
+    translate: {
+        originalSentence: '',
+        signOrder: ['HELLO'],
+        explanation: 'Practice translation from the fixture provider.',
+        unavailableSigns: [],
+        alternatives: {}
+    },
+    report: {
+        overallSummary: 'Your child is building a good sign language habit.',
+        strengthsAnalysis: 'They come back to practise regularly.',
+        areasForGrowth: 'Quizzes are a good next step to check what they remember.',
+        parentTips: ['Learn one sign together each day', 'Use signs at mealtimes', 'Celebrate each new badge'],
+        weeklyGoal: 'Complete one lesson and its quiz',
+        encouragement: 'Every sign you learn together brings you closer!'
+    }
+};
+
+const FIXTURE_TRANSCRIPT = 'hello';
+const FIXTURE_TOKEN_LENGTH = 8;
+
+// A short silent MP3: MPEG-1 Layer III frames (128 kbps, 44.1 kHz, mono)
+// whose side information and audio data are all zero
+const SILENT_MP3 = Buffer.concat(Array.from({ length: 20 }, () =>
+    Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0xc4]), Buffer.alloc(413)])
+));
+
+function readFixture(dir, name) {
+    if (!dir) return undefined;
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) return undefined;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createFixtureProvider(models, fixturesDir) {
+    return {
+        name: 'fixture',
+        models,
+
+        async chat(feature) {
+            checkFeature(feature, 'chat');
+            const reply = readFixture(fixturesDir, feature) ?? FIXTURE_REPLIES[feature];
+            return typeof reply === 'string' ? reply : JSON.stringify(reply);
+        },
+
+        // The same reply, in pieces of a few characters
+        async chatStream(feature, options, onToken) {
+            const content = await this.chat(feature, options);
+            for (let i = 0; i < content.length; i += FIXTURE_TOKEN_LENGTH) {
+                onToken(content.slice(i, i + FIXTURE_TOKEN_LENGTH));
+            }
+            return content;
+        },
+
+        async transcribe() {
+            return readFixture(fixturesDir, 'transcription') ?? FIXTURE_TRANSCRIPT;
+        },
+
+        async speak() {
+            return SILENT_MP3;
+        }
+    };
+}
+
+/**
+ * The provider chosen by AI_PROVIDER, with each feature's model
+ * @param {object} env
+ * @returns {{ name: string, models: Record<string, string>,
+ *   chat(feature: string, options: { messages: object[], maxTokens?: number, temperature?: number,
+ *     responseFormat?: { name: string, schema: object } }): Promise<string>,
+ *   chatStream(feature: string, options: object, onToken: (token: string) => void): Promise<string>,
+ *   transcribe(options: { audio: Buffer, language?: string, filename?: string, mimeType?: string }): Promise<string>,
+ *   speak(options: { text: string, voice?: string }): Promise<Buffer> }}
+ */
+export function createAiProvider(env = process.env) {
+    const provider = (env.AI_PROVIDER || 'openai').toLowerCase();
+    const models = resolveModels(env);
+    // Local servers vary in what they support; JSON mode is the common ground
+    const structuredOutput = (env.AI_STRUCTURED_OUTPUT || (provider === 'local' ? 'json_object' : 'json_schema')).toLowerCase();
+    if (!STRUCTURED_OUTPUT_MODES.includes(structuredOutput)) {
+        throw new Error(`Unknown AI_STRUCTURED_OUTPUT "${env.AI_STRUCTURED_OUTPUT}" (use ${STRUCTURED_OUTPUT_MODES.join(', ')})`);
+    }
+
+    switch (provider) {
+        case 'openai':
+            return createOpenAiProvider('openai', new OpenAI({ apiKey: env.OPENAI_API_KEY }), models, structuredOutput);
+        case 'local':
+            if (!env.AI_BASE_URL) {
+                throw new Error('AI_PROVIDER=local needs AI_BASE_URL, e.g. http://localhost:11434/v1');
+            }
+            // Local servers usually ignore the key, but the client requires one
+            return createOpenAiProvider('local', new OpenAI({ baseURL: env.AI_BASE_URL, apiKey: env.AI_API_KEY || 'local' }), models, structuredOutput);
+        case 'fixture':
+            return createFixtureProvider(models, env.AI_FIXTURES_DIR || null);
+        default:
+            throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}" (use openai, local or fixture)`);
+    }
+}
+
+export default { AI_FEATURES, resolveModels, createAiProvider };
@@ -0,0 +1,493 @@
+// JSON responses from the AI provider: a JSON schema for each kind of reply,
+// a validator for the part of JSON Schema those schemas use, and
+// requestAiJson(), which asks for a reply, validates it, asks once for a
+// corrected reply when it is invalid, and otherwise falls back to a typed
+// reply built by the caller. streamJsonText() follows one text field of a
+// reply as it streams in.
+
+// ----- Validation -----
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON schema. Supports type, enum, const, anyOf,
+ * properties, required, items, minItems, maxItems, minLength, maxLength,
+ * minimum and maximum. Returns the errors found, none when valid.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [at] path of the value, for the messages
+ * @returns {string[]}
+ */
+export function validateJson(schema, value, at = '$') {
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validateJson(branch, value, at));
+        if (branches.some(errors => errors.length === 0)) return [];
+        // Report against the branch the reply says it is (its "type"), if any
+        const chosen = schema.anyOf.findIndex(branch => branch.properties?.type?.const === value?.type);
+        if (chosen >= 0) return branches[chosen];
+        const allowed = schema.anyOf.map(branch => branch.properties?.type?.const).filter(Boolean);
+        return [allowed.length
+            ? `${at}.type: must be one of ${allowed.join(', ')}`
+            : `${at}: does not match any allowed shape`];
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => matchesType(value, type))) {
+        return [`${at}: must be ${types.join(' or ')}`];
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        return [`${at}: must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: must be one of ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at}: must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJson(schema.items, item, `${at}[${i}]`)));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key}: is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateJson(propertySchema, value[key], `${at}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+// ----- Schemas -----
+
+const text = { type: 'string', minLength: 1 };
+const textList = (minItems = 0) => ({ type: 'array', items: text, minItems });
+// Ids of the courses and signs a tutor reply drew on, e.g. "course:005", "sign:HELLO"
+const sources = textList();
+
+const signInstruction = {
+    type: 'object',
+    required: ['type', 'sign', 'response', 'stepByStep'],
+    properties: {
+        type: { const: 'sign_instruction' },
+        sign: text,
+        response: text,
+        stepByStep: textList(1),
+        commonMistakes: textList(),
+        memoryTrick: { type: 'string' },
+        culturalNote: { type: 'string' },
+        practiceExercise: { type: 'string' },
+        relatedSigns: textList(),
+        videoAvailable: { type: 'boolean' },
+        difficultyLevel: { type: 'string' },
+        estimatedPracticeTime: { type: 'string' },
+        sources
+    }
+};
+
+const generalHelp = {
+    type: 'object',
+    required: ['type', 'response'],
+    properties: {
+        type: { const: 'general_help' },
+        response: text,
+        keyPoints: textList(),
+        actionableAdvice: { type: 'string' },
+        resources: textList(),
+        encouragement: { type: 'string' },
+        sources
+    }
+};
+
+const recommendation = {
+    type: 'object',
+    required: ['type', 'progressAssessment', 'weeklyGoal'],
+    properties: {
+        type: { const: 'recommendation' },
+        progressAssessment: text,
+        strengths: textList(),
+        areasToImprove: textList(),
+        recommendedCourses: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'reason'],
+                properties: {
+                    courseId: { type: 'string' },
+                    title: text,
+                    reason: text,
+                    estimatedTime: { type: 'string' }
+                }
+            }
+        },
+        weeklyGoal: text,
+        motivationMessage: { type: 'string' },
+        sources
+    }
+};
+
+const support = {
+    type: 'object',
+    required: ['type', 'empathy', 'solutions'],
+    properties: {
+        type: { const: 'support' },
+        empathy: text,
+        diagnosis: { type: 'string' },
+        solutions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['solution', 'howTo'],
+                properties: {
+                    solution: text,
+                    howTo: text,
+                    timeNeeded: { type: 'string' }
+                }
+            }
+        },
+        encouragement: { type: 'string' },
+        reminderOfProgress: { type: 'string' },
+        sources
+    }
+};
+
+// Kinds of AI reply: the schema each must match and, for rules a schema
+// cannot express, a check returning more errors
+export const AI_RESPONSE_SCHEMAS = {
+    // The four formats in the tutor's system prompt
+    tutor: {
+        name: 'tutor_response',
+        schema: { anyOf: [signInstruction, generalHelp, recommendation, support] }
+    },
+
+    quiz: {
+        name: 'generated_quiz',
+        schema: {
+            type: 'object',
+            required: ['quiz'],
+            properties: {
+                quiz: {
+                    type: 'object',
+                    required: ['title', 'questions'],
+                    properties: {
+                        title: text,
+                        questions: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: 20,
+                            items: {
+                                type: 'object',
+                                required: ['question', 'options', 'correctAnswer'],
+                                properties: {
+                                    question: text,
+                                    options: { ...textList(2), maxItems: 6 },
+                                    correctAnswer: { type: 'integer', minimum: 0 },
+                                    explanation: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        check: quiz => (quiz.quiz.questions || []).flatMap(quizQuestionErrors)
+    },
+
+    recommendations: {
+        name: 'learning_recommendations',
+        schema: {
+            type: 'object',
+            required: ['summary', 'recommendedActions'],
+            properties: {
+                summary: text,
+                strengths: textList(),
+                focusAreas: textList(),
+                recommendedActions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['action', 'reason'],
+                        properties: {
+                            action: text,
+                            reason: text,
+                            priority: { enum: ['high', 'medium', 'low'] }
+                        }
+                    }
+                },
+                motivationalMessage: { type: 'string' },
+                weeklyGoal: { type: 'string' }
+            }
+        }
+    },
+
+    explain: {
+        name: 'sign_explanation',
+        schema: {
+            type: 'object',
+            required: ['sign', 'handShape', 'position', 'movement', 'steps'],
+            properties: {
+                sign: text,
+                handShape: text,
+                position: text,
+                movement: text,
+                steps: textList(1),
+                commonMistakes: textList(),
+                memoryTip: { type: 'string' },
+                funFact: { type: 'string' }
+            }
+        }
+    },
+
+    translate: {
+        name: 'sign_order',
+        schema: {
+            type: 'object',
+            required: ['signOrder', 'explanation'],
+            properties: {
+                originalSentence: { type: 'string' },
+                signOrder: textList(1),
+                explanation: text,
+                unavailableSigns: { type: 'array', items: { type: 'string' } },
+                alternatives: { type: 'object' }
+            }
+        }
+    },
+
+    report: {
+        name: 'report_insights',
+        schema: {
+            type: 'object',
+            required: ['overallSummary', 'parentTips', 'weeklyGoal', 'encouragement'],
+            properties: {
+                overallSummary: text,
+                strengthsAnalysis: { type: 'string' },
+                areasForGrowth: { type: 'string' },
+                parentTips: textList(1),
+                weeklyGoal: text,
+                encouragement: text
+            }
+        }
+    }
+};
+
+/**
+ * Errors in one generated quiz question the schema does not catch: the
+ * correct answer must be one of the options, and options must differ
+ * @param {object} question
+ * @param {number} i
+ * @returns {string[]}
+ */
+export function quizQuestionErrors(question, i) {
+    const errors = [];
+    const options = Array.isArray(question.options) ? question.options : [];
+    if (Number.isInteger(question.correctAnswer) && question.correctAnswer >= options.length) {
+        errors.push(`$.quiz.questions[${i}].correctAnswer: must be an index into options (0-${options.length - 1})`);
+    }
+    const distinct = new Set(options.map(option => String(option).trim().toLowerCase()));
+    if (distinct.size < options.length) {
+        errors.push(`$.quiz.questions[${i}].options: must all be different`);
+    }
+    return errors;
+}
+
+/**
+ * The questions of an invalid generated quiz that are valid on their own,
+ * as a quiz; null when none are
+ * @param {*} value the parsed reply
+ * @param {string} defaultTitle title when the reply has none
+ * @returns {object|null}
+ */
+export function salvageQuiz(value, defaultTitle) {
+    const quizSchema = AI_RESPONSE_SCHEMAS.quiz.schema.properties.quiz;
+    const questions = Array.isArray(value?.quiz?.questions) ? value.quiz.questions : [];
+    const valid = questions.filter((question, i) =>
+        validateJson(quizSchema.properties.questions.items, question).length === 0 &&
+        quizQuestionErrors(question, i).length === 0
+    ).slice(0, quizSchema.properties.questions.maxItems);
+    if (valid.length === 0) return null;
+
+    const title = typeof value.quiz.title === 'string' && value.quiz.title.trim() ? value.quiz.title : defaultTitle;
+    return { quiz: { title, questions: valid } };
+}
+
+/**
+ * Errors in a reply of a given kind (schema, then the kind's own check)
+ * @param {string} kind key of AI_RESPONSE_SCHEMAS
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function validateAiResponse(kind, value) {
+    const { schema, check } = AI_RESPONSE_SCHEMAS[kind];
+    const errors = validateJson(schema, value);
+    return errors.length === 0 && check ? check(value) : errors;
+}
+
+// ----- Requests -----
+
+/**
+ * Parse a reply as JSON, allowing for a Markdown code fence or text around
+ * the object. Returns undefined when there is no JSON in it.
+ * @param {string} content
+ */
+export function parseAiJson(content) {
+    const trimmed = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        const start = trimmed.indexOf('{');
+        const end = trimmed.lastIndexOf('}');
+        if (start < 0 || end <= start) return undefined;
+        try {
+            return JSON.parse(trimmed.slice(start, end + 1));
+        } catch {
+            return undefined;
+        }
+    }
+}
+
+function checkReply(kind, content) {
+    const value = parseAiJson(content);
+    if (value === undefined) return { value, errors: ['the reply is not JSON'] };
+    return { value, errors: validateAiResponse(kind, value) };
+}
+
+// The JSON string at the start of source, decoded as far as it has arrived
+// (up to any escape that is still incomplete), and whether it has closed
+function decodePartialJsonString(source) {
+    let text = '';
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '"') return { text, closed: true };
+        if (char !== '\\') {
+            text += char;
+            continue;
+        }
+        const escape = source[i + 1];
+        if (escape === undefined) break;
+        if (escape === 'u') {
+            const hex = source.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            text += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            text += { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }[escape] ?? escape;
+            i += 1;
+        }
+    }
+    return { text, closed: false };
+}
+
+/**
+ * Follow a text field of a JSON reply while it streams in. Feed the
+ * returned function each piece of the reply; onText gets each new piece of
+ * the first of keys to appear, decoded, until its string closes.
+ * @param {string[]} keys
+ * @param {(text: string) => void} onText
+ * @returns {(token: string) => void}
+ */
+export function streamJsonText(keys, onText) {
+    const keyPattern = new RegExp(`"(?:${keys.join('|')})"\\s*:\\s*"`);
+    let content = '';
+    let start = -1;
+    let sent = 0;
+    let closed = false;
+
+    return token => {
+        content += token;
+        if (closed) return;
+        if (start < 0) {
+            const match = keyPattern.exec(content);
+            if (!match) return;
+            start = match.index + match[0].length;
+        }
+        const partial = decodePartialJsonString(content.slice(start));
+        closed = partial.closed;
+        if (partial.text.length > sent) {
+            onText(partial.text.slice(sent));
+            sent = partial.text.length;
+        }
+    };
+}
+
+/**
+ * Ask the AI provider for a JSON reply of a kind. An invalid reply is sent
+ * back once with its errors for a corrected one; if that is invalid too,
+ * fallback({ content, value, errors }) builds the reply. A fallback that
+ * returns null makes this throw an error with code AI_INVALID_RESPONSE.
+ * With onToken the first reply is streamed to it as it arrives (the
+ * correction is not).
+ * @param {{ chat: Function, chatStream: Function }} ai provider from createAiProvider()
+ * @param {string} feature provider feature, e.g. 'tutor'
+ * @param {string} kind key of AI_RESPONSE_SCHEMAS
+ * @param {{ messages: object[], maxTokens?: number, temperature?: number,
+ *   onToken?: (token: string) => void }} request
+ * @param {(failed: { content: string, value: *, errors: string[] }) => object|null} fallback
+ * @returns {Promise<{ value: object, repaired: boolean, fallback: boolean }>}
+ */
+export async function requestAiJson(ai, feature, kind, { messages, onToken, ...options }, fallback) {
+    const { name, schema } = AI_RESPONSE_SCHEMAS[kind];
+    const responseFormat = { name, schema };
+
+    const content = onToken
+        ? await ai.chatStream(feature, { ...options, messages, responseFormat }, onToken)
+        : await ai.chat(feature, { ...options, messages, responseFormat });
+    const first = checkReply(kind, content);
+    if (first.errors.length === 0) return { value: first.value, repaired: false, fallback: false };
+
+    console.warn(`[AI] Invalid ${kind} reply, asking for a correction:`, first.errors.slice(0, 5).join('; '));
+    const retryContent = await ai.chat(feature, {
+        ...options,
+        responseFormat,
+        messages: [
+            ...messages,
+            { role: 'assistant', content: String(content || '') },
+            {
+                role: 'user',
+                content: `Your reply was not valid: ${first.errors.slice(0, 10).join('; ')}. ` +
+                    'Reply again with only the corrected JSON, in the format described above.'
+            }
+        ]
+    });
+    const second = checkReply(kind, retryContent);
+    if (second.errors.length === 0) return { value: second.value, repaired: true, fallback: false };
+
+    console.warn(`[AI] ${kind} reply still invalid after correction, using the fallback:`, second.errors.slice(0, 5).join('; '));
+    // Prefer the corrected attempt when it at least parsed
+    const failed = second.value !== undefined
+        ? { content: retryContent, ...second }
+        : { content, ...first };
+    const value = fallback(failed);
+    if (!value) {
+        throw Object.assign(new Error(`The AI reply was not a valid ${kind}: ${failed.errors.slice(0, 3).join('; ')}`), {
+            code: 'AI_INVALID_RESPONSE',
+            errors: failed.errors
+        });
+    }
+    return { value, repaired: false, fallback: true };
+}
+
+export default { AI_RESPONSE_SCHEMAS, validateJson, validateAiResponse, quizQuestionErrors, salvageQuiz, parseAiJson, streamJsonText, requestAiJson };
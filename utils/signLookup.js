@@ -0,0 +1,313 @@
+// Text-to-sign lookup shared by the tutor, the voice tutor and the text
+// translator (through /signs/lookup in api.js).
+//
+// Words are looked up in a catalog index: a Map from each upper-case gloss,
+// synonym and video file name (also without spaces and punctuation) to its
+// video, built by loadSignCatalog in api.js. For each word the lookup tries,
+// in order, a multi-word gloss starting at it ("THANK YOU"), the word itself,
+// the synonym dictionary, and its lemmas (RUNNING -> RUN). Words that still
+// have no sign are fingerspelled letter by letter.
+
+const MAX_PHRASE_WORDS = 3;
+
+// Everyday words for signs the catalog knows by another gloss. Targets are
+// tried in order; ones the catalog lacks are skipped.
+export const SYNONYM_DICTIONARY = {
+    MOM: ['MOTHER'], MUM: ['MOM', 'MOTHER'], MOMMY: ['MOM', 'MOTHER'], MUMMY: ['MOM', 'MOTHER'], MAMA: ['MOM', 'MOTHER'],
+    DAD: ['FATHER'], DADDY: ['DAD', 'FATHER'], PAPA: ['DAD', 'FATHER'],
+    THANKS: ['THANK YOU'], THANK: ['THANK YOU'], THX: ['THANK YOU'],
+    HEY: ['HI', 'HELLO'], HIYA: ['HI', 'HELLO'], HOWDY: ['HELLO'],
+    GOODBYE: ['BYE'], CYA: ['BYE'],
+    OK: ['OKAY', 'ALRIGHT'], ALLRIGHT: ['ALRIGHT', 'OKAY'],
+    KID: ['CHILD'], KIDDO: ['CHILD'], TODDLER: ['CHILD', 'BABY'], INFANT: ['BABY'],
+    MAN: ['MEN', 'MALE'], GUY: ['MEN', 'MALE'], WOMAN: ['WOMEN', 'FEMALE'], LADY: ['WOMEN', 'FEMALE'],
+    BUDDY: ['FRIEND'], PAL: ['FRIEND'], MATE: ['FRIEND'],
+    PUPPY: ['DOG'], KITTEN: ['CAT'], KITTY: ['CAT'],
+    HOUSE: ['HOME'], TOILET: ['BATHROOM'], RESTROOM: ['BATHROOM'], WASHROOM: ['BATHROOM'],
+    CELLPHONE: ['MOBILE', 'PHONE'], SMARTPHONE: ['MOBILE', 'PHONE'], TELEPHONE: ['PHONE'],
+    SOCCER: ['FOOTBALL'], COLOUR: ['COLOR'], TROUSERS: ['PANTS'], TSHIRT: ['SHIRT'], SHOE: ['SHOES'],
+    LARGE: ['BIG'], HUGE: ['BIG'], LITTLE: ['SMALL'], TINY: ['SMALL'],
+    QUICK: ['FAST'], GLAD: ['HAPPY'], UNHAPPY: ['SAD'], UPSET: ['SAD'], MAD: ['ANGRY'],
+    SCARED: ['NERVOUS', 'WORRIED'], AFRAID: ['NERVOUS', 'WORRIED'], ANXIOUS: ['NERVOUS', 'WORRIED'],
+    PURCHASE: ['BUY'], DOC: ['DOCTOR'], DR: ['DOCTOR'],
+    INDIAN: ['INDIA'], CHINESE: ['CHINA'],
+    NITE: ['NIGHT'], TMRW: ['TOMORROW'], TOMMOROW: ['TOMORROW'], TMR: ['TOMORROW']
+};
+
+// Past tenses and plurals that suffix rules cannot undo, and the forms of
+// two-letter words, whose stems suffix rules never leave (GOING -> GO)
+const IRREGULAR_LEMMAS = {
+    GOING: 'GO', GOES: 'GO', DOING: 'DO', BEING: 'IS',
+    WENT: 'GO', GONE: 'GO', RAN: 'RUN', ATE: 'EAT', EATEN: 'EAT', SAW: 'SEE', SEEN: 'SEE',
+    DID: 'DO', DONE: 'DO', DOES: 'DO', HAD: 'HAVE', HAS: 'HAVE',
+    WAS: 'IS', WERE: 'ARE', BE: 'IS', BEEN: 'IS', AM: 'IS',
+    GAVE: 'GIVE', GIVEN: 'GIVE', TOOK: 'TAKE', TAKEN: 'TAKE', BOUGHT: 'BUY', BROUGHT: 'BRING',
+    KNEW: 'KNOW', KNOWN: 'KNOW', WROTE: 'WRITE', WRITTEN: 'WRITE', SOLD: 'SELL', LEFT: 'LEAVE',
+    MET: 'MEET', SAT: 'SIT', SLEPT: 'SLEEP', STOOD: 'STAND', FELL: 'FALL', FALLEN: 'FALL',
+    FORGOT: 'FORGET', FORGOTTEN: 'FORGET', CHILDREN: 'CHILD', BETTER: 'GOOD', BEST: 'GOOD',
+    WORSE: 'BAD', WORST: 'BAD', PEOPLE: 'PERSON', MICE: 'MOUSE', FEET: 'FOOT', TEETH: 'TOOTH'
+};
+
+// Words that only look inflected (HIS is not HI + S, NEWS is not NEW + S);
+// suffix rules are not applied to them
+const NOT_INFLECTED = new Set([
+    'IS', 'WAS', 'HAS', 'HIS', 'HERS', 'ITS', 'US', 'THIS', 'THUS', 'YES', 'BUS', 'GAS', 'PLUS', 'NEWS',
+    'ALWAYS', 'PERHAPS', 'SERIES', 'SPECIES',
+    'NEED', 'SEED', 'WEED', 'FEED', 'SPEED', 'BLEED', 'BREED', 'BED', 'RED', 'SHED', 'HUNDRED',
+    'MOTHER', 'FATHER', 'BROTHER', 'SISTER', 'WATER', 'PAPER', 'NUMBER', 'CORNER', 'FLOWER', 'FINGER', 'TIGER',
+    'SUMMER', 'WINTER', 'DINNER', 'NEVER', 'EVER', 'OVER', 'UNDER', 'AFTER', 'OTHER', 'WEATHER',
+    'THING', 'NOTHING', 'SOMETHING', 'EVERYTHING', 'KING', 'RING', 'WING', 'SPRING', 'STRING', 'MORNING', 'EVENING', 'CEILING',
+    'ONLY', 'EARLY', 'FAMILY', 'UGLY', 'SILLY', 'JELLY', 'BELLY',
+    'FOREST', 'INTEREST', 'GUEST', 'HONEST'
+]);
+
+// Shortest stem a suffix rule may leave (HIS -> HI, WEED -> WE are not words' stems)
+const MIN_STEM_LENGTH = 3;
+
+// Whole-word contractions, then contraction endings
+const CONTRACTIONS = { "CAN'T": ['CAN', 'NOT'], "WON'T": ['WILL', 'NOT'], "SHAN'T": ['SHALL', 'NOT'], "LET'S": ['LET', 'US'] };
+const CONTRACTION_ENDINGS = [
+    ["N'T", ['NOT']], ["'RE", ['ARE']], ["'M", ['AM']], ["'LL", ['WILL']], ["'VE", ['HAVE']], ["'D", ['WOULD']],
+    ["'S", []] // possessive (MOM'S -> MOM); "it's" loses its "is", which has no sign of its own here
+];
+
+const VOWELS = 'AEIOU';
+
+/**
+ * Upper-case a word and collapse its whitespace
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+    return String(word ?? '').toUpperCase().replace(/[’`]/g, "'").trim().replace(/\s+/g, ' ');
+}
+
+// Letters and digits only, the form the catalog index also keys by
+function compact(word) {
+    return normalizeWord(word).replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Split text into words with their position in it. Contractions become the
+ * words they stand for ("don't" -> DO NOT), which share the written word's span.
+ * @param {string} text
+ * @returns {{ word: string, text: string, start: number, end: number }[]}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text ?? '').matchAll(/[A-Za-z0-9]+(?:['’][A-Za-z]+)*/g)) {
+        const written = match[0];
+        const start = match.index;
+        const end = start + written.length;
+        for (const word of expandContraction(normalizeWord(written))) {
+            tokens.push({ word, text: written, start, end });
+        }
+    }
+    return tokens;
+}
+
+function expandContraction(word) {
+    if (!word.includes("'")) return [word];
+    if (CONTRACTIONS[word]) return CONTRACTIONS[word];
+    for (const [ending, expansion] of CONTRACTION_ENDINGS) {
+        if (word.endsWith(ending) && word.length > ending.length) {
+            return [word.slice(0, -ending.length), ...expansion];
+        }
+    }
+    return [word.replace(/'/g, '')];
+}
+
+/**
+ * Possible dictionary forms of an inflected word, most likely first
+ * (RUNNING -> RUNN, RUN, RUNNE; PARTIES -> PARTY). Over-generating is fine:
+ * only candidates the catalog has are used. Suffix rules leave stems of at
+ * least MIN_STEM_LENGTH letters and skip NOT_INFLECTED words; irregular
+ * forms (WENT -> GO) always apply.
+ * @param {string} word upper-case letters
+ * @returns {string[]}
+ */
+export function lemmaCandidates(word) {
+    const w = compact(word);
+    const candidates = [];
+    const add = (stem) => {
+        if (stem.length >= MIN_STEM_LENGTH && stem !== w && !candidates.includes(stem)) candidates.push(stem);
+    };
+    // "RUNN" -> "RUN", "STOPP" -> "STOP"
+    const undouble = (stem) => {
+        const last = stem[stem.length - 1];
+        if (stem.length >= 3 && last === stem[stem.length - 2] && !VOWELS.includes(last)) add(stem.slice(0, -1));
+    };
+    const stripSuffix = (suffix, { withE = false, yFrom = null } = {}) => {
+        if (!w.endsWith(suffix) || w.length - suffix.length < 2) return;
+        const stem = w.slice(0, -suffix.length);
+        add(stem);
+        undouble(stem);
+        if (withE) add(`${stem}E`);
+        if (yFrom && w.endsWith(yFrom)) add(`${w.slice(0, -yFrom.length)}Y`);
+    };
+
+    if (IRREGULAR_LEMMAS[w]) candidates.push(IRREGULAR_LEMMAS[w]);
+    if (NOT_INFLECTED.has(w)) return candidates;
+
+    if (w.endsWith('IES')) add(`${w.slice(0, -3)}Y`);
+    if (w.endsWith('ES')) stripSuffix('ES');
+    if (w.endsWith('S') && !w.endsWith('SS')) stripSuffix('S');
+    if (w.endsWith('YING')) add(`${w.slice(0, -4)}IE`);
+    stripSuffix('ING', { withE: true });
+    stripSuffix('IED', { yFrom: 'IED' });
+    stripSuffix('ED', { withE: true });
+    stripSuffix('D');
+    stripSuffix('IEST', { yFrom: 'IEST' });
+    stripSuffix('EST', { withE: true });
+    stripSuffix('IER', { yFrom: 'IER' });
+    stripSuffix('ER', { withE: true });
+    stripSuffix('R');
+    stripSuffix('ILY', { yFrom: 'ILY' });
+    stripSuffix('LY');
+    stripSuffix('INESS', { yFrom: 'INESS' });
+    stripSuffix('NESS');
+
+    return candidates;
+}
+
+function findInIndex(index, word) {
+    return index.get(normalizeWord(word)) || index.get(compact(word)) || null;
+}
+
+/**
+ * Find the sign for one word: the word itself, a dictionary synonym, then its lemmas
+ * @param {Map<string, Object>} index catalog index
+ * @param {string} word
+ * @returns {{ video: Object, gloss: string, match: 'exact'|'synonym'|'lemma' } | null}
+ */
+export function lookupWord(index, word) {
+    const key = normalizeWord(word);
+    if (!key) return null;
+
+    const attempts = [[key, 'exact']];
+    (SYNONYM_DICTIONARY[compact(key)] || []).forEach(synonym => attempts.push([synonym, 'synonym']));
+    for (const lemma of lemmaCandidates(key)) {
+        attempts.push([lemma, 'lemma']);
+        (SYNONYM_DICTIONARY[lemma] || []).forEach(synonym => attempts.push([synonym, 'lemma']));
+    }
+
+    for (const [candidate, match] of attempts) {
+        const video = findInIndex(index, candidate);
+        if (video) return { video, gloss: video.name, match };
+    }
+    return null;
+}
+
+/**
+ * Turn text into signs. Each token is a sign (a multi-word gloss, a word, a
+ * synonym or a lemma) or a word to fingerspell, with its span in the text.
+ * @param {Map<string, Object>} index catalog index
+ * @param {string} text
+ * @param {{ maxPhraseWords?: number }} [options]
+ * @returns {Object[]} tokens: { text, start, end, words, gloss, match, video }
+ *          or { text, start, end, words, match: 'fingerspell', letters: [{ letter, video }] }
+ */
+export function lookupText(index, text, { maxPhraseWords = MAX_PHRASE_WORDS } = {}) {
+    const words = tokenize(text);
+    const tokens = [];
+
+    for (let i = 0; i < words.length;) {
+        let found = null;
+        let length = 1;
+
+        // Longest multi-word gloss first ("GOOD MORNING" before GOOD, MORNING)
+        for (let n = Math.min(maxPhraseWords, words.length - i); n >= 2 && !found; n--) {
+            const video = findInIndex(index, words.slice(i, i + n).map(w => w.word).join(' '));
+            if (video) {
+                found = { video, gloss: video.name, match: 'phrase' };
+                length = n;
+            }
+        }
+        if (!found) found = lookupWord(index, words[i].word);
+
+        const span = words.slice(i, i + length);
+        const token = {
+            text: String(text).slice(span[0].start, span[span.length - 1].end),
+            start: span[0].start,
+            end: span[span.length - 1].end,
+            words: span.map(w => w.word)
+        };
+        if (found) {
+            tokens.push({ ...token, ...found });
+        } else {
+            tokens.push({ ...token, match: 'fingerspell', letters: fingerspell(index, words[i].word) });
+        }
+        i += length;
+    }
+    return tokens;
+}
+
+/**
+ * The letter and digit signs that spell a word (characters without a sign are skipped)
+ * @param {Map<string, Object>} index catalog index
+ * @param {string} word
+ * @returns {{ letter: string, video: Object }[]}
+ */
+export function fingerspell(index, word) {
+    return [...compact(word)]
+        .map(letter => ({ letter, video: index.get(letter) }))
+        .filter(item => item.video);
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters
+ * as one edit (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Glosses close to a word: the nearest by edit distance (allowing about one
+ * typo per three letters), then glosses sharing its first two letters
+ * @param {string[]} glosses
+ * @param {string} word
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function suggestSigns(glosses, word, limit = 5) {
+    const target = compact(word);
+    if (!target) return [];
+    const maxDistance = Math.max(1, Math.floor(target.length / 3));
+
+    const close = glosses
+        .map(gloss => ({ gloss, distance: editDistance(target, compact(gloss)) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.gloss.localeCompare(b.gloss))
+        .map(({ gloss }) => gloss);
+    const sameStart = glosses.filter(gloss => compact(gloss).startsWith(target.slice(0, 2))).sort();
+
+    return [...new Set([...close, ...sameStart])].slice(0, limit);
+}
+
+export default {
+    SYNONYM_DICTIONARY,
+    normalizeWord,
+    tokenize,
+    lemmaCandidates,
+    lookupWord,
+    lookupText,
+    fingerspell,
+    editDistance,
+    suggestSigns
+};
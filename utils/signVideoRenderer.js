@@ -0,0 +1,216 @@
+// Stitch the clips of a sign sequence into one video with a local ffmpeg
+// binary (FFMPEG_PATH, "ffmpeg" on the PATH by default), so sentences play
+// without gaps between clips and can be downloaded or shared. Renders are
+// cached by a hash of the clips and options.
+//
+// ffmpeg is heavy, so only SIGN_RENDER_CONCURRENCY renders (1 by default) run
+// at once. Up to SIGN_RENDER_QUEUE more (4 by default) wait their turn; past
+// that, renders fail at once with code RENDER_BUSY.
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// drawtext needs a font file when ffmpeg is built without fontconfig
+const FONT_FILE = process.env.FFMPEG_FONT_FILE || null;
+
+// Bump when the output changes, so old cached renders are not reused
+const RENDER_VERSION = 1;
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+const FRAME_RATE = 25;
+const RENDER_TIMEOUT_MS = 120000;
+
+// Renders in progress, by key: the same sequence requested twice is rendered once
+const inFlight = new Map();
+
+const MAX_CONCURRENT_RENDERS = Math.max(1, Number(process.env.SIGN_RENDER_CONCURRENCY) || 1);
+const MAX_QUEUED_RENDERS = Math.max(0, Number(process.env.SIGN_RENDER_QUEUE ?? 4) || 0);
+// Partial files older than this are left over from a crash
+const STALE_PARTIAL_MS = 60 * 60 * 1000;
+let activeRenders = 0;
+const waitingRenders = [];
+
+// Wait for a free ffmpeg slot, or fail with RENDER_BUSY when the queue is full
+function acquireRenderSlot() {
+    if (activeRenders < MAX_CONCURRENT_RENDERS) {
+        activeRenders += 1;
+        return Promise.resolve();
+    }
+    if (waitingRenders.length >= MAX_QUEUED_RENDERS) {
+        return Promise.reject(Object.assign(new Error('Too many sign videos are being rendered; try again shortly'), { code: 'RENDER_BUSY' }));
+    }
+    return new Promise(resolve => waitingRenders.push(resolve));
+}
+
+// Hand the slot to the next waiting render, if any
+function releaseRenderSlot() {
+    const next = waitingRenders.shift();
+    if (next) next();
+    else activeRenders -= 1;
+}
+
+/**
+ * Cache key for a render: the clips and options hashed
+ * @param {{ path: string, caption: string, holdMs: number }[]} clips
+ * @param {{ captions: boolean, pauseMs: number }} options
+ * @returns {string}
+ */
+export function renderKey(clips, { captions, pauseMs }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ version: RENDER_VERSION, captions, pauseMs, clips: clips.map(({ path: url, caption, holdMs }) => [url, captions ? caption : null, holdMs]) }))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Captions are glosses; keep the characters that need no escaping in a filter graph
+function captionText(caption) {
+    return String(caption).toUpperCase().replace(/[^A-Z0-9 \-]/g, '').trim().slice(0, 40);
+}
+
+// Filter graph: each clip scaled onto the same frame, captioned, held on its
+// last frame for the pause (and, for short clips, the hold), then concatenated
+function filterGraph(clips, { captions, pauseMs }) {
+    const parts = clips.map((clip, i) => {
+        const filters = [
+            `scale=${FRAME_WIDTH}:${FRAME_HEIGHT}:force_original_aspect_ratio=decrease`,
+            `pad=${FRAME_WIDTH}:${FRAME_HEIGHT}:(ow-iw)/2:(oh-ih)/2:color=black`,
+            'setsar=1',
+            `fps=${FRAME_RATE}`,
+            'format=yuv420p'
+        ];
+        const text = captions ? captionText(clip.caption) : '';
+        if (text) {
+            filters.push([
+                `drawtext=text='${text}'`,
+                FONT_FILE ? `fontfile='${FONT_FILE.replace(/[\\':]/g, '\\$&')}'` : null,
+                'fontsize=36', 'fontcolor=white', 'box=1', 'boxcolor=black@0.6', 'boxborderw=12',
+                'x=(w-text_w)/2', 'y=h-text_h-24'
+            ].filter(Boolean).join(':'));
+        }
+        const holdSeconds = (clip.holdMs + pauseMs) / 1000;
+        if (holdSeconds > 0) filters.push(`tpad=stop_mode=clone:stop_duration=${holdSeconds.toFixed(3)}`);
+        return `[${i}:v]${filters.join(',')}[v${i}]`;
+    });
+    const inputs = clips.map((clip, i) => `[v${i}]`).join('');
+    return `${parts.join(';')};${inputs}concat=n=${clips.length}:v=1:a=0[out]`;
+}
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), RENDER_TIMEOUT_MS);
+
+        ffmpeg.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        ffmpeg.on('error', error => {
+            clearTimeout(timer);
+            if (error.code === 'ENOENT') {
+                // Callers check for this code to report rendering as unavailable
+                error = Object.assign(new Error(`ffmpeg was not found (${FFMPEG_PATH}); set FFMPEG_PATH`), { code: 'FFMPEG_NOT_FOUND' });
+            }
+            reject(error);
+        });
+        ffmpeg.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg ${signal ? `was stopped (${signal})` : `exited with code ${code}`}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Render clips into one WebM video in outputDir, named by its cache key.
+ * Resolves to { key, file, cached }.
+ * @param {{ file: string, path: string, caption: string, holdMs: number }[]} clips
+ *        file is the clip on disk, path its URL (part of the cache key)
+ * @param {{ outputDir: string, captions?: boolean, pauseMs?: number }} options
+ */
+export async function renderSignVideo(clips, { outputDir, captions = true, pauseMs = 0 }) {
+    const key = renderKey(clips, { captions, pauseMs });
+    const file = path.join(outputDir, `${key}.webm`);
+    if (await exists(file)) {
+        // Touched on use, so pruning drops the renders not asked for lately
+        const now = new Date();
+        await fs.utimes(file, now, now).catch(() => {});
+        return { key, file, cached: true };
+    }
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const render = (async () => {
+        await acquireRenderSlot();
+        // Written under a temporary name, so a failed render never looks cached
+        const partial = path.join(outputDir, `${key}.${process.pid}.partial.webm`);
+        try {
+            await fs.mkdir(outputDir, { recursive: true });
+            await runFfmpeg([
+                '-hide_banner', '-loglevel', 'error', '-y',
+                ...clips.flatMap(clip => ['-i', clip.file]),
+                '-filter_complex', filterGraph(clips, { captions, pauseMs }),
+                '-map', '[out]', '-an',
+                '-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '36', '-deadline', 'realtime', '-cpu-used', '8',
+                partial
+            ]);
+            await fs.rename(partial, file);
+        } catch (error) {
+            await fs.rm(partial, { force: true });
+            throw error;
+        } finally {
+            releaseRenderSlot();
+        }
+        return { key, file, cached: false };
+    })();
+
+    inFlight.set(key, render);
+    try {
+        return await render;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+/**
+ * Delete the least recently used renders beyond the newest `maxFiles` or
+ * past `maxBytes` in total, and partial files left over from a crash
+ * @param {string} outputDir
+ * @param {{ maxFiles: number, maxBytes: number }} limits
+ * @returns {Promise<number>} files deleted
+ */
+export async function pruneRenders(outputDir, { maxFiles, maxBytes }) {
+    const names = await fs.readdir(outputDir).catch(() => []);
+    const files = await Promise.all(names
+        .filter(name => /^[a-f0-9]{32}(\.\d+\.partial)?\.webm$/.test(name))
+        .map(async name => {
+            const stat = await fs.stat(path.join(outputDir, name)).catch(() => null);
+            return stat && { name, size: stat.size, mtimeMs: stat.mtimeMs, partial: name.includes('.partial.') };
+        }));
+
+    const now = Date.now();
+    const stale = files.filter(file => file?.partial && now - file.mtimeMs > STALE_PARTIAL_MS);
+    let total = 0;
+    files
+        .filter(file => file && !file.partial)
+        .sort((a, b) => b.mtimeMs - a.mtimeMs)
+        .forEach((file, i) => {
+            total += file.size;
+            if (i >= maxFiles || total > maxBytes) stale.push(file);
+        });
+
+    await Promise.all(stale.map(({ name }) => fs.rm(path.join(outputDir, name), { force: true })));
+    return stale.length;
+}
+
+export default { renderKey, renderSignVideo, pruneRenders };
@@ -0,0 +1,184 @@
+// Retrieval for the tutor: a local search index over the course catalog
+// (titles, descriptions, learning objectives, skills, tags and section text)
+// and the sign catalog (glosses, synonyms, categories and how each sign is
+// formed). For each question the tutor looks up the entries that match it
+// and gives the model only those, each under an id it can cite
+// ("course:005", "sign:HELLO").
+//
+// Entries are ranked with BM25. Words also match in their dictionary forms
+// (FAMILIES -> FAMILY, see lemmaCandidates in utils/signLookup.js), and
+// title words count more than the rest.
+
+import { tokenize, lemmaCandidates } from './signLookup.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 3;
+const SNIPPET_LENGTH = 300;
+
+// Words too common to say anything about what a question is after
+const STOP_WORDS = new Set([
+    'A', 'AN', 'THE', 'AND', 'OR', 'BUT', 'OF', 'TO', 'IN', 'ON', 'AT', 'FOR', 'WITH', 'BY', 'FROM', 'ABOUT',
+    'IS', 'ARE', 'WAS', 'WERE', 'BE', 'AM', 'DO', 'DOES', 'DID', 'HAVE', 'HAS', 'CAN', 'COULD', 'WILL', 'WOULD', 'SHOULD',
+    'I', 'ME', 'MY', 'YOU', 'YOUR', 'WE', 'OUR', 'IT', 'ITS', 'THIS', 'THAT', 'THESE', 'THOSE', 'THEY', 'THEM',
+    'WHAT', 'WHICH', 'WHO', 'HOW', 'WHY', 'WHEN', 'WHERE', 'NOT', 'NO', 'SO', 'IF', 'THEN', 'THAN', 'AS',
+    'SIGN', 'SIGNS', 'LEARN', 'PLEASE', 'TELL', 'SHOW', 'TEACH'
+]);
+
+function shorten(text, length) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+}
+
+// Each word of the text with the forms it is matched by
+function wordForms(text) {
+    return tokenize(text)
+        .map(({ word }) => [word, ...lemmaCandidates(word)].filter(form => form.length >= 2 && !STOP_WORDS.has(form)))
+        .filter(forms => forms.length > 0);
+}
+
+/**
+ * Index entries for published courses
+ * @param {Object[]} courses Course documents (lean)
+ * @returns {Object[]}
+ */
+export function courseDocuments(courses) {
+    return courses.map(course => {
+        const sections = (course.content?.sections || [])
+            .map(section => [section.title, section.description].filter(Boolean).join(': '));
+        return {
+            id: `course:${course.id}`,
+            type: 'course',
+            title: course.title,
+            text: [
+                course.description,
+                ...(course.learningObjectives || []),
+                ...(course.skills || []),
+                ...(course.tags || []),
+                course.category,
+                ...sections
+            ].filter(Boolean).join('. '),
+            snippet: shorten([
+                course.description,
+                course.learningObjectives?.length ? `Objectives: ${course.learningObjectives.join('; ')}` : null,
+                sections.length ? `Sections: ${sections.join('; ')}` : null
+            ].filter(Boolean).join(' '), SNIPPET_LENGTH),
+            courseId: course.id,
+            ageGroup: course.ageGroup,
+            category: course.category,
+            difficulty: course.difficulty,
+            url: `/tutorials/basics/${course.id}`
+        };
+    });
+}
+
+/**
+ * Index entries for the signs in the video library, one per gloss. As in the
+ * translator's lookup, the standard sign stands for a gloss and a regional
+ * variant only when there is no standard one.
+ * @param {Object[]} signs Sign documents (lean), each with at least one video
+ * @returns {Object[]}
+ */
+export function signDocuments(signs) {
+    const byGloss = new Map();
+    for (const sign of signs) {
+        const current = byGloss.get(sign.gloss);
+        if (!current || (current.region && !sign.region)) byGloss.set(sign.gloss, sign);
+    }
+    return [...byGloss.values()].map(sign => {
+        const formation = [
+            sign.handshape && `handshape: ${sign.handshape}`,
+            sign.location && `location: ${sign.location}`,
+            sign.movement && `movement: ${sign.movement}`
+        ].filter(Boolean);
+        return {
+            id: `sign:${sign.gloss}`,
+            type: 'sign',
+            title: sign.gloss,
+            text: [...(sign.synonyms || []), sign.category, ...formation].filter(Boolean).join('. '),
+            snippet: shorten([
+                sign.category,
+                sign.synonyms?.length ? `also: ${sign.synonyms.join(', ')}` : null,
+                ...formation
+            ].filter(Boolean).join('; '), SNIPPET_LENGTH),
+            gloss: sign.gloss,
+            category: sign.category,
+            difficulty: sign.difficulty,
+            videoPath: sign.videos[0].path
+        };
+    });
+}
+
+/**
+ * Build the search index. A later entry with the same id replaces an
+ * earlier one.
+ * @param {Object[]} documents entries from courseDocuments() and signDocuments()
+ * @returns {{ documents: Object[], byId: Map<string, Object>, postings: Map<string, Map<number, number>>,
+ *   lengths: number[], averageLength: number }}
+ */
+export function createRetrievalIndex(documents) {
+    const byId = new Map(documents.map(document => [document.id, document]));
+    const unique = [...byId.values()];
+    const postings = new Map();
+    const lengths = [];
+
+    unique.forEach((document, i) => {
+        const counts = new Map();
+        const add = (text, weight) => {
+            for (const forms of wordForms(text)) {
+                forms.forEach(form => counts.set(form, (counts.get(form) || 0) + weight));
+            }
+        };
+        add(document.title, TITLE_WEIGHT);
+        add(document.text, 1);
+
+        counts.forEach((count, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(i, count);
+        });
+        lengths.push([...counts.values()].reduce((sum, count) => sum + count, 0));
+    });
+
+    const averageLength = lengths.length ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0;
+    return { documents: unique, byId, postings, lengths, averageLength };
+}
+
+/**
+ * The entries that best match a question, best first, up to a number per
+ * type. Each question word scores once, by the best of its forms.
+ * @param {ReturnType<typeof createRetrievalIndex>} index
+ * @param {string} query
+ * @param {{ limits?: Record<string, number> }} options
+ * @returns {{ document: Object, score: number }[]}
+ */
+export function searchRetrievalIndex(index, query, { limits = { course: 4, sign: 8 } } = {}) {
+    const total = index.documents.length;
+    const scores = new Map();
+    const queryWords = new Map(wordForms(query).map(forms => [forms[0], forms]));
+
+    for (const forms of queryWords.values()) {
+        const best = new Map();
+        for (const form of forms) {
+            const posting = index.postings.get(form);
+            if (!posting) continue;
+            const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((count, i) => {
+                const norm = 1 - BM25_B + BM25_B * (index.lengths[i] / (index.averageLength || 1));
+                const score = idf * (count * (BM25_K1 + 1)) / (count + BM25_K1 * norm);
+                if (score > (best.get(i) || 0)) best.set(i, score);
+            });
+        }
+        best.forEach((score, i) => scores.set(i, (scores.get(i) || 0) + score));
+    }
+
+    const taken = {};
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([i, score]) => ({ document: index.documents[i], score }))
+        .filter(({ document }) => {
+            taken[document.type] = (taken[document.type] || 0) + 1;
+            return taken[document.type] <= (limits[document.type] ?? 0);
+        });
+}
+
+export default { courseDocuments, signDocuments, createRetrievalIndex, searchRetrievalIndex };
@@ -0,0 +1,123 @@
+// Read the length of a sign video from its container header, without
+// decoding it: the Segment Info of a WebM file or the movie header (mvhd)
+// of an MP4 file.
+
+import fs from 'fs/promises';
+
+// WebM keeps its Segment Info near the start of the file
+const WEBM_HEADER_BYTES = 64 * 1024;
+
+const EBML_IDS = {
+    SEGMENT: 0x18538067,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489
+};
+
+// An EBML variable-length integer at offset: its value (with or without the
+// length marker bits) and how many bytes it took
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let unknown = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xff) unknown = false;
+    }
+    return { value, length, unknown: !keepMarker && unknown };
+}
+
+// Duration in milliseconds from the Segment Info of a WebM file
+function webmDuration(buffer) {
+    let offset = 0;
+    let end = buffer.length;
+    let timecodeScale = 1000000; // nanoseconds per tick, the EBML default
+    let duration = null;
+
+    while (offset < end) {
+        const id = readVint(buffer, offset, true);
+        if (!id) break;
+        const size = readVint(buffer, offset + id.length, false);
+        if (!size) break;
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = size.unknown ? buffer.length : dataStart + size.value;
+
+        if (id.value === EBML_IDS.SEGMENT || id.value === EBML_IDS.INFO) {
+            // Step into the element; its children follow
+            if (id.value === EBML_IDS.INFO) end = Math.min(dataEnd, buffer.length);
+            offset = dataStart;
+            continue;
+        }
+        if (id.value === EBML_IDS.TIMECODE_SCALE && dataEnd <= buffer.length) {
+            timecodeScale = buffer.readUIntBE(dataStart, size.value);
+        } else if (id.value === EBML_IDS.DURATION && dataEnd <= buffer.length) {
+            duration = size.value === 8 ? buffer.readDoubleBE(dataStart) : buffer.readFloatBE(dataStart);
+        }
+        offset = dataEnd;
+    }
+
+    return duration === null ? null : Math.round(duration * timecodeScale / 1e6);
+}
+
+// Duration in milliseconds from the movie header of an MP4 file, walking
+// the top-level boxes (moov may come after the media data)
+async function mp4Duration(file) {
+    const { size: fileSize } = await file.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+        await file.read(header, 0, 16, offset);
+        let boxSize = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        let headerSize = 8;
+        if (boxSize === 1) {
+            boxSize = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (boxSize === 0) {
+            boxSize = fileSize - offset;
+        }
+        if (boxSize < headerSize) return null;
+
+        if (type === 'moov') {
+            const moov = Buffer.alloc(boxSize - headerSize);
+            await file.read(moov, 0, moov.length, offset + headerSize);
+            const mvhd = moov.indexOf('mvhd', 0, 'latin1');
+            if (mvhd < 0) return null;
+            const version = moov[mvhd + 4];
+            // version 1 uses 64-bit times: creation, modification, timescale, duration
+            const timescale = moov.readUInt32BE(mvhd + (version === 1 ? 24 : 16));
+            const duration = version === 1
+                ? Number(moov.readBigUInt64BE(mvhd + 28))
+                : moov.readUInt32BE(mvhd + 20);
+            return timescale ? Math.round(duration * 1000 / timescale) : null;
+        }
+        offset += boxSize;
+    }
+    return null;
+}
+
+/**
+ * Length of a .webm or .mp4 video in milliseconds, or null when the file
+ * does not record it
+ * @param {string} filePath
+ * @returns {Promise<number|null>}
+ */
+export async function readVideoDuration(filePath) {
+    const file = await fs.open(filePath, 'r');
+    try {
+        if (filePath.toLowerCase().endsWith('.mp4')) return await mp4Duration(file);
+
+        const buffer = Buffer.alloc(WEBM_HEADER_BYTES);
+        const { bytesRead } = await file.read(buffer, 0, WEBM_HEADER_BYTES, 0);
+        return webmDuration(buffer.subarray(0, bytesRead));
+    } finally {
+        await file.close();
+    }
+}
+
+export default { readVideoDuration };